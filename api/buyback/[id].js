@@ -8,6 +8,7 @@ import { query, transaction } from '../utils/database.js';
 import { sendNotification } from '../utils/notifications.js';
 import { verifyToken } from '../utils/authVerification.js';
 import { validateAndSanitize } from '../utils/validation.js';
+import { canTransitionApiStatus, API_STATUS_TO_WORKFLOW } from '../../src/utils/buybackStateMachine.js';
 
 /**
  * Main API Handler
@@ -165,14 +166,12 @@ async function updateBuybackRequest(req, res, id) {
       preferred_pickup_date,
       preferred_pickup_time,
       appraisals = [], // Appraisal details array
-      communication_note // New communication entry
+      communication_note, // New communication entry
+      identity_verification // { document_type, encrypted_number, masked_number, method, verified_at }
     } = req.body;
     
     // Validate status
-    const validStatuses = [
-      'draft', 'submitted', 'reviewing', 'appraised', 
-      'approved', 'rejected', 'completed', 'cancelled'
-    ];
+    const validStatuses = Object.keys(API_STATUS_TO_WORKFLOW);
     if (status && !validStatuses.includes(status)) {
       return res.status(400).json({ 
         error: '無効なステータスです',
@@ -206,6 +205,47 @@ async function updateBuybackRequest(req, res, id) {
         return res.status(403).json({ error: '他店舗の申請は編集できません' });
       }
     }
+
+    // Latest identity verification: the one sent with this update, otherwise the last recorded one
+    let previousHistory = [];
+    try {
+      previousHistory = JSON.parse(currentRequest.communication_history || '[]');
+    } catch (parseError) {
+      previousHistory = [];
+    }
+    const recordedVerification = [...previousHistory].reverse().find(entry => entry.type === 'identity_verification');
+    const identityVerification = identity_verification || recordedVerification?.identity_verification;
+
+    // Validate status transition against the shared buyback state machine
+    if (status && status !== currentRequest.status) {
+      const transitionItems = appraisals.length > 0
+        ? appraisals
+        : (await query(`
+            SELECT item_condition, appraised_value FROM buyback_appraisals WHERE request_id = $1
+          `, [id])).rows;
+
+      const { allowed, error } = canTransitionApiStatus({
+        status: currentRequest.status,
+        items: transitionItems.map(appraisal => ({
+          assessedRank: appraisal.item_condition,
+          buybackPrice: parseFloat(appraisal.appraised_value) || 0
+        })),
+        identityVerification: identityVerification && {
+          documentType: identityVerification.document_type,
+          encryptedNumber: identityVerification.encrypted_number,
+          method: identityVerification.method,
+          verifiedAt: identityVerification.verified_at
+        }
+      }, status);
+
+      if (!allowed) {
+        return res.status(400).json({
+          error: error,
+          currentStatus: currentRequest.status,
+          requestedStatus: status
+        });
+      }
+    }
     
     // Use transaction for consistency
     const result = await transaction(async (client) => {
@@ -228,6 +268,24 @@ async function updateBuybackRequest(req, res, id) {
         });
       }
 
+      // Record identity verification (document number is stored encrypted only)
+      if (identity_verification) {
+        communicationHistory.push({
+          timestamp: new Date().toISOString(),
+          staff_id: req.user.id,
+          staff_name: req.user.name || 'スタッフ',
+          type: 'identity_verification',
+          content: '本人確認を記録',
+          identity_verification: {
+            document_type: identity_verification.document_type,
+            encrypted_number: identity_verification.encrypted_number,
+            masked_number: identity_verification.masked_number,
+            method: identity_verification.method,
+            verified_at: identity_verification.verified_at
+          }
+        });
+      }
+
       // Add status change to communication history
       if (status && status !== currentRequest.status) {
         communicationHistory.push({
@@ -0,0 +1,118 @@
+/**
+ * Payout Bank Account API
+ * Encrypts customer bank account numbers so that browsers keep only the encrypted value and a masked copy,
+ * and decrypts them for staff when building a Zengin bulk transfer file
+ */
+
+import { authMiddleware } from '../utils/middleware.js';
+import { recordPersonalDataAccess } from '../utils/personalDataAudit.js';
+import { encryptPersonalData, decryptPersonalData } from '../../src/utils/encryption.js';
+
+const EXPORT_ROLES = ['store_staff', 'store_manager', 'admin', 'super_admin', 'staff', 'manager'];
+const MAX_EXPORT_RECORDS = 1000;
+
+/**
+ * Main API Handler
+ */
+export default async function handler(req, res) {
+  // CORS configuration
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+    return res.status(200).end();
+  }
+
+  switch (req.method) {
+    case 'POST':
+      return await authMiddleware(handleBankAccountRequest)(req, res);
+    default:
+      return res.status(405).json({ error: 'Method not allowed' });
+  }
+}
+
+/**
+ * Mask an account number, leaving only the last 4 digits visible
+ * @param {string} value - Plain account number (7 digits)
+ * @returns {string} Masked number
+ */
+function maskAccountNumber(value) {
+  return `${'*'.repeat(value.length - 4)}${value.slice(-4)}`;
+}
+
+/**
+ * Encrypt an account number or decrypt the account numbers of a transfer batch
+ * POST /api/buyback/bank-account
+ * Body: { action: 'encrypt', account_number }
+ *    or { action: 'export', batch_id, encrypted_numbers: [] }
+ */
+async function handleBankAccountRequest(req, res) {
+  try {
+    const secret = process.env.PERSONAL_DATA_ENCRYPTION_KEY;
+    if (!secret) {
+      console.error('PERSONAL_DATA_ENCRYPTION_KEY is not configured');
+      return res.status(500).json({ error: '暗号化の設定がされていません' });
+    }
+
+    const { action = 'encrypt' } = req.body || {};
+
+    if (action === 'export') {
+      return await exportAccountNumbers(req, res, secret);
+    }
+
+    if (action !== 'encrypt') {
+      return res.status(400).json({ error: '無効な操作です' });
+    }
+
+    const number = String(req.body?.account_number || '').trim();
+    if (!/^\d{1,7}$/.test(number)) {
+      return res.status(400).json({ error: '口座番号は7桁以内の数字で入力してください' });
+    }
+    const accountNumber = number.padStart(7, '0');
+
+    res.status(200).json({
+      message: '口座番号を暗号化しました',
+      encrypted_account_number: encryptPersonalData(accountNumber, secret),
+      masked_account_number: maskAccountNumber(accountNumber)
+    });
+
+  } catch (error) {
+    console.error('Bank account error:', error);
+    res.status(500).json({
+      error: '口座情報の処理に失敗しました',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+/**
+ * Decrypt the account numbers of one transfer batch (staff only, recorded in personal_data_access_logs)
+ */
+async function exportAccountNumbers(req, res, secret) {
+  if (!EXPORT_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ error: '権限がありません' });
+  }
+
+  const { batch_id, encrypted_numbers } = req.body || {};
+  if (!batch_id || !Array.isArray(encrypted_numbers) || encrypted_numbers.length === 0) {
+    return res.status(400).json({ error: '振込バッチIDと暗号化された口座番号が必要です' });
+  }
+  if (encrypted_numbers.length > MAX_EXPORT_RECORDS) {
+    return res.status(400).json({ error: `一度に出力できる口座は${MAX_EXPORT_RECORDS}件までです` });
+  }
+
+  const accountNumbers = encrypted_numbers.map(value => decryptPersonalData(value, secret));
+
+  // The audit record must be written before the numbers are returned
+  await recordPersonalDataAccess(req, {
+    dataType: 'bank_account',
+    action: 'export',
+    reference: batch_id,
+    recordCount: accountNumbers.length
+  });
+
+  return res.status(200).json({
+    message: '口座番号を復号しました',
+    account_numbers: accountNumbers
+  });
+}
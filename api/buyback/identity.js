@@ -0,0 +1,138 @@
+/**
+ * Buyback Identity Verification API
+ * Encrypts identity document numbers recorded for the Secondhand Articles Dealer Act (古物営業法)
+ * The plain document number is never stored; clients keep only the encrypted value and a masked copy
+ */
+
+import { authMiddleware } from '../utils/middleware.js';
+import { recordPersonalDataAccess } from '../utils/personalDataAudit.js';
+import { encryptPersonalData, decryptPersonalData } from '../../src/utils/encryption.js';
+import { IDENTITY_DOCUMENT_TYPES } from '../../src/data/identityDocuments.js';
+
+const STAFF_ROLES = ['store_staff', 'store_manager', 'admin', 'super_admin', 'staff', 'manager'];
+const REVEAL_ROLES = ['store_manager', 'admin', 'super_admin', 'manager'];
+const MAX_NUMBER_LENGTH = 64;
+
+/**
+ * Main API Handler
+ */
+export default async function handler(req, res) {
+  // CORS configuration
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+    return res.status(200).end();
+  }
+
+  switch (req.method) {
+    case 'POST':
+      return await authMiddleware(handleIdentityRequest)(req, res);
+    default:
+      return res.status(405).json({ error: 'Method not allowed' });
+  }
+}
+
+/**
+ * Mask a document number, leaving only the last 4 characters visible
+ * @param {string} value - Plain document number
+ * @returns {string} Masked number
+ */
+function maskDocumentNumber(value) {
+  const visible = value.slice(-4);
+  return `${'*'.repeat(Math.max(value.length - visible.length, 4))}${visible}`;
+}
+
+/**
+ * Encrypt or reveal an identity document number
+ * POST /api/buyback/identity
+ * Body: { action: 'encrypt', document_type, document_number }
+ *    or { action: 'reveal', encrypted_number, application_number }
+ */
+async function handleIdentityRequest(req, res) {
+  try {
+    if (!STAFF_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ error: '権限がありません' });
+    }
+
+    // Dedicated key for personal data (not shared with JWT signing or API key encryption)
+    const secret = process.env.PERSONAL_DATA_ENCRYPTION_KEY;
+    if (!secret) {
+      console.error('PERSONAL_DATA_ENCRYPTION_KEY is not configured');
+      return res.status(500).json({ error: '暗号化の設定がされていません' });
+    }
+
+    const { action = 'encrypt' } = req.body || {};
+
+    if (action === 'reveal') {
+      return await revealDocumentNumber(req, res, secret);
+    }
+
+    if (action !== 'encrypt') {
+      return res.status(400).json({ error: '無効な操作です' });
+    }
+
+    const { document_type, document_number } = req.body || {};
+    const documentType = IDENTITY_DOCUMENT_TYPES.find(type => type.value === document_type);
+    if (!documentType) {
+      return res.status(400).json({
+        error: '本人確認書類の種類が正しくありません',
+        validTypes: IDENTITY_DOCUMENT_TYPES.map(type => type.value)
+      });
+    }
+
+    const number = String(document_number || '').trim();
+    if (!number) {
+      return res.status(400).json({ error: '書類の番号を入力してください' });
+    }
+    if (number.length > MAX_NUMBER_LENGTH) {
+      return res.status(400).json({ error: `書類の番号は${MAX_NUMBER_LENGTH}文字以内で入力してください` });
+    }
+    // Individual numbers (マイナンバー) must not be recorded
+    if (documentType.forbidsIndividualNumber && /^\d{12}$/.test(number.replace(/[\s-]/g, ''))) {
+      return res.status(400).json({ error: '個人番号（マイナンバー）は記録できません' });
+    }
+
+    res.status(200).json({
+      message: '書類の番号を暗号化しました',
+      encrypted_number: encryptPersonalData(number, secret),
+      masked_number: maskDocumentNumber(number)
+    });
+
+  } catch (error) {
+    console.error('Identity verification error:', error);
+    res.status(500).json({
+      error: '本人確認情報の処理に失敗しました',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+/**
+ * Decrypt a stored document number (managers only, recorded in personal_data_access_logs)
+ */
+async function revealDocumentNumber(req, res, secret) {
+  if (!REVEAL_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ error: '書類の番号を表示する権限がありません' });
+  }
+
+  const { encrypted_number, application_number } = req.body || {};
+  if (!encrypted_number) {
+    return res.status(400).json({ error: '暗号化された番号が必要です' });
+  }
+
+  // Numbers encrypted before the dedicated key was introduced were derived from JWT_SECRET
+  const documentNumber = decryptPersonalData(encrypted_number, secret, process.env.JWT_SECRET);
+
+  // The audit record must be written before the number is returned
+  await recordPersonalDataAccess(req, {
+    dataType: 'identity_document',
+    action: 'reveal',
+    reference: application_number || null
+  });
+
+  return res.status(200).json({
+    message: '書類の番号を復号しました',
+    document_number: documentNumber
+  });
+}
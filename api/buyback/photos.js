@@ -0,0 +1,135 @@
+/**
+ * Buyback Appraisal Photos API
+ * Uploads condition evidence photos (front/back/defect close-ups) for appraised items
+ */
+
+import crypto from 'crypto';
+import { authMiddleware } from '../utils/middleware.js';
+import { uploadFiles, processImage } from '../utils/fileUpload.js';
+
+const PHOTO_BUCKET = 'buyback-appraisal-photos';
+const PHOTO_TYPES = ['front', 'back', 'defect', 'other'];
+
+// One photo per request: base64 adds ~33%, so 3MB stays under the ~4.5MB serverless request body limit
+// (the browser shrinks larger photos before sending)
+const MAX_SOURCE_BYTES = 3 * 1024 * 1024;
+
+// Full-size photo and thumbnail processing options (both re-encoded as JPEG)
+const FULL_IMAGE_OPTIONS = { maxWidth: 1920, maxHeight: 1920, quality: 80, format: 'jpeg' };
+const THUMBNAIL_OPTIONS = { maxWidth: 320, maxHeight: 320, quality: 70, format: 'jpeg' };
+
+/**
+ * Main API Handler
+ */
+export default async function handler(req, res) {
+  // CORS configuration
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+    return res.status(200).end();
+  }
+
+  switch (req.method) {
+    case 'POST':
+      return await authMiddleware(uploadAppraisalPhoto)(req, res);
+    default:
+      return res.status(405).json({ error: 'Method not allowed' });
+  }
+}
+
+/**
+ * Decode a base64 data URL sent from the browser
+ * @param {string} dataUrl - data:[type];base64,[data]
+ * @returns {Buffer|null} Decoded buffer
+ */
+function decodeDataUrl(dataUrl) {
+  const match = /^data:([^;]+);base64,(.+)$/.exec(dataUrl || '');
+  return match ? Buffer.from(match[2], 'base64') : null;
+}
+
+/**
+ * Replace the extension of a file name with .jpg
+ * @param {string} name - Original file name
+ * @returns {string} File name for the re-encoded JPEG
+ */
+function toJpegName(name) {
+  return `${(name || 'photo').replace(/\.[^.]*$/, '')}.jpg`;
+}
+
+/**
+ * Upload one appraisal photo for a single item
+ * POST /api/buyback/photos
+ * Body: { application_number, item_id, photo_type, file: { name, type, data } }
+ */
+async function uploadAppraisalPhoto(req, res) {
+  try {
+    if (!['store_staff', 'store_manager', 'admin', 'super_admin', 'staff', 'manager'].includes(req.user.role)) {
+      return res.status(403).json({ error: '権限がありません' });
+    }
+
+    const { application_number, item_id, photo_type = 'other', file } = req.body || {};
+
+    if (!application_number || item_id === undefined || item_id === null) {
+      return res.status(400).json({ error: '申込番号と商品IDが必要です' });
+    }
+
+    if (!PHOTO_TYPES.includes(photo_type)) {
+      return res.status(400).json({
+        error: '写真の種類が正しくありません',
+        validTypes: PHOTO_TYPES
+      });
+    }
+
+    if (!file?.data) {
+      return res.status(400).json({ error: '写真が選択されていません' });
+    }
+
+    const source = decodeDataUrl(file.data);
+    if (!source) {
+      return res.status(400).json({ error: `ファイル "${file.name}" の形式が正しくありません` });
+    }
+    if (source.length > MAX_SOURCE_BYTES) {
+      return res.status(413).json({ error: `ファイル "${file.name}" が大きすぎます（最大3MB）` });
+    }
+
+    let fullImage;
+    let thumbnail;
+    try {
+      fullImage = await processImage(source, FULL_IMAGE_OPTIONS);
+      thumbnail = await processImage(source, THUMBNAIL_OPTIONS);
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      return res.status(400).json({ error: `ファイル "${file.name}" を画像として読み込めません（JPEG・PNGなどの写真を選択してください）` });
+    }
+
+    // Same validation as other uploads (size / type / name) is applied inside uploadFiles,
+    // which also removes the full-size image if the thumbnail upload fails
+    const name = toJpegName(file.name);
+    const [uploadedFull, uploadedThumbnail] = await uploadFiles([
+      { name, type: 'image/jpeg', size: fullImage.length, buffer: fullImage },
+      { name: `thumb_${name}`, type: 'image/jpeg', size: thumbnail.length, buffer: thumbnail }
+    ], PHOTO_BUCKET, { maxFiles: 2 });
+
+    res.status(201).json({
+      message: '写真をアップロードしました',
+      photo: {
+        id: `PHOTO-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+        type: photo_type,
+        url: uploadedFull.url,
+        thumbnailUrl: uploadedThumbnail.url,
+        originalName: file.name,
+        size: uploadedFull.size,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: req.user.name || req.user.email || req.user.id
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload appraisal photos error:', error);
+    res.status(500).json({
+      error: '写真のアップロードに失敗しました',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -7,6 +7,7 @@ import { createClient } from '@supabase/supabase-js';
 import { validateFileUpload } from './validation.js';
 import crypto from 'crypto';
 import path from 'path';
+import sharp from 'sharp';
 
 // Initialize Supabase client for file storage
 const supabase = createClient(
@@ -61,10 +62,12 @@ export async function uploadFiles(files, bucket = 'buyback-attachments', options
       const filePath = `${bucket}/${uniqueFilename}`;
 
       // Upload to Supabase Storage
+      // (buffer-backed file objects are uploaded as raw buffers with their content type)
       const { data, error } = await supabase.storage
         .from(bucket)
-        .upload(filePath, file, {
+        .upload(filePath, file.buffer || file, {
           cacheControl: '3600',
+          contentType: file.type,
           upsert: false
         });
 
@@ -246,15 +249,15 @@ export async function generateSignedUrl(filePath, bucket = 'buyback-attachments'
 
 /**
  * Process and resize image if needed
+ * Images are auto-rotated from EXIF, shrunk to fit within maxWidth x maxHeight
+ * (never enlarged), re-encoded and stripped of metadata such as GPS location
  * @param {Buffer} imageBuffer - Image buffer
  * @param {Object} options - Processing options
  * @returns {Promise<Buffer>} Processed image buffer
+ * @throws {Error} statusCode 400 when the buffer cannot be decoded as an image
  */
 export async function processImage(imageBuffer, options = {}) {
   try {
-    // For now, return the original image
-    // In production, you might want to add image processing with Sharp or similar
-    
     const {
       maxWidth = 1920,
       maxHeight = 1080,
@@ -262,18 +265,26 @@ export async function processImage(imageBuffer, options = {}) {
       format = 'jpeg'
     } = options;
 
-    // TODO: Implement image processing
-    // const sharp = require('sharp');
-    // const processedImage = await sharp(imageBuffer)
-    //   .resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true })
-    //   .jpeg({ quality })
-    //   .toBuffer();
-    
-    return imageBuffer;
+    const image = sharp(imageBuffer)
+      .rotate()
+      .resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true });
+
+    switch (format) {
+      case 'webp':
+        return await image.webp({ quality }).toBuffer();
+      case 'png':
+        return await image.png().toBuffer();
+      default:
+        return await image.jpeg({ quality, mozjpeg: true }).toBuffer();
+    }
 
   } catch (error) {
     console.error('Image processing error:', error);
-    throw new Error('画像の処理に失敗しました');
+    // Undecodable input (not an image, or a corrupt file) is a client error
+    const processingError = new Error('画像の処理に失敗しました');
+    processingError.statusCode = 400;
+    processingError.code = 'INVALID_INPUT';
+    throw processingError;
   }
 }
 
@@ -0,0 +1,37 @@
+/**
+ * Personal Data Access Audit
+ * Persists every decryption of personal data (identity document numbers, bank account numbers)
+ * to personal_data_access_logs (see scripts/migrations/sql/007_personal_data_access_logs.sql)
+ */
+
+import { query } from './database.js';
+
+/**
+ * Record a personal data access
+ * Throws when the record cannot be written, so callers must not return decrypted data in that case
+ * @param {Object} req - Request (uses req.user and headers)
+ * @param {Object} access - { dataType: 'identity_document'|'bank_account', action: 'reveal'|'export', reference, recordCount }
+ * @returns {Promise<void>}
+ */
+export async function recordPersonalDataAccess(req, { dataType, action, reference = null, recordCount = 1 }) {
+  const forwardedFor = req.headers?.['x-forwarded-for'];
+  const ipAddress = (Array.isArray(forwardedFor) ? forwardedFor[0] : forwardedFor || '').split(',')[0].trim()
+    || req.socket?.remoteAddress
+    || null;
+
+  await query(`
+    INSERT INTO personal_data_access_logs (
+      data_type, action, reference, record_count,
+      accessed_by, accessed_by_role, ip_address, user_agent, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+  `, [
+    dataType,
+    action,
+    reference,
+    recordCount,
+    String(req.user.email || req.user.id),
+    req.user.role || null,
+    ipAddress,
+    req.headers?.['user-agent'] || null
+  ]);
+}
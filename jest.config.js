@@ -1,5 +1,7 @@
 export default {
   testEnvironment: 'node',
+  // ESMのまま実行する（node --experimental-vm-modules）
+  transform: {},
   testMatch: [
     '**/tests/**/*.test.js',
     '**/?(*.)+(spec|test).js'
@@ -0,0 +1,9 @@
+-- Rollback script for 007_personal_data_access_logs.sql
+
+DROP TRIGGER IF EXISTS trigger_personal_data_access_logs_immutable ON personal_data_access_logs;
+DROP FUNCTION IF EXISTS prevent_personal_data_access_log_change();
+
+DROP INDEX IF EXISTS idx_personal_data_access_created;
+DROP INDEX IF EXISTS idx_personal_data_access_reference;
+
+DROP TABLE IF EXISTS personal_data_access_logs;
@@ -0,0 +1,33 @@
+-- 個人情報（本人確認書類の番号・振込先口座番号）の復号記録
+-- Migration: 007_personal_data_access_logs.sql
+
+-- 復号した操作の監査ログ（追記のみ）
+CREATE TABLE IF NOT EXISTS personal_data_access_logs (
+    id SERIAL PRIMARY KEY,
+    data_type VARCHAR(50) NOT NULL,          -- identity_document / bank_account
+    action VARCHAR(50) NOT NULL,             -- reveal / export
+    reference VARCHAR(100),                  -- 申込番号・振込バッチID
+    record_count INTEGER DEFAULT 1,
+    accessed_by VARCHAR(255) NOT NULL,       -- 操作したユーザー（ID・メール）
+    accessed_by_role VARCHAR(50),
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_personal_data_access_reference ON personal_data_access_logs(reference);
+CREATE INDEX IF NOT EXISTS idx_personal_data_access_created ON personal_data_access_logs(created_at DESC);
+
+-- 監査ログは変更・削除させない
+CREATE OR REPLACE FUNCTION prevent_personal_data_access_log_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'personal_data_access_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_personal_data_access_logs_immutable ON personal_data_access_logs;
+CREATE TRIGGER trigger_personal_data_access_logs_immutable
+    BEFORE UPDATE OR DELETE ON personal_data_access_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_personal_data_access_log_change();
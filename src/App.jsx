@@ -19,15 +19,22 @@ import Unauthorized from './pages/Unauthorized';
 import AccountSettings from './pages/AccountSettings';
 import BuybackApplication from './pages/BuybackApplication';
 import MyApplications from './pages/MyApplications';
+import SalesRequest from './pages/SalesRequest';
+import MyOrders from './pages/MyOrders';
+import BuyerCatalog from './pages/BuyerCatalog';
 import Rating from './pages/Rating';
 import Sales from './pages/Sales';
 import Inventory from './pages/Inventory';
 import Ledger from './pages/Ledger';
+import Payouts from './pages/Payouts';
+import StolenGoodsWatchlist from './pages/StolenGoodsWatchlist';
 import Dashboard from './pages/Dashboard';
 import SalesAnalytics from './pages/SalesAnalytics';
 import UserManagement from './pages/UserManagement';
 import ZaicoSyncSettings from './pages/ZaicoSyncSettings';
 import ColorLibrarySettings from './pages/ColorLibrarySettings';
+import AutoApprovalSettings from './pages/AutoApprovalSettings';
+import ExchangeRateSettings from './pages/ExchangeRateSettings';
 import ApiKeyChecker from './components/ApiKeyChecker';
 import { insertMockAnalyticsData } from './utils/insertMockAnalyticsData';
 
@@ -178,6 +185,29 @@ function AppContent() {
         </PrivateRoute>
       } />
       
+      <Route path="/catalog" element={
+        <PrivateRoute allowedRoles={['overseas_customer']}>
+          <Layout>
+            <BuyerCatalog />
+          </Layout>
+        </PrivateRoute>
+      } />
+      
+      <Route path="/sales-request" element={
+        <PrivateRoute allowedRoles={['overseas_customer']}>
+          <Layout>
+            <SalesRequest />
+          </Layout>
+        </PrivateRoute>
+      } />
+      
+      <Route path="/my-orders" element={
+        <PrivateRoute allowedRoles={['overseas_customer']}>
+          <Layout>
+            <MyOrders />
+          </Layout>
+        </PrivateRoute>
+      } />
       
       <Route path="/rating" element={
         <PrivateRoute allowedRoles={['staff', 'admin', 'manager']}>
@@ -211,6 +241,22 @@ function AppContent() {
         </PrivateRoute>
       } />
       
+      <Route path="/payouts" element={
+        <PrivateRoute allowedRoles={['staff', 'admin', 'manager']}>
+          <Layout>
+            <Payouts />
+          </Layout>
+        </PrivateRoute>
+      } />
+
+      <Route path="/stolen-goods-watchlist" element={
+        <PrivateRoute allowedRoles={['staff', 'admin', 'manager']}>
+          <Layout>
+            <StolenGoodsWatchlist />
+          </Layout>
+        </PrivateRoute>
+      } />
+      
       <Route path="/dashboard" element={
         <PrivateRoute allowedRoles={['manager', 'admin']}>
           <Layout>
@@ -243,6 +289,22 @@ function AppContent() {
         </PrivateRoute>
       } />
       
+      <Route path="/settings/auto-approval" element={
+        <PrivateRoute allowedRoles={['admin', 'manager']}>
+          <Layout>
+            <AutoApprovalSettings />
+          </Layout>
+        </PrivateRoute>
+      } />
+      
+      <Route path="/settings/exchange-rates" element={
+        <PrivateRoute allowedRoles={['admin', 'manager']}>
+          <Layout>
+            <ExchangeRateSettings />
+          </Layout>
+        </PrivateRoute>
+      } />
+      
       <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </ApiKeyChecker>
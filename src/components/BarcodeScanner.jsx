@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { normalizeScannedCode } from '../utils/barcodeResolver';
+import './BarcodeScanner.css';
+
+// カメラで読み取るバーコードの種類（JAN=EAN、管理番号ラベル=Code128/QR）
+const CAMERA_FORMATS = ['ean_13', 'ean_8', 'code_128', 'code_39', 'qr_code'];
+const CAMERA_SCAN_INTERVAL = 250;
+
+// キーボード型スキャナーは1文字あたり数msで入力されるため、これより遅い入力は手入力とみなす
+const WEDGE_MAX_KEY_INTERVAL = 50;
+const WEDGE_MIN_LENGTH = 4;
+
+const isCameraSupported = () =>
+  typeof window !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * 映像からバーコードを読み取る関数を作成
+ * BarcodeDetector のあるブラウザ（Chrome・Edge・Android等）は標準APIを使い、
+ * ない場合（Firefox・デスクトップ版Safari等）は JS デコーダー（ZXing）を読み込んで使う
+ * @returns {Promise<function>} - (video) => 読み取った文字列 | null
+ */
+const createDetector = async () => {
+  if ('BarcodeDetector' in window) {
+    const supportedFormats = await window.BarcodeDetector.getSupportedFormats();
+    const formats = CAMERA_FORMATS.filter(format => supportedFormats.includes(format));
+    if (formats.length > 0) {
+      const detector = new window.BarcodeDetector({ formats });
+      return async (video) => {
+        const [barcode] = await detector.detect(video);
+        return barcode?.rawValue || null;
+      };
+    }
+  }
+
+  const [{ BrowserMultiFormatReader }, { BarcodeFormat, DecodeHintType }] = await Promise.all([
+    import('@zxing/browser'),
+    import('@zxing/library')
+  ]);
+  const hints = new Map([[DecodeHintType.POSSIBLE_FORMATS, [
+    BarcodeFormat.EAN_13,
+    BarcodeFormat.EAN_8,
+    BarcodeFormat.CODE_128,
+    BarcodeFormat.CODE_39,
+    BarcodeFormat.QR_CODE
+  ]]]);
+  const reader = new BrowserMultiFormatReader(hints);
+  return async (video) => {
+    try {
+      return reader.decode(video).getText();
+    } catch {
+      // コードが写っていないフレームは例外になる
+      return null;
+    }
+  };
+};
+
+/**
+ * バーコード読み取り入力
+ * キーボード型（USB/Bluetooth）スキャナーの入力とカメラでの読み取りに対応する
+ * カメラは端末内でデコードする（画像は送信しない。BarcodeDetector がないブラウザは ZXing で読み取る）
+ * @param {function} onScan - 読み取ったコードを受け取るコールバック
+ * @param {string} placeholder - 入力欄のプレースホルダー
+ * @param {boolean} captureGlobal - 入力欄にフォーカスがなくてもスキャナーの入力を受け付ける
+ * @param {string} list - 入力候補のdatalist ID
+ */
+const BarcodeScanner = ({
+  onScan,
+  placeholder = 'バーコードをスキャンまたは入力してEnter',
+  autoFocus = false,
+  captureGlobal = false,
+  list,
+  className = ''
+}) => {
+  const [value, setValue] = useState('');
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  const emitScan = (raw) => {
+    const code = normalizeScannedCode(raw);
+    if (code) {
+      onScanRef.current(code);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    // IME変換確定のEnterは無視
+    if (e.nativeEvent.isComposing) return;
+    emitScan(value);
+    setValue('');
+  };
+
+  // 入力欄以外にフォーカスがある時のスキャナー入力
+  useEffect(() => {
+    if (!captureGlobal) return undefined;
+
+    let buffer = '';
+    let lastKeyTime = 0;
+
+    const handleGlobalKeyDown = (e) => {
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
+
+      const now = Date.now();
+      if (now - lastKeyTime > WEDGE_MAX_KEY_INTERVAL) {
+        buffer = '';
+      }
+      lastKeyTime = now;
+
+      if (e.key === 'Enter') {
+        if (buffer.length >= WEDGE_MIN_LENGTH) {
+          e.preventDefault();
+          emitScan(buffer);
+        }
+        buffer = '';
+      } else if (e.key.length === 1) {
+        buffer += e.key;
+      }
+    };
+
+    window.addEventListener('keydown', handleGlobalKeyDown);
+    return () => window.removeEventListener('keydown', handleGlobalKeyDown);
+  }, [captureGlobal]);
+
+  const stopCamera = () => {
+    clearTimeout(timerRef.current);
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setCameraOpen(false);
+  };
+
+  // アンマウント時にカメラを停止
+  useEffect(() => stopCamera, []);
+
+  const startCamera = async () => {
+    setCameraError('');
+    if (!isCameraSupported()) {
+      setCameraError('このブラウザはカメラを利用できません。スキャナーまたは手入力をご利用ください');
+      return;
+    }
+
+    try {
+      const detect = await createDetector();
+
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' },
+        audio: false
+      });
+      streamRef.current = stream;
+      setCameraOpen(true);
+
+      // videoが描画されるのを待ってから読み取りを開始
+      const scanFrame = async () => {
+        const video = videoRef.current;
+        if (!streamRef.current) return;
+
+        if (video && video.readyState >= 2) {
+          try {
+            const rawValue = await detect(video);
+            if (rawValue) {
+              stopCamera();
+              emitScan(rawValue);
+              return;
+            }
+          } catch (error) {
+            console.error('バーコード読み取りエラー:', error);
+          }
+        }
+        timerRef.current = setTimeout(scanFrame, CAMERA_SCAN_INTERVAL);
+      };
+      timerRef.current = setTimeout(scanFrame, CAMERA_SCAN_INTERVAL);
+    } catch (error) {
+      console.error('カメラ起動エラー:', error);
+      stopCamera();
+      setCameraError(error.name === 'NotAllowedError'
+        ? 'カメラの使用が許可されていません。ブラウザの設定を確認してください'
+        : 'カメラを起動できませんでした');
+    }
+  };
+
+  useEffect(() => {
+    if (cameraOpen && videoRef.current && streamRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+      videoRef.current.play().catch(() => {});
+    }
+  }, [cameraOpen]);
+
+  return (
+    <div className={`barcode-scanner ${className}`}>
+      <div className="barcode-scanner-input">
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder}
+          list={list}
+          autoFocus={autoFocus}
+          autoComplete="off"
+        />
+        <button
+          type="button"
+          className="barcode-camera-btn"
+          onClick={cameraOpen ? stopCamera : startCamera}
+          title="カメラで読み取る"
+        >
+          {cameraOpen ? '✕ 停止' : '📷 カメラ'}
+        </button>
+      </div>
+      {cameraError && <div className="barcode-scanner-error">⚠️ {cameraError}</div>}
+      {cameraOpen && (
+        <div className="barcode-camera-preview">
+          <video ref={videoRef} muted playsInline />
+          <div className="barcode-camera-guide" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BarcodeScanner;
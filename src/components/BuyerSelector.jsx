@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { getAllBuyers, addBuyer } from '../utils/buyerManager';
+import { getCurrencyForCountry } from '../utils/exchangeRates';
+import { SUPPORTED_CURRENCIES } from '../data/currencies';
 import './BuyerSelector.css';
 
 const BuyerSelector = ({ selectedBuyer, onSelectBuyer, onClose }) => {
@@ -14,6 +16,7 @@ const BuyerSelector = ({ selectedBuyer, onSelectBuyer, onClose }) => {
     address: '',
     phone: '',
     email: '',
+    preferredCurrency: '',
     notes: ''
   });
   const [error, setError] = useState('');
@@ -67,6 +70,7 @@ const BuyerSelector = ({ selectedBuyer, onSelectBuyer, onClose }) => {
         address: '',
         phone: '',
         email: '',
+        preferredCurrency: '',
         notes: ''
       });
       setShowRegisterForm(false);
@@ -143,7 +147,10 @@ const BuyerSelector = ({ selectedBuyer, onSelectBuyer, onClose }) => {
                             <span className="buyer-badge">登録ユーザー</span>
                           )}
                         </div>
-                        <span className="buyer-country">🌍 {buyer.country}</span>
+                        <span className="buyer-country">
+                          🌍 {buyer.country}
+                          {buyer.preferredCurrency && <span className="buyer-currency">💱 {buyer.preferredCurrency}</span>}
+                        </span>
                       </div>
                       <div className="buyer-item-details">
                         <span className="buyer-email">📧 {buyer.email}</span>
@@ -175,6 +182,7 @@ const BuyerSelector = ({ selectedBuyer, onSelectBuyer, onClose }) => {
                         address: '',
                         phone: '',
                         email: '',
+                        preferredCurrency: '',
                         notes: ''
                       });
                     }}
@@ -268,6 +276,20 @@ const BuyerSelector = ({ selectedBuyer, onSelectBuyer, onClose }) => {
                   </div>
                 </div>
 
+                <div className="form-group">
+                  <label>取引通貨</label>
+                  <select
+                    name="preferredCurrency"
+                    value={formData.preferredCurrency}
+                    onChange={handleFormChange}
+                  >
+                    <option value="">国から判定（{getCurrencyForCountry(formData.country)}）</option>
+                    {Object.entries(SUPPORTED_CURRENCIES).map(([code, currency]) => (
+                      <option key={code} value={code}>{code} - {currency.label}</option>
+                    ))}
+                  </select>
+                </div>
+
                 <div className="form-group">
                   <label>備考（任意）</label>
                   <textarea
@@ -293,6 +315,7 @@ const BuyerSelector = ({ selectedBuyer, onSelectBuyer, onClose }) => {
                         address: '',
                         phone: '',
                         email: '',
+                        preferredCurrency: '',
                         notes: ''
                       });
                     }}
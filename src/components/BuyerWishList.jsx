@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { RANKS, manufacturers, colors, manufacturerLabelsEN, consoleLabelsEN, colorLabelsEN, conditionLabelsEN } from '../data/gameConsoles';
+import { getAllConsoles } from '../utils/productMaster';
+import { getBuyerCurrency } from '../utils/buyerManager';
+import { formatCurrencyAmount } from '../utils/exchangeRates';
+import {
+  getBuyerWishes,
+  addWish,
+  deleteWish,
+  findWishMatches,
+  markWishMatchesSeen
+} from '../utils/wishLists';
+import './BuyerWishList.css';
+
+const EMPTY_FORM = { manufacturer: '', console: '', color: '', minRank: 'B', maxPrice: '' };
+
+/**
+ * 海外バイヤーのほしい物リスト
+ * 入荷した商品（在庫登録時に一致した在庫）を表示し、表示した通知は既読にする
+ * @param {object} user - ログイン中のバイヤー
+ */
+const BuyerWishList = ({ user }) => {
+  // 表示中は未読のまま（NEW を表示）にし、既読にするのは保存データのみ
+  const [wishes, setWishes] = useState(() => getBuyerWishes(user.email));
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [allGameConsoles] = useState(() => getAllConsoles());
+  const currency = getBuyerCurrency(user.email, user.country);
+
+  useEffect(() => {
+    markWishMatchesSeen(user.email);
+  }, [user.email]);
+
+  const availableConsoles = form.manufacturer ? allGameConsoles[form.manufacturer] || [] : [];
+  const getConsoleLabel = (console) => {
+    const label = console.label.replace(/（\d{4}）$/u, '');
+    return consoleLabelsEN[label] || label;
+  };
+
+  const handleAdd = () => {
+    const selectedConsole = availableConsoles.find(c => c.value === form.console);
+    const result = addWish({
+      buyer: user,
+      manufacturer: form.manufacturer,
+      manufacturerLabel: manufacturerLabelsEN[form.manufacturer] || form.manufacturer,
+      console: form.console,
+      consoleLabel: selectedConsole ? getConsoleLabel(selectedConsole) : '',
+      color: form.color,
+      colorLabel: form.color ? colorLabelsEN[form.color] || form.color : '',
+      minRank: form.minRank,
+      maxPrice: form.maxPrice,
+      currency
+    });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    setWishes(getBuyerWishes(user.email));
+    setForm(EMPTY_FORM);
+
+    const inStock = findWishMatches(result.wish);
+    if (inStock.length > 0) {
+      alert(`Added to your wish list.\n\n${inStock.reduce((sum, match) => sum + match.availableQuantity, 0)} matching item(s) are in stock now. Check the Catalog to request them.`);
+    } else {
+      alert("Added to your wish list.\nWe'll notify you here when a matching item arrives.");
+    }
+  };
+
+  const handleDelete = (wish) => {
+    if (!window.confirm(`Remove ${wish.consoleLabel}${wish.colorLabel ? ` (${wish.colorLabel})` : ''} from your wish list?`)) return;
+    deleteWish(wish.id);
+    setWishes(getBuyerWishes(user.email));
+  };
+
+  return (
+    <div className="wish-list-section" id="wish-list">
+      <h2>⭐ My Wish List</h2>
+      <p className="wish-list-hint">
+        Can't find a model? Add it here and we'll let you know when it arrives in stock.
+      </p>
+
+      <div className="wish-form">
+        <select
+          value={form.manufacturer}
+          onChange={(e) => setForm({ ...form, manufacturer: e.target.value, console: '' })}
+        >
+          <option value="">Manufacturer</option>
+          {manufacturers.map(m => (
+            <option key={m.value} value={m.value}>{manufacturerLabelsEN[m.value] || m.label}</option>
+          ))}
+        </select>
+        <select
+          value={form.console}
+          onChange={(e) => setForm({ ...form, console: e.target.value })}
+          disabled={!form.manufacturer}
+        >
+          <option value="">Model</option>
+          {availableConsoles.filter(c => c.value !== 'other-manual').map(c => (
+            <option key={c.value} value={c.value}>{getConsoleLabel(c)}</option>
+          ))}
+        </select>
+        <select value={form.color} onChange={(e) => setForm({ ...form, color: e.target.value })}>
+          <option value="">Any Color</option>
+          {colors.map(color => (
+            <option key={color} value={color}>{colorLabelsEN[color] || color}</option>
+          ))}
+        </select>
+        <select value={form.minRank} onChange={(e) => setForm({ ...form, minRank: e.target.value })}>
+          {RANKS.map(rank => (
+            <option key={rank} value={rank}>Rank {rank} or better</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={form.maxPrice}
+          onChange={(e) => setForm({ ...form, maxPrice: e.target.value })}
+          placeholder={`Max price (${currency}, optional)`}
+          onWheel={(e) => e.currentTarget.blur()}
+        />
+        <button className="btn-add-wish" onClick={handleAdd}>➕ Add</button>
+      </div>
+
+      {wishes.length === 0 ? (
+        <p className="wish-empty">Your wish list is empty.</p>
+      ) : (
+        <div className="wish-cards">
+          {wishes.map(wish => (
+            <div key={wish.id} className={`wish-card ${wish.matches?.some(m => !m.seen) ? 'has-new' : ''}`}>
+              <div className="wish-card-header">
+                <div>
+                  <strong>{wish.manufacturerLabel} {wish.consoleLabel}</strong>
+                  <div className="wish-conditions">
+                    {wish.colorLabel || 'Any Color'} / Rank {wish.minRank} or better / {wish.maxPrice ? `Up to ${formatCurrencyAmount(wish.maxPrice, wish.currency)}` : 'No price limit'}
+                  </div>
+                </div>
+                <button className="btn-remove-wish" onClick={() => handleDelete(wish)}>🗑️</button>
+              </div>
+
+              {wish.matches?.length > 0 ? (
+                <ul className="wish-matches">
+                  {[...wish.matches].sort((a, b) => new Date(b.matchedAt) - new Date(a.matchedAt)).map(match => (
+                    <li key={match.inventoryId}>
+                      {!match.seen && <span className="wish-new-badge">NEW</span>}
+                      <span title={conditionLabelsEN[match.rank]}>Rank {match.rank}</span>
+                      <span>×{match.quantity}</span>
+                      <span>{match.price !== null ? formatCurrencyAmount(match.price, wish.currency) : 'Price on request'}</span>
+                      <span className="wish-match-date">Arrived {new Date(match.matchedAt).toLocaleDateString('en-US')}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="wish-waiting">⏳ Waiting for stock</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {wishes.some(wish => wish.matches?.length > 0) && (
+        <p className="wish-catalog-link">
+          Matching items may sell out quickly. <Link to="/catalog">Go to the Catalog</Link> to request them.
+          Prices are based on the exchange rate on the arrival date; the final price is confirmed in your quote.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BuyerWishList;
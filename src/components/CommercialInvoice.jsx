@@ -0,0 +1,417 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { INCOTERMS, DEFAULT_INCOTERM, EXPORT_REASONS } from '../data/customsClassifications';
+import {
+  buildCommercialInvoice,
+  validateCommercialInvoice,
+  saveCommercialInvoice,
+  getImporterDetails,
+  normalizeCommercialInvoice
+} from '../utils/commercialInvoice';
+import { formatCurrencyAmount } from '../utils/exchangeRates';
+import './CommercialInvoice.css';
+
+/**
+ * 輸出者・輸入者の欄
+ */
+const PartyBlock = ({ title, party }) => (
+  <div className="ci-party">
+    <h3>{title}</h3>
+    {party.companyName && <p><strong>{party.companyName}</strong></p>}
+    <p><strong>{party.name || party.nameEn}</strong></p>
+    <p>{party.address || party.addressEn}</p>
+    {party.postalCode && <p>{party.postalCode}</p>}
+    {party.country && <p>{party.country}</p>}
+    {(party.phone || party.phoneEn) && <p>Tel: {(party.phone || party.phoneEn).replace(/^TEL:\s*/, '')}</p>}
+    {party.email && <p>Email: {party.email}</p>}
+    {party.licenseEn && <p className="ci-license">{party.licenseEn}</p>}
+  </div>
+);
+
+/**
+ * 発送情報の欄（インボイス・パッキングリスト共通）
+ */
+const ShipmentBlock = ({ invoice }) => (
+  <table className="ci-meta">
+    <tbody>
+      <tr>
+        <th>Invoice No.</th><td>{invoice.invoiceNumber}</td>
+        <th>Date</th><td>{invoice.shipment.shippedDate || new Date(invoice.issuedAt).toISOString().split('T')[0]}</td>
+      </tr>
+      <tr>
+        <th>Order No.</th><td>{invoice.requestNumber}</td>
+        <th>Incoterms</th><td>{invoice.shipment.incoterm}</td>
+      </tr>
+      <tr>
+        <th>Carrier</th><td>{invoice.shipment.carrier}</td>
+        <th>Tracking No.</th><td>{invoice.shipment.trackingNumber || '-'}</td>
+      </tr>
+      <tr>
+        <th>Reason for Export</th><td>{invoice.shipment.exportReason}</td>
+        <th>Currency</th><td>{invoice.currency}</td>
+      </tr>
+    </tbody>
+  </table>
+);
+
+/**
+ * コマーシャルインボイスとパッキングリスト（印刷用・A4で2ページ）
+ * @param {object} invoice - buildCommercialInvoice で作成した書類データ
+ */
+export const CommercialInvoiceDocument = ({ invoice: savedInvoice }) => {
+  const invoice = normalizeCommercialInvoice(savedInvoice);
+  const formatAmount = (value) => formatCurrencyAmount(value, invoice.currency);
+
+  return (
+    <>
+      <div className="ci-page">
+        <h1 className="ci-title">COMMERCIAL INVOICE</h1>
+        <ShipmentBlock invoice={invoice} />
+        <div className="ci-parties">
+          <PartyBlock title="Exporter / Shipper" party={invoice.exporter} />
+          <PartyBlock title="Importer / Consignee" party={invoice.importer} />
+        </div>
+
+        <table className="ci-lines">
+          <thead>
+            <tr>
+              <th>No.</th>
+              <th>Description of Goods</th>
+              <th>HS Code</th>
+              <th>Origin</th>
+              <th>Qty</th>
+              <th>Unit Value ({invoice.currency})</th>
+              <th>Total Value ({invoice.currency})</th>
+            </tr>
+          </thead>
+          <tbody>
+            {invoice.lines.map(line => (
+              <tr key={line.lineNumber}>
+                <td className="center">{line.lineNumber}</td>
+                <td>{line.description}</td>
+                <td className="center">{line.hsCode}</td>
+                <td className="center">{line.countryOfOrigin}</td>
+                <td className="center">{line.quantity}</td>
+                <td className="right">{formatAmount(line.unitValue)}</td>
+                <td className="right">{formatAmount(line.value)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colSpan="6" className="right">Total Value of Goods</td>
+              <td className="right">{formatAmount(invoice.totals.goodsValue)}</td>
+            </tr>
+            {invoice.totals.shipping > 0 && (
+              <tr>
+                <td colSpan="6" className="right">Freight</td>
+                <td className="right">{formatAmount(invoice.totals.shipping)}</td>
+              </tr>
+            )}
+            <tr className="ci-grand-total">
+              <td colSpan="6" className="right">Total Invoice Value ({invoice.shipment.incoterm})</td>
+              <td className="right">{formatAmount(invoice.totals.totalValue)}</td>
+            </tr>
+          </tfoot>
+        </table>
+
+        <p className="ci-weights">
+          Packages: {invoice.shipment.packages} &nbsp;&nbsp;
+          Net Weight: {invoice.totals.netWeight} kg &nbsp;&nbsp;
+          Gross Weight: {invoice.totals.grossWeight} kg
+        </p>
+
+        <div className="ci-declaration">
+          <p>I hereby certify that the information on this invoice is true and correct and that the contents of this shipment are as stated above.</p>
+          <div className="ci-signature">
+            <span>Signature: ______________________</span>
+            <span>Name: {invoice.issuedBy || '______________________'}</span>
+          </div>
+        </div>
+      </div>
+
+      <div className="ci-page">
+        <h1 className="ci-title">PACKING LIST</h1>
+        <ShipmentBlock invoice={invoice} />
+        <div className="ci-parties">
+          <PartyBlock title="Exporter / Shipper" party={invoice.exporter} />
+          <PartyBlock title="Importer / Consignee" party={invoice.importer} />
+        </div>
+
+        <table className="ci-lines">
+          <thead>
+            <tr>
+              <th>No.</th>
+              <th>Description of Goods</th>
+              <th>HS Code</th>
+              <th>Qty</th>
+              <th>Net Weight (kg)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {invoice.lines.map(line => (
+              <tr key={line.lineNumber}>
+                <td className="center">{line.lineNumber}</td>
+                <td>{line.description}</td>
+                <td className="center">{line.hsCode}</td>
+                <td className="center">{line.quantity}</td>
+                <td className="right">{line.netWeight}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colSpan="3" className="right">Total</td>
+              <td className="center">{invoice.totals.quantity}</td>
+              <td className="right">{invoice.totals.netWeight}</td>
+            </tr>
+          </tfoot>
+        </table>
+
+        <table className="ci-meta ci-package-summary">
+          <tbody>
+            <tr>
+              <th>Number of Packages</th><td>{invoice.shipment.packages}</td>
+              <th>Dimensions</th><td>{invoice.shipment.dimensions || '-'}</td>
+            </tr>
+            <tr>
+              <th>Total Net Weight</th><td>{invoice.totals.netWeight} kg</td>
+              <th>Total Gross Weight</th><td>{invoice.totals.grossWeight} kg</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+/**
+ * コマーシャルインボイス・パッキングリストの作成
+ * 発送ごとに書類を作成・保存して印刷する。保存済みの書類は作成時の内容のまま再印刷できる
+ * @param {object} order - 販売リクエスト
+ * @param {object} exporter - 輸出者（会社情報）
+ * @param {number} exchangeRate - 為替レート（1通貨単位あたりの円）
+ * @param {string} currency - 申告価格の通貨
+ * @param {object} defaultShipment - 発送情報の初期値 { shippedDate, trackingNumber, carrier }
+ * @param {array} lines - 今回発送する商品 [{ item, quantity }]（省略時は未発送の全商品）
+ * @param {number} shippingFee - 今回の発送の送料（円、省略時はリクエストの送料）
+ * @param {string} performedBy - 作成者
+ * @param {function} onSaved - 保存後（saveCommercialInvoice の結果を渡す）
+ * @param {function} onClose - 閉じる
+ */
+const CommercialInvoice = ({ order, exporter, exchangeRate, currency = 'USD', defaultShipment = {}, lines, shippingFee, performedBy, onSaved, onClose }) => {
+  const [importer, setImporter] = useState(() => getImporterDetails(order));
+  const [shipment, setShipment] = useState({
+    shippedDate: defaultShipment.shippedDate || '',
+    trackingNumber: defaultShipment.trackingNumber || '',
+    carrier: defaultShipment.carrier || order.shippingMethod || 'EMS',
+    incoterm: DEFAULT_INCOTERM,
+    exportReason: 'Sale',
+    packages: 1,
+    grossWeight: '',
+    dimensions: ''
+  });
+  const [printTarget, setPrintTarget] = useState(null);
+
+  const savedInvoices = order.commercialInvoices || [];
+  const draft = buildCommercialInvoice(order, { exporter, importer, shipment, lines, currency, exchangeRate, shippingFee, issuedBy: performedBy });
+
+  // 印刷対象をレンダリングしてから印刷する
+  useEffect(() => {
+    if (!printTarget) return;
+
+    const printStyle = document.createElement('style');
+    printStyle.textContent = `
+      @page { size: A4; margin: 12mm; }
+      @media print {
+        body > *:not(.ci-print-area) { display: none !important; }
+        .ci-print-area { display: block !important; }
+      }
+    `;
+    document.head.appendChild(printStyle);
+
+    window.print();
+
+    document.head.removeChild(printStyle);
+    setPrintTarget(null);
+  }, [printTarget]);
+
+  const updateShipment = (field, value) => setShipment(prev => ({ ...prev, [field]: value }));
+  const updateImporter = (field, value) => setImporter(prev => ({ ...prev, [field]: value }));
+
+  const handleSaveAndPrint = () => {
+    const errors = validateCommercialInvoice(draft);
+    if (errors.length > 0) {
+      alert(`⚠️ 書類を作成できません：\n\n${errors.join('\n')}`);
+      return;
+    }
+
+    const result = saveCommercialInvoice(order.requestNumber, draft);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    onSaved?.(result);
+    setPrintTarget(draft);
+  };
+
+  return (
+    <>
+      <div className="ci-modal-overlay" onClick={onClose}>
+        <div className="ci-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="ci-modal-header">
+            <h2>📄 コマーシャルインボイス・パッキングリスト</h2>
+            <button className="ci-modal-close" onClick={onClose}>✕</button>
+          </div>
+
+          <div className="ci-modal-body">
+            <h3>輸入者（荷受人）</h3>
+            <div className="ci-form-grid">
+              <label>
+                氏名
+                <input value={importer.name} onChange={(e) => updateImporter('name', e.target.value)} />
+              </label>
+              <label>
+                会社名
+                <input value={importer.companyName} onChange={(e) => updateImporter('companyName', e.target.value)} />
+              </label>
+              <label className="ci-wide">
+                住所 *
+                <input value={importer.address} onChange={(e) => updateImporter('address', e.target.value)} placeholder="Street, City, State" />
+              </label>
+              <label>
+                郵便番号
+                <input value={importer.postalCode} onChange={(e) => updateImporter('postalCode', e.target.value)} />
+              </label>
+              <label>
+                国 *
+                <input value={importer.country} onChange={(e) => updateImporter('country', e.target.value)} />
+              </label>
+              <label>
+                電話番号
+                <input value={importer.phone} onChange={(e) => updateImporter('phone', e.target.value)} />
+              </label>
+            </div>
+
+            <h3>発送情報</h3>
+            <div className="ci-form-grid">
+              <label>
+                発送日
+                <input type="date" value={shipment.shippedDate} onChange={(e) => updateShipment('shippedDate', e.target.value)} />
+              </label>
+              <label>
+                追跡番号
+                <input value={shipment.trackingNumber} onChange={(e) => updateShipment('trackingNumber', e.target.value)} />
+              </label>
+              <label>
+                配送業者
+                <input value={shipment.carrier} onChange={(e) => updateShipment('carrier', e.target.value)} />
+              </label>
+              <label>
+                インコタームズ
+                <select value={shipment.incoterm} onChange={(e) => updateShipment('incoterm', e.target.value)}>
+                  {INCOTERMS.map(term => (
+                    <option key={term.value} value={term.value}>{term.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                輸出理由
+                <select value={shipment.exportReason} onChange={(e) => updateShipment('exportReason', e.target.value)}>
+                  {EXPORT_REASONS.map(reason => (
+                    <option key={reason.value} value={reason.value}>{reason.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                梱包数
+                <input type="number" min="1" value={shipment.packages} onChange={(e) => updateShipment('packages', e.target.value)} />
+              </label>
+              <label>
+                総重量（kg・梱包込み）
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={shipment.grossWeight}
+                  placeholder={`正味 ${draft.totals.netWeight}kg`}
+                  onChange={(e) => {
+                    if (e.target.value === '' || /^\d*\.?\d*$/.test(e.target.value)) {
+                      updateShipment('grossWeight', e.target.value);
+                    }
+                  }}
+                />
+              </label>
+              <label>
+                梱包サイズ
+                <input value={shipment.dimensions} onChange={(e) => updateShipment('dimensions', e.target.value)} placeholder="40 x 30 x 20 cm" />
+              </label>
+            </div>
+
+            <h3>明細（{draft.invoiceNumber}）</h3>
+            <table className="ci-preview-table">
+              <thead>
+                <tr>
+                  <th>品名</th>
+                  <th>HSコード</th>
+                  <th>原産国</th>
+                  <th>数量</th>
+                  <th>正味重量</th>
+                  <th>申告価格</th>
+                </tr>
+              </thead>
+              <tbody>
+                {draft.lines.map(line => (
+                  <tr key={line.lineNumber}>
+                    <td>{line.description}</td>
+                    <td>{line.hsCode}</td>
+                    <td>{line.countryOfOrigin}</td>
+                    <td>{line.quantity}</td>
+                    <td className={line.netWeight > 0 ? '' : 'ci-missing'}>{line.netWeight}kg</td>
+                    <td>{formatCurrencyAmount(line.value, draft.currency)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="ci-preview-total">
+              合計 {formatCurrencyAmount(draft.totals.totalValue, draft.currency)}（為替レート: 1 {draft.currency} = ¥{exchangeRate}）／
+              正味 {draft.totals.netWeight}kg・総重量 {draft.totals.grossWeight}kg
+            </p>
+
+            {savedInvoices.length > 0 && (
+              <div className="ci-saved-list">
+                <h3>作成済みの書類</h3>
+                {savedInvoices.map(normalizeCommercialInvoice).map(invoice => (
+                  <div key={invoice.invoiceNumber} className="ci-saved-item">
+                    <span>
+                      <strong>{invoice.invoiceNumber}</strong>
+                      {` ${new Date(invoice.issuedAt).toLocaleString('ja-JP')} ${invoice.totals.quantity}点・${formatCurrencyAmount(invoice.totals.totalValue, invoice.currency)}`}
+                      {invoice.issuedBy && `（${invoice.issuedBy}）`}
+                    </span>
+                    <button type="button" onClick={() => setPrintTarget(invoice)}>🖨️ 再印刷</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="ci-modal-footer">
+            <button className="ci-btn-cancel" onClick={onClose}>閉じる</button>
+            <button className="ci-btn-confirm" onClick={handleSaveAndPrint}>
+              💾 保存して印刷
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* 印刷用（bodyの直下に配置して他の画面要素と切り離す） */}
+      {printTarget && createPortal(
+        <div className="ci-print-area">
+          <CommercialInvoiceDocument invoice={printTarget} />
+        </div>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default CommercialInvoice;
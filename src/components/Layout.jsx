@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { countUnseenWishMatches } from '../utils/wishLists';
 import './Layout.css';
 
 const Layout = ({ children }) => {
@@ -56,7 +57,8 @@ const Layout = ({ children }) => {
       const myQuotedRequests = salesRequests.filter(
         req => req.customer.email === user.email && req.status === 'quoted'
       );
-      setPendingEstimatesCount(myQuotedRequests.length);
+      // ほしい物リストの未読の入荷通知も合わせて表示
+      setPendingEstimatesCount(myQuotedRequests.length + countUnseenWishMatches(user.email));
     } else if (isStaff) {
       const allApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
       // 進行中の取引（in_inventory以外）をカウント
@@ -97,6 +99,9 @@ const Layout = ({ children }) => {
 
             {isOverseasCustomer && (
               <>
+                <Link to="/catalog" className={isActive('/catalog') ? 'active' : ''}>
+                  Catalog
+                </Link>
                 <Link to="/sales-request" className={isActive('/sales-request') ? 'active' : ''}>
                   Product Request
                 </Link>
@@ -155,12 +160,24 @@ const Layout = ({ children }) => {
                           <span className="settings-item-desc">在庫の確認と管理</span>
                         </div>
                       </Link>
+                      <Link to="/payouts" className={isActive('/payouts') ? 'active' : ''}>
+                        <div className="settings-item">
+                          <span className="settings-item-title">💴 振込管理</span>
+                          <span className="settings-item-desc">買取代金の振込と全銀データ作成</span>
+                        </div>
+                      </Link>
                       <Link to="/ledger" className={isActive('/ledger') ? 'active' : ''}>
                         <div className="settings-item">
                           <span className="settings-item-title">📋 古物台帳</span>
                           <span className="settings-item-desc">古物営業法に基づく台帳管理</span>
                         </div>
                       </Link>
+                      <Link to="/stolen-goods-watchlist" className={isActive('/stolen-goods-watchlist') ? 'active' : ''}>
+                        <div className="settings-item">
+                          <span className="settings-item-title">🚨 品触れ照合</span>
+                          <span className="settings-item-desc">品触れの登録と買取商品との照合</span>
+                        </div>
+                      </Link>
                     </div>
                   )}
                 </div>
@@ -219,6 +236,18 @@ const Layout = ({ children }) => {
                             <span className="settings-item-desc">商品の買取価格を設定</span>
                           </div>
                         </Link>
+                        <Link to="/settings/auto-approval" className={isActive('/settings/auto-approval') ? 'active' : ''}>
+                          <div className="settings-item">
+                            <span className="settings-item-title">🤖 自動承認ルール</span>
+                            <span className="settings-item-desc">見積もりを自動承認する条件を設定</span>
+                          </div>
+                        </Link>
+                        <Link to="/settings/exchange-rates" className={isActive('/settings/exchange-rates') ? 'active' : ''}>
+                          <div className="settings-item">
+                            <span className="settings-item-title">💱 為替レート</span>
+                            <span className="settings-item-desc">海外販売の為替レートを登録</span>
+                          </div>
+                        </Link>
                         <Link to="/sys/admin/product-management" className={isActive('/sys/admin/product-management') ? 'active' : ''}>
                           <div className="settings-item">
                             <span className="settings-item-title">🎮 商品マスタ</span>
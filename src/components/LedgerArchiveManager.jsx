@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import {
+  RETENTION_MIN_YEARS,
+  getRetentionSettings,
+  saveRetentionSettings,
+  loadLedgerArchives,
+  getArchivableRecords,
+  archiveLedgerRecords,
+  buildArchiveCsv,
+  buildArchiveJson,
+  verifyArchive,
+  purgeLedgerArchive
+} from '../utils/ledgerArchive';
+import './LedgerArchiveManager.css';
+
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('ja-JP') : '-');
+
+/**
+ * 古物台帳の保存期間・アーカイブ管理
+ * @param {string} performedBy - 操作者
+ * @param {function} onArchived - アーカイブ・削除後（台帳の再読み込み）
+ * @param {function} onClose - 閉じる
+ */
+const LedgerArchiveManager = ({ performedBy, onArchived, onClose }) => {
+  const [settings, setSettings] = useState(getRetentionSettings);
+  const [archives, setArchives] = useState(loadLedgerArchives);
+  const [archivableCount, setArchivableCount] = useState(() => getArchivableRecords().length);
+
+  const reload = () => {
+    setArchives(loadLedgerArchives());
+    setArchivableCount(getArchivableRecords().length);
+    onArchived();
+  };
+
+  const handleSaveSettings = () => {
+    const result = saveRetentionSettings(settings);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    setArchivableCount(getArchivableRecords().length);
+    alert('保存期間の設定を保存しました');
+  };
+
+  const handleArchive = () => {
+    if (!confirm(`完了済みの記録${archivableCount}件をアーカイブに移します。\nアーカイブした記録は訂正できなくなります（検索・出力は可能です）。よろしいですか？`)) {
+      return;
+    }
+
+    const result = archiveLedgerRecords({ performedBy });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    alert(`アーカイブを作成しました\n${result.archives.map(archive => `${archive.id}（${archive.recordCount}件）`).join('\n')}`);
+    reload();
+  };
+
+  const handleVerify = (archive) => {
+    const issues = verifyArchive(archive);
+    alert(issues.length === 0 ? `${archive.id}: 改ざんは見つかりませんでした` : issues.join('\n'));
+  };
+
+  const handlePurge = (archive) => {
+    if (!confirm(`${archive.id} の取引内容を削除します。この操作は取り消せません。\n（検証用の連番・ハッシュは残ります）`)) {
+      return;
+    }
+
+    const result = purgeLedgerArchive(archive.id, { performedBy });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    reload();
+  };
+
+  const now = new Date();
+  const years = [...new Set(archives.map(archive => archive.year))].sort((a, b) => b - a);
+
+  return (
+    <div className="ledger-archive-overlay" onClick={onClose}>
+      <div className="ledger-archive-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="ledger-archive-header">
+          <h2>📦 台帳の保存期間・アーカイブ</h2>
+          <button className="ledger-archive-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="ledger-archive-body">
+          <section>
+            <h3>保存期間の設定</h3>
+            <div className="ledger-archive-settings">
+              <label>
+                アーカイブまでの期間（最終取引から・月）
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.archiveAfterMonths}
+                  onChange={(e) => setSettings({ ...settings, archiveAfterMonths: e.target.value })}
+                />
+              </label>
+              <label>
+                保存期間（年・{RETENTION_MIN_YEARS}年以上）
+                <input
+                  type="number"
+                  min={RETENTION_MIN_YEARS}
+                  value={settings.retentionYears}
+                  onChange={(e) => setSettings({ ...settings, retentionYears: e.target.value })}
+                />
+              </label>
+              <button className="btn-secondary" onClick={handleSaveSettings}>設定を保存</button>
+            </div>
+          </section>
+
+          <section>
+            <h3>アーカイブの作成</h3>
+            <p className="ledger-archive-hint">
+              全数販売済み（または全て取消済み）で、最終取引から{getRetentionSettings().archiveAfterMonths}か月が過ぎた記録を、最終取引の年ごとにまとめます。
+            </p>
+            <button className="btn-confirm" onClick={handleArchive} disabled={archivableCount === 0}>
+              {archivableCount > 0 ? `${archivableCount}件をアーカイブ` : 'アーカイブの対象はありません'}
+            </button>
+          </section>
+
+          <section>
+            <h3>アーカイブ一覧</h3>
+            {archives.length === 0 && <p className="ledger-archive-hint">アーカイブはまだありません</p>}
+            {years.map(year => (
+              <div key={year} className="ledger-archive-year">
+                <h4>{year}年</h4>
+                <table className="ledger-archive-table">
+                  <thead>
+                    <tr>
+                      <th>アーカイブ</th>
+                      <th>記録数</th>
+                      <th>作成日</th>
+                      <th>保存期限</th>
+                      <th>チェックサム</th>
+                      <th>操作</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {archives.filter(archive => archive.year === year).map(archive => {
+                      const retained = now < new Date(archive.retainUntil);
+                      return (
+                        <tr key={archive.id} className={archive.purgedAt ? 'purged' : ''}>
+                          <td>{archive.id}</td>
+                          <td>{archive.recordCount}件（{archive.entryCount}エントリ）</td>
+                          <td>{formatDate(archive.createdAt)}</td>
+                          <td>
+                            {archive.purgedAt
+                              ? `削除済み（${formatDate(archive.purgedAt)}）`
+                              : `${formatDate(archive.retainUntil)}${retained ? '' : '（期限切れ）'}`}
+                          </td>
+                          <td>
+                            <code title={`JSON: ${archive.checksum}\nCSV: ${archive.csvChecksum}`}>
+                              {archive.checksum.slice(0, 12)}…
+                            </code>
+                          </td>
+                          <td className="ledger-archive-actions">
+                            {!archive.purgedAt && (
+                              <>
+                                <button onClick={() => downloadFile(buildArchiveJson(archive), `${archive.id}.json`, 'application/json')}>JSON</button>
+                                <button onClick={() => downloadFile(buildArchiveCsv(archive), `${archive.id}.csv`, 'text/csv;charset=utf-8;')}>CSV</button>
+                                <button onClick={() => handleVerify(archive)}>検証</button>
+                                <button
+                                  className="purge-btn"
+                                  onClick={() => handlePurge(archive)}
+                                  disabled={retained}
+                                  title={retained ? '保存期間中は削除できません' : ''}
+                                >
+                                  削除
+                                </button>
+                              </>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LedgerArchiveManager;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { CORRECTION_ACTIONS, correctLedgerEvent } from '../utils/ledgerRecords';
+import './LedgerCorrection.css';
+
+const toDateInput = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const getCounterparty = (eventType, event) => {
+  const party = eventType === 'purchase' ? (event.customer || event.supplier) : event.buyer;
+  if (!party) return '';
+  return typeof party === 'string' ? party : party.name || '';
+};
+
+const getPrice = (eventType, event) => (eventType === 'purchase' ? event.unitPriceJPY : event.totalPriceJPY);
+
+/**
+ * 古物台帳の訂正
+ * 取引は削除・上書きせず、訂正・取消・取消の取りやめを訂正エントリとして追記する
+ * @param {object} record - 台帳記録
+ * @param {string} performedBy - 訂正者
+ * @param {function} onCorrected - 訂正後（台帳の再読み込み）
+ * @param {function} onClose - 閉じる
+ */
+const LedgerCorrection = ({ record, performedBy, onCorrected, onClose }) => {
+  const [target, setTarget] = useState(null); // { eventType, event, action }
+  const [form, setForm] = useState({});
+
+  const events = [
+    ...record.purchase.events.map(event => ({ eventType: 'purchase', event })),
+    ...record.sale.events.map(event => ({ eventType: 'sale', event }))
+  ];
+
+  const handleSelect = (eventType, event, action) => {
+    setTarget({ eventType, event, action });
+    setForm({
+      date: toDateInput(event.date),
+      quantity: String(event.quantity),
+      price: String(getPrice(eventType, event) ?? 0),
+      counterparty: getCounterparty(eventType, event),
+      reason: ''
+    });
+  };
+
+  const buildChanges = () => {
+    const { eventType, event } = target;
+    const changes = {
+      quantity: parseInt(form.quantity, 10),
+      [eventType === 'purchase' ? 'unitPriceJPY' : 'totalPriceJPY']: Number(form.price)
+    };
+
+    // 日付を変更した場合のみ（時刻は元の取引のまま）
+    if (form.date !== toDateInput(event.date)) {
+      changes.date = new Date(`${form.date}T00:00:00`).toISOString();
+    }
+
+    if (form.counterparty !== getCounterparty(eventType, event)) {
+      const partyField = eventType === 'purchase' ? 'customer' : 'buyer';
+      const original = event[partyField] && typeof event[partyField] === 'object' ? event[partyField] : {};
+      changes[partyField] = { ...original, name: form.counterparty.trim() };
+    }
+    return changes;
+  };
+
+  const handleSubmit = () => {
+    const { event, action } = target;
+    const result = correctLedgerEvent(record.inventoryId, event.entryId, action, {
+      changes: action === 'amend' ? buildChanges() : {},
+      reason: form.reason,
+      performedBy
+    });
+
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    alert(`${CORRECTION_ACTIONS[action].label}を記録しました`);
+    setTarget(null);
+    onCorrected();
+  };
+
+  return (
+    <div className="ledger-correction-overlay" onClick={onClose}>
+      <div className="ledger-correction-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="ledger-correction-header">
+          <h2>✏️ 台帳の訂正</h2>
+          <button className="ledger-correction-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="ledger-correction-body">
+          <p className="ledger-correction-product">
+            {record.product?.title} <span>（{record.inventoryId}）</span>
+          </p>
+          <p className="ledger-correction-notice">
+            古物台帳の記録は削除・上書きできません。訂正・取消は理由とともに記録され、元の内容も残ります。
+          </p>
+
+          <table className="ledger-correction-table">
+            <thead>
+              <tr>
+                <th>区分</th>
+                <th>取引日</th>
+                <th>数量</th>
+                <th>金額</th>
+                <th>相手方</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(({ eventType, event }) => (
+                <tr key={event.entryId} className={event.voided ? 'voided' : ''}>
+                  <td>{eventType === 'purchase' ? '受入' : '払出'}{event.voided && '（取消）'}</td>
+                  <td>{new Date(event.date).toLocaleDateString('ja-JP')}</td>
+                  <td>{event.quantity}</td>
+                  <td>¥{(getPrice(eventType, event) || 0).toLocaleString()}{eventType === 'purchase' && ' /個'}</td>
+                  <td>{getCounterparty(eventType, event) || '-'}</td>
+                  <td className="ledger-correction-actions">
+                    {event.voided ? (
+                      <button onClick={() => handleSelect(eventType, event, 'restore')}>取消の取りやめ</button>
+                    ) : (
+                      <>
+                        <button onClick={() => handleSelect(eventType, event, 'amend')}>訂正</button>
+                        <button className="void-btn" onClick={() => handleSelect(eventType, event, 'void')}>取消</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {target && (
+            <div className="ledger-correction-form">
+              <h3>
+                {target.eventType === 'purchase' ? '受入' : '払出'}（{new Date(target.event.date).toLocaleDateString('ja-JP')}）の{CORRECTION_ACTIONS[target.action].label}
+              </h3>
+
+              {target.action === 'amend' && (
+                <div className="ledger-correction-fields">
+                  <label>
+                    取引日
+                    <input type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+                  </label>
+                  <label>
+                    数量
+                    <input type="number" min="1" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: e.target.value })} />
+                  </label>
+                  <label>
+                    {target.eventType === 'purchase' ? '仕入単価（円）' : '販売金額（円）'}
+                    <input type="number" min="0" value={form.price} onChange={(e) => setForm({ ...form, price: e.target.value })} />
+                  </label>
+                  <label>
+                    相手方氏名
+                    <input type="text" value={form.counterparty} onChange={(e) => setForm({ ...form, counterparty: e.target.value })} />
+                  </label>
+                </div>
+              )}
+
+              <label className="ledger-correction-reason">
+                理由（必須）
+                <input
+                  type="text"
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                  placeholder="例: 数量の入力誤り"
+                />
+              </label>
+
+              <div className="ledger-correction-form-actions">
+                <button className="btn-cancel" onClick={() => setTarget(null)}>キャンセル</button>
+                <button className="btn-confirm" onClick={handleSubmit}>記録する</button>
+              </div>
+            </div>
+          )}
+
+          {record.corrections?.length > 0 && (
+            <div className="ledger-correction-history">
+              <h3>訂正履歴</h3>
+              <ul>
+                {record.corrections.map(correction => (
+                  <li key={correction.entryId}>
+                    {new Date(correction.date).toLocaleString('ja-JP')} {CORRECTION_ACTIONS[correction.action]?.label}
+                    （{correction.eventType === 'purchase' ? '受入' : '払出'}）: {correction.reason}
+                    {correction.performedBy && ` ／ ${correction.performedBy}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LedgerCorrection;
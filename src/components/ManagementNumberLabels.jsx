@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { QRCodeSVG } from 'qrcode.react';
+import {
+  LABEL_LAYOUTS,
+  LABEL_SYMBOLOGIES,
+  canEncodeCode128,
+  encodeCode128,
+  paginateLabels
+} from '../utils/managementLabels';
+import './ManagementNumberLabels.css';
+
+// バーコード左右の余白（モジュール数）
+const QUIET_ZONE = 10;
+
+/**
+ * Code128バーコード（SVG）
+ */
+const Code128Barcode = ({ value }) => {
+  const widths = encodeCode128(value);
+  if (!widths) return null;
+
+  const totalWidth = widths.reduce((sum, w) => sum + w, 0) + QUIET_ZONE * 2;
+  let x = QUIET_ZONE;
+  const bars = widths.map((width, index) => {
+    const bar = index % 2 === 0 ? <rect key={index} x={x} y={0} width={width} height={40} /> : null;
+    x += width;
+    return bar;
+  });
+
+  return (
+    <svg
+      className="label-barcode"
+      viewBox={`0 0 ${totalWidth} 40`}
+      preserveAspectRatio="none"
+      shapeRendering="crispEdges"
+    >
+      {bars}
+    </svg>
+  );
+};
+
+/**
+ * ラベル1枚
+ */
+const LabelCell = ({ label, symbology }) => {
+  if (!label) return <div className="management-label empty" />;
+
+  const useQr = symbology === 'qr' || !canEncodeCode128(label.managementNumber);
+
+  return (
+    <div className={`management-label ${useQr ? 'with-qr' : 'with-barcode'}`}>
+      {useQr ? (
+        <>
+          <QRCodeSVG className="label-qr" value={label.managementNumber} level="M" />
+          <div className="label-text">
+            <div className="label-title">{label.title}</div>
+            {label.details && <div className="label-details">{label.details}</div>}
+            <div className="label-number">{label.managementNumber}</div>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="label-title">{label.title}</div>
+          {label.details && <div className="label-details">{label.details}</div>}
+          <Code128Barcode value={label.managementNumber} />
+          <div className="label-number">{label.managementNumber}</div>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * 管理番号ラベル印刷
+ * レイアウト・コードの種類を選んで印刷する（印刷時はラベル以外を非表示にする）
+ * @param {array} labels - ラベルの配列（managementLabelsのbuildItemLabels/buildInventoryLabelsで作成）
+ * @param {function} onClose - 閉じる
+ */
+const ManagementNumberLabels = ({ labels, onClose }) => {
+  const [layoutKey, setLayoutKey] = useState('a4');
+  const [symbology, setSymbology] = useState('code128');
+  const [startPosition, setStartPosition] = useState(1);
+  const [selectedNumbers, setSelectedNumbers] = useState(labels.map(label => label.managementNumber));
+
+  const layout = LABEL_LAYOUTS[layoutKey];
+  const selectedLabels = labels.filter(label => selectedNumbers.includes(label.managementNumber));
+  const pages = paginateLabels(selectedLabels, layoutKey, layoutKey === 'a4' ? startPosition : 1);
+  const qrFallbackCount = symbology === 'code128'
+    ? selectedLabels.filter(label => !canEncodeCode128(label.managementNumber)).length
+    : 0;
+
+  const toggleNumber = (managementNumber) => {
+    setSelectedNumbers(prev => prev.includes(managementNumber)
+      ? prev.filter(number => number !== managementNumber)
+      : [...prev, managementNumber]);
+  };
+
+  const handlePrint = () => {
+    if (selectedLabels.length === 0) {
+      alert('印刷するラベルを選択してください');
+      return;
+    }
+
+    // ラベル用の用紙サイズと印刷範囲を一時的に適用
+    const printStyle = document.createElement('style');
+    printStyle.textContent = `
+      @page { size: ${layout.pageSize}; margin: 0; }
+      @media print {
+        body > *:not(.label-print-area) { display: none !important; }
+        .label-print-area { display: block !important; }
+      }
+    `;
+    document.head.appendChild(printStyle);
+
+    window.print();
+
+    document.head.removeChild(printStyle);
+  };
+
+  const sheetStyle = {
+    gridTemplateColumns: `repeat(${layout.columns}, ${layout.width}mm)`,
+    gridAutoRows: `${layout.height}mm`
+  };
+
+  return (
+    <>
+      <div className="label-modal-overlay" onClick={onClose}>
+        <div className="label-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="label-modal-header">
+            <h2>🏷️ 管理番号ラベル印刷</h2>
+            <button className="label-modal-close" onClick={onClose}>✕</button>
+          </div>
+
+          <div className="label-modal-body">
+            <div className="label-options">
+              <label>
+                用紙
+                <select value={layoutKey} onChange={(e) => setLayoutKey(e.target.value)}>
+                  {Object.entries(LABEL_LAYOUTS).map(([key, value]) => (
+                    <option key={key} value={key}>{value.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                コード
+                <select value={symbology} onChange={(e) => setSymbology(e.target.value)}>
+                  {Object.entries(LABEL_SYMBOLOGIES).map(([key, value]) => (
+                    <option key={key} value={key}>{value.label}</option>
+                  ))}
+                </select>
+              </label>
+              {layoutKey === 'a4' && (
+                <label>
+                  開始位置（使いかけのシート用）
+                  <input
+                    type="number"
+                    min="1"
+                    max={layout.columns * layout.rows}
+                    value={startPosition}
+                    onChange={(e) => setStartPosition(parseInt(e.target.value) || 1)}
+                  />
+                </label>
+              )}
+            </div>
+
+            {qrFallbackCount > 0 && (
+              <p className="label-notice">
+                ⚠️ {qrFallbackCount}枚は管理番号にカタカナ等が含まれるためQRコードで印刷します
+              </p>
+            )}
+
+            <div className="label-number-list">
+              <div className="label-number-list-header">
+                <span>印刷するラベル（{selectedLabels.length} / {labels.length}枚）</span>
+                <button
+                  type="button"
+                  onClick={() => setSelectedNumbers(
+                    selectedLabels.length === labels.length ? [] : labels.map(label => label.managementNumber)
+                  )}
+                >
+                  {selectedLabels.length === labels.length ? '全て解除' : '全て選択'}
+                </button>
+              </div>
+              {labels.map(label => (
+                <label key={label.managementNumber} className="label-number-item">
+                  <input
+                    type="checkbox"
+                    checked={selectedNumbers.includes(label.managementNumber)}
+                    onChange={() => toggleNumber(label.managementNumber)}
+                  />
+                  <code>{label.managementNumber}</code>
+                  <span>{label.title}</span>
+                </label>
+              ))}
+            </div>
+
+            {selectedLabels.length > 0 && (
+              <div className="label-preview">
+                <h3>プレビュー</h3>
+                <div className={`label-sheet layout-${layoutKey}`} style={sheetStyle}>
+                  {pages[0].slice(0, layout.columns * 2).map((label, index) => (
+                    <LabelCell key={index} label={label} symbology={symbology} />
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="label-modal-footer">
+            <button className="btn-cancel" onClick={onClose}>閉じる</button>
+            <button className="btn-confirm" onClick={handlePrint}>
+              🖨️ 印刷（{selectedLabels.length}枚・{pages.length}ページ）
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* 印刷用（bodyの直下に配置して他の画面要素と切り離す） */}
+      {createPortal(
+        <div className="label-print-area">
+          {pages.map((page, pageIndex) => (
+            <div key={pageIndex} className={`label-sheet layout-${layoutKey}`} style={sheetStyle}>
+              {page.map((label, index) => (
+                <LabelCell key={index} label={label} symbology={symbology} />
+              ))}
+            </div>
+          ))}
+        </div>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default ManagementNumberLabels;
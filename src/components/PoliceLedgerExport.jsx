@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import {
+  POLICE_LEDGER_COLUMNS,
+  POLICE_LEDGER_ROWS_PER_PAGE,
+  buildPoliceLedgerRows,
+  toPoliceLedgerCsv,
+  paginatePoliceLedger
+} from '../utils/policeLedgerExport';
+import './PoliceLedgerExport.css';
+
+const formatCell = (column, value) => {
+  if (column.key === 'price') {
+    return typeof value === 'number' ? `¥${value.toLocaleString()}` : '';
+  }
+  return value ?? '';
+};
+
+/**
+ * 台帳1ページ（列幅固定）
+ */
+const LedgerPage = ({ rows, pageNumber, pageCount, periodLabel }) => (
+  <div className="police-ledger-page">
+    <div className="police-ledger-page-header">
+      <h2>古物台帳</h2>
+      <span>期間: {periodLabel}</span>
+      <span>{pageNumber} / {pageCount} ページ</span>
+    </div>
+    <table className="police-ledger-table">
+      <colgroup>
+        {POLICE_LEDGER_COLUMNS.map(column => (
+          <col key={column.key} style={{ width: column.width }} />
+        ))}
+      </colgroup>
+      <thead>
+        <tr>
+          {POLICE_LEDGER_COLUMNS.map(column => (
+            <th key={column.key}>{column.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.no}>
+            {POLICE_LEDGER_COLUMNS.map(column => (
+              <td key={column.key} className={`col-${column.key}`}>{formatCell(column, row[column.key])}</td>
+            ))}
+          </tr>
+        ))}
+        {/* 行数を揃えて列の位置を固定する */}
+        {Array.from({ length: POLICE_LEDGER_ROWS_PER_PAGE - rows.length }).map((_, index) => (
+          <tr key={`empty-${index}`} className="empty-row">
+            {POLICE_LEDGER_COLUMNS.map(column => <td key={column.key} />)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * 古物台帳の提出用出力（警察の立入検査用）
+ * 期間を指定してCSVまたは印刷（PDF保存）で出力する
+ * @param {array} records - ledgerRecords の記録
+ * @param {string} initialDateFrom - 期間の初期値（開始）
+ * @param {string} initialDateTo - 期間の初期値（終了）
+ * @param {function} onClose - 閉じる
+ */
+const PoliceLedgerExport = ({ records, initialDateFrom = '', initialDateTo = '', onClose }) => {
+  const [dateFrom, setDateFrom] = useState(initialDateFrom);
+  const [dateTo, setDateTo] = useState(initialDateTo);
+
+  const rows = buildPoliceLedgerRows(records, { dateFrom, dateTo });
+  const pages = paginatePoliceLedger(rows);
+  const periodLabel = dateFrom || dateTo ? `${dateFrom || '（指定なし）'} 〜 ${dateTo || '（指定なし）'}` : '全期間';
+  const unverifiedCount = rows.filter(row => row.verification === '未記録').length;
+
+  const validateRange = () => {
+    if (dateFrom && dateTo && dateFrom > dateTo) {
+      alert('期間の開始日は終了日以前にしてください');
+      return false;
+    }
+    if (rows.length === 0) {
+      alert('指定した期間の取引がありません');
+      return false;
+    }
+    return true;
+  };
+
+  const handleDownloadCsv = () => {
+    if (!validateRange()) return;
+
+    const blob = new Blob([toPoliceLedgerCsv(rows)], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `古物台帳_${dateFrom || '開始'}_${dateTo || new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handlePrint = () => {
+    if (!validateRange()) return;
+
+    // A4横・台帳以外を非表示にして印刷（印刷ダイアログからPDF保存できる）
+    const printStyle = document.createElement('style');
+    printStyle.textContent = `
+      @page { size: A4 landscape; margin: 8mm; }
+      @media print {
+        body > *:not(.police-ledger-print-area) { display: none !important; }
+        .police-ledger-print-area { display: block !important; }
+      }
+    `;
+    document.head.appendChild(printStyle);
+
+    window.print();
+
+    document.head.removeChild(printStyle);
+  };
+
+  const renderPages = () => pages.map((pageRows, index) => (
+    <LedgerPage
+      key={index}
+      rows={pageRows}
+      pageNumber={index + 1}
+      pageCount={pages.length}
+      periodLabel={periodLabel}
+    />
+  ));
+
+  return (
+    <>
+      <div className="police-ledger-overlay" onClick={onClose}>
+        <div className="police-ledger-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="police-ledger-modal-header">
+            <h2>📑 古物台帳の提出用出力</h2>
+            <button className="police-ledger-close" onClick={onClose}>✕</button>
+          </div>
+
+          <div className="police-ledger-modal-body">
+            <div className="police-ledger-options">
+              <label>
+                取引日（開始）
+                <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} />
+              </label>
+              <label>
+                取引日（終了）
+                <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} />
+              </label>
+              <p className="police-ledger-summary">
+                {rows.length}件（受入 {rows.filter(row => row.type.startsWith('受入')).length}件・払出 {rows.filter(row => row.type.startsWith('払出')).length}件）／ {pages.length}ページ
+              </p>
+            </div>
+
+            {unverifiedCount > 0 && (
+              <p className="police-ledger-warning">
+                ⚠️ 本人確認が記録されていない受入が{unverifiedCount}件あります
+              </p>
+            )}
+
+            <div className="police-ledger-preview">
+              {renderPages()}
+            </div>
+          </div>
+
+          <div className="police-ledger-modal-footer">
+            <button className="btn-cancel" onClick={onClose}>閉じる</button>
+            <button className="btn-secondary" onClick={handleDownloadCsv}>📄 CSV出力</button>
+            <button className="btn-confirm" onClick={handlePrint}>🖨️ 印刷・PDF保存</button>
+          </div>
+        </div>
+      </div>
+
+      {createPortal(
+        <div className="police-ledger-print-area">
+          {renderPages()}
+        </div>,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default PoliceLedgerExport;
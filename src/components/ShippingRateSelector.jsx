@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { DESTINATION_ZONES, RATE_TABLE_EFFECTIVE_DATE } from '../data/shippingRates';
+import { getDestinationZone, calculatePackagingWeight, getShippingOptions } from '../utils/shippingRates';
+import { convertFromJPY, formatCurrencyAmount } from '../utils/exchangeRates';
+import './ShippingRateSelector.css';
+
+/**
+ * 送料計算（配送業者ごとの送料を比較して選択する）
+ * @param {string} country - 仕向国
+ * @param {number} netWeight - 商品の重量（kg）
+ * @param {boolean} weightEstimated - 重量に目安の値を含むか
+ * @param {number} exchangeRate - 為替レート（1通貨単位あたりの円・外貨表示用）
+ * @param {string} currency - 外貨表示の通貨（省略時はUSD）
+ * @param {string} selectedCarrier - 選択中の配送業者
+ * @param {function} onSelect - 選択時（{ carrier, label, fee, deliveryDays, weightBand } を渡す）
+ */
+const ShippingRateSelector = ({ country, netWeight, weightEstimated, exchangeRate, currency = 'USD', selectedCarrier, onSelect }) => {
+  const [itemWeight, setItemWeight] = useState(String(netWeight || ''));
+  const [packagingWeight, setPackagingWeight] = useState(String(calculatePackagingWeight(netWeight)));
+  const [zoneOverride, setZoneOverride] = useState('');
+
+  // 商品の重量が変わったら計算し直す
+  useEffect(() => {
+    setItemWeight(String(netWeight || ''));
+    setPackagingWeight(String(calculatePackagingWeight(netWeight)));
+  }, [netWeight]);
+
+  const detectedZone = getDestinationZone(country);
+  const zone = zoneOverride || detectedZone;
+  const grossWeight = Math.round(((parseFloat(itemWeight) || 0) + (parseFloat(packagingWeight) || 0)) * 1000) / 1000;
+  const { options, cheapest, fastest, error } = getShippingOptions({ country, zone, weight: grossWeight });
+
+  const handleWeightChange = (setter) => (e) => {
+    if (e.target.value === '' || /^\d*\.?\d*$/.test(e.target.value)) {
+      setter(e.target.value);
+    }
+  };
+
+  return (
+    <div className="shipping-rate-selector">
+      <div className="shipping-rate-header">
+        <h4>🚚 送料計算</h4>
+        <small>送料表: {RATE_TABLE_EFFECTIVE_DATE} 改定</small>
+      </div>
+
+      <div className="shipping-rate-inputs">
+        <label>
+          仕向地
+          <select value={zone || ''} onChange={(e) => setZoneOverride(e.target.value)}>
+            {!detectedZone && <option value="">ゾーンを選択（{country || '国未入力'}）</option>}
+            {Object.entries(DESTINATION_ZONES).map(([key, value]) => (
+              <option key={key} value={key}>
+                {value.label}{key === detectedZone ? `（${country}）` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          商品重量（kg）{weightEstimated && <span className="shipping-rate-estimated">目安を含む</span>}
+          <input type="text" inputMode="decimal" value={itemWeight} onChange={handleWeightChange(setItemWeight)} />
+        </label>
+        <label>
+          梱包材（kg）
+          <input type="text" inputMode="decimal" value={packagingWeight} onChange={handleWeightChange(setPackagingWeight)} />
+        </label>
+        <div className="shipping-rate-gross">
+          合計 <strong>{grossWeight}kg</strong>
+        </div>
+      </div>
+
+      {error ? (
+        <p className="shipping-rate-error">⚠️ {error}</p>
+      ) : (
+        <table className="shipping-rate-table">
+          <thead>
+            <tr>
+              <th>配送業者</th>
+              <th>送料</th>
+              <th>配送日数</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {options.map(option => (
+              <tr key={option.carrier} className={option.carrier === selectedCarrier ? 'selected' : ''}>
+                <td>
+                  {option.label}
+                  {option.carrier === cheapest.carrier && <span className="shipping-rate-badge cheapest">最安</span>}
+                  {option.carrier === fastest.carrier && <span className="shipping-rate-badge fastest">最速</span>}
+                </td>
+                <td>
+                  ¥{option.fee.toLocaleString()}
+                  {exchangeRate > 0 && <small> ({formatCurrencyAmount(convertFromJPY(option.fee, exchangeRate, currency), currency)})</small>}
+                </td>
+                <td>{option.deliveryDays}日</td>
+                <td>
+                  <button type="button" onClick={() => onSelect(option)}>
+                    {option.carrier === selectedCarrier ? '✓ 選択中' : '選択'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ShippingRateSelector;
@@ -6,6 +6,8 @@ import {
 } from '../utils/zaicoClient';
 import { syncExistingInventoryWithZaico, syncZaicoToProject, checkInventoryZaicoIds } from '../utils/zaicoSyncHelper';
 import { clearProjectInventory, clearZaicoInventory, clearAllData, confirmDataClear } from '../utils/dataCleaner';
+import { updateSalesOrderStatus } from '../utils/salesOrders';
+import { getUnshippedQuantity } from '../utils/salesOrderStateMachine';
 import './ZaicoSyncManager.css';
 
 const ZaicoSyncManager = () => {
@@ -99,6 +101,7 @@ const ZaicoSyncManager = () => {
       
       let syncCount = 0;
       let errorCount = 0;
+      const unshippedRequests = [];
       
       // 各出庫データを処理
       console.log('=== 出庫データ処理開始 ===');
@@ -119,16 +122,25 @@ const ZaicoSyncManager = () => {
           
           console.log('マッチした注文:', matchingRequest);
           
-          if (matchingRequest) {
-            // ステータスを「発送済み」に更新
-            const updatedRequests = salesRequests.map(req => 
-              req.requestNumber === matchingRequest.requestNumber
-                ? { ...req, status: 'shipped', shippedDate: outboundItem.outbound_date }
-                : req
-            );
-            localStorage.setItem('salesRequests', JSON.stringify(updatedRequests));
-            syncCount++;
-            console.log('ステータス更新完了:', matchingRequest.requestNumber);
+          if (matchingRequest?.status === 'shipped') {
+            // 発送完了済みの注文は更新しない
+          } else if (matchingRequest && (matchingRequest.items || []).some(item => getUnshippedQuantity(item) > 0)) {
+            // 出庫データからはどの在庫を発送したか分からないため、未発送の商品が残る注文は発送完了にしない
+            // （発送は販売管理の画面で在庫を選んで記録する）
+            unshippedRequests.push(matchingRequest.requestNumber);
+            errorCount++;
+          } else if (matchingRequest) {
+            // ステータスを「発送済み」に更新（入金確認前・キャンセル済みなどは遷移定義で拒否される）
+            const result = updateSalesOrderStatus(matchingRequest.requestNumber, 'shipped', {
+              patch: { shippedDate: outboundItem.outbound_date },
+              performedBy: 'zaico同期'
+            });
+            if (result.success) {
+              syncCount++;
+              console.log('ステータス更新完了:', matchingRequest.requestNumber);
+            } else {
+              errorCount++;
+            }
           } else {
             console.log('対応する注文が見つかりません:', outboundItem.code);
           }
@@ -142,9 +154,11 @@ const ZaicoSyncManager = () => {
       localStorage.setItem('zaicoLastSyncTime', new Date().toISOString());
       setLastSyncTime(new Date().toLocaleString('ja-JP'));
       
-      const statusMessage = `出庫データ同期完了: ${syncCount}件更新, ${errorCount}件エラー`;
+      const statusMessage = `出庫データ同期完了: ${syncCount}件更新, ${errorCount}件エラー${
+        unshippedRequests.length > 0 ? `（未発送の商品が残る注文: ${unshippedRequests.join(', ')}。販売管理で発送を記録してください）` : ''
+      }`;
       setSyncStatus(statusMessage);
-      logSyncActivity('outbound_sync', 'success', { syncCount, errorCount });
+      logSyncActivity('outbound_sync', 'success', { syncCount, errorCount, unshippedRequests });
       loadSyncLogs(); // ログを即座に更新
       
     } catch (error) {
@@ -0,0 +1,26 @@
+// 海外販売で扱う通貨
+// defaultRate は為替レートが未登録の場合に使う1通貨単位あたりの円
+
+export const SUPPORTED_CURRENCIES = {
+  USD: { label: '米ドル', labelEn: 'US Dollar', symbol: '$', decimals: 2, defaultRate: 150 },
+  EUR: { label: 'ユーロ', labelEn: 'Euro', symbol: '€', decimals: 2, defaultRate: 162 },
+  GBP: { label: '英ポンド', labelEn: 'British Pound', symbol: '£', decimals: 2, defaultRate: 190 },
+  HKD: { label: '香港ドル', labelEn: 'Hong Kong Dollar', symbol: 'HK$', decimals: 2, defaultRate: 19.3 },
+  AUD: { label: '豪ドル', labelEn: 'Australian Dollar', symbol: 'A$', decimals: 2, defaultRate: 98 },
+  CNY: { label: '人民元', labelEn: 'Chinese Yuan', symbol: 'CN¥', decimals: 2, defaultRate: 21 }
+};
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// 国名から推定する通貨（バイヤーが通貨を選んでいない場合に使う）
+export const COUNTRY_CURRENCIES = {
+  EUR: [
+    'germany', 'france', 'italy', 'spain', 'netherlands', 'belgium', 'austria', 'ireland',
+    'portugal', 'finland', 'greece', 'luxembourg', 'slovakia', 'slovenia', 'estonia',
+    'latvia', 'lithuania', 'malta', 'cyprus', 'croatia'
+  ],
+  GBP: ['united kingdom', 'uk', 'england', 'scotland', 'wales', 'northern ireland', 'great britain'],
+  HKD: ['hong kong'],
+  AUD: ['australia'],
+  CNY: ['china', "people's republic of china", 'prc']
+};
@@ -0,0 +1,51 @@
+// 輸出書類（コマーシャルインボイス・パッキングリスト）用の税関分類
+// HSコードは6桁（国際共通部分）。輸入国で細分類が必要な場合は輸入者側で追記する
+
+export const HS_CLASSIFICATIONS = {
+  console: {
+    code: '9504.50',
+    description: 'Video game console'
+  },
+  software_disc: {
+    code: '8523.49',
+    description: 'Video game software (optical disc)'
+  },
+  software_card: {
+    code: '8523.51',
+    description: 'Video game software (game card / cartridge)'
+  }
+};
+
+// ソフトがディスクで供給される機種（それ以外はカード・カートリッジ扱い）
+// key は gameConsoles の value
+export const DISC_MEDIA_CONSOLES = [
+  'ps5', 'ps4-pro', 'ps4', 'ps3', 'ps2', 'ps1',
+  'psp-3000', 'psp-2000', 'psp-1000',
+  'xbox-series-x', 'xbox-one-x', 'xbox-one-s', 'xbox-one', 'xbox-360', 'xbox',
+  'wii-u', 'wii', 'gamecube',
+  'dreamcast', 'saturn'
+];
+
+// インコタームズ（2020）
+export const INCOTERMS = [
+  { value: 'EXW', label: 'EXW - Ex Works' },
+  { value: 'FCA', label: 'FCA - Free Carrier' },
+  { value: 'CPT', label: 'CPT - Carriage Paid To' },
+  { value: 'CIP', label: 'CIP - Carriage and Insurance Paid To' },
+  { value: 'DAP', label: 'DAP - Delivered at Place' },
+  { value: 'DPU', label: 'DPU - Delivered at Place Unloaded' },
+  { value: 'DDP', label: 'DDP - Delivered Duty Paid' }
+];
+
+export const DEFAULT_INCOTERM = 'DAP';
+
+// 輸出理由
+export const EXPORT_REASONS = [
+  { value: 'Sale', label: '販売（Sale）' },
+  { value: 'Replacement', label: '交換品（Replacement）' },
+  { value: 'Return', label: '返品（Return）' },
+  { value: 'Sample', label: 'サンプル（Sample）' }
+];
+
+// 原産国が不明な場合の既定値
+export const DEFAULT_COUNTRY_OF_ORIGIN = 'China';
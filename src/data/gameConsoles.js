@@ -87,6 +87,54 @@ export const colors = [
   'その他'
 ];
 
+// 海外バイヤー向けの英語表記
+export const manufacturerLabelsEN = {
+  'nintendo': 'Nintendo',
+  'sony': 'Sony',
+  'microsoft': 'Microsoft',
+  'other': 'Other'
+};
+
+export const consoleLabelsEN = {
+  'Nintendo Switch（有機ELモデル）': 'Nintendo Switch (OLED Model)',
+  'Newニンテンドー3DS': 'New Nintendo 3DS',
+  'ニンテンドー3DS': 'Nintendo 3DS',
+  'ニンテンドーDSi': 'Nintendo DSi',
+  'ニンテンドーDS Lite': 'Nintendo DS Lite',
+  'ニンテンドーDS': 'Nintendo DS',
+  'ゲームキューブ': 'GameCube',
+  'ゲームボーイアドバンス（SPを含む）': 'Game Boy Advance (incl. SP)',
+  'ゲームボーイカラー': 'Game Boy Color',
+  'スーパーファミコン': 'Super Famicom',
+  'ゲームボーイ': 'Game Boy',
+  'ファミリーコンピュータ': 'Famicom',
+  'PlayStation 5 デジタル・エディション': 'PlayStation 5 Digital Edition',
+  'ドリームキャスト': 'Dreamcast',
+  'ワンダースワン': 'WonderSwan',
+  'セガサターン': 'Sega Saturn',
+  'ネオジオ': 'Neo Geo',
+  'PCエンジン': 'PC Engine',
+  'その他（手入力）': 'Other (Manual Input)'
+};
+
+export const colorLabelsEN = {
+  'ホワイト': 'White',
+  'ブラック': 'Black',
+  'ブルー': 'Blue',
+  'レッド': 'Red',
+  'グレー': 'Gray',
+  'ピンク': 'Pink',
+  'イエロー': 'Yellow',
+  'グリーン': 'Green',
+  'パープル': 'Purple',
+  'オレンジ': 'Orange',
+  'ターコイズ': 'Turquoise',
+  'コーラル': 'Coral',
+  'ネオンブルー': 'Neon Blue',
+  'ネオンレッド': 'Neon Red',
+  'その他': 'Other'
+};
+
 export const consoleColorOptions = {
   'switch-lite': [
     'ハイラルエディション',
@@ -294,6 +342,16 @@ export const conditions = [
   { value: 'C', label: 'C（傷・汚れあり・動作に問題なし）' }
 ];
 
+// 査定ランク（良い順）
+export const RANKS = conditions.map(condition => condition.value);
+
+export const conditionLabelsEN = {
+  'S': 'S (Mint Condition / Near Unused)',
+  'A': 'A (Excellent / No Noticeable Damage)',
+  'B': 'B (Used / Normal Wear / Fully Functional)',
+  'C': 'C (Some Damage / Stains / Works Fine)'
+};
+
 export const accessories = [
   { value: 'complete', label: '完備（箱・説明書・充電器等すべてあり）' },
   { value: 'no-box', label: '箱なし' },
@@ -0,0 +1,26 @@
+// 本人確認（古物営業法第15条）のマスターデータ
+// api/buyback/identity.js からも読み込むため、他モジュールに依存しないこと
+
+// 本人確認書類（value は 004_antiquities_ledger.sql の id_document_type と同じ）
+export const IDENTITY_DOCUMENT_TYPES = [
+  { value: 'drivers_license', label: '運転免許証', numberLabel: '免許証番号' },
+  { value: 'passport', label: 'パスポート', numberLabel: '旅券番号' },
+  { value: 'residence_card', label: '在留カード', numberLabel: '在留カード番号' },
+  {
+    value: 'mynumber_card',
+    label: 'マイナンバーカード',
+    numberLabel: 'カードの有効期限など（個人番号は記録しない）',
+    // 番号法により個人番号（12桁）は記録・保管できない
+    forbidsIndividualNumber: true
+  },
+  { value: 'insurance_card', label: '健康保険証', numberLabel: '記号・番号' },
+  { value: 'corporate_registry', label: '登記事項証明書（法人）', numberLabel: '会社法人等番号' },
+  { value: 'other', label: 'その他', numberLabel: '書類の番号' }
+];
+
+// 確認方法（dbValue は id_verification_method の値）
+export const IDENTITY_VERIFICATION_METHODS = [
+  { value: 'face_to_face', label: '対面確認', dbValue: 'face_to_face' },
+  { value: 'id_upload_registered_mail', label: '身分証画像の送付＋本人限定受取郵便', dbValue: 'postal' },
+  { value: 'e_kyc', label: 'eKYC（オンライン本人確認）', dbValue: 'online' }
+];
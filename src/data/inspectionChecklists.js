@@ -0,0 +1,241 @@
+// 機種タイプ別の検品チェックリスト
+// 各選択肢の rankCap はその回答で付けられる最高ランク、deduction は買取基準価格からの減額率（%）
+
+// ========== 共通の検品項目 ==========
+
+const exteriorCheck = {
+  id: 'exterior',
+  label: '外装の傷・汚れ',
+  options: [
+    { value: 'none', label: 'なし', rankCap: 'S', deduction: 0 },
+    { value: 'light', label: '小傷あり（よく見ると分かる程度）', rankCap: 'A', deduction: 0 },
+    { value: 'noticeable', label: '目立つ傷・汚れあり', rankCap: 'B', deduction: 5 },
+    { value: 'heavy', label: '大きな傷・割れ・欠けあり', rankCap: 'C', deduction: 15 }
+  ]
+};
+
+const boxManualCheck = {
+  id: 'box_manual',
+  label: '箱・説明書',
+  options: [
+    { value: 'both', label: '箱・説明書あり', rankCap: null, deduction: 0 },
+    { value: 'no_manual', label: '説明書なし', rankCap: null, deduction: 3 },
+    { value: 'no_box', label: '箱なし', rankCap: null, deduction: 5 },
+    { value: 'none', label: '箱・説明書なし', rankCap: null, deduction: 10 }
+  ]
+};
+
+const screenCheck = {
+  id: 'screen',
+  label: '画面の傷',
+  options: [
+    { value: 'none', label: 'なし', rankCap: 'S', deduction: 0 },
+    { value: 'fine', label: '細かい擦り傷のみ', rankCap: 'A', deduction: 0 },
+    { value: 'visible', label: '点灯時に見える傷あり', rankCap: 'B', deduction: 5 },
+    { value: 'deep', label: '深い傷・ドット抜け・割れ', rankCap: 'C', deduction: 20 }
+  ]
+};
+
+const batteryCheck = {
+  id: 'battery',
+  label: 'バッテリーの状態',
+  options: [
+    { value: 'good', label: '良好', rankCap: 'S', deduction: 0 },
+    { value: 'degraded', label: 'やや劣化（持ちが短い）', rankCap: 'B', deduction: 5 },
+    { value: 'poor', label: '著しく劣化・膨張', rankCap: 'C', deduction: 15 }
+  ]
+};
+
+const buttonsCheck = {
+  id: 'buttons',
+  label: 'ボタン・スティックの動作',
+  options: [
+    { value: 'ok', label: '全て正常', rankCap: 'S', deduction: 0 },
+    { value: 'stiff', label: '一部反応が鈍い', rankCap: 'B', deduction: 5 },
+    { value: 'faulty', label: '効かないボタンあり', rankCap: 'C', deduction: 15 }
+  ]
+};
+
+// ========== 機種タイプ別の検品項目 ==========
+
+export const INSPECTION_CHECKLISTS = {
+  // 据え置き・携帯両用（Joy-Con）
+  hybrid: {
+    label: 'Switch系（Joy-Con）',
+    checks: [
+      screenCheck,
+      {
+        id: 'joycon_drift',
+        label: 'Joy-Conスティックのドリフト',
+        options: [
+          { value: 'none', label: 'なし', rankCap: 'S', deduction: 0 },
+          { value: 'one', label: '片側でドリフトあり', rankCap: 'B', deduction: 10 },
+          { value: 'both', label: '両側でドリフトあり', rankCap: 'C', deduction: 20 }
+        ]
+      },
+      batteryCheck,
+      exteriorCheck,
+      boxManualCheck
+    ]
+  },
+  // 携帯機
+  handheld: {
+    label: '携帯機',
+    checks: [screenCheck, buttonsCheck, batteryCheck, exteriorCheck, boxManualCheck]
+  },
+  // ディスク式の据え置き機
+  disc: {
+    label: 'ディスク式据え置き機',
+    checks: [
+      {
+        id: 'disc_drive',
+        label: 'ディスクの読み込み',
+        options: [
+          { value: 'ok', label: '正常に読み込む', rankCap: 'S', deduction: 0 },
+          { value: 'slow', label: '読み込みが遅い・時々失敗', rankCap: 'B', deduction: 10 },
+          { value: 'fails', label: '読み込まない', rankCap: 'C', deduction: 30 }
+        ]
+      },
+      {
+        id: 'controller',
+        label: '付属コントローラー',
+        options: [
+          { value: 'ok', label: 'あり・正常', rankCap: 'S', deduction: 0 },
+          { value: 'faulty', label: 'あり・スティックのドリフト等の不具合', rankCap: 'B', deduction: 5 },
+          { value: 'missing', label: 'なし', rankCap: null, deduction: 10 }
+        ]
+      },
+      exteriorCheck,
+      boxManualCheck
+    ]
+  },
+  // カートリッジ式の据え置き機（レトロ機）
+  cartridge: {
+    label: 'カートリッジ式据え置き機',
+    checks: [
+      {
+        id: 'cartridge_slot',
+        label: 'カセットの読み込み',
+        options: [
+          { value: 'ok', label: '正常に起動する', rankCap: 'S', deduction: 0 },
+          { value: 'cleaning', label: '端子清掃で起動する', rankCap: 'B', deduction: 5 },
+          { value: 'unstable', label: '起動が不安定', rankCap: 'C', deduction: 20 }
+        ]
+      },
+      {
+        id: 'yellowing',
+        label: '本体の黄ばみ',
+        options: [
+          { value: 'none', label: 'なし', rankCap: 'S', deduction: 0 },
+          { value: 'light', label: '軽い黄ばみ', rankCap: 'A', deduction: 0 },
+          { value: 'heavy', label: '全体的な黄ばみ', rankCap: 'B', deduction: 5 }
+        ]
+      },
+      buttonsCheck,
+      exteriorCheck,
+      boxManualCheck
+    ]
+  },
+  // ソフト
+  software: {
+    label: 'ソフト',
+    checks: [
+      {
+        id: 'media_surface',
+        label: 'ディスク・カセットの状態',
+        options: [
+          { value: 'none', label: '傷なし', rankCap: 'S', deduction: 0 },
+          { value: 'light', label: '小傷あり', rankCap: 'A', deduction: 0 },
+          { value: 'heavy', label: '目立つ傷あり（動作確認済み）', rankCap: 'B', deduction: 10 },
+          { value: 'unreadable', label: '読み込み不良あり', rankCap: 'C', deduction: 40 }
+        ]
+      },
+      {
+        id: 'case',
+        label: 'ケース・パッケージ',
+        options: [
+          { value: 'ok', label: 'きれい', rankCap: 'S', deduction: 0 },
+          { value: 'damaged', label: '割れ・日焼けあり', rankCap: 'B', deduction: 5 },
+          { value: 'missing', label: 'なし', rankCap: 'C', deduction: 15 }
+        ]
+      },
+      {
+        id: 'manual',
+        label: '説明書',
+        options: [
+          { value: 'yes', label: 'あり', rankCap: null, deduction: 0 },
+          { value: 'no', label: 'なし', rankCap: null, deduction: 5 }
+        ]
+      }
+    ]
+  },
+  // 機種が特定できない場合
+  generic: {
+    label: 'その他',
+    checks: [
+      {
+        id: 'operation',
+        label: '動作確認',
+        options: [
+          { value: 'ok', label: '正常', rankCap: 'S', deduction: 0 },
+          { value: 'minor', label: '軽微な不具合あり', rankCap: 'B', deduction: 10 },
+          { value: 'major', label: '一部機能が動作しない', rankCap: 'C', deduction: 30 }
+        ]
+      },
+      exteriorCheck,
+      boxManualCheck
+    ]
+  }
+};
+
+// 機種（gameConsolesのvalue）→ 検品チェックリストのタイプ
+export const CONSOLE_CHECKLIST_TYPES = {
+  'switch-2': 'hybrid',
+  'switch': 'hybrid',
+  'switch-oled': 'hybrid',
+  'switch-lite': 'handheld',
+  'new-2ds-ll': 'handheld',
+  'new-3ds-ll': 'handheld',
+  'new-3ds': 'handheld',
+  '3ds-ll': 'handheld',
+  '3ds': 'handheld',
+  'dsi': 'handheld',
+  'ds-lite': 'handheld',
+  'ds': 'handheld',
+  'gba-sp': 'handheld',
+  'gba': 'handheld',
+  'gbc': 'handheld',
+  'gb': 'handheld',
+  'ps-vita-2000': 'handheld',
+  'ps-vita-1000': 'handheld',
+  'psp-3000': 'handheld',
+  'psp-2000': 'handheld',
+  'psp-1000': 'handheld',
+  'psp-go': 'handheld',
+  'wonderswan': 'handheld',
+  'wii-u': 'disc',
+  'wii': 'disc',
+  'gamecube': 'disc',
+  'ps5': 'disc',
+  'ps4-pro': 'disc',
+  'ps4': 'disc',
+  'ps3': 'disc',
+  'ps2': 'disc',
+  'ps1': 'disc',
+  'xbox-series-x': 'disc',
+  'xbox-one-x': 'disc',
+  'xbox-one-s': 'disc',
+  'xbox-one': 'disc',
+  'xbox-360': 'disc',
+  'xbox': 'disc',
+  'dreamcast': 'disc',
+  'saturn': 'disc',
+  'n64': 'cartridge',
+  'sfc': 'cartridge',
+  'fc': 'cartridge',
+  'neogeo': 'cartridge',
+  'pc-engine': 'cartridge',
+  // ディスクドライブのない据え置き機
+  'ps5-digital': 'generic',
+  'xbox-series-s': 'generic'
+};
@@ -0,0 +1,60 @@
+// ゲーム機本体の製造番号（シリアル番号）の形式
+// 照合時は全角→半角・大文字化し、空白とハイフンを除いた値で判定する
+// 機種ごとの形式がない場合はメーカーの形式、メーカーの形式もない場合は DEFAULT_SERIAL_NUMBER_FORMAT を使う
+
+export const DEFAULT_SERIAL_NUMBER_FORMAT = {
+  pattern: /^[A-Z0-9]{4,20}$/,
+  description: '英数字4〜20文字'
+};
+
+export const MANUFACTURER_SERIAL_NUMBER_FORMATS = {
+  nintendo: {
+    pattern: /^[A-Z]{2,3}\d{8,11}$/,
+    description: '英字2〜3文字＋数字8〜11桁',
+    example: 'CJF123456789'
+  },
+  sony: {
+    pattern: /^[A-Z0-9]{8,17}$/,
+    description: '英数字8〜17文字',
+    example: 'MB123456789'
+  },
+  microsoft: {
+    pattern: /^\d{12}$/,
+    description: '数字12桁',
+    example: '012345678912'
+  }
+};
+
+// key は gameConsoles の value
+export const CONSOLE_SERIAL_NUMBER_FORMATS = {
+  'switch': {
+    pattern: /^X(A[JWK]|K[JW])\d{11}$/,
+    description: 'XAJ・XAW・XAK・XKJ・XKW＋数字11桁',
+    example: 'XAJ10012345678'
+  },
+  'switch-lite': {
+    pattern: /^XJ[JWE]\d{11}$/,
+    description: 'XJJ・XJW・XJE＋数字11桁',
+    example: 'XJJ10012345678'
+  },
+  'switch-oled': {
+    pattern: /^XT[JWE]\d{11}$/,
+    description: 'XTJ・XTW・XTE＋数字11桁',
+    example: 'XTJ10012345678'
+  },
+  'switch-2': {
+    pattern: /^X[A-Z]{2}\d{11}$/,
+    description: 'Xで始まる英字3文字＋数字11桁',
+    example: 'XEJ10012345678'
+  },
+  'ps5': {
+    pattern: /^[A-Z][A-Z0-9]{14,16}$/,
+    description: '英字1文字＋英数字14〜16文字',
+    example: 'E203011A0123456'
+  },
+  'ps5-digital': {
+    pattern: /^[A-Z][A-Z0-9]{14,16}$/,
+    description: '英字1文字＋英数字14〜16文字',
+    example: 'E203011A0123456'
+  }
+};
@@ -0,0 +1,119 @@
+// 海外発送の送料表（円）
+// 各社の公表料金・契約料金をもとに手入力で管理する。料金改定時は RATE_TABLE_EFFECTIVE_DATE と各表を更新すること
+// 送料は「配送業者 × 仕向地ゾーン × 重量帯」で決まり、重量帯は上限（kg）以下の最初の帯を使う
+
+export const RATE_TABLE_EFFECTIVE_DATE = '2026-04-01';
+
+// 仕向地ゾーン（EMSの地帯区分に合わせ、他社も同じ区分で管理する）
+// countries は照合用の国名（小文字・英語表記と日本語表記）
+export const DESTINATION_ZONES = {
+  zone1: {
+    label: '第1地帯（中国・韓国・台湾）',
+    countries: ['china', 'prc', 'korea', 'south korea', 'republic of korea', 'taiwan', '中国', '韓国', '台湾']
+  },
+  zone2: {
+    label: '第2地帯（アジア）',
+    countries: [
+      'hong kong', 'macau', 'singapore', 'thailand', 'malaysia', 'philippines', 'vietnam', 'viet nam',
+      'indonesia', 'india', 'cambodia', 'mongolia', 'brunei', 'sri lanka', 'bangladesh', 'pakistan', 'nepal',
+      '香港', 'マカオ', 'シンガポール', 'タイ', 'マレーシア', 'フィリピン', 'ベトナム', 'インドネシア', 'インド'
+    ]
+  },
+  zone3: {
+    label: '第3地帯（オセアニア・カナダ・メキシコ・中近東・ヨーロッパ）',
+    countries: [
+      'australia', 'new zealand', 'canada', 'mexico',
+      'united kingdom', 'uk', 'great britain', 'england', 'ireland', 'germany', 'france', 'italy', 'spain',
+      'portugal', 'netherlands', 'belgium', 'luxembourg', 'switzerland', 'austria', 'sweden', 'norway',
+      'denmark', 'finland', 'iceland', 'poland', 'czech republic', 'czechia', 'hungary', 'greece', 'romania',
+      'russia', 'ukraine', 'turkey', 'israel', 'united arab emirates', 'uae', 'saudi arabia', 'qatar', 'kuwait',
+      'オーストラリア', 'ニュージーランド', 'カナダ', 'メキシコ', 'イギリス', 'ドイツ', 'フランス', 'イタリア', 'スペイン', 'オランダ'
+    ]
+  },
+  zone4: {
+    label: '第4地帯（アメリカ合衆国）',
+    countries: ['united states', 'united states of america', 'usa', 'us', 'america', 'アメリカ', 'アメリカ合衆国', '米国']
+  },
+  zone5: {
+    label: '第5地帯（中南米・アフリカ）',
+    countries: [
+      'brazil', 'argentina', 'chile', 'peru', 'colombia', 'venezuela', 'uruguay', 'paraguay', 'bolivia', 'ecuador',
+      'south africa', 'egypt', 'nigeria', 'kenya', 'morocco', 'ghana',
+      'ブラジル', 'アルゼンチン', 'チリ', 'ペルー', '南アフリカ', 'エジプト'
+    ]
+  }
+};
+
+// 配送業者ごとの送料表
+// weightBands: 重量帯の上限（kg）、rates: ゾーンごとの重量帯別の送料、deliveryDays: ゾーンごとの目安日数
+export const SHIPPING_CARRIERS = {
+  EMS: {
+    label: 'EMS（国際スピード郵便）',
+    weightBands: [0.5, 1, 2, 3, 5, 10, 15, 20, 30],
+    rates: {
+      zone1: [1450, 2100, 2900, 3700, 5300, 9300, 13300, 17300, 25300],
+      zone2: [1900, 2700, 3700, 4700, 6700, 11700, 16700, 21700, 31700],
+      zone3: [3150, 4400, 6000, 7600, 10800, 18800, 26800, 34800, 50800],
+      zone4: [3900, 5300, 7300, 9300, 13300, 23300, 33300, 43300, 63300],
+      zone5: [3600, 5800, 8200, 10600, 15400, 27400, 39400, 51400, 75400]
+    },
+    deliveryDays: { zone1: '2-4', zone2: '3-5', zone3: '4-7', zone4: '3-6', zone5: '5-10' }
+  },
+  DHL: {
+    label: 'DHL Express',
+    weightBands: [0.5, 1, 2, 3, 5, 10, 15, 20, 30],
+    rates: {
+      zone1: [4800, 5900, 8100, 10300, 14700, 25700, 36700, 47700, 69700],
+      zone2: [5200, 6500, 9100, 11700, 16900, 29900, 42900, 55900, 81900],
+      zone3: [6900, 8700, 12300, 15900, 23100, 41100, 59100, 77100, 113100],
+      zone4: [6500, 8200, 11600, 15000, 21800, 38800, 55800, 72800, 106800],
+      zone5: [8900, 11300, 16100, 20900, 30500, 54500, 78500, 102500, 150500]
+    },
+    deliveryDays: { zone1: '1-3', zone2: '2-3', zone3: '2-4', zone4: '2-4', zone5: '3-6' }
+  },
+  FedEx: {
+    label: 'FedEx International Priority',
+    weightBands: [0.5, 1, 2, 3, 5, 10, 15, 20, 30],
+    rates: {
+      zone1: [4600, 5700, 7900, 10100, 14500, 25500, 36500, 47500, 69500],
+      zone2: [5100, 6300, 8700, 11100, 15900, 27900, 39900, 51900, 75900],
+      zone3: [7100, 8900, 12500, 16100, 23300, 41300, 59300, 77300, 113300],
+      zone4: [6200, 7900, 11300, 14700, 21500, 38500, 55500, 72500, 106500],
+      zone5: [9200, 11600, 16400, 21200, 30800, 54800, 78800, 102800, 150800]
+    },
+    deliveryDays: { zone1: '2-3', zone2: '2-4', zone3: '2-5', zone4: '2-4', zone5: '3-7' }
+  },
+  ePacket: {
+    label: '国際eパケット',
+    weightBands: [0.5, 1, 2],
+    rates: {
+      zone1: [890, 1290, 2090],
+      zone2: [1000, 1450, 2350],
+      zone3: [1300, 1950, 3250],
+      zone4: [1420, 2120, 3520],
+      zone5: [1550, 2400, 4100]
+    },
+    deliveryDays: { zone1: '5-10', zone2: '7-14', zone3: '7-14', zone4: '7-14', zone5: '10-21' }
+  }
+};
+
+// 重量が未入力の商品の見積もり用重量（kg・1点あたり、箱・付属品込み）
+export const ESTIMATED_ITEM_WEIGHTS = {
+  console: 2.5,
+  handheld: 0.6,
+  software: 0.15
+};
+
+// 携帯機（見積もり用重量を handheld で計算する機種）
+// key は gameConsoles の value
+export const HANDHELD_CONSOLES = [
+  'switch-lite', 'new-2ds-ll', 'new-3ds-ll', 'new-3ds', '3ds-ll', '3ds', 'dsi', 'ds-lite', 'ds',
+  'gba-sp', 'gba', 'gbc', 'gb', 'ps-vita-2000', 'ps-vita-1000', 'psp-3000', 'psp-2000', 'psp-1000', 'psp-go',
+  'wonderswan'
+];
+
+// 梱包材の重量（kg）: base + 商品重量 × ratio
+export const PACKAGING_WEIGHT = {
+  base: 0.3,
+  ratio: 0.1
+};
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { validateAndSanitize, validators } from '../utils/validation';
+import { getCurrencyForCountry } from '../utils/exchangeRates';
+import { SUPPORTED_CURRENCIES } from '../data/currencies';
 import './AccountSettings.css';
 
 const AccountSettings = () => {
@@ -10,6 +12,7 @@ const AccountSettings = () => {
     name: user?.name || '',
     companyName: user?.companyName || '',
     country: user?.country || '',
+    preferredCurrency: user?.preferredCurrency || '',
     birthDate: user?.birthDate || '',
     occupation: user?.occupation || '',
     postalCode: user?.postalCode || '',
@@ -499,6 +502,24 @@ const AccountSettings = () => {
               </div>
             )}
 
+            {isOverseasCustomer && (
+              <div className="form-group form-group-half">
+                <label htmlFor="preferredCurrency">Preferred Currency</label>
+                <select
+                  id="preferredCurrency"
+                  name="preferredCurrency"
+                  value={formData.preferredCurrency}
+                  onChange={handleChange}
+                  disabled={loading}
+                >
+                  <option value="">Based on country ({getCurrencyForCountry(formData.country)})</option>
+                  {Object.entries(SUPPORTED_CURRENCIES).map(([code, currency]) => (
+                    <option key={code} value={code}>{code} - {currency.labelEn}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className="form-divider"></div>
 
             <div className="form-group form-group-half">
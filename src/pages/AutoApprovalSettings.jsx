@@ -0,0 +1,308 @@
+import React, { useMemo, useState } from 'react';
+import {
+  getAutoApprovalRules,
+  saveAutoApprovalRules,
+  upsertAutoApprovalRule,
+  deleteAutoApprovalRule,
+  createEmptyRule,
+  previewAutoApproval
+} from '../utils/autoApprovalRules';
+import { getStatusLabel, calculateQuoteTotal } from '../utils/buybackStateMachine';
+import './AutoApprovalSettings.css';
+
+// 数値入力を条件値に変換（空欄は条件なし）
+const toConditionNumber = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+const AutoApprovalSettings = () => {
+  const [rules, setRules] = useState(() => getAutoApprovalRules());
+  const [draft, setDraft] = useState(null); // 編集中のルール
+  const [previewTarget, setPreviewTarget] = useState('enabled'); // 'enabled' またはルールID
+  const [previewResults, setPreviewResults] = useState(null);
+
+  const isEditingExisting = draft && rules.some(rule => rule.id === draft.id);
+
+  const handleStartCreate = () => {
+    setDraft(createEmptyRule());
+  };
+
+  const handleStartEdit = (rule) => {
+    setDraft(JSON.parse(JSON.stringify(rule)));
+  };
+
+  const handleDraftConditionChange = (condition, value) => {
+    setDraft({
+      ...draft,
+      conditions: { ...draft.conditions, [condition]: value }
+    });
+  };
+
+  const handleSaveDraft = () => {
+    if (!draft.name.trim()) {
+      alert('ルール名を入力してください');
+      return;
+    }
+
+    const conditions = {
+      maxTotal: toConditionNumber(draft.conditions.maxTotal),
+      minRank: draft.conditions.minRank || '',
+      minPastApprovals: toConditionNumber(draft.conditions.minPastApprovals),
+      maxPriceDeviationPercent: toConditionNumber(draft.conditions.maxPriceDeviationPercent)
+    };
+
+    const hasCondition = Object.values(conditions).some(value => value !== null && value !== '');
+    if (!hasCondition) {
+      alert('条件を1つ以上設定してください');
+      return;
+    }
+
+    setRules(upsertAutoApprovalRule({ ...draft, name: draft.name.trim(), conditions }));
+    setDraft(null);
+    setPreviewResults(null);
+  };
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`ルール「${rule.name}」を削除しますか？`)) return;
+    setRules(deleteAutoApprovalRule(rule.id));
+    setPreviewResults(null);
+  };
+
+  const handleToggleEnabled = (rule) => {
+    setRules(upsertAutoApprovalRule({ ...rule, enabled: !rule.enabled }));
+    setPreviewResults(null);
+  };
+
+  // 優先順位の入れ替え（上にあるルールから順に判定）
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) return;
+
+    const reordered = [...rules];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    saveAutoApprovalRules(reordered);
+    setRules(reordered);
+    setPreviewResults(null);
+  };
+
+  const handleRunPreview = () => {
+    const targetRules = previewTarget === 'enabled'
+      ? rules.filter(rule => rule.enabled)
+      : rules.filter(rule => rule.id === previewTarget).map(rule => ({ ...rule, enabled: true }));
+
+    if (targetRules.length === 0) {
+      alert('判定するルールがありません');
+      return;
+    }
+
+    const allApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
+    setPreviewResults(previewAutoApproval(targetRules, allApplications));
+  };
+
+  const previewSummary = useMemo(() => {
+    if (!previewResults) return null;
+    const matched = previewResults.filter(result => result.match);
+    return {
+      total: previewResults.length,
+      matched: matched.length,
+      matchedAmount: matched.reduce((sum, result) => sum + calculateQuoteTotal(result.application), 0)
+    };
+  }, [previewResults]);
+
+  const describeConditions = (conditions = {}) => {
+    const parts = [];
+    if (conditions.maxTotal !== null && conditions.maxTotal !== undefined) {
+      parts.push(`合計 ¥${Number(conditions.maxTotal).toLocaleString()}未満`);
+    }
+    if (conditions.minRank) {
+      parts.push(`全商品${conditions.minRank}ランク以上`);
+    }
+    if (conditions.minPastApprovals !== null && conditions.minPastApprovals !== undefined) {
+      parts.push(`過去の買取確定${conditions.minPastApprovals}件以上`);
+    }
+    if (conditions.maxPriceDeviationPercent !== null && conditions.maxPriceDeviationPercent !== undefined) {
+      parts.push(`基準価格の±${conditions.maxPriceDeviationPercent}%以内`);
+    }
+    return parts.join(' かつ ');
+  };
+
+  return (
+    <div className="auto-approval-settings">
+      <div className="page-header">
+        <div>
+          <h1>自動承認ルール</h1>
+          <p className="subtitle">条件を全て満たす見積もりは「承認待ち」から「買取確定（自動承認）」へ自動で進みます。上のルールから順に判定します。</p>
+        </div>
+        <button className="primary-btn" onClick={handleStartCreate}>➕ ルールを追加</button>
+      </div>
+
+      {draft && (
+        <div className="rule-editor card">
+          <h2>{isEditingExisting ? 'ルールを編集' : '新しいルール'}</h2>
+          <div className="rule-editor-grid">
+            <div className="form-group full-width">
+              <label>ルール名 *</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="例: 少額・常連のお客様"
+              />
+            </div>
+            <div className="form-group">
+              <label>合計金額の上限（円未満）</label>
+              <input
+                type="number"
+                min="0"
+                value={draft.conditions.maxTotal ?? ''}
+                onChange={(e) => handleDraftConditionChange('maxTotal', e.target.value)}
+                placeholder="空欄で条件なし"
+              />
+            </div>
+            <div className="form-group">
+              <label>最低査定ランク</label>
+              <select
+                value={draft.conditions.minRank || ''}
+                onChange={(e) => handleDraftConditionChange('minRank', e.target.value)}
+              >
+                <option value="">条件なし</option>
+                <option value="S">S のみ</option>
+                <option value="A">A 以上</option>
+                <option value="B">B 以上</option>
+                <option value="C">C 以上</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>過去の買取確定件数（以上）</label>
+              <input
+                type="number"
+                min="0"
+                value={draft.conditions.minPastApprovals ?? ''}
+                onChange={(e) => handleDraftConditionChange('minPastApprovals', e.target.value)}
+                placeholder="空欄で条件なし"
+              />
+            </div>
+            <div className="form-group">
+              <label>買取基準価格との差（±%以内）</label>
+              <input
+                type="number"
+                min="0"
+                value={draft.conditions.maxPriceDeviationPercent ?? ''}
+                onChange={(e) => handleDraftConditionChange('maxPriceDeviationPercent', e.target.value)}
+                placeholder="空欄で条件なし"
+              />
+            </div>
+          </div>
+          <div className="editor-actions">
+            <button className="secondary-btn" onClick={() => setDraft(null)}>キャンセル</button>
+            <button className="primary-btn" onClick={handleSaveDraft}>保存</button>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <h2>ルール一覧（{rules.length}件）</h2>
+        {rules.length === 0 ? (
+          <p className="empty-message">ルールが登録されていません。全ての見積もりはお客様の承認が必要です。</p>
+        ) : (
+          <table className="rules-table">
+            <thead>
+              <tr>
+                <th>優先</th>
+                <th>ルール名</th>
+                <th>条件</th>
+                <th>有効</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule, index) => (
+                <tr key={rule.id} className={rule.enabled ? '' : 'disabled-rule'}>
+                  <td className="priority-cell">
+                    <button onClick={() => handleMove(index, -1)} disabled={index === 0}>▲</button>
+                    <span>{index + 1}</span>
+                    <button onClick={() => handleMove(index, 1)} disabled={index === rules.length - 1}>▼</button>
+                  </td>
+                  <td><strong>{rule.name}</strong></td>
+                  <td>{describeConditions(rule.conditions)}</td>
+                  <td>
+                    <label className="toggle">
+                      <input type="checkbox" checked={rule.enabled} onChange={() => handleToggleEnabled(rule)} />
+                      {rule.enabled ? '有効' : '無効'}
+                    </label>
+                  </td>
+                  <td className="actions-cell">
+                    <button className="secondary-btn" onClick={() => handleStartEdit(rule)}>編集</button>
+                    <button className="danger-btn" onClick={() => handleDelete(rule)}>削除</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card">
+        <h2>🔍 ドライラン（過去の申込で試算）</h2>
+        <p className="hint">査定済みの過去の申込に対してルールを判定します。データは変更されません。価格条件は現在の買取基準価格で判定します。</p>
+        <div className="preview-controls">
+          <select value={previewTarget} onChange={(e) => setPreviewTarget(e.target.value)}>
+            <option value="enabled">有効な全ルール（優先順）</option>
+            {rules.map(rule => (
+              <option key={rule.id} value={rule.id}>{rule.name}</option>
+            ))}
+          </select>
+          <button className="primary-btn" onClick={handleRunPreview}>試算する</button>
+        </div>
+
+        {previewResults && (
+          <>
+            <div className="preview-summary">
+              対象 {previewSummary.total}件中 <strong>{previewSummary.matched}件</strong> が自動承認されていました
+              （合計 ¥{previewSummary.matchedAmount.toLocaleString()}）
+            </div>
+            <table className="preview-table">
+              <thead>
+                <tr>
+                  <th>申込番号</th>
+                  <th>お客様</th>
+                  <th>申込日</th>
+                  <th>実際のステータス</th>
+                  <th>判定</th>
+                  <th>詳細</th>
+                </tr>
+              </thead>
+              <tbody>
+                {previewResults.map(({ application, match, evaluations }) => {
+                  const shown = match || evaluations[0];
+                  return (
+                    <tr key={application.applicationNumber} className={match ? 'preview-matched' : ''}>
+                      <td>{application.applicationNumber}</td>
+                      <td>{application.customer?.name}</td>
+                      <td>{new Date(application.date).toLocaleDateString('ja-JP')}</td>
+                      <td>{getStatusLabel(application.status)}</td>
+                      <td>{match ? `✅ ${match.rule.name}` : '—'}</td>
+                      <td>
+                        <ul className="condition-results">
+                          {(shown?.results || []).map(result => (
+                            <li key={result.condition} className={result.passed ? 'passed' : 'failed'}>
+                              {result.passed ? '○' : '×'} {result.detail}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AutoApprovalSettings;
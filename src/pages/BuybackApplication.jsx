@@ -5,6 +5,7 @@ import { validateAndSanitize, validators } from '../utils/validation';
 import { manufacturers, conditions, accessories } from '../data/gameConsoles';
 import { getAllConsoles, getConsoleColorList } from '../utils/productMaster';
 import { generateManagementNumber } from '../utils/productCodeGenerator';
+import { checkApplicationAgainstWatchlist } from '../utils/stolenGoodsWatchlist';
 import './BuybackApplication.css';
 
 const BuybackApplication = () => {
@@ -24,6 +25,7 @@ const BuybackApplication = () => {
     quantity: 1,
     managementNumbers: [] // 管理番号（数量分の配列）
   });
+  const [serialNumberText, setSerialNumberText] = useState(''); // 製造番号（任意・複数台は区切って入力）
   const [showConfirm, setShowConfirm] = useState(false);
   const [availableConsoles, setAvailableConsoles] = useState([]);
   const [allGameConsoles, setAllGameConsoles] = useState({});
@@ -214,6 +216,9 @@ const BuybackApplication = () => {
     const newItem = {
       id: Date.now(),
       ...currentItem,
+      serialNumbers: currentItem.productType === 'console'
+        ? serialNumberText.split(/[,、\s]+/).map(serial => serial.trim()).filter(Boolean)
+        : [],
       productTypeLabel: currentItem.productType === 'console' ? 'ゲーム本体' : 'ゲームソフト',
       manufacturerLabel,
       consoleLabel,
@@ -236,6 +241,7 @@ const BuybackApplication = () => {
       quantity: 1,
       managementNumbers: []
     });
+    setSerialNumberText('');
     setAvailableConsoles([]);
   };
 
@@ -264,6 +270,9 @@ const BuybackApplication = () => {
       date: new Date().toISOString()
     };
 
+    // 品触れとの照合（結果はスタッフの査定画面でのみ表示し、お客様には表示しない）
+    applicationData.watchlistCheck = checkApplicationAgainstWatchlist(applicationData);
+
     // allApplicationsに追加
     const allApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
     allApplications.push(applicationData);
@@ -427,6 +436,18 @@ const BuybackApplication = () => {
               </div>
             )}
 
+            {currentItem.productType === 'console' && (
+              <div className="form-group serial-field">
+                <label>🔖 製造番号（任意）</label>
+                <input
+                  type="text"
+                  value={serialNumberText}
+                  onChange={(e) => setSerialNumberText(e.target.value)}
+                  placeholder="本体裏面のシリアル番号（複数台は「,」区切り）"
+                />
+              </div>
+            )}
+
             <div className="condition-accessories-quantity-row">
               <div className="form-group condition-field">
                 <label>⭐ 状態 *</label>
@@ -526,6 +547,7 @@ const BuybackApplication = () => {
                     <>
                       <h4>{item.manufacturerLabel} - {item.consoleLabel}</h4>
                       {item.colorLabel && <p className="color-info">カラー: {item.colorLabel}</p>}
+                      {item.serialNumbers?.length > 0 && <p className="color-info">製造番号: {item.serialNumbers.join(', ')}</p>}
                     </>
                   )}
                   <p>
@@ -0,0 +1,259 @@
+import React, { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { getCatalogEntries, groupCatalogByConsole, submitCatalogRequest } from '../utils/buyerCatalog';
+import { getBuyerCurrency } from '../utils/buyerManager';
+import { getCurrentExchangeRate, convertFromJPY, formatCurrencyAmount } from '../utils/exchangeRates';
+import { SUPPORTED_CURRENCIES } from '../data/currencies';
+import { RANKS } from '../data/gameConsoles';
+import './BuyerCatalog.css';
+
+const BuyerCatalog = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState(() => getCatalogEntries(user?.email));
+  const [cart, setCart] = useState([]); // [{ key, quantity }]
+  const [searchTerm, setSearchTerm] = useState('');
+  const [productTypeFilter, setProductTypeFilter] = useState('all');
+  const [rankFilter, setRankFilter] = useState('all');
+  const [quantities, setQuantities] = useState({}); // { key: 追加する数量 }
+  const [notes, setNotes] = useState('');
+
+  // 表示はバイヤーの取引通貨（当日のレート。見積もり送信時のレートで確定する）
+  const currency = getBuyerCurrency(user?.email, user?.country);
+  const rate = getCurrentExchangeRate(currency).rate;
+  const formatPrice = (jpy) => formatCurrencyAmount(convertFromJPY(jpy, rate, currency), currency);
+
+  const filteredGroups = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return groupCatalogByConsole(entries.filter(entry => {
+      if (productTypeFilter !== 'all' && entry.productType !== productTypeFilter) return false;
+      if (rankFilter !== 'all' && entry.rank !== rankFilter) return false;
+      if (!term) return true;
+      return [entry.manufacturerLabel, entry.consoleLabel, entry.colorLabel, entry.softwareName]
+        .some(value => (value || '').toLowerCase().includes(term));
+    }));
+  }, [entries, searchTerm, productTypeFilter, rankFilter]);
+
+  const getEntry = (key) => entries.find(entry => entry.key === key);
+  const getCartQuantity = (key) => cart.find(line => line.key === key)?.quantity || 0;
+
+  const getEntryName = (entry) => {
+    const name = entry.productType === 'software' ? `${entry.softwareName} (${entry.consoleLabel})` : entry.consoleLabel;
+    return entry.colorLabel ? `${name} - ${entry.colorLabel}` : name;
+  };
+
+  const handleAddToCart = (entry) => {
+    const quantity = parseInt(quantities[entry.key], 10) || 1;
+    const nextQuantity = getCartQuantity(entry.key) + quantity;
+    if (nextQuantity > entry.availableQuantity) {
+      alert(`Only ${entry.availableQuantity} available for this item`);
+      return;
+    }
+    setCart(prev => prev.some(line => line.key === entry.key)
+      ? prev.map(line => line.key === entry.key ? { ...line, quantity: nextQuantity } : line)
+      : [...prev, { key: entry.key, quantity: nextQuantity }]);
+    setQuantities(prev => ({ ...prev, [entry.key]: '' }));
+  };
+
+  const handleCartQuantityChange = (key, value) => {
+    const entry = getEntry(key);
+    const quantity = Math.max(1, Math.min(parseInt(value, 10) || 1, entry?.availableQuantity || 1));
+    setCart(prev => prev.map(line => line.key === key ? { ...line, quantity } : line));
+  };
+
+  const handleRemoveFromCart = (key) => {
+    setCart(prev => prev.filter(line => line.key !== key));
+  };
+
+  const cartLines = cart
+    .map(line => ({ ...line, entry: getEntry(line.key) }))
+    .filter(line => line.entry);
+  const cartTotal = cartLines.reduce((sum, line) => sum + line.entry.price * line.quantity, 0);
+  const hasUnpricedItems = cartLines.some(line => !line.entry.price);
+
+  const handleSubmit = () => {
+    if (cartLines.length === 0) {
+      alert('Please add at least one product to your cart');
+      return;
+    }
+    if (!window.confirm(`Submit a purchase request for ${cartLines.reduce((sum, line) => sum + line.quantity, 0)} item(s)?\nWe will send you a quote with the final price and shipping fee.`)) {
+      return;
+    }
+
+    const result = submitCatalogRequest(user, cart, { notes: notes.trim() });
+    if (!result.success) {
+      alert(result.error);
+      // 他のお客様の注文で在庫が変わっている場合があるため再読み込み
+      setEntries(getCatalogEntries(user?.email));
+      return;
+    }
+
+    alert(`Request submitted successfully!\nRequest Number: ${result.request.requestNumber}`);
+    setCart([]);
+    setNotes('');
+    navigate('/my-orders');
+  };
+
+  return (
+    <div className="buyer-catalog-container">
+      <div className="catalog-header">
+        <div>
+          <h1>Product Catalog</h1>
+          <p className="subtitle">
+            Browse our available stock and add items to your cart. Prices are shown in {SUPPORTED_CURRENCIES[currency].labelEn} ({currency}) at today's rate; the final price is confirmed in your quote.
+          </p>
+        </div>
+        <button className="btn-secondary" onClick={() => setEntries(getCatalogEntries(user?.email))}>
+          🔄 Refresh
+        </button>
+      </div>
+
+      <div className="catalog-layout">
+        <div className="catalog-main">
+          <div className="catalog-filters">
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="🔍 Search by model, color or title"
+            />
+            <div className="product-type-toggle">
+              {[['all', 'All'], ['console', '🎮 Consoles'], ['software', '💿 Software']].map(([value, label]) => (
+                <button
+                  key={value}
+                  className={productTypeFilter === value ? 'active' : ''}
+                  onClick={() => setProductTypeFilter(value)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <select value={rankFilter} onChange={(e) => setRankFilter(e.target.value)}>
+              <option value="all">All Ranks</option>
+              {RANKS.map(rank => (
+                <option key={rank} value={rank}>Rank {rank}</option>
+              ))}
+            </select>
+          </div>
+
+          {filteredGroups.length === 0 ? (
+            <div className="catalog-empty">
+              {entries.length === 0 ? 'No products are currently available.' : 'No products match your search.'}
+            </div>
+          ) : (
+            filteredGroups.map(group => (
+              <div key={group.key} className="catalog-group">
+                <h2>
+                  {group.productType === 'software' ? '💿' : '🎮'} {group.manufacturerLabel} {group.consoleLabel}
+                  {group.productType === 'software' && <small> Software</small>}
+                </h2>
+                <table className="catalog-table">
+                  <thead>
+                    <tr>
+                      <th>{group.productType === 'software' ? 'Title' : 'Color'}</th>
+                      <th>Rank</th>
+                      <th>Available</th>
+                      <th>Unit Price</th>
+                      <th>Quantity</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.entries.map(entry => {
+                      const remaining = entry.availableQuantity - getCartQuantity(entry.key);
+                      return (
+                        <tr key={entry.key}>
+                          <td>{group.productType === 'software' ? entry.softwareName : entry.colorLabel || '-'}</td>
+                          <td>
+                            <span className={`rank-badge rank-${entry.rank.toLowerCase()}`} title={entry.conditionLabel}>
+                              {entry.rank}
+                            </span>
+                          </td>
+                          <td>{entry.availableQuantity}</td>
+                          <td className="price-cell">
+                            {entry.price > 0 ? formatPrice(entry.price) : <span className="price-on-request">Price on request</span>}
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              min="1"
+                              max={remaining}
+                              value={quantities[entry.key] ?? ''}
+                              placeholder="1"
+                              disabled={remaining <= 0}
+                              onWheel={(e) => e.currentTarget.blur()}
+                              onChange={(e) => setQuantities(prev => ({ ...prev, [entry.key]: e.target.value }))}
+                              className="quantity-input"
+                            />
+                          </td>
+                          <td>
+                            <button
+                              className="btn-add-cart"
+                              disabled={remaining <= 0}
+                              onClick={() => handleAddToCart(entry)}
+                            >
+                              {remaining <= 0 ? 'In Cart' : '🛒 Add'}
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="catalog-cart">
+          <h2>🛒 Cart ({cartLines.length})</h2>
+          {cartLines.length === 0 ? (
+            <p className="cart-empty">Your cart is empty.</p>
+          ) : (
+            <>
+              <ul className="cart-lines">
+                {cartLines.map(line => (
+                  <li key={line.key}>
+                    <div className="cart-line-info">
+                      <strong>{getEntryName(line.entry)}</strong>
+                      <small>Rank {line.entry.rank} / {line.entry.price > 0 ? `${formatPrice(line.entry.price)} each` : 'Price on request'}</small>
+                    </div>
+                    <input
+                      type="number"
+                      min="1"
+                      max={line.entry.availableQuantity}
+                      value={line.quantity}
+                      onWheel={(e) => e.currentTarget.blur()}
+                      onChange={(e) => handleCartQuantityChange(line.key, e.target.value)}
+                      className="quantity-input"
+                    />
+                    <button className="remove-button" onClick={() => handleRemoveFromCart(line.key)}>🗑️</button>
+                  </li>
+                ))}
+              </ul>
+              <div className="cart-total">
+                <span>Estimated Subtotal</span>
+                <strong>{formatPrice(cartTotal)}</strong>
+              </div>
+              <p className="cart-note">
+                Shipping fee is not included.{hasUnpricedItems && ' Items marked "Price on request" will be priced in your quote.'}
+              </p>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Notes (Optional)"
+                rows="3"
+              />
+              <button className="submit-button" onClick={handleSubmit}>
+                📤 Submit Request
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BuyerCatalog;
@@ -12,6 +12,7 @@ import {
   Legend
 } from 'chart.js';
 import { Line, Bar, Pie, Doughnut } from 'react-chartjs-2';
+import { excludeRefundedSales } from '../utils/salesOrders';
 import './Dashboard.css';
 
 ChartJS.register(
@@ -69,7 +70,8 @@ const Dashboard = () => {
     
     try {
       // localStorageからデータを取得
-      const salesLedger = JSON.parse(localStorage.getItem('salesLedger') || '[]');
+      // 返金済みの売上は集計しない
+      const salesLedger = excludeRefundedSales(JSON.parse(localStorage.getItem('salesLedger') || '[]'));
       const applications = JSON.parse(localStorage.getItem('allApplications') || '[]');
       const inventory = JSON.parse(localStorage.getItem('inventory') || '[]');
       
@@ -380,7 +382,7 @@ const Dashboard = () => {
     const currentYear = now.getFullYear();
     const daysInMonth = new Date(currentYear, currentMonth + 1, 0).getDate();
     
-    const sales = JSON.parse(localStorage.getItem('salesLedger') || '[]');
+    const sales = excludeRefundedSales(JSON.parse(localStorage.getItem('salesLedger') || '[]'));
     const applications = JSON.parse(localStorage.getItem('allApplications') || '[]');
     const inventory = JSON.parse(localStorage.getItem('inventory') || '[]');
     
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  getExchangeRateHistory,
+  getCurrentExchangeRate,
+  toJSTDateKey,
+  addExchangeRate,
+  deleteExchangeRate,
+  importExchangeRatesCSV,
+  EXCHANGE_RATE_SOURCES
+} from '../utils/exchangeRates';
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } from '../data/currencies';
+import './ExchangeRateSettings.css';
+
+// 全通貨の現在のレート
+const getCurrentRates = () => Object.fromEntries(
+  Object.keys(SUPPORTED_CURRENCIES).map(code => [code, getCurrentExchangeRate(code)])
+);
+
+const ExchangeRateSettings = () => {
+  const { user } = useAuth();
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [history, setHistory] = useState(() => getExchangeRateHistory(DEFAULT_CURRENCY));
+  const [currentRates, setCurrentRates] = useState(() => getCurrentRates());
+  const [date, setDate] = useState(() => toJSTDateKey());
+  const [rate, setRate] = useState('');
+  const [note, setNote] = useState('');
+
+  const current = currentRates[currency];
+
+  const refresh = (code = currency) => {
+    setHistory(getExchangeRateHistory(code));
+    setCurrentRates(getCurrentRates());
+  };
+
+  const handleCurrencyChange = (code) => {
+    setCurrency(code);
+    refresh(code);
+  };
+
+  const handleAdd = () => {
+    if (history.some(entry => entry.date === date) && !window.confirm(`${date} の${currency}のレートは登録済みです。置き換えますか？`)) {
+      return;
+    }
+
+    const result = addExchangeRate({ currency, date, rate, note: note.trim(), createdBy: user?.name || '' });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    setRate('');
+    setNote('');
+    refresh();
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm(`${entry.date} の${entry.currency}のレート（¥${entry.rate}）を削除しますか？\n見積もり済みのリクエストに固定したレートは変わりません。`)) return;
+    deleteExchangeRate(entry.id);
+    refresh();
+  };
+
+  const handleImportCSV = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const result = importExchangeRatesCSV(e.target.result, { createdBy: user?.name || '', currency });
+      refresh();
+      if (result.errors.length > 0) {
+        alert(`${result.imported}件のレートを取り込みました。\n\n⚠️ 取り込めなかった行：\n${result.errors.slice(0, 10).join('\n')}${result.errors.length > 10 ? `\n…他${result.errors.length - 10}件` : ''}`);
+      } else {
+        alert(`✅ ${result.imported}件のレートを取り込みました`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  return (
+    <div className="exchange-rate-settings">
+      <div className="page-header">
+        <div>
+          <h1>💱 為替レート</h1>
+          <p className="subtitle">海外販売の見積もりはバイヤーの取引通貨で、送信時のレートで固定されます。後からレートを登録・修正しても、送信済みの見積もりと売上は再計算されません。</p>
+        </div>
+      </div>
+
+      <div className="current-rates">
+        {Object.entries(currentRates).map(([code, entry]) => (
+          <button
+            key={code}
+            type="button"
+            className={`current-rate ${code === currency ? 'selected' : ''}`}
+            onClick={() => handleCurrencyChange(code)}
+          >
+            <span>{code}（{SUPPORTED_CURRENCIES[code].label}）</span>
+            <strong>1 {code} = ¥{entry.rate}</strong>
+            <small>{entry.date ? `${entry.date} 登録分` : EXCHANGE_RATE_SOURCES[entry.source].label}</small>
+          </button>
+        ))}
+      </div>
+
+      <div className="card">
+        <h2>レートを登録</h2>
+        <div className="rate-form">
+          <div className="form-group">
+            <label>通貨 *</label>
+            <select value={currency} onChange={(e) => handleCurrencyChange(e.target.value)}>
+              {Object.entries(SUPPORTED_CURRENCIES).map(([code, value]) => (
+                <option key={code} value={code}>{code} - {value.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>適用日 *</label>
+            <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label>1{currency}あたりの円 *</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={rate}
+              onChange={(e) => setRate(e.target.value)}
+              placeholder={`例: ${SUPPORTED_CURRENCIES[currency].defaultRate}`}
+            />
+          </div>
+          <div className="form-group note-field">
+            <label>メモ</label>
+            <input type="text" value={note} onChange={(e) => setNote(e.target.value)} placeholder="例: 三菱UFJ銀行 TTM" />
+          </div>
+          <button className="primary-btn" onClick={handleAdd}>登録</button>
+        </div>
+
+        <div className="csv-import">
+          <label className="secondary-btn">
+            <input type="file" accept=".csv" onChange={handleImportCSV} style={{ display: 'none' }} />
+            📥 銀行のCSVを取り込む
+          </label>
+          <span className="hint">1列目が日付（YYYY/MM/DD）。通貨コード（USD・EUR など）の列があればそれぞれの通貨として、なければ「TTM」を含む列（なければ2列目）を{currency}のレートとして取り込みます。同じ通貨・日付のレートは置き換えます。</span>
+        </div>
+      </div>
+
+      <div className="card">
+        <h2>{currency}のレート履歴（{history.length}件）</h2>
+        {history.length === 0 ? (
+          <p className="empty-message">レートが登録されていません。{current.source === 'legacy' ? '旧設定' : '既定値'}（1 {currency} = ¥{current.rate}）を使用しています。</p>
+        ) : (
+          <table className="rates-table">
+            <thead>
+              <tr>
+                <th>適用日</th>
+                <th>レート</th>
+                <th>登録方法</th>
+                <th>メモ</th>
+                <th>登録者</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...history].reverse().map(entry => (
+                <tr key={entry.id} className={entry.date === current.date ? 'current-row' : ''}>
+                  <td>{entry.date}</td>
+                  <td><strong>¥{entry.rate}</strong></td>
+                  <td>{EXCHANGE_RATE_SOURCES[entry.source]?.label || entry.source}</td>
+                  <td>{entry.note || '-'}</td>
+                  <td>{entry.createdBy || '-'}</td>
+                  <td>
+                    <button className="danger-btn" onClick={() => handleDelete(entry)}>削除</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRateSettings;
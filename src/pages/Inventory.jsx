@@ -3,11 +3,19 @@ import { manufacturers, colors, conditions } from '../data/gameConsoles';
 import { getAllConsoles } from '../utils/productMaster';
 import { searchEbaySalesRecord } from '../utils/googleSheetsApi';
 import { recordLedgerSale } from '../utils/ledgerRecords';
+import { expireSalesOrders, getReservedQuantity, getAvailableQuantity, getInventoryReservations } from '../utils/salesOrders';
+import { getSalesOrderStatusLabel } from '../utils/salesOrderStateMachine';
+import { ITEM_PHOTO_TYPES } from '../utils/itemPhotos';
+import { resolveScannedCode } from '../utils/barcodeResolver';
+import { buildInventoryLabels } from '../utils/managementLabels';
+import BarcodeScanner from '../components/BarcodeScanner';
+import ManagementNumberLabels from '../components/ManagementNumberLabels';
 import { GOOGLE_SHEETS_CONFIG } from '../config/googleSheets';
 import './Inventory.css';
 
 const Inventory = () => {
   const [inventory, setInventory] = useState([]);
+  const [salesOrders, setSalesOrders] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [rankFilter, setRankFilter] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
@@ -19,6 +27,7 @@ const Inventory = () => {
   // 表示モード
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'detail'
   const [selectedItem, setSelectedItem] = useState(null);
+  const [showLabelPrint, setShowLabelPrint] = useState(false);
   
   // eBay販売フォーム
   const [showSalesForm, setShowSalesForm] = useState(false);
@@ -69,9 +78,15 @@ const Inventory = () => {
     console.log('[在庫管理] zaicoIdが設定されている在庫:', itemsWithZaicoId.length, '件');
     
     setInventory(inventoryData);
+    // 有効期限が過ぎた見積もりの引当を解除してから読み込む
+    setSalesOrders(expireSalesOrders().orders);
     setAllGameConsoles(getAllConsoles());
   }, []);
 
+  // 販売リクエストで引き当て中の数量と販売可能数
+  const getReservedStock = (item) => getReservedQuantity(item.id, { orders: salesOrders });
+  const getAvailableStock = (item) => getAvailableQuantity(item, { orders: salesOrders });
+
   // eBay販売記録の自動入力機能
   const handleEbayRecordSearch = async () => {
     if (!salesFormData.ebayRecordNumber.trim()) {
@@ -131,7 +146,8 @@ const Inventory = () => {
   const filteredInventory = inventory.filter(item => {
     // 商品名検索（機種名、ソフト名、カラー、管理番号を含む）
     const managementNumbersText = item.managementNumbers ? item.managementNumbers.join(' ') : '';
-    const searchText = `${item.consoleLabel || ''} ${item.softwareName || ''} ${item.colorLabel || ''} ${managementNumbersText}`.toLowerCase();
+    const serialNumbersText = (item.serialNumbers || []).join(' ');
+    const searchText = `${item.consoleLabel || ''} ${item.softwareName || ''} ${item.colorLabel || ''} ${managementNumbersText} ${serialNumbersText}`.toLowerCase();
     const matchesSearch = searchText.includes(searchTerm.toLowerCase());
     
     // ランクフィルター
@@ -241,6 +257,7 @@ const Inventory = () => {
       'ランク',
       'ステータス',
       '数量',
+      '引当数',
       '買取単価',
       '登録日',
       'SKU/ID',
@@ -277,6 +294,7 @@ const Inventory = () => {
         item.assessedRank || '',
         item.quantity > 0 ? getStatusLabel(item.status || 'in_stock') : '在庫なし',
         item.quantity || 0,
+        getReservedStock(item),
         item.buybackPrice || item.acquisitionPrice || 0,
         item.registeredDate ? new Date(item.registeredDate).toLocaleDateString('ja-JP') : '',
         item.id || '',
@@ -301,8 +319,30 @@ const Inventory = () => {
     setViewMode('detail');
   };
 
+  // バーコードのスキャン（管理番号は該当在庫の詳細を開き、JANコードは機種名で絞り込む）
+  const handleScan = (code) => {
+    const resolved = resolveScannedCode(code, { inventory });
+
+    if (resolved.type === 'management_number') {
+      if (resolved.inventoryItem) {
+        handleViewDetails(resolved.inventoryItem);
+      } else {
+        alert(`管理番号「${resolved.code}」の在庫は見つかりませんでした`);
+      }
+      return;
+    }
+
+    if (resolved.type === 'jan' && resolved.product) {
+      setSearchTerm(resolved.product.consoleLabel || resolved.product.manufacturerLabel);
+    } else {
+      setSearchTerm(resolved.code);
+    }
+    setCurrentPage(1);
+  };
+
   const handleBackToList = () => {
     setSelectedItem(null);
+    setShowLabelPrint(false);
     setViewMode('list');
     setShowSalesForm(false);
     setSalesFormData({
@@ -376,8 +416,11 @@ const Inventory = () => {
     }
 
     const quantity = salesFormData.quantity || 1;
-    if (quantity < 1 || quantity > selectedItem.quantity) {
-      alert(`販売数量は1から${selectedItem.quantity}の間で指定してください`);
+    const availableQuantity = getAvailableStock(selectedItem);
+    if (quantity < 1 || quantity > availableQuantity) {
+      alert(availableQuantity < selectedItem.quantity
+        ? `販売数量は1から${availableQuantity}の間で指定してください（${getReservedStock(selectedItem)}点は販売リクエストで引当中）`
+        : `販売数量は1から${selectedItem.quantity}の間で指定してください`);
       return;
     }
 
@@ -425,7 +468,10 @@ const Inventory = () => {
           ebayRecordNumber: salesFormData.salesChannel === 'ebay' ? salesFormData.ebayRecordNumber : null,
           soldTo: salesFormData.buyerName,
           soldAt: new Date().toISOString(),
-          managementNumbers: soldManagementNumbers
+          managementNumbers: soldManagementNumbers,
+          serialNumbers: soldManagementNumbers
+            .map(number => item.serialNumbersByManagementNumber?.[number])
+            .filter(Boolean)
         };
         salesHistory.push(saleRecord);
 
@@ -774,6 +820,14 @@ const Inventory = () => {
 
       <div className="filter-section">
         <h3>🔍 フィルター</h3>
+        <div className="inventory-scan">
+          <label>バーコード読み取り（管理番号・JANコード）</label>
+          <BarcodeScanner
+            onScan={handleScan}
+            placeholder="管理番号ラベルまたはJANコードをスキャン"
+            captureGlobal
+          />
+        </div>
         <div className="filter-controls">
           <div className="form-group">
             <label>商品検索</label>
@@ -781,7 +835,7 @@ const Inventory = () => {
               type="text"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
-              placeholder="機種名、ソフト名、カラー、管理番号で検索"
+              placeholder="機種名、ソフト名、カラー、管理番号、製造番号で検索"
             />
           </div>
           <div className="form-group">
@@ -874,7 +928,14 @@ const Inventory = () => {
                     {item.quantity > 0 ? getStatusLabel(item.status || 'in_stock') : '在庫なし'}
                   </span>
                 </td>
-                <td className="quantity-cell">{item.quantity}</td>
+                <td className="quantity-cell">
+                  {item.quantity}
+                  {getReservedStock(item) > 0 && (
+                    <div className="reserved-quantity" title="販売リクエストで引当中">
+                      🔒 {getReservedStock(item)} / 販売可 {getAvailableStock(item)}
+                    </div>
+                  )}
+                </td>
                 <td className="price-cell">¥{item.buybackPrice.toLocaleString()}</td>
                 <td className="date-cell">
                   <div className="date-display">
@@ -1345,11 +1406,25 @@ const Inventory = () => {
         <div className="item-detail-view">
           <div className="detail-header">
             <h1>📋 個別管理台帳</h1>
-            <button className="back-btn" onClick={handleBackToList}>
-              ← 在庫一覧に戻る
-            </button>
+            <div className="detail-header-actions">
+              {selectedItem?.managementNumbers?.length > 0 && (
+                <button className="print-labels-btn" onClick={() => setShowLabelPrint(true)}>
+                  🏷️ 管理番号ラベル印刷
+                </button>
+              )}
+              <button className="back-btn" onClick={handleBackToList}>
+                ← 在庫一覧に戻る
+              </button>
+            </div>
           </div>
 
+          {showLabelPrint && selectedItem && (
+            <ManagementNumberLabels
+              labels={buildInventoryLabels(selectedItem)}
+              onClose={() => setShowLabelPrint(false)}
+            />
+          )}
+
           {selectedItem && (
             <>
               {/* 商品情報カード */}
@@ -1443,6 +1518,32 @@ const Inventory = () => {
                     <span className="detail-label">現在在庫数:</span>
                     <span className="detail-value highlight">{selectedItem.quantity}台</span>
                   </div>
+                  {getReservedStock(selectedItem) > 0 && (
+                    <>
+                      <div className="detail-row">
+                        <span className="detail-label">引当数:</span>
+                        <span className="detail-value">{getReservedStock(selectedItem)}台</span>
+                      </div>
+                      <div className="detail-row">
+                        <span className="detail-label">販売可能数:</span>
+                        <span className="detail-value">{getAvailableStock(selectedItem)}台</span>
+                      </div>
+                      <div className="detail-row reservation-list">
+                        <span className="detail-label">引当中のリクエスト:</span>
+                        <ul>
+                          {getInventoryReservations(selectedItem.id, { orders: salesOrders }).map((reservation, index) => (
+                            <li key={`${reservation.requestNumber}-${index}`}>
+                              {reservation.requestNumber}（{reservation.customerName || '-'}）{reservation.quantity}台
+                              <span className="reservation-status">{getSalesOrderStatusLabel(reservation.status)}</span>
+                              {reservation.expiresAt && (
+                                <span className="reservation-expiry">期限 {new Date(reservation.expiresAt).toLocaleDateString('ja-JP')}</span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    </>
+                  )}
                   <div className="detail-row">
                     <span className="detail-label">仕入れ単価:</span>
                     <span className="detail-value">¥{(selectedItem.acquisitionPrice || selectedItem.buybackPrice || 0).toLocaleString()}</span>
@@ -1474,6 +1575,32 @@ const Inventory = () => {
                     </div>
                   </div>
                 )}
+
+                {/* 査定時の状態写真（海外バイヤーへの商品紹介に利用） */}
+                {selectedItem.photos && selectedItem.photos.length > 0 && (
+                  <div className="inventory-photos-detail">
+                    <div className="inventory-photos-header">
+                      <h3>📷 状態写真 ({selectedItem.photos.length}枚)</h3>
+                      <button
+                        className="copy-photo-urls-btn"
+                        onClick={() => {
+                          navigator.clipboard.writeText(selectedItem.photos.map(photo => photo.url).join('\n'));
+                          alert('写真のURLをコピーしました');
+                        }}
+                      >
+                        🔗 URLをまとめてコピー
+                      </button>
+                    </div>
+                    <div className="inventory-photos-grid">
+                      {selectedItem.photos.map(photo => (
+                        <a key={photo.id} href={photo.url} target="_blank" rel="noopener noreferrer" className="inventory-photo">
+                          <img src={photo.thumbnailUrl || photo.url} alt={ITEM_PHOTO_TYPES[photo.type]?.label || photo.type} />
+                          <span>{ITEM_PHOTO_TYPES[photo.type]?.label || photo.type}</span>
+                        </a>
+                      ))}
+                    </div>
+                  </div>
+                )}
               </div>
 
               {/* ステータスと販売情報 */}
@@ -1580,12 +1707,15 @@ const Inventory = () => {
                               <input
                                 type="number"
                                 min="1"
-                                max={selectedItem.quantity}
+                                max={getAvailableStock(selectedItem)}
                                 value={salesFormData.quantity}
                                 onChange={(e) => setSalesFormData({...salesFormData, quantity: parseInt(e.target.value) || 1})}
                                 placeholder="1"
                               />
-                              <small className="input-hint">現在の在庫: {selectedItem.quantity}点</small>
+                              <small className="input-hint">
+                                現在の在庫: {selectedItem.quantity}点
+                                {getReservedStock(selectedItem) > 0 && `（うち${getReservedStock(selectedItem)}点は引当中）`}
+                              </small>
                             </div>
                           </div>
 
@@ -2,11 +2,22 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { validateAndSanitize, validators } from '../utils/validation';
 import './Ledger.css';
 import { loadLedgerRecords as loadLedgerStorage, migrateLegacyLedgerData } from '../utils/ledgerRecords';
+import { loadArchivedLedgerRecords, verifyLedgerWithArchives } from '../utils/ledgerArchive';
+import { formatIdentityVerification } from '../utils/identityVerification';
+import { useAuth } from '../contexts/AuthContext';
+import PoliceLedgerExport from '../components/PoliceLedgerExport';
+import LedgerCorrection from '../components/LedgerCorrection';
+import LedgerArchiveManager from '../components/LedgerArchiveManager';
 
 const Ledger = () => {
+  const { user } = useAuth();
   const [rawLedgerRecords, setRawLedgerRecords] = useState([]);
   const [expandedRecord, setExpandedRecord] = useState(null);
   const [records, setRecords] = useState([]);
+  const [showPoliceExport, setShowPoliceExport] = useState(false); // 提出用出力
+  const [correctingRecordId, setCorrectingRecordId] = useState(null); // 訂正中の台帳記録
+  const [verificationResult, setVerificationResult] = useState(null); // 改ざんチェックの結果
+  const [showArchiveManager, setShowArchiveManager] = useState(false); // 保管・アーカイブ
   
   // ページネーション関連
   const [currentPage, setCurrentPage] = useState(1);
@@ -25,6 +36,9 @@ const Ledger = () => {
     return Number.isNaN(date.getTime()) ? '-' : date.toLocaleDateString('ja-JP');
   };
 
+  // 取消された取引を除く
+  const getActiveEvents = (section) => (section?.events || []).filter(event => !event.voided);
+
   const safeRankClass = (rank) => {
     if (typeof rank === 'string' && rank.length > 0) {
       return `rank-${rank.toLowerCase()}`;
@@ -37,7 +51,8 @@ const Ledger = () => {
     transactionType: '',
     productSearch: '',
     skuSearch: '',
-    customerSearch: ''
+    customerSearch: '',
+    includeArchived: false
   });
 
   // Validation states
@@ -98,14 +113,17 @@ const Ledger = () => {
   };
 
   const loadLedgerRecords = useCallback(() => {
-    const ledgerRecords = loadLedgerStorage();
+    // アーカイブ済みの記録は指定した場合のみ検索対象にする
+    const ledgerRecords = filters.includeArchived
+      ? [...loadLedgerStorage(), ...loadArchivedLedgerRecords()]
+      : loadLedgerStorage();
     console.log('=== Ledger Records 読み込み ===', ledgerRecords);
 
     setRawLedgerRecords(ledgerRecords);
 
     const filtered = ledgerRecords.filter(record => {
-      const firstPurchase = record.purchase?.events?.[0] || null;
-      const lastSale = record.sale?.events?.[record.sale.events.length - 1] || null;
+      const firstPurchase = getActiveEvents(record.purchase)[0] || null;
+      const lastSale = getActiveEvents(record.sale).slice(-1)[0] || null;
 
       const purchaseDateISO = firstPurchase?.date || null;
       const saleDateISO = lastSale?.date || null;
@@ -157,7 +175,10 @@ const Ledger = () => {
         const managementMatch = (record.managementNumbers || []).some(num =>
           String(num).toLowerCase().includes(searchTerm)
         );
-        if (!skuMatch && !managementMatch) {
+        const serialMatch = (record.serialNumbers || []).some(serial =>
+          String(serial).toLowerCase().includes(searchTerm)
+        );
+        if (!skuMatch && !managementMatch && !serialMatch) {
           return false;
         }
       }
@@ -180,8 +201,8 @@ const Ledger = () => {
     });
 
     const tableRecords = filtered.map(record => {
-      const firstPurchase = record.purchase?.events?.[0] || null;
-      const lastSale = record.sale?.events?.[record.sale.events.length - 1] || null;
+      const firstPurchase = getActiveEvents(record.purchase)[0] || null;
+      const lastSale = getActiveEvents(record.sale).slice(-1)[0] || null;
       const purchaseDateISO = firstPurchase?.date || null;
       const saleDateISO = lastSale?.date || null;
 
@@ -218,11 +239,13 @@ const Ledger = () => {
       return {
         id: record.id,
         record,
+        archiveId: record.archiveId || null,
         date: formatDate(purchaseDateISO),
         rawPurchaseDate: purchaseDateISO,
         type: hasSale ? '販売' : '買取',
         sku: record.inventoryId || '-',
         managementNumber: (record.managementNumbers || []).join(', ') || '-',
+        serialNumber: (record.serialNumbers || []).join(', '),
         productName: record.product?.title || '-',
         features,
         rank: record.product?.assessedRank || '-',
@@ -232,6 +255,14 @@ const Ledger = () => {
         customerAddress,
         customerOccupation: customer.occupation || '-',
         customerAge,
+        // 本人確認は買取（お客様からの仕入）のみ対象
+        identityVerification: firstPurchase?.identityVerification
+          ? formatIdentityVerification(firstPurchase.identityVerification)
+          : (firstPurchase?.sourceType === 'customer' ? '未記録' : '-'),
+        watchlistNote: [
+          ...getActiveEvents(record.purchase).map(event => event.watchlistNote?.text),
+          ...(record.watchlistNotes || []).map(note => note.text)
+        ].filter(Boolean).join(' ／ '),
         saleDate: hasSale ? formatDate(saleDateISO) : '-',
         rawSaleDate: saleDateISO,
         salePrice: hasSale ? record.sale?.totalRevenueJPY || 0 : '-',
@@ -351,7 +382,8 @@ const Ledger = () => {
       transactionType: '',
       productSearch: '',
       skuSearch: '',
-      customerSearch: ''
+      customerSearch: '',
+      includeArchived: false
     });
     // フィルターをクリアした後、レコードを再読み込み
     setTimeout(() => {
@@ -360,68 +392,9 @@ const Ledger = () => {
     }, 100);
   };
 
-  // 重複データをクリーンアップする関数
-  const cleanupDuplicateRecords = () => {
-    const salesHistory = JSON.parse(localStorage.getItem('salesHistory') || '[]');
-    const uniqueSales = [];
-    const seenCombinations = new Set();
-    
-    console.log('=== 重複クリーンアップ開始 ===');
-    console.log('元の販売履歴件数:', salesHistory.length);
-    
-    salesHistory.forEach(sale => {
-      // 重複判定のキーを作成（商品名、価格、日時、顧客名、販売チャネルの組み合わせ）
-      const duplicateKey = `${sale.inventoryItemId}-${sale.soldPrice}-${sale.soldAt}-${sale.soldTo}-${sale.salesChannel}`;
-      
-      if (!seenCombinations.has(duplicateKey)) {
-        seenCombinations.add(duplicateKey);
-        uniqueSales.push(sale);
-        console.log('保持:', sale.id, sale.soldTo, sale.soldPrice, sale.salesChannel);
-      } else {
-        console.log('重複削除:', sale.id, sale.soldTo, sale.soldPrice, sale.salesChannel);
-      }
-    });
-    
-    localStorage.setItem('salesHistory', JSON.stringify(uniqueSales));
-    console.log('重複クリーンアップ完了:', {
-      元の件数: salesHistory.length,
-      クリーンアップ後: uniqueSales.length,
-      削除件数: salesHistory.length - uniqueSales.length
-    });
-    
-    // 古物台帳を再読み込み
-    loadLedgerRecords();
-  };
-
-  const clearAllRecords = () => {
-    if (window.confirm('⚠️ 古物台帳の全記録を削除します。この操作は取り消せません。\n\n本当に実行しますか？')) {
-      if (window.confirm('🚨 最終確認：古物台帳の全記録を完全に削除します。\n\nこの操作は絶対に取り消せません。\n\n本当に実行しますか？')) {
-        console.log('=== 古物台帳全記録削除開始 ===');
-        
-        // 販売履歴をクリア
-        localStorage.removeItem('salesHistory');
-        console.log('販売履歴をクリアしました');
-        
-        // 古物台帳データをクリア
-        localStorage.removeItem('ledger');
-        localStorage.removeItem('ledgerRecords');
-        console.log('古物台帳データをクリアしました');
-        
-        // 在庫データをクリア
-        localStorage.removeItem('inventory');
-        console.log('在庫データをクリアしました');
-        
-        // 買取申請データをクリア
-        localStorage.removeItem('allApplications');
-        console.log('買取申請データをクリアしました');
-        
-        // 古物台帳を再読み込み
-        loadLedgerRecords();
-        
-        alert('✅ 古物台帳の全記録を削除しました。');
-        console.log('古物台帳全記録削除完了');
-      }
-    }
+  // 記録簿の改ざん・欠落チェック
+  const handleVerifyLedger = () => {
+    setVerificationResult({ ...verifyLedgerWithArchives(), checkedAt: new Date().toISOString() });
   };
 
   // CSVエクスポート関数
@@ -444,6 +417,7 @@ const Ledger = () => {
       '取引種別',
       'SKU',
       '管理番号',
+      '製造番号',
       '品目（商品名）',
       '特徴（カラー・状態）',
       'ランク',
@@ -453,6 +427,8 @@ const Ledger = () => {
       '相手方住所',
       '相手方職業',
       '相手方年齢',
+      '本人確認',
+      '品触れ照合',
       '販売日',
       '販売価格',
       '販売先',
@@ -484,6 +460,7 @@ const Ledger = () => {
         record.type || '',
         record.sku || '',
         record.managementNumber || '',
+        record.serialNumber || '',
         record.productName || '',
         record.features || '',
         record.rank || '',
@@ -493,6 +470,8 @@ const Ledger = () => {
         record.customerAddress || '',
         record.customerOccupation || '',
         record.customerAge || '',
+        record.identityVerification || '',
+        record.watchlistNote || '',
         record.saleDate || '',
         salePriceValue,
         record.buyer || '',
@@ -560,6 +539,16 @@ const Ledger = () => {
               <option value="sale">販売</option>
             </select>
           </div>
+          <div className="form-group form-group-archived">
+            <label>
+              <input
+                type="checkbox"
+                checked={filters.includeArchived}
+                onChange={(e) => handleFilterChange('includeArchived', e.target.checked)}
+              />
+              アーカイブも検索
+            </label>
+          </div>
           <div className="form-group">
             <label>商品名</label>
             <input
@@ -570,12 +559,12 @@ const Ledger = () => {
             />
           </div>
           <div className="form-group">
-            <label>SKU/管理番号</label>
+            <label>SKU/管理番号/製造番号</label>
             <input
               type="text"
               value={filters.skuSearch}
               onChange={(e) => handleFilterChange('skuSearch', e.target.value)}
-              placeholder="SKUまたは管理番号"
+              placeholder="SKU・管理番号・製造番号"
             />
           </div>
           <div className="form-group">
@@ -619,6 +608,27 @@ const Ledger = () => {
         </div>
       </div>
 
+      {verificationResult && (
+        <div className={`ledger-verification ${verificationResult.valid ? 'valid' : 'invalid'}`}>
+          <div className="ledger-verification-header">
+            <strong>
+              {verificationResult.valid
+                ? `✅ 改ざん・欠落は見つかりませんでした（${verificationResult.entryCount}件）`
+                : `🚨 ${verificationResult.issues.length}件の問題が見つかりました（${verificationResult.entryCount}件中）`}
+            </strong>
+            <span>{new Date(verificationResult.checkedAt).toLocaleString('ja-JP')} 確認</span>
+            <button onClick={() => setVerificationResult(null)}>✕</button>
+          </div>
+          {!verificationResult.valid && (
+            <ul>
+              {verificationResult.issues.map((issue, index) => (
+                <li key={index}>{issue.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* 古物台帳テーブル */}
       <div className="ledger-table-section">
         <div className="action-buttons">
@@ -626,10 +636,10 @@ const Ledger = () => {
             <span className="record-count">全{records.length}件</span>
           </div>
           <div className="right-actions">
-            <button onClick={clearAllRecords} style={{backgroundColor: '#dc3545', color: 'white'}}>
-              🗑️ 全記録クリア
-            </button>
+            <button onClick={handleVerifyLedger}>🔒 改ざんチェック</button>
             <button onClick={handleExportData}>エクスポート</button>
+            <button onClick={() => setShowPoliceExport(true)}>📑 提出用出力</button>
+            <button onClick={() => setShowArchiveManager(true)}>📦 保管・アーカイブ</button>
             <button onClick={() => window.print()}>印刷</button>
           </div>
         </div>
@@ -664,11 +674,13 @@ const Ledger = () => {
                   <th>相手方住所</th>
                   <th>相手方職業</th>
                   <th>相手方年齢</th>
+                  <th>本人確認</th>
                   <th>販売日</th>
                   <th>販売価格</th>
                   <th>販売先</th>
                   <th>販売先住所</th>
                   <th>状態</th>
+                  <th>操作</th>
                 </tr>
               </thead>
               <tbody>
@@ -687,8 +699,16 @@ const Ledger = () => {
                     <td>{record.date || '-'}</td>
                     <td className={record.type === '買取' ? 'type-purchase' : 'type-sale'}>{record.type || '-'}</td>
                     <td><span className="sku-code">{record.sku || '-'}</span></td>
-                    <td>{record.managementNumber || '-'}</td>
-                    <td>{record.productName || '-'}</td>
+                    <td>
+                      {record.managementNumber || '-'}
+                      {record.serialNumber && <small className="serial-number">S/N: {record.serialNumber}</small>}
+                    </td>
+                    <td>
+                      {record.productName || '-'}
+                      {record.watchlistNote && (
+                        <span className="watchlist-note" title={record.watchlistNote}>🚨 品触れ照合あり</span>
+                      )}
+                    </td>
                     <td>{record.features || '-'}</td>
                     <td><span className={`rank-badge ${rankClass}`}>{record.rank || '-'}</span></td>
                     <td>{quantity}</td>
@@ -697,11 +717,21 @@ const Ledger = () => {
                     <td>{record.customerAddress || '-'}</td>
                     <td>{record.customerOccupation || '-'}</td>
                     <td>{record.customerAge || '-'}</td>
+                    <td className={record.identityVerification === '未記録' ? 'identity-missing' : ''}>{record.identityVerification || '-'}</td>
                     <td>{record.saleDate || '-'}</td>
             <td>{salePrice}</td>
             <td>{buyerName}</td>
                     <td>{record.buyerAddress || '-'}</td>
                     <td>{getStatusBadge(record.status)}</td>
+                    <td>
+                      {record.archiveId ? (
+                        <span className="archived-badge" title={record.archiveId}>📦 アーカイブ済</span>
+                      ) : (
+                        <button className="correction-btn" onClick={() => setCorrectingRecordId(record.id)}>
+                          訂正{record.record.corrections?.length > 0 && `（${record.record.corrections.length}）`}
+                        </button>
+                      )}
+                    </td>
                   </tr>
                 );})}
               </tbody>
@@ -803,9 +833,35 @@ const Ledger = () => {
           )}
       </div>
 
+      {correctingRecordId && rawLedgerRecords.some(r => r.id === correctingRecordId) && (
+        <LedgerCorrection
+          record={rawLedgerRecords.find(r => r.id === correctingRecordId)}
+          performedBy={user?.name || user?.email || ''}
+          onCorrected={loadLedgerRecords}
+          onClose={() => setCorrectingRecordId(null)}
+        />
+      )}
+
+      {showArchiveManager && (
+        <LedgerArchiveManager
+          performedBy={user?.name || user?.email || ''}
+          onArchived={loadLedgerRecords}
+          onClose={() => setShowArchiveManager(false)}
+        />
+      )}
+
+      {showPoliceExport && (
+        <PoliceLedgerExport
+          records={rawLedgerRecords}
+          initialDateFrom={filters.dateFrom}
+          initialDateTo={filters.dateTo}
+          onClose={() => setShowPoliceExport(false)}
+        />
+      )}
+
       <div className="law-notice">
         <h3>⚖️ 古物営業法対応</h3>
-        <p>この台帳は古物営業法第16条に基づく帳簿として管理されています。必須記載事項：取引年月日、品目、特徴、数量、代価、相手方の住所・氏名・職業・年齢</p>
+        <p>この台帳は古物営業法第16条に基づく帳簿として管理されています。必須記載事項：取引年月日、品目、特徴、数量、代価、相手方の住所・氏名・職業・年齢、本人確認の方法</p>
       </div>
     </div>
   );
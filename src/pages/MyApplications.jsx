@@ -1,5 +1,40 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import {
+  transitionApplication,
+  getStatusLabel as getWorkflowStatusLabel,
+  getStatusBadgeClass,
+  hasReachedStatus,
+  getActiveItems,
+  isItemReturned,
+  calculateQuoteTotal
+} from '../utils/buybackStateMachine';
+import {
+  ITEM_DECISIONS,
+  getNegotiationThread,
+  getPendingCounterOffer,
+  submitCustomerResponse
+} from '../utils/buybackNegotiation';
+import {
+  RETURN_STATUSES,
+  RETURN_COST_BEARERS,
+  getReturnShipments,
+  needsReturnShipment,
+  confirmReturnReceived
+} from '../utils/returnShipments';
+import { ITEM_PHOTO_TYPES, getItemPhotos } from '../utils/itemPhotos';
+import {
+  PAYOUT_STATUSES,
+  isPayableApplication,
+  calculatePayoutAmount,
+  getMaskedAccountNumber,
+  getPayouts,
+  getPayoutStatus,
+  getSavedBankAccount,
+  registerBankAccount,
+  secureStoredBankAccounts
+} from '../utils/payouts';
+import { ACCOUNT_TYPES } from '../utils/zenginFormat';
 import './MyApplications.css';
 
 const MyApplications = () => {
@@ -8,6 +43,12 @@ const MyApplications = () => {
   const [selectedApp, setSelectedApp] = useState(null);
   const [expandedApp, setExpandedApp] = useState(null);
   const [printApp, setPrintApp] = useState(null); // 印刷する申込を管理
+  const [respondingApp, setRespondingApp] = useState(null); // 商品別に回答中の申込
+  const [itemResponses, setItemResponses] = useState({}); // { [itemId]: { decision, proposedPrice } }
+  const [responseMessage, setResponseMessage] = useState('');
+  const [returnShipments, setReturnShipments] = useState(() => getReturnShipments());
+  const [payouts, setPayouts] = useState(() => getPayouts());
+  const [bankForms, setBankForms] = useState({}); // { [applicationNumber]: 入力中の振込先口座 }
 
   // 自分の申込履歴を取得
   useEffect(() => {
@@ -25,6 +66,15 @@ const MyApplications = () => {
     setApplications(sortedApplications);
   }, [user.email]);
 
+  // 口座番号を平文で保存していた口座を暗号化済みに置き換える
+  useEffect(() => {
+    secureStoredBankAccounts().then(result => {
+      if (result.success) {
+        setPayouts(getPayouts());
+      }
+    });
+  }, []);
+
   // データの更新を監視
   const refreshApplications = () => {
     const allApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
@@ -38,6 +88,31 @@ const MyApplications = () => {
     setApplications(sortedApplications);
   };
 
+  // ステータスを遷移させて保存（遷移定義に違反する場合はfalse）
+  const updateApplicationStatus = (app, nextStatus) => {
+    const allApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
+    const latest = allApplications.find(a => a.applicationNumber === app.applicationNumber) || app;
+
+    const result = transitionApplication(latest, nextStatus, {
+      performedBy: user.name || user.email,
+      role: 'customer'
+    });
+
+    if (!result.success) {
+      alert(`この操作は行えません\n${result.error}`);
+      refreshApplications();
+      return false;
+    }
+
+    const updatedApplications = allApplications.map(a =>
+      a.applicationNumber === app.applicationNumber ? result.application : a
+    );
+
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+    refreshApplications();
+    return true;
+  };
+
   // 承認待ちの件数
   const pendingCount = applications.filter(app => app.status === 'awaiting_approval').length;
 
@@ -45,7 +120,7 @@ const MyApplications = () => {
   const handleApprove = (app) => {
     // 1回目の確認
     const firstConfirm = window.confirm(
-      `この見積もり内容で承認しますか？\n\n合計買取金額: ¥${calculateTotal(app.items, app.shippingInfo).toLocaleString()}`
+      `この見積もり内容で承認しますか？\n\n合計買取金額: ¥${calculateQuoteTotal(app).toLocaleString()}`
     );
     
     if (!firstConfirm) return;
@@ -58,16 +133,7 @@ const MyApplications = () => {
     if (!secondConfirm) return;
 
     // ステータスを更新
-    const allApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
-    const updatedApplications = allApplications.map(a => {
-      if (a.applicationNumber === app.applicationNumber) {
-        return { ...a, status: 'approved' };
-      }
-      return a;
-    });
-
-    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
-    refreshApplications();
+    if (!updateApplicationStatus(app, 'approved')) return;
     alert('承認が完了しました。お振込までお待ちください。');
   };
 
@@ -80,23 +146,121 @@ const MyApplications = () => {
     if (!confirm) return;
 
     // ステータスを更新
+    if (!updateApplicationStatus(app, 'rejected')) return;
+    alert('見積もりを拒否しました。商品は返送されます。');
+  };
+
+  // 商品別回答フォームの開閉
+  const handleToggleRespond = (app) => {
+    if (respondingApp === app.applicationNumber) {
+      setRespondingApp(null);
+      return;
+    }
+    setRespondingApp(app.applicationNumber);
+    setItemResponses({});
+    setResponseMessage('');
+  };
+
+  const handleItemResponseChange = (itemId, field, value) => {
+    setItemResponses({
+      ...itemResponses,
+      [itemId]: { ...itemResponses[itemId], [field]: value }
+    });
+  };
+
+  // 商品別回答の送信（価格提案があれば再見積もり、承認と返品希望のみなら買取確定）
+  const handleSubmitResponse = (app) => {
     const allApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
-    const updatedApplications = allApplications.map(a => {
-      if (a.applicationNumber === app.applicationNumber) {
-        return { ...a, status: 'rejected' };
-      }
-      return a;
+    const latest = allApplications.find(a => a.applicationNumber === app.applicationNumber) || app;
+
+    const result = submitCustomerResponse(latest, itemResponses, {
+      message: responseMessage,
+      customerName: user.name || user.email
     });
 
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    const returnCount = getActiveItems(latest).length - getActiveItems(result.application).length;
+    const confirmMessage = result.outcome === 'approved'
+      ? `返品希望の${returnCount}点を除いた内容で承認します。\n\n合計買取金額: ¥${calculateQuoteTotal(result.application).toLocaleString()}\n\n承認後は取り消すことができません。よろしいですか？`
+      : 'ご提案内容を送信します。再見積もりをお待ちください。よろしいですか？';
+
+    if (!window.confirm(confirmMessage)) return;
+
+    const updatedApplications = allApplications.map(a =>
+      a.applicationNumber === app.applicationNumber ? result.application : a
+    );
     localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+
+    setRespondingApp(null);
+    setItemResponses({});
+    setResponseMessage('');
     refreshApplications();
-    alert('見積もりを拒否しました。商品は返送されます。');
+
+    alert(result.outcome === 'approved'
+      ? '承認が完了しました。返品希望の商品は返送いたします。お振込までお待ちください。'
+      : 'ご提案を送信しました。担当者が再見積もりを行います。');
+  };
+
+  // 返送商品の受け取り確認
+  const handleConfirmReturnReceived = (returnShipment) => {
+    if (!window.confirm('返送された商品を受け取りましたか？')) return;
+
+    const result = confirmReturnReceived(returnShipment.id, user.name || user.email);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    setReturnShipments(getReturnShipments());
+    alert('受け取りを確認しました。ご利用ありがとうございました。');
+  };
+
+  // 振込先口座の入力を開始（登録済みの口座があれば初期値にする。口座番号は空欄なら登録済みの番号のまま）
+  const handleStartBankForm = (app) => {
+    const payout = payouts.find(p => p.applicationNumber === app.applicationNumber);
+    setBankForms({
+      ...bankForms,
+      [app.applicationNumber]: payout?.bankAccount ? { ...payout.bankAccount, accountNumber: '' } : {
+        bankName: '',
+        bankCode: '',
+        branchName: '',
+        branchCode: '',
+        accountType: '1',
+        accountNumber: '',
+        accountHolderKana: ''
+      }
+    });
+  };
+
+  const handleBankFormChange = (applicationNumber, field, value) => {
+    setBankForms({
+      ...bankForms,
+      [applicationNumber]: { ...bankForms[applicationNumber], [field]: value }
+    });
+  };
+
+  // 振込先口座を登録
+  const handleRegisterBankAccount = async (app, account) => {
+    const result = await registerBankAccount(app, account, { performedBy: user.name || user.email });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    setPayouts(getPayouts());
+    const { [app.applicationNumber]: _, ...rest } = bankForms;
+    setBankForms(rest);
+    alert('振込先口座を登録しました。お振込まで今しばらくお待ちください。');
   };
 
-  const calculateTotal = (items, shippingInfo) => {
-    if (!items) return 0;
-    const itemsTotal = items.reduce((sum, item) => sum + (item.buybackPrice || 0) * item.quantity, 0);
-    return itemsTotal;
+  const getItemName = (item) => {
+    return item.productType === 'software'
+      ? item.softwareName
+      : `${item.manufacturerLabel} - ${item.consoleLabel}`;
   };
 
   // 見積書印刷
@@ -130,33 +294,12 @@ const MyApplications = () => {
   };
 
   const getStatusLabel = (status) => {
-    const statusLabels = {
-      'applied': '📝 申込受付',
-      'kit_sent': '📮 キット発送済',
-      'pickup_scheduled': '🚚 集荷予定',
-      'received': '📦 商品到着',
-      'assessing': '🔍 査定中',
-      'awaiting_approval': '⏳ 承認待ち',
-      'approved': '✅ 買取確定',
-      'rejected': '❌ 拒否',
-      'in_inventory': '📊 完了'
-    };
-    return statusLabels[status] || status;
+    return getWorkflowStatusLabel(status, { withIcon: true, audience: 'customer', short: true });
   };
 
+  // お客様画面では在庫登録済を「完了」として表示する
   const getStatusClass = (status) => {
-    const statusClasses = {
-      'applied': 'status-applied',
-      'kit_sent': 'status-kit-sent',
-      'pickup_scheduled': 'status-pickup',
-      'received': 'status-received',
-      'assessing': 'status-assessing',
-      'awaiting_approval': 'status-waiting',
-      'approved': 'status-approved',
-      'rejected': 'status-rejected',
-      'in_inventory': 'status-completed'
-    };
-    return statusClasses[status] || 'status-default';
+    return status === 'in_inventory' ? 'status-completed' : getStatusBadgeClass(status);
   };
 
   return (
@@ -210,7 +353,7 @@ const MyApplications = () => {
               </tr>
             </thead>
             <tbody>
-              {app.items && app.items.map((item, index) => (
+              {getActiveItems(app).map((item, index) => (
                 <tr key={item.id || index}>
                   <td>{index + 1}</td>
                   <td>
@@ -236,7 +379,7 @@ const MyApplications = () => {
           <div className="estimate-total">
             <div className="total-row grand-total">
               <span>合計買取金額</span>
-              <span>¥{calculateTotal(app.items, app.shippingInfo).toLocaleString()}</span>
+              <span>¥{calculateQuoteTotal(app).toLocaleString()}</span>
             </div>
           </div>
 
@@ -319,7 +462,7 @@ const MyApplications = () => {
                   <h4>🎮 申込商品（{app.items.length}点）</h4>
                   <ul className="items-list">
                     {app.items.map((item, index) => (
-                      <li key={item.id || index}>
+                      <li key={item.id || index} className={isItemReturned(item) ? 'item-returned' : ''}>
                         {item.productType === 'software' ? (
                           <>
                             <strong>{item.softwareName}</strong>
@@ -335,6 +478,7 @@ const MyApplications = () => {
                             {' '}（ランク: {item.assessedRank} / 単価: ¥{(item.buybackPrice || 0).toLocaleString()}）
                           </span>
                         )}
+                        {isItemReturned(item) && <span className="returned-badge">返品</span>}
                       </li>
                     ))}
                     </ul>
@@ -342,14 +486,19 @@ const MyApplications = () => {
                 )}
 
                 {/* 査定結果表示 */}
-                {(app.status === 'awaiting_approval' || app.status === 'approved' || app.status === 'in_inventory') && 
+                {hasReachedStatus(app.status, 'awaiting_approval') && 
                   app.items && app.items.length > 0 && (
                   <div className="card-section assessment-section">
                   <h4>💰 査定結果</h4>
                   <div className="assessment-total">
                     <span className="total-label">合計買取金額</span>
-                    <span className="total-amount">¥{calculateTotal(app.items, app.shippingInfo).toLocaleString()}</span>
+                    <span className="total-amount">¥{calculateQuoteTotal(app).toLocaleString()}</span>
                   </div>
+                  {(app.lots || []).filter(lot => lot.bundleDiscountPercent > 0).map(lot => (
+                    <p key={lot.id} className="lot-discount-note">
+                      📦 まとめ査定 {lot.itemCount}点にまとめ割引{lot.bundleDiscountPercent}%（−¥{lot.discountAmount.toLocaleString()}）を適用しています
+                    </p>
+                  ))}
                   
                   <div className="assessment-actions">
                     <button 
@@ -380,8 +529,9 @@ const MyApplications = () => {
                         </thead>
                         <tbody>
                           {app.items.map((item, index) => (
-                            <tr key={item.id || index}>
+                            <tr key={item.id || index} className={isItemReturned(item) ? 'item-returned' : ''}>
                               <td>
+                                {isItemReturned(item) && <span className="returned-badge">返品</span>}
                                 {item.productType === 'software' ? (
                                   <>
                                     {item.softwareName}
@@ -393,11 +543,24 @@ const MyApplications = () => {
                                 ) : (
                                   `${item.manufacturerLabel} - ${item.consoleLabel}`
                                 )}
+                                {getItemPhotos(item).length > 0 && (
+                                  <div className="item-photo-thumbnails">
+                                    {getItemPhotos(item).map(photo => (
+                                      <a key={photo.id} href={photo.url} target="_blank" rel="noopener noreferrer">
+                                        <img
+                                          src={photo.thumbnailUrl || photo.url}
+                                          alt={ITEM_PHOTO_TYPES[photo.type]?.label || photo.type}
+                                          title={ITEM_PHOTO_TYPES[photo.type]?.label || photo.type}
+                                        />
+                                      </a>
+                                    ))}
+                                  </div>
+                                )}
                               </td>
                               <td>{item.assessedRank || '-'}</td>
                               <td>{item.quantity}</td>
                               <td>¥{(item.buybackPrice || 0).toLocaleString()}</td>
-                              <td>¥{((item.buybackPrice || 0) * item.quantity).toLocaleString()}</td>
+                              <td>{isItemReturned(item) ? '-' : `¥${((item.buybackPrice || 0) * item.quantity).toLocaleString()}`}</td>
                             </tr>
                           ))}
                         </tbody>
@@ -407,6 +570,52 @@ const MyApplications = () => {
                   </div>
                 )}
 
+                {/* 交渉履歴 */}
+                {getNegotiationThread(app).length > 0 && (
+                  <div className="card-section negotiation-section">
+                    <h4>💬 交渉履歴</h4>
+                    <ul className="negotiation-thread">
+                      {getNegotiationThread(app).map(entry => (
+                        <li key={entry.id} className={`negotiation-entry ${entry.author}`}>
+                          <div className="negotiation-meta">
+                            <strong>{entry.author === 'customer' ? 'お客様' : '担当者'}</strong>
+                            <span>{new Date(entry.date).toLocaleString('ja-JP')}</span>
+                          </div>
+                          {entry.message && <p className="negotiation-message">{entry.message}</p>}
+                          <ul className="negotiation-items">
+                            {entry.responses.map(response => (
+                              <li key={response.itemId}>
+                                {response.itemLabel}：
+                                {entry.type === 'counter_offer' ? (
+                                  <>
+                                    {ITEM_DECISIONS[response.decision]?.icon} {ITEM_DECISIONS[response.decision]?.shortLabel}
+                                    {response.decision === 'counter' && (
+                                      <> ¥{response.quotedPrice.toLocaleString()} → 希望 ¥{response.proposedPrice.toLocaleString()}</>
+                                    )}
+                                  </>
+                                ) : (
+                                  <>
+                                    {response.previousPrice !== null && response.previousPrice !== response.quotedPrice
+                                      ? `¥${response.previousPrice.toLocaleString()} → ¥${response.quotedPrice.toLocaleString()}`
+                                      : `¥${response.quotedPrice.toLocaleString()}（据え置き）`}
+                                  </>
+                                )}
+                              </li>
+                            ))}
+                          </ul>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* 価格提案後、再見積もり待ち */}
+                {getPendingCounterOffer(app) && !hasReachedStatus(app.status, 'awaiting_approval') && app.status !== 'rejected' && (
+                  <div className="card-footer requote-waiting-section">
+                    <p>⏳ ご提案を受け付けました。担当者が再見積もりを行っています。</p>
+                  </div>
+                )}
+
                 {/* 承認待ちの場合、承認・拒否ボタン */}
                 {app.status === 'awaiting_approval' && (
                   <div className="card-footer approval-section">
@@ -420,6 +629,12 @@ const MyApplications = () => {
                     >
                       ❌ 拒否する
                     </button>
+                    <button 
+                      onClick={() => handleToggleRespond(app)}
+                      className="respond-btn"
+                    >
+                      📝 商品ごとに回答する
+                    </button>
                     <button 
                       onClick={() => handleApprove(app)}
                       className="approve-btn"
@@ -427,18 +642,272 @@ const MyApplications = () => {
                       ✅ 承認する
                     </button>
                     </div>
+
+                  {respondingApp === app.applicationNumber && (
+                    <div className="item-response-form">
+                      <p className="item-response-hint">
+                        商品ごとに「承認」「返品希望」「価格提案」を選択できます。価格提案がある場合は担当者が再見積もりを行います。
+                      </p>
+                      <table className="detail-table">
+                        <thead>
+                          <tr>
+                            <th>商品</th>
+                            <th>数量</th>
+                            <th>見積単価</th>
+                            <th>回答</th>
+                            <th>希望単価</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {getActiveItems(app).map(item => (
+                            <tr key={item.id}>
+                              <td>{getItemName(item)}</td>
+                              <td>{item.quantity}</td>
+                              <td>¥{(item.buybackPrice || 0).toLocaleString()}</td>
+                              <td>
+                                <select
+                                  value={itemResponses[item.id]?.decision || ''}
+                                  onChange={(e) => handleItemResponseChange(item.id, 'decision', e.target.value)}
+                                >
+                                  <option value="">選択してください</option>
+                                  {Object.entries(ITEM_DECISIONS).map(([value, decision]) => (
+                                    <option key={value} value={value}>{decision.icon} {decision.label}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              <td>
+                                {itemResponses[item.id]?.decision === 'counter' ? (
+                                  <input
+                                    type="number"
+                                    min="1"
+                                    value={itemResponses[item.id]?.proposedPrice || ''}
+                                    onChange={(e) => handleItemResponseChange(item.id, 'proposedPrice', e.target.value)}
+                                    placeholder="円"
+                                  />
+                                ) : '-'}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <textarea
+                        value={responseMessage}
+                        onChange={(e) => setResponseMessage(e.target.value)}
+                        placeholder="担当者へのメッセージ（任意）"
+                        rows="3"
+                      />
+                      <div className="item-response-actions">
+                        <button onClick={() => setRespondingApp(null)} className="cancel-response-btn">
+                          キャンセル
+                        </button>
+                        <button onClick={() => handleSubmitResponse(app)} className="submit-response-btn">
+                          回答を送信する
+                        </button>
+                      </div>
+                    </div>
+                  )}
                   </div>
                 )}
 
+                {/* 返送状況 */}
+                {needsReturnShipment(app) && (() => {
+                  const returnShipment = returnShipments.find(r => r.applicationNumber === app.applicationNumber);
+                  return (
+                    <div className="card-section return-section">
+                      <h4>↩️ 商品の返送</h4>
+                      {!returnShipment ? (
+                        <p>返送の準備を進めております。発送後に追跡番号をお知らせします。</p>
+                      ) : (
+                        <>
+                          <p>
+                            <strong>{RETURN_STATUSES[returnShipment.status].icon} {RETURN_STATUSES[returnShipment.status].label}</strong>
+                          </p>
+                          <p>
+                            返送料: ¥{returnShipment.shippingCost.toLocaleString()}（{RETURN_COST_BEARERS[returnShipment.costBearer].label}）
+                          </p>
+                          {returnShipment.trackingNumber && (
+                            <p>配送業者: {returnShipment.carrier} / 追跡番号: {returnShipment.trackingNumber}</p>
+                          )}
+                          {returnShipment.status === 'shipped' && (
+                            <button
+                              onClick={() => handleConfirmReturnReceived(returnShipment)}
+                              className="confirm-return-btn"
+                            >
+                              📦 商品を受け取りました
+                            </button>
+                          )}
+                          {returnShipment.receivedAt && (
+                            <p className="return-received-date">
+                              受取確認日: {new Date(returnShipment.receivedAt).toLocaleDateString('ja-JP')}
+                            </p>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  );
+                })()}
+
                 {/* 買取確定の場合 */}
-                {app.status === 'approved' && (
+                {(app.status === 'approved' || app.status === 'auto_approved') && (
                   <div className="card-footer approved-section">
                   <p className="approved-message">
-                      ✅ 買取が確定しました。事業者より振込手続きについてご連絡いたします。
+                      ✅ 買取が確定しました。下記の振込先口座をご登録ください。
                     </p>
                   </div>
                 )}
 
+                {/* 買取代金のお振込 */}
+                {isPayableApplication(app) && (() => {
+                  const payout = payouts.find(p => p.applicationNumber === app.applicationNumber);
+                  const payoutStatus = getPayoutStatus(app);
+                  const form = bankForms[app.applicationNumber];
+                  const savedAccount = getSavedBankAccount(app.customer.email);
+                  const amount = payout && payoutStatus !== 'ready' ? payout.amount : calculatePayoutAmount(app);
+
+                  if (payoutStatus === 'paid') {
+                    return (
+                      <div className="card-footer payment-completed-section">
+                        <p className="payment-completed-message">
+                          ✅ {new Date(payout.paidAt).toLocaleDateString('ja-JP')} に ¥{amount.toLocaleString()} をお振込いたしました。
+                        </p>
+                      </div>
+                    );
+                  }
+
+                  if (payoutStatus === 'scheduled') {
+                    return (
+                      <div className="card-footer payment-section">
+                        <p className="payment-message">
+                          📅 {payout.scheduledDate} に ¥{amount.toLocaleString()} をお振込予定です。
+                          （{payout.bankAccount.bankName} {payout.bankAccount.branchName} {getMaskedAccountNumber(payout.bankAccount)}）
+                        </p>
+                      </div>
+                    );
+                  }
+
+                  return (
+                    <div className="card-footer account-section">
+                      <p className="account-message">
+                        {PAYOUT_STATUSES[payoutStatus].icon} お振込金額: <strong>¥{amount.toLocaleString()}</strong>
+                        {payout && `（${PAYOUT_STATUSES[payoutStatus].label}：${payout.bankAccount.bankName} ${payout.bankAccount.branchName} ${getMaskedAccountNumber(payout.bankAccount)}）`}
+                      </p>
+
+                      {!form && (
+                        <button onClick={() => handleStartBankForm(app)} className="respond-btn">
+                          🏦 {payout ? '振込先口座を変更する' : '振込先口座を登録する'}
+                        </button>
+                      )}
+
+                      {form && (
+                        <div className="identity-form">
+                          {!payout && savedAccount && (
+                            <div className="previous-account-info">
+                              <h4>前回ご登録の口座</h4>
+                              <p><strong>金融機関:</strong> {savedAccount.bankName}（{savedAccount.bankCode}）</p>
+                              <p><strong>支店:</strong> {savedAccount.branchName}（{savedAccount.branchCode}）</p>
+                              <p><strong>口座:</strong> {ACCOUNT_TYPES[savedAccount.accountType]?.label} {getMaskedAccountNumber(savedAccount)}</p>
+                              <p><strong>口座名義:</strong> {savedAccount.accountHolderKana}</p>
+                              <button onClick={() => handleRegisterBankAccount(app, savedAccount)} className="approve-btn">
+                                この口座で登録する
+                              </button>
+                            </div>
+                          )}
+
+                          <h4>🏦 振込先口座</h4>
+                          <div className="form-row compact-bank-info">
+                            <div className="form-group compact-bank">
+                              <label>銀行名</label>
+                              <input
+                                type="text"
+                                value={form.bankName}
+                                onChange={(e) => handleBankFormChange(app.applicationNumber, 'bankName', e.target.value)}
+                                placeholder="例: みずほ銀行"
+                              />
+                            </div>
+                            <div className="form-group compact-branch">
+                              <label>支店名</label>
+                              <input
+                                type="text"
+                                value={form.branchName}
+                                onChange={(e) => handleBankFormChange(app.applicationNumber, 'branchName', e.target.value)}
+                              />
+                            </div>
+                            <div className="form-group compact-type">
+                              <label>種別</label>
+                              <select
+                                value={form.accountType}
+                                onChange={(e) => handleBankFormChange(app.applicationNumber, 'accountType', e.target.value)}
+                              >
+                                {Object.entries(ACCOUNT_TYPES).map(([value, type]) => (
+                                  <option key={value} value={value}>{type.label}</option>
+                                ))}
+                              </select>
+                            </div>
+                          </div>
+                          <div className="form-row compact-bank-info">
+                            <div className="form-group compact-bank">
+                              <label>金融機関コード（4桁）</label>
+                              <input
+                                type="text"
+                                inputMode="numeric"
+                                maxLength={4}
+                                value={form.bankCode}
+                                onChange={(e) => handleBankFormChange(app.applicationNumber, 'bankCode', e.target.value)}
+                              />
+                            </div>
+                            <div className="form-group compact-branch">
+                              <label>支店コード（3桁）</label>
+                              <input
+                                type="text"
+                                inputMode="numeric"
+                                maxLength={3}
+                                value={form.branchCode}
+                                onChange={(e) => handleBankFormChange(app.applicationNumber, 'branchCode', e.target.value)}
+                              />
+                            </div>
+                          </div>
+                          <div className="form-row compact-account-info">
+                            <div className="form-group compact-number">
+                              <label>口座番号</label>
+                              <input
+                                type="text"
+                                inputMode="numeric"
+                                maxLength={7}
+                                value={form.accountNumber}
+                                onChange={(e) => handleBankFormChange(app.applicationNumber, 'accountNumber', e.target.value)}
+                                placeholder={form.maskedAccountNumber || ''}
+                              />
+                            </div>
+                            <div className="form-group compact-holder">
+                              <label>口座名義（カタカナ）</label>
+                              <input
+                                type="text"
+                                value={form.accountHolderKana}
+                                onChange={(e) => handleBankFormChange(app.applicationNumber, 'accountHolderKana', e.target.value)}
+                                placeholder="例: ヤマダ タロウ"
+                              />
+                            </div>
+                          </div>
+                          <div className="approval-buttons">
+                            <button
+                              onClick={() => {
+                                const { [app.applicationNumber]: _, ...rest } = bankForms;
+                                setBankForms(rest);
+                              }}
+                              className="reject-btn"
+                            >
+                              キャンセル
+                            </button>
+                            <button onClick={() => handleRegisterBankAccount(app, form)} className="approve-btn">
+                              口座を登録する
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
+
                 {/* 完了の場合 */}
                 {app.status === 'in_inventory' && (
                   <div className="card-footer completed-section">
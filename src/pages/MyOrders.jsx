@@ -1,5 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { getSalesOrderStatusLabel, getSalesOrderStatusBadgeClass, getBackorderedItems } from '../utils/salesOrderStateMachine';
+import { updateSalesOrderStatus, expireSalesOrders } from '../utils/salesOrders';
+import { getCurrentExchangeRate, convertFromJPY, formatCurrencyAmount, normalizeCurrency } from '../utils/exchangeRates';
+import { SUPPORTED_CURRENCIES } from '../data/currencies';
+import { countUnseenWishMatches } from '../utils/wishLists';
+import BuyerWishList from '../components/BuyerWishList';
 import './MyOrders.css';
 
 // 担当者名から英語名を抽出
@@ -14,18 +20,23 @@ const MyOrders = () => {
   const [orders, setOrders] = useState([]);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [expandedOrder, setExpandedOrder] = useState(null);
+  // ほしい物リストの入荷通知（BuyerWishList を表示すると既読になるため、先に件数を取っておく）
+  const [unseenWishMatches] = useState(() => countUnseenWishMatches(user.email));
 
-  // 為替レート（USD to JPY）- Sales.jsxと同じ
-  const EXCHANGE_RATE = 150; // $1 = ¥150
+  // 注文の通貨（見積もり時に固定した通貨。通貨のない旧データはUSD）
+  const getOrderCurrency = (order) => normalizeCurrency(order?.exchangeRateLock ? order.exchangeRateLock.currency : order?.currency);
 
-  // JPYをUSDに変換
-  const convertToUSD = (jpy) => {
-    return Math.round(jpy / EXCHANGE_RATE * 100) / 100; // 小数点2桁
+  // JPYを注文の通貨で表示（見積もり時に固定したレート、未固定なら現在のレート）
+  const formatOrderAmount = (jpy, order) => {
+    const currency = getOrderCurrency(order);
+    const rate = order?.exchangeRateLock?.rate || getCurrentExchangeRate(currency).rate;
+    return formatCurrencyAmount(convertFromJPY(jpy, rate, currency), currency);
   };
 
   // 自分の注文履歴を取得
   useEffect(() => {
-    const salesRequests = JSON.parse(localStorage.getItem('salesRequests') || '[]');
+    // 有効期限が過ぎた見積もりは期限切れにして在庫の引当を解除
+    const salesRequests = expireSalesOrders().orders;
     // 自分のメールアドレスでフィルタ
     const myOrders = salesRequests.filter(req => req.customer.email === user.email);
     // 見積もり受領済みを上に、その後は新しい順
@@ -41,7 +52,7 @@ const MyOrders = () => {
 
   // データの更新を監視
   const refreshOrders = () => {
-    const salesRequests = JSON.parse(localStorage.getItem('salesRequests') || '[]');
+    const salesRequests = expireSalesOrders().orders;
     const myOrders = salesRequests.filter(req => req.customer.email === user.email);
     const sortedOrders = myOrders.sort((a, b) => {
       if (a.status === 'quoted' && b.status !== 'quoted') return -1;
@@ -59,7 +70,7 @@ const MyOrders = () => {
     const total = calculateTotal(order.items) + (order.shippingFee || 0);
     // 1回目の確認
     const firstConfirm = window.confirm(
-      `Approve this quote?\n\nTotal Amount: $${convertToUSD(total).toFixed(2)}`
+      `Approve this quote?\n\nTotal Amount: ${formatOrderAmount(total, order)}`
     );
     
     if (!firstConfirm) return;
@@ -72,16 +83,15 @@ const MyOrders = () => {
     if (!secondConfirm) return;
 
     // ステータスを更新
-    const salesRequests = JSON.parse(localStorage.getItem('salesRequests') || '[]');
-    const updatedRequests = salesRequests.map(req => {
-      if (req.requestNumber === order.requestNumber) {
-        return { ...req, status: 'approved' };
-      }
-      return req;
+    const result = updateSalesOrderStatus(order.requestNumber, 'approved', {
+      performedBy: user.email,
+      role: 'customer'
     });
-
-    localStorage.setItem('salesRequests', JSON.stringify(updatedRequests));
     refreshOrders();
+    if (!result.success) {
+      alert('This quote can no longer be approved. Please contact us.');
+      return;
+    }
     alert('Quote approved. Please proceed with payment.');
   };
 
@@ -93,17 +103,16 @@ const MyOrders = () => {
     
     if (!confirm) return;
 
-    // ステータスを更新
-    const salesRequests = JSON.parse(localStorage.getItem('salesRequests') || '[]');
-    const updatedRequests = salesRequests.map(req => {
-      if (req.requestNumber === order.requestNumber) {
-        return { ...req, status: 'declined' };
-      }
-      return req;
+    // ステータスを更新（見積もり時に引き当てた在庫は解除される）
+    const result = updateSalesOrderStatus(order.requestNumber, 'declined', {
+      performedBy: user.email,
+      role: 'customer'
     });
-
-    localStorage.setItem('salesRequests', JSON.stringify(updatedRequests));
     refreshOrders();
+    if (!result.success) {
+      alert('This quote can no longer be declined. Please contact us.');
+      return;
+    }
     alert('Quote declined.');
   };
 
@@ -144,29 +153,9 @@ const MyOrders = () => {
     return jstTime.toISOString().split('T')[0];
   };
 
-  const getStatusLabel = (status) => {
-    const statusLabels = {
-      'pending': '⏳ Pending Quote',
-      'quoted': '📋 Quote Received',
-      'approved': '✅ Approved',
-      'payment_confirmed': '💳 Payment Confirmed',
-      'shipped': '📦 Shipped',
-      'declined': '❌ Declined'
-    };
-    return statusLabels[status] || status;
-  };
+  const getStatusLabel = (status) => getSalesOrderStatusLabel(status, { withIcon: true, audience: 'customer' });
 
-  const getStatusClass = (status) => {
-    const statusClasses = {
-      'pending': 'status-pending',
-      'quoted': 'status-quoted',
-      'approved': 'status-approved',
-      'payment_confirmed': 'status-payment',
-      'shipped': 'status-shipped',
-      'declined': 'status-declined'
-    };
-    return statusClasses[status] || 'status-default';
-  };
+  const getStatusClass = (status) => getSalesOrderStatusBadgeClass(status);
 
   const toggleExpand = (requestNumber) => {
     setExpandedOrder(expandedOrder === requestNumber ? null : requestNumber);
@@ -188,6 +177,16 @@ const MyOrders = () => {
         </div>
       )}
 
+      {unseenWishMatches > 0 && (
+        <div className="notification-banner">
+          <div className="notification-icon">⭐</div>
+          <div className="notification-content">
+            <strong>Back in stock!</strong>
+            <p>{unseenWishMatches} new item(s) matching your wish list have arrived. <a href="#wish-list">See your wish list</a></p>
+          </div>
+        </div>
+      )}
+
       {/* 注文一覧 */}
       {orders.length === 0 ? (
         <div className="empty-state">
@@ -252,8 +251,8 @@ const MyOrders = () => {
                             <span className="item-quantity">×{item.quantity}</span>
                             {item.quotedPrice > 0 && (
                               <>
-                                <span className="item-unit-price">${convertToUSD(item.quotedPrice).toFixed(2)}</span>
-                                <span className="item-subtotal">${convertToUSD(item.quotedPrice * item.quantity).toFixed(2)}</span>
+                                <span className="item-unit-price">{formatOrderAmount(item.quotedPrice, order)}</span>
+                                <span className="item-subtotal">{formatOrderAmount(item.quotedPrice * item.quantity, order)}</span>
                               </>
                             )}
                           </div>
@@ -262,16 +261,16 @@ const MyOrders = () => {
                     </div>
 
                     {/* 合計金額（見積もり受領後のみ） */}
-                    {['quoted', 'approved', 'payment_confirmed', 'shipped'].includes(order.status) && (
+                    {['quoted', 'approved', 'payment_confirmed', 'partially_shipped', 'shipped', 'on_hold', 'refunded'].includes(order.status) && (
                       <div className="order-total-section">
                         <div className="order-total">
                           <span className="total-label">Subtotal:</span>
-                          <span className="total-value">${convertToUSD(calculateTotal(order.items)).toFixed(2)}</span>
+                          <span className="total-value">{formatOrderAmount(calculateTotal(order.items), order)}</span>
                         </div>
                         {order.shippingFee && (
                           <div className="order-total">
                             <span className="total-label">Shipping Fee:</span>
-                            <span className="total-value">${convertToUSD(order.shippingFee).toFixed(2)}</span>
+                            <span className="total-value">{formatOrderAmount(order.shippingFee, order)}</span>
                           </div>
                         )}
                         {order.deliveryDays && (
@@ -282,7 +281,7 @@ const MyOrders = () => {
                         )}
                         <div className="order-total grand-total">
                           <span className="total-label">Total Amount:</span>
-                          <span className="total-value">${convertToUSD(calculateTotal(order.items) + (order.shippingFee || 0)).toFixed(2)}</span>
+                          <span className="total-value">{formatOrderAmount(calculateTotal(order.items) + (order.shippingFee || 0), order)}</span>
                         </div>
                       </div>
                     )}
@@ -296,16 +295,47 @@ const MyOrders = () => {
                     </div>
                   )}
 
-                  {/* 発送情報（発送済みの場合） */}
-                  {order.status === 'shipped' && (
+                  {/* 発送情報（発送済み・一部発送済みの場合） */}
+                  {['partially_shipped', 'shipped'].includes(order.status) && (
                     <div className="details-section shipping-info">
                       <h4>📦 Shipping Information</h4>
-                      <p><strong>Method:</strong> {order.shippingMethod || 'EMS'}</p>
-                      {order.trackingNumber && (
-                        <p><strong>Tracking Number:</strong> {order.trackingNumber}</p>
+                      {order.shipments?.length > 0 ? (
+                        order.shipments.map(shipment => (
+                          <div key={shipment.shipmentNumber} className="shipment-entry">
+                            <p><strong>{shipment.shipmentNumber}</strong> - Shipped {shipment.shippedDate} via {shipment.carrier}</p>
+                            <p><strong>Tracking Number:</strong> {shipment.trackingNumber || '-'}</p>
+                            <p className="shipment-items">
+                              {shipment.lines.map(line => {
+                                const item = order.items.find(i => i.id === line.itemId);
+                                if (!item) return null;
+                                const name = item.productType === 'software' ? item.softwareName : `${item.manufacturerLabel} ${item.consoleLabel}`;
+                                return `${name} ×${line.quantity}`;
+                              }).filter(Boolean).join(', ')}
+                            </p>
+                          </div>
+                        ))
+                      ) : (
+                        <>
+                          <p><strong>Method:</strong> {order.shippingMethod || 'EMS'}</p>
+                          {order.trackingNumber && (
+                            <p><strong>Tracking Number:</strong> {order.trackingNumber}</p>
+                          )}
+                          {order.shippedDate && (
+                            <p><strong>Shipped Date:</strong> {order.shippedDate}</p>
+                          )}
+                        </>
                       )}
-                      {order.shippedDate && (
-                        <p><strong>Shipped Date:</strong> {order.shippedDate}</p>
+                      {order.status === 'partially_shipped' && (
+                        <div className="backordered-items">
+                          <p><strong>⏳ Backordered (will ship separately):</strong></p>
+                          <ul>
+                            {getBackorderedItems(order).map(({ item, quantity }) => (
+                              <li key={item.id}>
+                                {item.productType === 'software' ? item.softwareName : `${item.manufacturerLabel} ${item.consoleLabel}`} ×{quantity}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
                       )}
                     </div>
                   )}
@@ -315,6 +345,11 @@ const MyOrders = () => {
                     {/* 承認・拒否ボタン（見積もり受領時のみ） */}
                     {order.status === 'quoted' && (
                       <>
+                        {order.quoteExpiresAt && (
+                          <div className="quote-expiry">
+                            ⌛ Valid until {new Date(order.quoteExpiresAt).toLocaleDateString('en-US')}
+                          </div>
+                        )}
                         <button 
                           className="btn-approve"
                           onClick={() => handleApprove(order)}
@@ -353,6 +388,30 @@ const MyOrders = () => {
                         ℹ️ Payment confirmed. We are preparing for shipment.
                       </div>
                     )}
+
+                    {order.status === 'on_hold' && (
+                      <div className="info-message">
+                        ℹ️ Your order is on hold. We will contact you shortly.
+                      </div>
+                    )}
+
+                    {order.status === 'expired' && (
+                      <div className="info-message">
+                        ℹ️ This quote has expired. Please submit a new request if you are still interested.
+                      </div>
+                    )}
+
+                    {order.status === 'cancelled' && (
+                      <div className="info-message">
+                        ℹ️ This order has been cancelled.{order.paymentConfirmedAt && ' Your payment will be refunded.'}
+                      </div>
+                    )}
+
+                    {order.status === 'refunded' && (
+                      <div className="info-message">
+                        ℹ️ Your payment has been refunded.
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
@@ -361,6 +420,9 @@ const MyOrders = () => {
         </div>
       )}
 
+      {/* ほしい物リスト（入荷通知） */}
+      <BuyerWishList user={user} />
+
       {/* 印刷用テンプレート */}
       {selectedOrder && orders.find(o => o.requestNumber === selectedOrder) && (
         <div className="print-only estimate-sheet">
@@ -404,8 +466,8 @@ const MyOrders = () => {
                       <th>Condition</th>
                       <th>Package</th>
                       <th>Qty</th>
-                      <th>Unit Price</th>
-                      <th>Amount</th>
+                      <th>Unit Price ({getOrderCurrency(order)})</th>
+                      <th>Amount ({getOrderCurrency(order)})</th>
                     </tr>
                   </thead>
                   <tbody>
@@ -426,8 +488,8 @@ const MyOrders = () => {
                         <td>{item.conditionLabel || '-'}</td>
                         <td>{item.packageTypeLabel || '-'}</td>
                         <td>{item.quantity}</td>
-                        <td>${convertToUSD(item.quotedPrice || 0).toFixed(2)}</td>
-                        <td>${convertToUSD((item.quotedPrice || 0) * item.quantity).toFixed(2)}</td>
+                        <td>{formatOrderAmount(item.quotedPrice || 0, order)}</td>
+                        <td>{formatOrderAmount((item.quotedPrice || 0) * item.quantity, order)}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -436,12 +498,12 @@ const MyOrders = () => {
                 <div className="estimate-total">
                   <div className="total-row">
                     <span>Subtotal</span>
-                    <span>${convertToUSD(calculateTotal(order.items)).toFixed(2)}</span>
+                    <span>{formatOrderAmount(calculateTotal(order.items), order)}</span>
                   </div>
                   {order.shippingFee && (
                     <div className="total-row">
                       <span>Shipping Fee</span>
-                      <span>${convertToUSD(order.shippingFee).toFixed(2)}</span>
+                      <span>{formatOrderAmount(order.shippingFee, order)}</span>
                     </div>
                   )}
                   {order.deliveryDays && (
@@ -452,7 +514,7 @@ const MyOrders = () => {
                   )}
                   <div className="total-row grand-total">
                     <span>Total Amount</span>
-                    <span>${convertToUSD(calculateTotal(order.items) + (order.shippingFee || 0)).toFixed(2)}</span>
+                    <span>{formatOrderAmount(calculateTotal(order.items) + (order.shippingFee || 0), order)}</span>
                   </div>
                 </div>
 
@@ -464,7 +526,7 @@ const MyOrders = () => {
                 )}
 
                 <div className="estimate-footer">
-                  <p>* All prices are in US Dollars (USD)</p>
+                  <p>* All prices are in {SUPPORTED_CURRENCIES[getOrderCurrency(order)].labelEn} ({getOrderCurrency(order)})</p>
                   <p>* Payment terms: Wire transfer in advance</p>
                   <p>* Items will be shipped after payment confirmation</p>
                   <p>* Prices are subject to availability and may change</p>
@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getStatusLabel } from '../utils/buybackStateMachine';
+import { ACCOUNT_TYPES } from '../utils/zenginFormat';
+import {
+  PAYOUT_STATUSES,
+  isPayableApplication,
+  calculatePayoutAmount,
+  getMaskedAccountNumber,
+  getPayouts,
+  getPayoutSettings,
+  savePayoutSettings,
+  getPayoutBatches,
+  createPayoutBatch,
+  buildBatchZenginFile,
+  markBatchPaid,
+  cancelPayoutBatch,
+  secureStoredBankAccounts
+} from '../utils/payouts';
+import './Payouts.css';
+
+// 翌営業日（土日を除く）をYYYY-MM-DDで取得
+const getNextBusinessDay = () => {
+  const date = new Date();
+  do {
+    date.setDate(date.getDate() + 1);
+  } while (date.getDay() === 0 || date.getDay() === 6);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const downloadZenginFile = async (batch) => {
+  try {
+    const bytes = await buildBatchZenginFile(batch);
+    const blob = new Blob([bytes], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zengin_${batch.transferDate.replace(/-/g, '')}_${batch.items.length}件.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    alert(`振込データの作成に失敗しました\n${error.message}`);
+  }
+};
+
+const Payouts = () => {
+  const { user } = useAuth();
+  const staffName = user?.name || user?.email || '';
+
+  const [applications] = useState(() => JSON.parse(localStorage.getItem('allApplications') || '[]'));
+  const [payouts, setPayouts] = useState(() => getPayouts());
+  const [batches, setBatches] = useState(() => getPayoutBatches());
+  const [settings, setSettings] = useState(() => getPayoutSettings());
+  const [showSettings, setShowSettings] = useState(() => !getPayoutSettings().requesterCode);
+  const [statusFilter, setStatusFilter] = useState('ready');
+  const [selectedNumbers, setSelectedNumbers] = useState([]);
+  const [transferDate, setTransferDate] = useState(getNextBusinessDay);
+
+  // 口座番号を平文で保存していた口座を暗号化済みに置き換える
+  useEffect(() => {
+    secureStoredBankAccounts().then(result => {
+      if (result.success) {
+        setPayouts(getPayouts());
+        setBatches(getPayoutBatches());
+      }
+    });
+  }, []);
+
+  const reload = () => {
+    setPayouts(getPayouts());
+    setBatches(getPayoutBatches());
+    setSelectedNumbers([]);
+  };
+
+  const rows = applications
+    .filter(isPayableApplication)
+    .map(app => {
+      const payout = payouts.find(p => p.applicationNumber === app.applicationNumber) || null;
+      return {
+        app,
+        payout,
+        status: payout?.status || 'awaiting_account',
+        amount: payout?.status === 'scheduled' || payout?.status === 'paid' ? payout.amount : calculatePayoutAmount(app)
+      };
+    })
+    .sort((a, b) => new Date(b.app.date) - new Date(a.app.date));
+
+  const filteredRows = statusFilter === 'all' ? rows : rows.filter(row => row.status === statusFilter);
+  const selectedRows = rows.filter(row => selectedNumbers.includes(row.app.applicationNumber));
+  const selectedTotal = selectedRows.reduce((sum, row) => sum + row.amount, 0);
+  const readyRows = filteredRows.filter(row => row.status === 'ready');
+
+  const toggleSelect = (applicationNumber) => {
+    setSelectedNumbers(prev => prev.includes(applicationNumber)
+      ? prev.filter(number => number !== applicationNumber)
+      : [...prev, applicationNumber]);
+  };
+
+  const handleSaveSettings = () => {
+    const result = savePayoutSettings(settings);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    setSettings(getPayoutSettings());
+    setShowSettings(false);
+    alert('振込依頼人の設定を保存しました');
+  };
+
+  const handleCreateBatch = () => {
+    if (!confirm(`${selectedRows.length}件・合計 ¥${selectedTotal.toLocaleString()} を ${transferDate} 振込で予定しますか？\n全銀フォーマットの振込データをダウンロードします。`)) {
+      return;
+    }
+
+    const result = createPayoutBatch(selectedRows.map(row => row.app), { transferDate, createdBy: staffName });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    downloadZenginFile(result.batch);
+    reload();
+  };
+
+  const handleMarkPaid = (batch) => {
+    if (!confirm(`${batch.transferDate} 振込分（${batch.items.length}件・¥${batch.totalAmount.toLocaleString()}）を振込完了にしますか？\nお客様の画面に振込完了と表示されます。`)) {
+      return;
+    }
+    const result = markBatchPaid(batch.id, staffName);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    reload();
+  };
+
+  const handleCancelBatch = (batch) => {
+    if (!confirm('この振込予定を取り消して振込待ちに戻しますか？\n銀行へ振込データを送信済みの場合は、先に銀行側で取り消してください。')) {
+      return;
+    }
+    const result = cancelPayoutBatch(batch.id, staffName);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    reload();
+  };
+
+  const scheduledBatches = batches.filter(batch => batch.status === 'scheduled');
+  const recentBatches = batches
+    .filter(batch => batch.status !== 'scheduled')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, 10);
+
+  return (
+    <div className="payouts-page">
+      <div className="page-header">
+        <div>
+          <h1>💴 振込管理</h1>
+          <p className="subtitle">買取確定した申込の代金振込を管理します。振込待ちの申込を選択して全銀フォーマットの総合振込データを作成できます。</p>
+        </div>
+        <button className="secondary-btn" onClick={() => setShowSettings(!showSettings)}>
+          {showSettings ? '✕ 閉じる' : '⚙️ 振込依頼人の設定'}
+        </button>
+      </div>
+
+      {showSettings && (
+        <div className="card">
+          <h2>振込依頼人（当社口座）</h2>
+          <p className="hint">銀行と契約した総合振込の委託者コード・委託者名と、振込元の口座を登録します。委託者名・金融機関名はカタカナで入力してください。</p>
+          <div className="payout-settings-grid">
+            <div className="form-group">
+              <label>委託者コード</label>
+              <input value={settings.requesterCode} onChange={(e) => setSettings({ ...settings, requesterCode: e.target.value })} placeholder="10桁以内" />
+            </div>
+            <div className="form-group">
+              <label>委託者名（カナ）</label>
+              <input value={settings.requesterName} onChange={(e) => setSettings({ ...settings, requesterName: e.target.value })} placeholder="例: カ）ゲームカイトリ" />
+            </div>
+            <div className="form-group">
+              <label>金融機関名（カナ）</label>
+              <input value={settings.bankName} onChange={(e) => setSettings({ ...settings, bankName: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>金融機関コード</label>
+              <input value={settings.bankCode} onChange={(e) => setSettings({ ...settings, bankCode: e.target.value })} placeholder="4桁" maxLength={4} />
+            </div>
+            <div className="form-group">
+              <label>支店名（カナ）</label>
+              <input value={settings.branchName} onChange={(e) => setSettings({ ...settings, branchName: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>支店コード</label>
+              <input value={settings.branchCode} onChange={(e) => setSettings({ ...settings, branchCode: e.target.value })} placeholder="3桁" maxLength={3} />
+            </div>
+            <div className="form-group">
+              <label>預金種目</label>
+              <select value={settings.accountType} onChange={(e) => setSettings({ ...settings, accountType: e.target.value })}>
+                {Object.entries(ACCOUNT_TYPES).map(([value, type]) => (
+                  <option key={value} value={value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>口座番号</label>
+              <input value={settings.accountNumber} onChange={(e) => setSettings({ ...settings, accountNumber: e.target.value })} maxLength={7} />
+            </div>
+          </div>
+          <div className="editor-actions">
+            <button className="primary-btn" onClick={handleSaveSettings}>保存</button>
+          </div>
+        </div>
+      )}
+
+      {scheduledBatches.length > 0 && (
+        <div className="card">
+          <h2>📅 振込予定</h2>
+          <table className="payouts-table">
+            <thead>
+              <tr>
+                <th>振込指定日</th>
+                <th>件数</th>
+                <th>合計金額</th>
+                <th>作成</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scheduledBatches.map(batch => (
+                <tr key={batch.id}>
+                  <td>{batch.transferDate}</td>
+                  <td>{batch.items.length}件</td>
+                  <td className="amount-cell">¥{batch.totalAmount.toLocaleString()}</td>
+                  <td>{new Date(batch.createdAt).toLocaleString('ja-JP')}（{batch.createdBy}）</td>
+                  <td className="actions-cell">
+                    <button className="secondary-btn" onClick={() => downloadZenginFile(batch)}>⬇️ 振込データ</button>
+                    <button className="primary-btn" onClick={() => handleMarkPaid(batch)}>✅ 振込完了</button>
+                    <button className="danger-btn" onClick={() => handleCancelBatch(batch)}>取消</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header-row">
+          <h2>申込ごとの支払状況</h2>
+          <select value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setSelectedNumbers([]); }}>
+            <option value="all">全て</option>
+            {Object.entries(PAYOUT_STATUSES).map(([value, status]) => (
+              <option key={value} value={value}>{status.icon} {status.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {filteredRows.length === 0 ? (
+          <p className="empty-message">該当する申込はありません</p>
+        ) : (
+          <table className="payouts-table">
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    disabled={readyRows.length === 0}
+                    checked={readyRows.length > 0 && readyRows.every(row => selectedNumbers.includes(row.app.applicationNumber))}
+                    onChange={(e) => setSelectedNumbers(e.target.checked ? readyRows.map(row => row.app.applicationNumber) : [])}
+                  />
+                </th>
+                <th>申込番号</th>
+                <th>お客様</th>
+                <th>申込状況</th>
+                <th>振込先</th>
+                <th>お支払い金額</th>
+                <th>支払状況</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredRows.map(({ app, payout, status, amount }) => (
+                <tr key={app.applicationNumber}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      disabled={status !== 'ready'}
+                      checked={selectedNumbers.includes(app.applicationNumber)}
+                      onChange={() => toggleSelect(app.applicationNumber)}
+                    />
+                  </td>
+                  <td>{app.applicationNumber}</td>
+                  <td>{app.customer?.name}</td>
+                  <td>{getStatusLabel(app.status)}</td>
+                  <td>
+                    {payout?.bankAccount ? (
+                      <>
+                        {payout.bankAccount.bankName} {payout.bankAccount.branchName}<br />
+                        <span className="account-detail">
+                          {ACCOUNT_TYPES[payout.bankAccount.accountType]?.label} {getMaskedAccountNumber(payout.bankAccount)} {payout.bankAccount.accountHolderKana}
+                        </span>
+                      </>
+                    ) : (
+                      <span className="account-detail">未登録</span>
+                    )}
+                  </td>
+                  <td className="amount-cell">¥{amount.toLocaleString()}</td>
+                  <td>
+                    <span className={`payout-status payout-${status}`}>
+                      {PAYOUT_STATUSES[status].icon} {PAYOUT_STATUSES[status].label}
+                    </span>
+                    {payout?.scheduledDate && status === 'scheduled' && <div className="account-detail">{payout.scheduledDate} 振込</div>}
+                    {payout?.paidAt && <div className="account-detail">{new Date(payout.paidAt).toLocaleDateString('ja-JP')} 完了</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {selectedRows.length > 0 && (
+          <div className="batch-actions">
+            <span>選択中: {selectedRows.length}件・合計 <strong>¥{selectedTotal.toLocaleString()}</strong></span>
+            <label>
+              振込指定日
+              <input type="date" value={transferDate} onChange={(e) => setTransferDate(e.target.value)} />
+            </label>
+            <button className="primary-btn" onClick={handleCreateBatch}>🏦 振込データを作成</button>
+          </div>
+        )}
+      </div>
+
+      {recentBatches.length > 0 && (
+        <div className="card">
+          <h2>振込履歴</h2>
+          <table className="payouts-table">
+            <thead>
+              <tr>
+                <th>振込指定日</th>
+                <th>件数</th>
+                <th>合計金額</th>
+                <th>結果</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recentBatches.map(batch => (
+                <tr key={batch.id}>
+                  <td>{batch.transferDate}</td>
+                  <td>{batch.items.length}件</td>
+                  <td className="amount-cell">¥{batch.totalAmount.toLocaleString()}</td>
+                  <td>
+                    {batch.status === 'paid'
+                      ? `✅ 振込完了（${new Date(batch.paidAt).toLocaleDateString('ja-JP')} ${batch.paidBy}）`
+                      : `取消（${new Date(batch.cancelledAt).toLocaleDateString('ja-JP')} ${batch.cancelledBy}）`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Payouts;
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { manufacturers } from '../data/gameConsoles';
+import { manufacturers, colors } from '../data/gameConsoles';
 import { 
   getAllConsoles, 
   getCustomConsoles,
@@ -10,6 +10,8 @@ import {
   deleteConsole,
   isCustomConsole 
 } from '../utils/productMaster';
+import { getJanMappings, registerJanCode, removeJanCode, findProductByJan } from '../utils/barcodeResolver';
+import BarcodeScanner from '../components/BarcodeScanner';
 import './ProductManagement.css';
 
 const ProductManagement = () => {
@@ -29,6 +31,8 @@ const ProductManagement = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  const [janMappings, setJanMappings] = useState(() => getJanMappings());
+  const [janForm, setJanForm] = useState({ productType: 'console', manufacturer: '', console: '', color: '' });
 
   useEffect(() => {
     loadConsoles();
@@ -219,6 +223,30 @@ const ProductManagement = () => {
     );
   };
 
+  // JANコードの登録（査定画面以外でも対応表を整備できるようにする）
+  const handleRegisterJan = (code) => {
+    if (janMappings[code] && !confirm(`JANコード「${code}」は登録済みです。上書きしますか？`)) {
+      return;
+    }
+
+    const result = registerJanCode(code, janForm);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    setJanMappings(getJanMappings());
+    setSuccess(`JANコード「${code}」を登録しました`);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleRemoveJan = (code) => {
+    if (!confirm(`JANコード「${code}」の登録を削除しますか？`)) {
+      return;
+    }
+    removeJanCode(code);
+    setJanMappings(getJanMappings());
+  };
+
   const getManufacturerLabel = (value) => {
     return manufacturers.find(m => m.value === value)?.label || value;
   };
@@ -322,6 +350,99 @@ const ProductManagement = () => {
         })}
       </div>
 
+      {/* JANコード対応表 */}
+      <div className="jan-mapping-section">
+        <h2>🏷️ JANコード対応表</h2>
+        <p className="hint">
+          スキャンしたJANコードから機種を自動選択するための対応表です。機種を選んでからJANコードをスキャン（または入力してEnter）すると登録されます。
+        </p>
+
+        <div className="jan-mapping-form">
+          <select
+            value={janForm.productType}
+            onChange={(e) => setJanForm({ ...janForm, productType: e.target.value, console: '', color: '' })}
+          >
+            <option value="console">ゲーム機本体</option>
+            <option value="software">ソフト</option>
+          </select>
+          <select
+            value={janForm.manufacturer}
+            onChange={(e) => setJanForm({ ...janForm, manufacturer: e.target.value, console: '' })}
+          >
+            <option value="">メーカーを選択</option>
+            {manufacturers.map(mfr => (
+              <option key={mfr.value} value={mfr.value}>{mfr.label}</option>
+            ))}
+          </select>
+          {janForm.productType === 'console' && (
+            <>
+              <select
+                value={janForm.console}
+                onChange={(e) => setJanForm({ ...janForm, console: e.target.value })}
+                disabled={!janForm.manufacturer}
+              >
+                <option value="">機種を選択</option>
+                {(allConsoles[janForm.manufacturer] || []).map(c => (
+                  <option key={c.value} value={c.value}>{c.label}</option>
+                ))}
+              </select>
+              <select
+                value={janForm.color}
+                onChange={(e) => setJanForm({ ...janForm, color: e.target.value })}
+              >
+                <option value="">カラー指定なし</option>
+                {colors.map(color => (
+                  <option key={color} value={color}>{color}</option>
+                ))}
+              </select>
+            </>
+          )}
+          <BarcodeScanner
+            onScan={handleRegisterJan}
+            placeholder="JANコードをスキャンまたは入力してEnter"
+            className="jan-mapping-scanner"
+          />
+        </div>
+
+        {Object.keys(janMappings).length === 0 ? (
+          <div className="empty-console-list">JANコードが登録されていません</div>
+        ) : (
+          <table className="jan-mapping-table">
+            <thead>
+              <tr>
+                <th>JANコード</th>
+                <th>種類</th>
+                <th>メーカー</th>
+                <th>機種</th>
+                <th>カラー</th>
+                <th>登録日</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.keys(janMappings).sort().map(code => {
+                const product = findProductByJan(code);
+                return (
+                  <tr key={code}>
+                    <td className="console-code">{code}</td>
+                    <td>{product.productType === 'software' ? 'ソフト' : '本体'}</td>
+                    <td>{product.manufacturerLabel}</td>
+                    <td>{product.consoleLabel || '-'}</td>
+                    <td>{product.color || '-'}</td>
+                    <td>{product.registeredAt ? new Date(product.registeredAt).toLocaleDateString('ja-JP') : '-'}</td>
+                    <td>
+                      <button className="btn-delete" onClick={() => handleRemoveJan(code)} title="削除">
+                        🗑️
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
       {/* 追加モーダル */}
       {showAddModal && (
         <div className="modal-overlay" onClick={handleCloseAddModal}>
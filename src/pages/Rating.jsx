@@ -1,10 +1,94 @@
 import React, { useState, useEffect } from 'react';
-import { manufacturers, colors, conditions, accessories } from '../data/gameConsoles';
+import { Link } from 'react-router-dom';
+import { manufacturers, colors, conditions, accessories, RANKS } from '../data/gameConsoles';
 import { getAllConsoles } from '../utils/productMaster';
 import { generateManagementNumber, generateProductCode } from '../utils/productCodeGenerator';
 import { getBuybackBasePrice } from '../utils/priceCalculator';
 import { createInventoryInZaico, createPurchaseInZaico, logSyncActivity } from '../utils/zaicoClient';
-import { recordLedgerPurchase } from '../utils/ledgerRecords';
+import { recordLedgerPurchase, recordLedgerWatchlistNote } from '../utils/ledgerRecords';
+import { applyAutoApproval } from '../utils/autoApprovalRules';
+import {
+  BUYBACK_STATUSES,
+  BUYBACK_PROGRESS_STEPS,
+  canTransition,
+  transitionApplication,
+  getStatusLabel as getWorkflowStatusLabel,
+  getStatusBadgeClass,
+  getProgressStepState,
+  hasReachedStatus,
+  isQuoteLocked,
+  getActiveItems,
+  isItemReturned,
+  calculateQuoteTotal
+} from '../utils/buybackStateMachine';
+import {
+  ITEM_DECISIONS,
+  getNegotiationThread,
+  getPendingCounterOffer,
+  getPendingItemResponse,
+  recordStaffRequote
+} from '../utils/buybackNegotiation';
+import {
+  RETURN_STATUSES,
+  RETURN_COST_BEARERS,
+  RETURN_CARRIERS,
+  getReturnForApplication,
+  getItemsToReturn,
+  needsReturnShipment,
+  createReturnShipment,
+  updateReturnShipment,
+  markReturnShipped,
+  getReturnDeduction
+} from '../utils/returnShipments';
+import {
+  ITEM_PHOTO_TYPES,
+  getItemPhotos,
+  validatePhotoFiles,
+  uploadItemPhotos,
+  toInventoryPhotos
+} from '../utils/itemPhotos';
+import {
+  getChecklistForItem,
+  evaluateChecklist,
+  answerChecklistItem,
+  requiresOverrideReason,
+  recordRankOverride
+} from '../utils/conditionChecklist';
+import {
+  buildProductCodeIndex,
+  createLot,
+  addScanToLot,
+  setLotEntryQuantity,
+  setLotEntryPrice,
+  getDiscountedUnitPrice,
+  calculateLotTotals,
+  applyLotToApplication
+} from '../utils/lotAppraisal';
+import { resolveScannedCode, registerJanCode } from '../utils/barcodeResolver';
+import { buildItemLabels } from '../utils/managementLabels';
+import { PAYOUT_STATUSES, getPayoutStatus } from '../utils/payouts';
+import { createIdentityVerification, getIdentityDocumentType, formatIdentityVerification } from '../utils/identityVerification';
+import { IDENTITY_DOCUMENT_TYPES, IDENTITY_VERIFICATION_METHODS } from '../data/identityDocuments';
+import {
+  WATCHLIST_MATCH_LEVELS,
+  WATCHLIST_RESOLUTIONS,
+  checkApplicationAgainstWatchlist,
+  resolveWatchlistCheck,
+  buildWatchlistLedgerNote
+} from '../utils/stolenGoodsWatchlist';
+import { matchWishesToInventory } from '../utils/wishLists';
+import {
+  SERIAL_HISTORY_TYPES,
+  getSerialNumberFormat,
+  validateSerialNumber,
+  getEnteredSerialNumbers,
+  findSerialNumberHistory,
+  checkApplicationSerialNumbers,
+  mapSerialNumbersToManagementNumbers,
+  normalizeSerialNumber
+} from '../utils/serialNumbers';
+import BarcodeScanner from '../components/BarcodeScanner';
+import ManagementNumberLabels from '../components/ManagementNumberLabels';
 import './Rating.css';
 
 // 付属品を短く表示する関数
@@ -34,8 +118,19 @@ const Rating = () => {
   const [applications, setApplications] = useState([]);
   const [statusFilter, setStatusFilter] = useState('all');
   const [assessorName, setAssessorName] = useState(''); // 査定担当者
+  const [requoteMessage, setRequoteMessage] = useState(''); // 再見積もり時のお客様へのメッセージ
+  const [returnShipment, setReturnShipment] = useState(null); // 表示中の申込の返送記録
+  const [returnForm, setReturnForm] = useState({ shippingCost: '', costBearer: 'deduct', carrier: '', trackingNumber: '' });
+  const [identityForm, setIdentityForm] = useState(null); // 本人確認の入力中の内容（nullなら非表示）
+  const [savingIdentity, setSavingIdentity] = useState(false);
+  const [watchlistForm, setWatchlistForm] = useState(null); // 品触れ照合結果の入力中の内容（nullなら非表示）
   const [allGameConsoles, setAllGameConsoles] = useState({});
   const [showNotesFor, setShowNotesFor] = useState({}); // どの商品の備考を表示するか {itemId: true/false}
+  const [showPhotosFor, setShowPhotosFor] = useState({}); // どの商品の写真を表示するか {itemId: true/false}
+  const [showSerialsFor, setShowSerialsFor] = useState({}); // どの商品の製造番号を表示するか {itemId: true/false}
+  const [showChecklistFor, setShowChecklistFor] = useState({}); // どの商品の検品チェックリストを表示するか {itemId: true/false}
+  const [photoTypeFor, setPhotoTypeFor] = useState({}); // アップロードする写真の種類 {itemId: 'front'}
+  const [uploadingPhotosFor, setUploadingPhotosFor] = useState(null); // アップロード中の商品ID
   
   // 商品追加用（カンタン見積もりの場合）
   const [showAddItem, setShowAddItem] = useState(false);
@@ -59,6 +154,16 @@ const Rating = () => {
   });
   const [availableConsoles, setAvailableConsoles] = useState([]);
 
+  // まとめ査定モード
+  const [showLotMode, setShowLotMode] = useState(false);
+  const [lotCodeIndex, setLotCodeIndex] = useState({}); // 商品コード → 機種
+  const [lotRank, setLotRank] = useState('A'); // スキャン時の既定ランク
+  const [lotColor, setLotColor] = useState(''); // スキャン時の既定カラー
+  const [lastScanResult, setLastScanResult] = useState(null); // { success, message }
+
+  // 管理番号ラベル印刷
+  const [labelsToPrint, setLabelsToPrint] = useState(null);
+
   // 日本時間の今日の日付を取得
   const getTodayJST = () => {
     const now = new Date();
@@ -88,6 +193,12 @@ const Rating = () => {
     setTimeout(() => window.print(), 100);
   };
 
+  // 返送伝票印刷
+  const handlePrintReturnSlip = () => {
+    setPrintMode('return');
+    setTimeout(() => window.print(), 100);
+  };
+
   // localStorageから申込データを取得
   const loadApplications = () => {
     const storedApplications = localStorage.getItem('allApplications');
@@ -167,6 +278,72 @@ const Rating = () => {
     }
   };
 
+  // JANコードのスキャンで機種を選択（未登録のJANは選択中の機種として登録できる）
+  const handleAddItemScan = (code) => {
+    const resolved = resolveScannedCode(code);
+
+    if (resolved.type !== 'jan') {
+      alert(`「${resolved.code}」はJANコードではありません`);
+      return;
+    }
+
+    if (resolved.product) {
+      const { productType, manufacturer, console, color } = resolved.product;
+      setNewItem({ ...newItem, productType, manufacturer, console, color: color || newItem.color });
+      setAvailableConsoles(getAllConsoles()[manufacturer] || []);
+      return;
+    }
+
+    if (!newItem.manufacturer || (newItem.productType === 'console' && !newItem.console)) {
+      alert(`JANコード「${resolved.code}」は未登録です。\nメーカー・機種を選択してから再度スキャンすると登録できます。`);
+      return;
+    }
+
+    const consoleLabel = availableConsoles.find(c => c.value === newItem.console)?.label || '';
+    const manufacturerLabel = manufacturers.find(m => m.value === newItem.manufacturer)?.label || '';
+    const target = newItem.productType === 'software' ? `${manufacturerLabel} ソフト` : `${consoleLabel}${newItem.color ? `（${newItem.color}）` : ''}`;
+    if (!confirm(`JANコード「${resolved.code}」を「${target}」として登録しますか？`)) {
+      return;
+    }
+
+    const result = registerJanCode(resolved.code, newItem);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    alert('JANコードを登録しました');
+  };
+
+  // 商品を品触れと照合して結果を申込に反映
+  const withWatchlistCheck = (application) => ({
+    ...application,
+    watchlistCheck: checkApplicationAgainstWatchlist(application)
+  });
+
+  // 新たに品触れと一致した商品があれば警告する（警告した場合は true）
+  const alertNewWatchlistMatches = (before, after) => {
+    const known = (before?.watchlistCheck?.matches || []).map(match => `${match.itemId}:${match.noticeId}`);
+    const added = (after.watchlistCheck?.matches || []).filter(match => !known.includes(`${match.itemId}:${match.noticeId}`));
+    if (added.length === 0) return false;
+
+    alert(`🚨 品触れと一致する可能性がある商品があります\n${added.map(match =>
+      `・${match.itemLabel} → 品触れ ${match.noticeNumber}（${match.reasons.join('・')}）`
+    ).join('\n')}\n\n照合結果を記録するまで査定の確定・在庫登録はできません。`);
+    return true;
+  };
+
+  // 在庫登録の直前に品触れと再照合する（査定後に登録された品触れも確認する）
+  // 照合結果を申込に保存し、新たに一致した商品があれば null を返す
+  const recheckWatchlistBeforeIntake = () => {
+    const checked = withWatchlistCheck(currentApp);
+    const updatedApplications = applications.map((app, index) =>
+      index === selectedApplication ? checked : app
+    );
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+    return alertNewWatchlistMatches(currentApp, checked) ? null : checked;
+  };
+
   // 商品を追加（カンタン見積もりの場合）
   const handleAddItem = () => {
     if (!newItem.manufacturer || !newItem.console) {
@@ -196,16 +373,17 @@ const Rating = () => {
 
     const updatedApplications = applications.map((app, index) => {
       if (index === selectedApplication) {
-        return {
+        return withWatchlistCheck({
           ...app,
           items: [...(app.items || []), itemToAdd]
-        };
+        });
       }
       return app;
     });
 
     setApplications(updatedApplications);
     localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+    alertNewWatchlistMatches(currentApp, updatedApplications[selectedApplication]);
 
     setNewItem({
       productType: 'console',
@@ -222,14 +400,117 @@ const Rating = () => {
     setShowAddItem(false);
   };
 
+  // まとめ査定の途中経過を申込に保存（画面を離れても再開できるようにする）
+  const saveLotDraft = (lot) => {
+    const updatedApplications = applications.map((app, index) =>
+      index === selectedApplication ? { ...app, lotDraft: lot } : app
+    );
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+  };
+
+  const handleToggleLotMode = () => {
+    if (!showLotMode) {
+      setLotCodeIndex(buildProductCodeIndex());
+      if (!currentApp.lotDraft) {
+        saveLotDraft(createLot());
+      }
+    }
+    setLastScanResult(null);
+    setShowLotMode(!showLotMode);
+  };
+
+  // 商品コード・JANコードのスキャン・入力（Enterで確定）
+  const handleLotScan = (code) => {
+    let input = code;
+    let color = lotColor;
+
+    // JANコードは登録済みの機種の商品コードに置き換える
+    const resolved = resolveScannedCode(code, { codeIndex: lotCodeIndex });
+    if (resolved.type === 'jan') {
+      if (!resolved.product) {
+        setLastScanResult({ success: false, message: `JANコード「${resolved.code}」は未登録です。通常の商品追加から機種を選んでスキャンすると登録できます` });
+        return;
+      }
+      input = resolved.product.productCode;
+      color = resolved.product.color || lotColor;
+    }
+
+    const result = addScanToLot(currentApp.lotDraft || createLot(), input, {
+      rank: lotRank,
+      color,
+      index: lotCodeIndex
+    });
+
+    if (!result.success) {
+      setLastScanResult({ success: false, message: result.error });
+    } else {
+      saveLotDraft(result.lot);
+      const label = result.entry.productType === 'software'
+        ? `${result.entry.manufacturerLabel} ソフト`
+        : result.entry.consoleLabel;
+      setLastScanResult({
+        success: true,
+        message: `${label}${result.entry.color ? `（${result.entry.color}）` : ''} ${result.entry.rank}ランク → ${result.entry.quantity}点目`
+      });
+    }
+  };
+
+  // まとめ査定を査定商品に反映
+  const handleApplyLot = () => {
+    const lot = currentApp.lotDraft;
+    const totals = calculateLotTotals(lot);
+    if (!confirm(`まとめ査定の${totals.itemCount}点（¥${totals.total.toLocaleString()}）を査定商品に反映しますか？`)) {
+      return;
+    }
+
+    const result = applyLotToApplication(currentApp, lot, assessorName || currentApp.assessorName || 'スタッフ');
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    const updatedApplications = applications.map((app, index) =>
+      index === selectedApplication ? withWatchlistCheck(result.application) : app
+    );
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+    setShowLotMode(false);
+    setLastScanResult(null);
+    alert(`${lot.entries.length}行・${totals.itemCount}点を査定商品に反映しました`);
+    alertNewWatchlistMatches(currentApp, updatedApplications[selectedApplication]);
+  };
+
+  const handleDiscardLot = () => {
+    if (!confirm('まとめ査定の入力内容を破棄しますか？')) return;
+    saveLotDraft(null);
+    setShowLotMode(false);
+    setLastScanResult(null);
+  };
+
   // 査定ランク変更（手動価格入力済みの場合は価格を保持）
   const handleRankChange = (itemId, rank) => {
+    // 検品チェックリストの提案ランクと異なる場合は理由を記録する
+    const targetItem = currentApp.items.find(item => item.id === itemId);
+    let overrideReason = null;
+    if (requiresOverrideReason(targetItem, rank)) {
+      overrideReason = prompt(`検品結果の提案ランクは「${targetItem.inspection.suggestedRank}」です。\n「${rank}」に変更する理由を入力してください`);
+      if (!overrideReason || !overrideReason.trim()) {
+        alert('理由が入力されなかったため、ランクを変更しませんでした');
+        return;
+      }
+    }
+    const performedBy = assessorName || currentApp.assessorName || 'スタッフ';
+
     const updatedApplications = applications.map((app, index) => {
       if (index === selectedApplication) {
         return {
           ...app,
-          items: app.items.map(item => {
-            if (item.id === itemId) {
+          items: app.items.map(original => {
+            if (original.id === itemId) {
+              const item = overrideReason
+                ? recordRankOverride(original, rank, overrideReason.trim(), performedBy)
+                : original;
               // 手動で価格が入力済みの場合は価格を保持
               const hasManualPrice = item.buybackPrice && item.buybackPrice > 0;
               
@@ -251,7 +532,7 @@ const Rating = () => {
                 };
               }
             }
-            return item;
+            return original;
           })
         };
       }
@@ -304,6 +585,99 @@ const Rating = () => {
   };
 
   // 商品削除
+  // 検品チェックリストの回答
+  const handleChecklistAnswer = (itemId, checkId, value) => {
+    const performedBy = assessorName || currentApp.assessorName || 'スタッフ';
+    const updatedApplications = applications.map((app, index) => {
+      if (index === selectedApplication) {
+        return {
+          ...app,
+          items: app.items.map(item =>
+            item.id === itemId ? answerChecklistItem(item, checkId, value, performedBy) : item
+          )
+        };
+      }
+      return app;
+    });
+
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+  };
+
+  // 検品結果の提案ランク・提案価格を適用
+  const handleApplyInspection = (itemId) => {
+    const updatedApplications = applications.map((app, index) => {
+      if (index === selectedApplication) {
+        return {
+          ...app,
+          items: app.items.map(item => {
+            if (item.id !== itemId || !item.inspection?.suggestedRank) return item;
+            const { suggestedRank, suggestedPrice } = item.inspection;
+            return {
+              ...item,
+              assessedRank: suggestedRank,
+              buybackPrice: suggestedPrice > 0 ? suggestedPrice : (item.buybackPrice || 0)
+            };
+          })
+        };
+      }
+      return app;
+    });
+
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+  };
+
+  // 商品の写真を更新（アップロード完了時に画面の申込が変わっていても対象の申込に保存する）
+  const updateItemPhotos = (applicationNumber, itemId, updater) => {
+    const storedApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
+    const updatedApplications = storedApplications.map(app => {
+      if (app.applicationNumber !== applicationNumber) return app;
+      return {
+        ...app,
+        items: app.items.map(item =>
+          item.id === itemId ? { ...item, photos: updater(getItemPhotos(item)) } : item
+        )
+      };
+    });
+
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+  };
+
+  // 状態写真のアップロード
+  const handleUploadPhotos = async (item, fileList) => {
+    const files = Array.from(fileList || []);
+    const error = validatePhotoFiles(files, getItemPhotos(item).length);
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    const applicationNumber = currentApp.applicationNumber;
+    setUploadingPhotosFor(item.id);
+    const result = await uploadItemPhotos(files, {
+      applicationNumber,
+      itemId: item.id,
+      photoType: photoTypeFor[item.id] || 'front'
+    });
+    setUploadingPhotosFor(null);
+
+    // 途中で失敗しても、アップロード済みの写真は商品に残す
+    if (result.photos.length > 0) {
+      updateItemPhotos(applicationNumber, item.id, existing => [...existing, ...result.photos]);
+    }
+    if (!result.success) {
+      alert(`写真のアップロードに失敗しました（${result.photos.length}/${files.length}枚アップロード済み）\n${result.error}`);
+    }
+  };
+
+  // 状態写真の削除（申込データから外すのみ）
+  const handleRemovePhoto = (itemId, photoId) => {
+    if (!confirm('この写真を削除しますか？')) return;
+    updateItemPhotos(currentApp.applicationNumber, itemId, existing => existing.filter(photo => photo.id !== photoId));
+  };
+
   const handleRemoveItem = (itemId) => {
     if (!window.confirm('この商品を削除しますか？')) {
       return;
@@ -324,6 +698,45 @@ const Rating = () => {
   };
 
   // 商品を分割（1台ずつに分ける）
+  // 製造番号の入力（1台ごと）
+  const handleSerialNumberChange = (itemId, index, value) => {
+    const updatedApplications = applications.map((app, appIndex) => {
+      if (appIndex !== selectedApplication) return app;
+      return {
+        ...app,
+        items: app.items.map(item => {
+          if (item.id !== itemId) return item;
+          const serialNumbers = Array.from({ length: item.quantity }, (_, i) => item.serialNumbers?.[i] || '');
+          serialNumbers[index] = value;
+          return { ...item, serialNumbers };
+        })
+      };
+    });
+
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+  };
+
+  // 製造番号の入力を確定したら正規化し、品触れと照合し直す
+  const handleSerialNumberBlur = (itemId, index) => {
+    const updatedApplications = applications.map((app, appIndex) => {
+      if (appIndex !== selectedApplication) return app;
+      return withWatchlistCheck({
+        ...app,
+        items: app.items.map(item => {
+          if (item.id !== itemId || !item.serialNumbers?.[index]) return item;
+          const serialNumbers = [...item.serialNumbers];
+          serialNumbers[index] = normalizeSerialNumber(serialNumbers[index]);
+          return { ...item, serialNumbers };
+        })
+      });
+    });
+
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+    alertNewWatchlistMatches(currentApp, updatedApplications[selectedApplication]);
+  };
+
   const handleSplitItem = (itemId) => {
     const updatedApplications = applications.map((app, index) => {
       if (index === selectedApplication) {
@@ -340,6 +753,7 @@ const Rating = () => {
             ...targetItem,
             id: `${targetItem.id}-split-${i}-${Date.now()}`,
             quantity: 1,
+            serialNumbers: targetItem.serialNumbers?.[i] ? [targetItem.serialNumbers[i]] : [], // 1台ずつの製造番号を引き継ぐ
             assessedRank: '', // 個別に査定
             buybackPrice: 0,   // 個別に価格設定
             isSplit: true,     // 分割された商品であることを記録
@@ -360,36 +774,65 @@ const Rating = () => {
     alert(`商品を${currentApp.items.find(item => item.id === itemId).quantity}台に分割しました。それぞれ個別に査定してください。`);
   };
 
+  // 返品希望の商品は合計に含めない
   const calculateTotal = () => {
-    if (!currentApp || !currentApp.items) return 0;
-    const itemsTotal = currentApp.items.reduce((sum, item) => sum + ((item.buybackPrice || 0) * item.quantity), 0);
-    return itemsTotal;
+    if (!currentApp) return 0;
+    return calculateQuoteTotal(currentApp);
+  };
+
+  // お客様の提案価格を買取単価に採用
+  const handleAdoptProposedPrice = (itemId, proposedPrice) => {
+    handlePriceChange(itemId, String(proposedPrice));
   };
 
-  // ステータス変更
+  // ステータス変更（遷移定義に違反する場合は変更せずにnullを返す）
+  // 承認待ちになった申込は自動承認ルールで判定し、一致すれば買取確定（自動承認）まで進める
   const updateStatus = (newStatus, additionalData = {}) => {
+    const result = transitionApplication(currentApp, newStatus, {
+      patch: additionalData,
+      performedBy: additionalData.assessorName || currentApp.assessorName || assessorName || 'スタッフ',
+      role: 'staff'
+    });
+
+    if (!result.success) {
+      alert(`ステータスを変更できません\n${result.error}`);
+      return null;
+    }
+
+    const { application: savedApplication } = applyAutoApproval(result.application, applications);
+
     const updatedApplications = applications.map((app, index) => {
       if (index === selectedApplication) {
-        return { ...app, status: newStatus, ...additionalData };
+        return savedApplication;
       }
       return app;
     });
 
     setApplications(updatedApplications);
     localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+    return savedApplication;
   };
 
 
   const handleConfirmRating = () => {
-    if (!currentApp.items || currentApp.items.length === 0) {
-      alert('商品が登録されていません');
+    const nextStatus = currentApp.approvalMethod === 'auto' ? 'auto_approved' : 'awaiting_approval';
+
+    // 全商品が査定済みかチェック
+    const { allowed, error } = canTransition(currentApp, nextStatus);
+    if (!allowed) {
+      alert(error);
       return;
     }
 
-    // 全商品が査定済みかチェック
-    const allAssessed = currentApp.items.every(item => item.assessedRank && item.buybackPrice > 0);
-    if (!allAssessed) {
-      alert('全ての商品に査定ランクと買取単価を入力してください');
+    // 検品の提案ランクと異なるのに理由が記録されていない商品がないかチェック
+    const unexplained = getActiveItems(currentApp).filter(item => {
+      const overrides = item.inspection?.overrides || [];
+      const lastOverride = overrides[overrides.length - 1];
+      return requiresOverrideReason(item, item.assessedRank) &&
+        !(lastOverride && lastOverride.rank === item.assessedRank && lastOverride.suggestedRank === item.inspection.suggestedRank);
+    });
+    if (unexplained.length > 0) {
+      alert(`検品の提案ランクと異なるランクの商品があります。検品チェックリストから変更理由を記録してください。\n${unexplained.map(item => `・${item.softwareName || item.consoleLabel}（提案: ${item.inspection.suggestedRank} / 選択: ${item.assessedRank}）`).join('\n')}`);
       return;
     }
 
@@ -404,13 +847,45 @@ const Rating = () => {
       return;
     }
 
-    const nextStatus = currentApp.approvalMethod === 'auto' ? 'auto_approved' : 'awaiting_approval';
-    updateStatus(nextStatus, { assessorName: assessorName });
-    alert(`査定を確定しました。\n買取合計金額: ¥${calculateTotal().toLocaleString()}\n次のステータス: ${getStatusLabel(nextStatus)}`);
+    // お客様の価格提案への再見積もりであれば交渉履歴に記録
+    const requoted = recordStaffRequote(currentApp, { staffName: assessorName, message: requoteMessage });
+    const savedApplication = updateStatus(nextStatus, {
+      assessorName: assessorName,
+      ...(requoted.negotiation ? { negotiation: requoted.negotiation } : {})
+    });
+    if (!savedApplication) {
+      return;
+    }
+    setRequoteMessage('');
+
+    const autoApprovalMessage = savedApplication.autoApproval && savedApplication.status === 'auto_approved'
+      ? `\n自動承認ルール「${savedApplication.autoApproval.ruleName}」に一致しました`
+      : '';
+    alert(`査定を確定しました。\n買取合計金額: ¥${calculateTotal().toLocaleString()}\n次のステータス: ${getStatusLabel(savedApplication.status)}${autoApprovalMessage}`);
   };
 
   // 在庫登録前の管理番号生成とモーダル表示
   const handleOpenInventoryModal = () => {
+    const checkedApp = recheckWatchlistBeforeIntake();
+    if (!checkedApp) return;
+
+    const { allowed, error } = canTransition(checkedApp, 'in_inventory');
+    if (!allowed) {
+      alert(`在庫登録できません\n${error}`);
+      return;
+    }
+
+    // 製造番号の形式と、過去の買取・販売との重複を確認
+    const serialCheck = checkApplicationSerialNumbers(currentApp, getActiveItems(currentApp));
+    if (serialCheck.errors.length > 0) {
+      alert(`在庫登録できません\n${serialCheck.errors.join('\n')}`);
+      return;
+    }
+    if (serialCheck.warnings.length > 0 &&
+      !confirm(`⚠️ 過去に取引のある製造番号があります（転売・返品の可能性）\n${serialCheck.warnings.join('\n')}\n\n確認のうえ在庫登録を続けますか？`)) {
+      return;
+    }
+
     // 各商品の管理番号を生成
     const managementNumbers = {};
     let sequenceCounter = 1;
@@ -418,7 +893,7 @@ const Rating = () => {
     // 商品ごとにグループ化（同じ機種は連番）
     const productGroups = {};
     
-    currentApp.items.forEach(item => {
+    getActiveItems(currentApp).forEach(item => {
       const productKey = `${item.manufacturer}_${item.console}`;
       if (!productGroups[productKey]) {
         productGroups[productKey] = [];
@@ -502,6 +977,19 @@ const Rating = () => {
 
   // 在庫登録を実行
   const handleConfirmAddToInventory = async () => {
+    // 確認画面を開いた後に登録された品触れも確認する
+    const checkedApp = recheckWatchlistBeforeIntake();
+    if (!checkedApp) {
+      setShowInventoryModal(false);
+      return;
+    }
+
+    const { allowed, error } = canTransition(checkedApp, 'in_inventory');
+    if (!allowed) {
+      alert(`在庫登録できません\n${error}`);
+      return;
+    }
+
     // 在庫データを保存
     const inventoryData = JSON.parse(localStorage.getItem('inventory') || '[]');
     
@@ -515,23 +1003,31 @@ const Rating = () => {
     
     // 商品をグループ化（同じ商品は1つのZaico在庫として登録）
     const productGroups = {};
-    for (const item of currentApp.items) {
+    for (const item of getActiveItems(currentApp)) {
       const productKey = `${item.productType}_${item.console}_${item.color || ''}_${item.accessories || ''}_${item.assessedRank}_${item.buybackPrice}_${item.softwareName || ''}`;
       
       if (!productGroups[productKey]) {
         productGroups[productKey] = {
           items: [],
           totalQuantity: 0,
-          allManagementNumbers: []
+          allManagementNumbers: [],
+          serialNumbers: [],
+          serialNumbersByManagementNumber: {}
         };
       }
       
       productGroups[productKey].items.push(item);
       productGroups[productKey].totalQuantity += item.quantity;
       productGroups[productKey].allManagementNumbers.push(...(generatedManagementNumbers[item.id] || []));
+      productGroups[productKey].serialNumbers.push(...getEnteredSerialNumbers(item));
+      Object.assign(
+        productGroups[productKey].serialNumbersByManagementNumber,
+        mapSerialNumbersToManagementNumbers(generatedManagementNumbers[item.id], item)
+      );
     }
     
-    // グループ化された商品を処理
+    // グループ化された商品を処理（登録した在庫はほしい物リストとの照合に使う）
+    const registeredInventory = [];
     for (const [productKey, group] of Object.entries(productGroups)) {
       const firstItem = group.items[0]; // 代表アイテム
       // 既存在庫に同じ商品（同じ機種、カラー、付属品、ランク、単価、仕入れ元）があるか確認
@@ -560,6 +1056,17 @@ const Rating = () => {
         // 管理番号も追加
         const existingNumbers = inventoryData[existingIndex].managementNumbers || [];
         inventoryData[existingIndex].managementNumbers = [...existingNumbers, ...group.allManagementNumbers];
+        inventoryData[existingIndex].serialNumbers = [...(inventoryData[existingIndex].serialNumbers || []), ...group.serialNumbers];
+        inventoryData[existingIndex].serialNumbersByManagementNumber = {
+          ...(inventoryData[existingIndex].serialNumbersByManagementNumber || {}),
+          ...group.serialNumbersByManagementNumber
+        };
+
+        // 査定時の状態写真も引き継ぐ
+        inventoryData[existingIndex].photos = [
+          ...(inventoryData[existingIndex].photos || []),
+          ...group.items.flatMap(item => toInventoryPhotos(item, currentApp.applicationNumber))
+        ];
         
         // 在庫変更履歴を記録
         const inventoryHistory = JSON.parse(localStorage.getItem('inventoryHistory') || '[]');
@@ -580,6 +1087,8 @@ const Rating = () => {
         });
         localStorage.setItem('inventoryHistory', JSON.stringify(inventoryHistory));
 
+        registeredInventory.push({ inventoryItem: inventoryData[existingIndex], quantity: group.totalQuantity });
+
         recordLedgerPurchase({
           inventoryItem: inventoryData[existingIndex],
           quantity: group.totalQuantity,
@@ -590,7 +1099,10 @@ const Rating = () => {
             type: 'buyback',
             applicationNumber: currentApp.applicationNumber
           },
-          managementNumbers: group.allManagementNumbers
+          managementNumbers: group.allManagementNumbers,
+          serialNumbers: group.serialNumbers,
+          identityVerification: currentApp.identityVerification,
+          watchlistNote: buildWatchlistLedgerNote(checkedApp.watchlistCheck, group.items)
         });
       } else {
         // 新規在庫として追加
@@ -616,6 +1128,10 @@ const Rating = () => {
           acquisitionPrice: firstItem.buybackPrice, // 統一
           title: firstItem.consoleLabel || firstItem.softwareName || 'ゲーム商品', // titleフィールドを追加
           managementNumbers: group.allManagementNumbers, // 管理番号を追加
+          serialNumbers: group.serialNumbers, // 製造番号
+          serialNumbersByManagementNumber: group.serialNumbersByManagementNumber,
+          photos: group.items.flatMap(item => toInventoryPhotos(item, currentApp.applicationNumber)), // 査定時の状態写真
+          lotId: firstItem.lotId || null, // まとめ査定から登録した場合のロットID
           registeredDate: new Date().toISOString(),
           customer: {
             name: currentApp.customer.name,
@@ -628,6 +1144,7 @@ const Rating = () => {
           }
         };
         inventoryData.push(inventoryItem);
+        registeredInventory.push({ inventoryItem, quantity: group.totalQuantity });
 
         recordLedgerPurchase({
           inventoryItem,
@@ -639,7 +1156,10 @@ const Rating = () => {
             type: 'buyback',
             applicationNumber: currentApp.applicationNumber
           },
-          managementNumbers: group.allManagementNumbers
+          managementNumbers: group.allManagementNumbers,
+          serialNumbers: group.serialNumbers,
+          identityVerification: currentApp.identityVerification,
+          watchlistNote: buildWatchlistLedgerNote(checkedApp.watchlistCheck, group.items)
         });
         
         // zaico連携処理（入庫データとして登録して仕入単価を設定）
@@ -710,58 +1230,38 @@ const Rating = () => {
     
     localStorage.setItem('inventory', JSON.stringify(inventoryData));
     
-    // 管理番号をアプリケーションデータに保存
-    const updatedApplications = applications.map((app, index) => {
-      if (index === selectedApplication) {
-        return {
-          ...app,
-          status: 'in_inventory',
-          items: app.items.map(item => ({
-            ...item,
-            managementNumbers: generatedManagementNumbers[item.id] || []
-          }))
-        };
-      }
-      return app;
+    // 管理番号をアプリケーションデータに保存して在庫登録済へ
+    updateStatus('in_inventory', {
+      watchlistCheck: checkedApp.watchlistCheck,
+      items: currentApp.items.map(item => ({
+        ...item,
+        managementNumbers: generatedManagementNumbers[item.id] || []
+      }))
     });
     
-    setApplications(updatedApplications);
-    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
-    
+    // 海外バイヤーのほしい物リストと照合して入荷を通知
+    const wishResult = matchWishesToInventory(registeredInventory, { reference: currentApp.applicationNumber });
+
     setShowInventoryModal(false);
-    alert('在庫に登録しました');
+    alert(wishResult.matches > 0
+      ? `在庫に登録しました\n\n🔔 ほしい物リストに一致: ${wishResult.matches}件（バイヤー${wishResult.buyers.length}名に入荷を通知しました）`
+      : '在庫に登録しました');
+
+    // 1台ずつ管理番号ラベルを貼れるように印刷画面を開く
+    const labels = buildItemLabels(getActiveItems(currentApp), generatedManagementNumbers);
+    if (labels.length > 0 && confirm(`管理番号ラベル（${labels.length}枚）を印刷しますか？`)) {
+      setLabelsToPrint(labels);
+    }
   };
 
-  const getStatusLabel = (status) => {
-    const statusLabels = {
-      'applied': '申込受付',
-      'kit_sent': 'キット発送済',
-      'pickup_scheduled': '集荷予定',
-      'received': '商品到着',
-      'assessing': '査定中',
-      'awaiting_approval': '承認待ち',
-      'approved': '買取確定',
-      'auto_approved': '買取確定（自動承認）',
-      'in_inventory': '在庫登録済'
-    };
-    return statusLabels[status] || status;
-  };
+  const getStatusLabel = (status) => getWorkflowStatusLabel(status);
 
   const getStatusBadge = (status) => {
-    const statusConfig = {
-      'applied': { class: 'status-applied', label: '📝 申込受付' },
-      'kit_sent': { class: 'status-kit-sent', label: '📮 キット発送済' },
-      'pickup_scheduled': { class: 'status-pickup', label: '🚚 集荷予定' },
-      'received': { class: 'status-received', label: '📦 商品到着' },
-      'assessing': { class: 'status-assessing', label: '🔍 査定中' },
-      'awaiting_approval': { class: 'status-waiting', label: '⏳ 承認待ち' },
-      'approved': { class: 'status-approved', label: '✅ 買取確定' },
-      'auto_approved': { class: 'status-approved', label: '✅ 買取確定(自動)' },
-      'in_inventory': { class: 'status-inventory', label: '📊 在庫登録済' }
-    };
-    
-    const config = statusConfig[status] || { class: 'status-default', label: status };
-    return <span className={`status-badge ${config.class}`}>{config.label}</span>;
+    return (
+      <span className={`status-badge ${getStatusBadgeClass(status)}`}>
+        {getWorkflowStatusLabel(status, { withIcon: true, short: true })}
+      </span>
+    );
   };
 
   const filteredApplications = statusFilter === 'all' 
@@ -772,23 +1272,158 @@ const Rating = () => {
   useEffect(() => {
     if (currentApp) {
       // 商品到着以降のステータスなら閉じておく
-      const completedStatuses = ['assessing', 'awaiting_approval', 'approved', 'auto_approved', 'in_inventory'];
-      setShowShippingInfo(!completedStatuses.includes(currentApp.status));
+      setShowShippingInfo(!hasReachedStatus(currentApp.status, 'assessing'));
       // 担当者名を設定（既にある場合）
       if (currentApp.assessorName) {
         setAssessorName(currentApp.assessorName);
       } else {
         setAssessorName('');
       }
+      // 返送記録を読み込み
+      const record = getReturnForApplication(currentApp.applicationNumber);
+      setReturnShipment(record);
+      setReturnForm({
+        shippingCost: record ? String(record.shippingCost) : '',
+        costBearer: record ? record.costBearer : (currentApp.status === 'rejected' ? 'cash_on_delivery' : 'deduct'),
+        carrier: record?.carrier || '',
+        trackingNumber: record?.trackingNumber || ''
+      });
+      setIdentityForm(null);
     }
   }, [selectedApplication, currentApp?.status]);
 
+  // 本人確認の入力を開始
+  const handleStartIdentityVerification = () => {
+    setIdentityForm({
+      documentType: 'drivers_license',
+      documentNumber: '',
+      method: 'face_to_face',
+      verifiedAt: new Date().toISOString().split('T')[0],
+      note: ''
+    });
+  };
+
+  // 本人確認を記録（書類の番号は暗号化して保存）
+  const handleSaveIdentityVerification = async () => {
+    const applicationNumber = currentApp.applicationNumber;
+    setSavingIdentity(true);
+    const result = await createIdentityVerification(identityForm, {
+      performedBy: currentApp.assessorName || assessorName || 'スタッフ'
+    });
+    setSavingIdentity(false);
+
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    // 暗号化の間に画面の申込が変わっていても対象の申込に保存する
+    const storedApplications = JSON.parse(localStorage.getItem('allApplications') || '[]');
+    const updatedApplications = storedApplications.map(app =>
+      app.applicationNumber === applicationNumber
+        ? { ...app, identityVerification: result.identityVerification }
+        : app
+    );
+
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+    setIdentityForm(null);
+    alert('本人確認を記録しました');
+  };
+
+  // 品触れと再照合（品触れの登録後に届いた申込の確認など）
+  const handleRecheckWatchlist = () => {
+    const checked = withWatchlistCheck(currentApp);
+    const updatedApplications = applications.map((app, index) =>
+      index === selectedApplication ? checked : app
+    );
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+
+    if (checked.watchlistCheck.matches.length === 0) {
+      alert('品触れと一致する商品はありません');
+      return;
+    }
+    alertNewWatchlistMatches(currentApp, checked);
+  };
+
+  // 品触れ照合の結果（別物と確認・警察へ通報済み）を記録
+  const handleSaveWatchlistResolution = () => {
+    const result = resolveWatchlistCheck(currentApp.watchlistCheck, watchlistForm, {
+      performedBy: currentApp.assessorName || assessorName || 'スタッフ'
+    });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    const updatedApplications = applications.map((app, index) =>
+      index === selectedApplication ? { ...app, watchlistCheck: result.watchlistCheck } : app
+    );
+    setApplications(updatedApplications);
+    localStorage.setItem('allApplications', JSON.stringify(updatedApplications));
+    // 在庫登録済みの商品は古物台帳の記録にも追記する（登録前の照合結果は在庫登録時の仕入取引に記録される）
+    recordLedgerWatchlistNote(currentApp.applicationNumber, buildWatchlistLedgerNote(result.watchlistCheck), {
+      performedBy: currentApp.assessorName || assessorName || 'スタッフ'
+    });
+    setWatchlistForm(null);
+    alert('照合結果を記録しました');
+  };
+
+  // 返送記録の作成・返送料の更新
+  const handleSaveReturnShipment = () => {
+    const staffName = currentApp.assessorName || assessorName || 'スタッフ';
+    const result = returnShipment
+      ? updateReturnShipment(returnShipment.id, {
+          shippingCost: returnForm.shippingCost,
+          costBearer: returnForm.costBearer
+        }, staffName)
+      : createReturnShipment(currentApp, {
+          shippingCost: returnForm.shippingCost,
+          costBearer: returnForm.costBearer,
+          createdBy: staffName
+        });
+
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    setReturnShipment(result.returnShipment);
+    alert(returnShipment ? '返送料を更新しました' : '返送記録を作成しました。返送伝票を印刷して商品を梱包してください。');
+  };
+
+  // 返送の発送を記録
+  const handleMarkReturnShipped = () => {
+    if (!confirm(`${returnForm.carrier} 追跡番号: ${returnForm.trackingNumber}\nで発送済みにしますか？`)) {
+      return;
+    }
+
+    const result = markReturnShipped(returnShipment.id, {
+      carrier: returnForm.carrier,
+      trackingNumber: returnForm.trackingNumber,
+      performedBy: currentApp.assessorName || assessorName || 'スタッフ'
+    });
+
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+
+    setReturnShipment(result.returnShipment);
+    alert('返送を発送済みにしました。お客様の受け取り確認をお待ちください。');
+  };
+
   if (!currentApp && applications.length > 0 && selectedApplication === null) {
     setSelectedApplication(0);
   }
 
   return (
     <>
+      {labelsToPrint && (
+        <ManagementNumberLabels labels={labelsToPrint} onClose={() => setLabelsToPrint(null)} />
+      )}
+
       {/* 印刷用見積書 */}
       {currentApp && printMode === 'estimate' && (
         <div className="print-only estimate-sheet">
@@ -842,7 +1477,7 @@ const Rating = () => {
               </tr>
             </thead>
             <tbody>
-              {currentApp.items.map((item, index) => (
+              {getActiveItems(currentApp).map((item, index) => (
                 <React.Fragment key={item.id}>
                   <tr>
                     <td>{index + 1}</td>
@@ -914,6 +1549,83 @@ const Rating = () => {
       )}
 
 
+      {/* 印刷用返送伝票 */}
+      {currentApp && printMode === 'return' && returnShipment && (
+        <div className="print-only estimate-sheet return-slip">
+          <div className="estimate-header">
+            <div className="estimate-header-left">
+              <h1>返送明細書</h1>
+              <div className="estimate-number">申込番号: {currentApp.applicationNumber}</div>
+              <div className="estimate-date">発行日: {getTodayJST()}</div>
+            </div>
+            <div className="estimate-header-right">
+              <h2>{companyInfo.name}</h2>
+              <p>{companyInfo.postalCode} {companyInfo.address}</p>
+              <p>{companyInfo.phone}</p>
+              <p>{companyInfo.email}</p>
+            </div>
+          </div>
+
+          <div className="estimate-customer">
+            <h2>お届け先</h2>
+            <p><strong>お名前:</strong> {returnShipment.customer.name} 様</p>
+            <p><strong>住所:</strong> {returnShipment.customer.postalCode} {returnShipment.customer.address}</p>
+            <p><strong>TEL:</strong> {returnShipment.customer.phone}</p>
+          </div>
+
+          <div className="estimate-message">
+            <p>
+              {returnShipment.reason === 'rejected'
+                ? 'お見積もりにご同意いただけなかったため、下記の商品をご返送いたします。'
+                : 'ご返品をご希望された下記の商品をご返送いたします。'}
+            </p>
+          </div>
+
+          <table className="estimate-table">
+            <thead>
+              <tr>
+                <th>No.</th>
+                <th>品名</th>
+                <th>査定ランク</th>
+                <th>数量</th>
+              </tr>
+            </thead>
+            <tbody>
+              {returnShipment.items.map((item, index) => (
+                <tr key={item.itemId}>
+                  <td>{index + 1}</td>
+                  <td>{item.label}</td>
+                  <td>{item.assessedRank || '-'}</td>
+                  <td>{item.quantity}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="estimate-total">
+            <div className="total-row">
+              <span>返送料（{RETURN_COST_BEARERS[returnShipment.costBearer]?.label}）</span>
+              <span>¥{returnShipment.shippingCost.toLocaleString()}</span>
+            </div>
+            {returnShipment.trackingNumber && (
+              <div className="total-row">
+                <span>配送業者・追跡番号</span>
+                <span>{returnShipment.carrier} {returnShipment.trackingNumber}</span>
+              </div>
+            )}
+          </div>
+
+          <div className="estimate-notes">
+            <h3>備考</h3>
+            <p>※ 商品がお手元に届きましたら、マイページの申込履歴から受け取り確認をお願いいたします。</p>
+          </div>
+
+          <div className="estimate-footer">
+            <p className="license">{companyInfo.license}</p>
+          </div>
+        </div>
+      )}
+
       {/* 通常の画面表示 */}
       <div className="rating-container screen-only">
       
@@ -1081,14 +1793,13 @@ const Rating = () => {
               className="status-filter-select"
             >
               <option value="all">全て表示</option>
-              <option value="applied">📝 申込受付</option>
-              <option value="kit_sent">📮 キット発送済</option>
-              <option value="pickup_scheduled">🚚 集荷予定</option>
-              <option value="received">📦 商品到着</option>
-              <option value="assessing">🔍 査定中</option>
-              <option value="awaiting_approval">⏳ 承認待ち</option>
-              <option value="approved">✅ 買取確定</option>
-              <option value="auto_approved">✅ 買取確定(自動)</option>
+              {Object.keys(BUYBACK_STATUSES)
+                .filter(status => status !== 'in_inventory')
+                .map(status => (
+                  <option key={status} value={status}>
+                    {getWorkflowStatusLabel(status, { withIcon: true, short: true })}
+                  </option>
+                ))}
             </select>
           </div>
 
@@ -1124,35 +1835,20 @@ const Rating = () => {
             <div className="progress-bar-section">
               <h3>📊 買取進捗状況</h3>
               <div className="progress-steps">
-                <div className={`progress-step ${['applied', 'kit_sent', 'pickup_scheduled', 'received', 'assessing', 'awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : 'pending'}`}>
-                  <div className="step-circle">1</div>
-                  <span className="step-label">申込受付</span>
-                </div>
-                <div className={`progress-line ${['kit_sent', 'pickup_scheduled', 'received', 'assessing', 'awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : 'pending'}`}></div>
-                <div className={`progress-step ${['kit_sent', 'pickup_scheduled', 'received', 'assessing', 'awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : currentApp.status === 'applied' ? 'current' : 'pending'}`}>
-                  <div className="step-circle">2</div>
-                  <span className="step-label">発送準備</span>
-                </div>
-                <div className={`progress-line ${['received', 'assessing', 'awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : 'pending'}`}></div>
-                <div className={`progress-step ${['received', 'assessing', 'awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : ['kit_sent', 'pickup_scheduled'].includes(currentApp.status) ? 'current' : 'pending'}`}>
-                  <div className="step-circle">3</div>
-                  <span className="step-label">商品到着</span>
-                </div>
-                <div className={`progress-line ${['assessing', 'awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : 'pending'}`}></div>
-                <div className={`progress-step ${['assessing', 'awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : currentApp.status === 'received' ? 'current' : 'pending'}`}>
-                  <div className="step-circle">4</div>
-                  <span className="step-label">査定中</span>
-                </div>
-                <div className={`progress-line ${['awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : 'pending'}`}></div>
-                <div className={`progress-step ${['awaiting_approval', 'approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? 'completed' : currentApp.status === 'assessing' ? 'current' : 'pending'}`}>
-                  <div className="step-circle">5</div>
-                  <span className="step-label">承認・確定</span>
-                </div>
-                <div className={`progress-line ${['in_inventory'].includes(currentApp.status) ? 'completed' : 'pending'}`}></div>
-                <div className={`progress-step ${currentApp.status === 'in_inventory' ? 'completed' : ['approved', 'auto_approved'].includes(currentApp.status) ? 'current' : 'pending'}`}>
-                  <div className="step-circle">6</div>
-                  <span className="step-label">完了</span>
-                </div>
+                {BUYBACK_PROGRESS_STEPS.map((step, index) => {
+                  const stepState = getProgressStepState(currentApp.status, step);
+                  return (
+                    <React.Fragment key={step.label}>
+                      {index > 0 && (
+                        <div className={`progress-line ${stepState === 'completed' ? 'completed' : 'pending'}`}></div>
+                      )}
+                      <div className={`progress-step ${stepState}`}>
+                        <div className="step-circle">{index + 1}</div>
+                        <span className="step-label">{step.label}</span>
+                      </div>
+                    </React.Fragment>
+                  );
+                })}
               </div>
             </div>
 
@@ -1181,7 +1877,7 @@ const Rating = () => {
             </div>
 
             {/* 発送情報（承認後は非表示） */}
-            {!['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) && (
+            {!isQuoteLocked(currentApp.status) && (
             <div className="detail-section">
               <div className="collapsible-header" onClick={() => setShowShippingInfo(!showShippingInfo)}>
                 <h2>📦 発送情報</h2>
@@ -1211,10 +1907,12 @@ const Rating = () => {
                       </div>
                       <button onClick={() => {
                         const date = document.getElementById('receivedDate').value;
-                        updateStatus('assessing', {
+                        const updated = updateStatus('assessing', {
                           shippingInfo: { ...currentApp.shippingInfo, receivedDate: date }
                         });
-                        alert('商品到着を記録しました。査定を開始してください。');
+                        if (updated) {
+                          alert('商品到着を記録しました。査定を開始してください。');
+                        }
                       }} className="action-btn btn-success">
                         📦 商品到着を記録
                       </button>
@@ -1227,7 +1925,7 @@ const Rating = () => {
             )}
 
             {/* カンタン見積もりの場合、特記事項表示（承認後は非表示） */}
-            {!['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) && currentApp.type === 'simple' && currentApp.notes && (
+            {!isQuoteLocked(currentApp.status) && currentApp.type === 'simple' && currentApp.notes && (
               <div className="detail-section">
                 <h2>📝 特記事項</h2>
                 <div className="notes-display">{currentApp.notes}</div>
@@ -1235,25 +1933,186 @@ const Rating = () => {
             )}
 
             {/* 査定商品リスト */}
-            {(currentApp.status === 'assessing' || currentApp.status === 'awaiting_approval' || currentApp.status === 'approved' || currentApp.status === 'auto_approved' || currentApp.status === 'in_inventory') && (
+            {hasReachedStatus(currentApp.status, 'assessing') && (
               <>
                 <div className="detail-section">
                   <div className="section-header">
                     <h2>🎮 査定商品リスト</h2>
-                    {currentApp.type === 'simple' && !['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) && (
-                      <button 
-                        onClick={() => setShowAddItem(!showAddItem)} 
-                        className="add-item-toggle-btn"
-                      >
-                        {showAddItem ? '✕ 閉じる' : '➕ 商品を追加'}
-                      </button>
-                    )}
+                    <div className="section-header-actions">
+                      {currentApp.status === 'assessing' && (
+                        <button
+                          onClick={handleToggleLotMode}
+                          className="lot-mode-toggle-btn"
+                        >
+                          {showLotMode ? '✕ まとめ査定を閉じる' : `📦 まとめ査定${currentApp.lotDraft?.entries?.length ? `（入力中 ${calculateLotTotals(currentApp.lotDraft).itemCount}点）` : ''}`}
+                        </button>
+                      )}
+                      {currentApp.type === 'simple' && !isQuoteLocked(currentApp.status) && (
+                        <button 
+                          onClick={() => setShowAddItem(!showAddItem)} 
+                          className="add-item-toggle-btn"
+                        >
+                          {showAddItem ? '✕ 閉じる' : '➕ 商品を追加'}
+                        </button>
+                      )}
+                    </div>
                   </div>
 
+                  {/* まとめ査定モード */}
+                  {showLotMode && currentApp.status === 'assessing' && currentApp.lotDraft && (() => {
+                    const lot = currentApp.lotDraft;
+                    const totals = calculateLotTotals(lot);
+                    return (
+                      <div className="lot-appraisal-panel">
+                        <h3>📦 まとめ査定</h3>
+                        <p className="lot-hint">商品コード（例: N01、ランク指定は N01-B）または登録済みのJANコードをスキャン・入力してEnter。同じ機種・カラー・ランクは数量が加算されます。</p>
+                        <div className="lot-scan-row">
+                          <label>
+                            既定ランク
+                            <select value={lotRank} onChange={(e) => setLotRank(e.target.value)}>
+                              {RANKS.map(rank => (
+                                <option key={rank} value={rank}>{rank}</option>
+                              ))}
+                            </select>
+                          </label>
+                          <label>
+                            カラー
+                            <select value={lotColor} onChange={(e) => setLotColor(e.target.value)}>
+                              <option value="">指定なし</option>
+                              {colors.map(color => (
+                                <option key={color} value={color}>{color}</option>
+                              ))}
+                            </select>
+                          </label>
+                          <div className="lot-scan-input">
+                            <span>商品コード・JANコード</span>
+                            <BarcodeScanner
+                              onScan={handleLotScan}
+                              placeholder="スキャンまたは入力してEnter"
+                              list="lot-product-codes"
+                              autoFocus
+                            />
+                            <datalist id="lot-product-codes">
+                              {Object.entries(lotCodeIndex)
+                                .filter(([, product]) => !product.ambiguous)
+                                .map(([code, product]) => (
+                                  <option key={code} value={code}>
+                                    {product.productType === 'software' ? `${product.manufacturerLabel} ソフト` : product.consoleLabel}
+                                  </option>
+                                ))}
+                            </datalist>
+                          </div>
+                        </div>
+                        {lastScanResult && (
+                          <div className={`lot-scan-result ${lastScanResult.success ? 'success' : 'error'}`}>
+                            {lastScanResult.success ? '✓' : '⚠️'} {lastScanResult.message}
+                          </div>
+                        )}
+
+                        {lot.entries.length > 0 && (
+                          <>
+                            <table className="lot-table">
+                              <thead>
+                                <tr>
+                                  <th>コード</th>
+                                  <th>機種</th>
+                                  <th>カラー</th>
+                                  <th>ランク</th>
+                                  <th>数量</th>
+                                  <th>基準単価</th>
+                                  <th>割引後単価</th>
+                                  <th>小計</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {lot.entries.map(entry => {
+                                  const discounted = getDiscountedUnitPrice(entry.unitPrice, lot.bundleDiscountPercent);
+                                  return (
+                                    <tr key={entry.key} className={entry.unitPrice > 0 ? '' : 'lot-unpriced'}>
+                                      <td>{entry.productCode}</td>
+                                      <td>{entry.productType === 'software' ? `${entry.manufacturerLabel} ソフト` : entry.consoleLabel}</td>
+                                      <td>{entry.color || '-'}</td>
+                                      <td>{entry.rank}</td>
+                                      <td>
+                                        <input
+                                          type="number"
+                                          min="0"
+                                          value={entry.quantity}
+                                          onChange={(e) => saveLotDraft(setLotEntryQuantity(lot, entry.key, e.target.value))}
+                                          className="lot-qty-input"
+                                        />
+                                      </td>
+                                      <td>
+                                        <input
+                                          type="number"
+                                          min="0"
+                                          value={entry.unitPrice || ''}
+                                          onChange={(e) => saveLotDraft(setLotEntryPrice(lot, entry.key, e.target.value))}
+                                          className="lot-price-input"
+                                          placeholder="未設定"
+                                        />
+                                      </td>
+                                      <td>¥{discounted.toLocaleString()}</td>
+                                      <td>¥{(discounted * entry.quantity).toLocaleString()}</td>
+                                    </tr>
+                                  );
+                                })}
+                              </tbody>
+                            </table>
+
+                            <div className="lot-summary">
+                              <label>
+                                まとめ割引（%）
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  value={lot.bundleDiscountPercent || ''}
+                                  onChange={(e) => saveLotDraft({ ...lot, bundleDiscountPercent: Number(e.target.value) || 0 })}
+                                  placeholder="0"
+                                />
+                              </label>
+                              <div className="lot-totals">
+                                <span>{totals.itemCount}点</span>
+                                <span>小計 ¥{totals.subtotal.toLocaleString()}</span>
+                                {totals.discountAmount > 0 && <span>割引 −¥{totals.discountAmount.toLocaleString()}</span>}
+                                <strong>まとめ価格 ¥{totals.total.toLocaleString()}</strong>
+                              </div>
+                            </div>
+                          </>
+                        )}
+
+                        <div className="lot-actions">
+                          <button className="lot-discard-btn" onClick={handleDiscardLot}>破棄</button>
+                          <button className="lot-apply-btn" onClick={handleApplyLot} disabled={lot.entries.length === 0}>
+                            査定商品に反映
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })()}
+
+                  {/* 反映済みのまとめ査定 */}
+                  {(currentApp.lots || []).length > 0 && (
+                    <div className="applied-lots">
+                      {currentApp.lots.map(lot => (
+                        <div key={lot.id} className="applied-lot">
+                          📦 まとめ査定 {lot.itemCount}点：¥{lot.subtotal.toLocaleString()}
+                          {lot.bundleDiscountPercent > 0 && ` − まとめ割引${lot.bundleDiscountPercent}%（¥${lot.discountAmount.toLocaleString()}）`}
+                          {' '}= <strong>¥{lot.total.toLocaleString()}</strong>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
                   {/* 商品追加フォーム（カンタン見積もりの場合） */}
                   {currentApp.type === 'simple' && showAddItem && (
                     <div className="add-item-form">
                       <h3>商品を追加</h3>
+                      <div className="add-item-scan">
+                        <label>JANコードで機種を選択</label>
+                        <BarcodeScanner onScan={handleAddItemScan} placeholder="箱のJANコードをスキャン" />
+                      </div>
                       <div className="add-item-grid">
                         <div className="form-group">
                           <label>商品タイプ</label>
@@ -1354,13 +2213,17 @@ const Rating = () => {
                             <th>買取単価</th>
                             <th>小計</th>
                             <th>備考</th>
-                            {!['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) && <th>操作</th>}
+                            {!isQuoteLocked(currentApp.status) && <th>操作</th>}
                           </tr>
                         </thead>
                         <tbody>
-                          {currentApp.items.map(item => (
+                          {currentApp.items.map(item => {
+                            const returned = isItemReturned(item);
+                            const customerResponse = getPendingItemResponse(currentApp, item.id);
+                            const editable = !isQuoteLocked(currentApp.status) && !returned;
+                            return (
                             <React.Fragment key={item.id}>
-                              <tr className={item.assessedRank === 'C' && (!item.itemNotes || item.itemNotes.trim() === '') ? 'needs-notes' : ''}>
+                              <tr className={returned ? 'returned-item' : (item.assessedRank === 'C' && (!item.itemNotes || item.itemNotes.trim() === '') ? 'needs-notes' : '')}>
                                 {currentApp.status === 'in_inventory' && (
                                   <td className="management-number-cell">
                                     {item.managementNumbers && item.managementNumbers.length > 0 ? (
@@ -1395,12 +2258,16 @@ const Rating = () => {
                                   ) : (
                                     `${item.manufacturerLabel} - ${item.consoleLabel}`
                                   )}
+                                  {getEnteredSerialNumbers(item).length > 0 && (
+                                    <small className="serial-number-summary">S/N: {getEnteredSerialNumbers(item).join(', ')}</small>
+                                  )}
+                                  {returned && <span className="returned-badge">↩️ 返品希望</span>}
                                 </td>
                                 <td>{item.conditionLabel}</td>
                                 <td className="accessories-cell">{item.productType === 'console' ? getShortAccessoriesLabel(item.accessories) : '-'}</td>
                                 <td>{item.quantity}</td>
                                 <td>
-                                  {['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? (
+                                  {!editable ? (
                                     item.assessedRank || '-'
                                   ) : (
                                     <select
@@ -1417,7 +2284,7 @@ const Rating = () => {
                                   )}
                                 </td>
                                 <td>
-                                  {['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? (
+                                  {!editable ? (
                                     `¥${(item.buybackPrice || 0).toLocaleString()}`
                                   ) : (
                                     <input
@@ -1435,10 +2302,28 @@ const Rating = () => {
                                       }}
                                     />
                                   )}
+                                  {customerResponse && !returned && (
+                                    <div className={`customer-response customer-response-${customerResponse.decision}`}>
+                                      {ITEM_DECISIONS[customerResponse.decision]?.icon} {ITEM_DECISIONS[customerResponse.decision]?.shortLabel}
+                                      {customerResponse.decision === 'counter' && (
+                                        <>
+                                          {' '}希望 ¥{customerResponse.proposedPrice.toLocaleString()}
+                                          {editable && item.buybackPrice !== customerResponse.proposedPrice && (
+                                            <button
+                                              className="adopt-price-btn"
+                                              onClick={() => handleAdoptProposedPrice(item.id, customerResponse.proposedPrice)}
+                                            >
+                                              提案価格を採用
+                                            </button>
+                                          )}
+                                        </>
+                                      )}
+                                    </div>
+                                  )}
                                 </td>
-                                <td className="subtotal">¥{((item.buybackPrice || 0) * item.quantity).toLocaleString()}</td>
+                                <td className="subtotal">{returned ? '-' : `¥${((item.buybackPrice || 0) * item.quantity).toLocaleString()}`}</td>
                                 <td className="notes-cell-action">
-                                  {['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) ? (
+                                  {isQuoteLocked(currentApp.status) ? (
                                     item.itemNotes ? '📝' : '-'
                                   ) : (
                                     <button 
@@ -1449,10 +2334,37 @@ const Rating = () => {
                                       {showNotesFor[item.id] ? '➖' : '➕'}
                                     </button>
                                   )}
+                                  {(editable || item.inspection) && (
+                                    <button
+                                      className={`toggle-checklist-btn ${item.inspection?.suggestedRank ? 'inspected' : ''}`}
+                                      onClick={() => setShowChecklistFor({...showChecklistFor, [item.id]: !showChecklistFor[item.id]})}
+                                      title={showChecklistFor[item.id] ? '検品を閉じる' : '検品チェックリスト'}
+                                    >
+                                      🔍{item.inspection?.suggestedRank || ''}
+                                    </button>
+                                  )}
+                                  {(editable || getItemPhotos(item).length > 0) && (
+                                    <button
+                                      className={`toggle-photos-btn ${getItemPhotos(item).length > 0 ? 'has-photos' : ''}`}
+                                      onClick={() => setShowPhotosFor({...showPhotosFor, [item.id]: !showPhotosFor[item.id]})}
+                                      title={showPhotosFor[item.id] ? '写真を閉じる' : '状態写真'}
+                                    >
+                                      📷{getItemPhotos(item).length > 0 && getItemPhotos(item).length}
+                                    </button>
+                                  )}
+                                  {item.productType === 'console' && (
+                                    <button
+                                      className={`toggle-serials-btn ${getEnteredSerialNumbers(item).length > 0 ? 'has-serials' : ''}`}
+                                      onClick={() => setShowSerialsFor({...showSerialsFor, [item.id]: !showSerialsFor[item.id]})}
+                                      title={showSerialsFor[item.id] ? '製造番号を閉じる' : '製造番号'}
+                                    >
+                                      🔖{getEnteredSerialNumbers(item).length > 0 && getEnteredSerialNumbers(item).length}
+                                    </button>
+                                  )}
                                 </td>
-                                {!['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) && (
+                                {!isQuoteLocked(currentApp.status) && (
                                   <td>
-                                    {item.quantity > 1 && currentApp.status === 'assessing' && (
+                                    {item.quantity > 1 && currentApp.status === 'assessing' && !returned && (
                                       <button 
                                         onClick={() => handleSplitItem(item.id)} 
                                         className="split-btn"
@@ -1477,8 +2389,184 @@ const Rating = () => {
                                   </td>
                                 </tr>
                               )}
+                              {/* 検品チェックリスト */}
+                              {showChecklistFor[item.id] && (() => {
+                                const checklist = getChecklistForItem(item);
+                                const answers = item.inspection?.answers || {};
+                                const evaluation = evaluateChecklist(item, answers);
+                                return (
+                                  <tr className="checklist-detail-row">
+                                    <td colSpan={currentApp.status === 'in_inventory' ? '11' : '10'} className="checklist-detail-cell">
+                                      <div className="checklist-title">🔍 検品チェックリスト（{checklist.label}）</div>
+                                      <div className="checklist-grid">
+                                        {checklist.checks.map(check => (
+                                          <label key={check.id} className="checklist-check">
+                                            <span>{check.label}</span>
+                                            {editable ? (
+                                              <select
+                                                value={answers[check.id] || ''}
+                                                onChange={(e) => handleChecklistAnswer(item.id, check.id, e.target.value)}
+                                              >
+                                                <option value="">未確認</option>
+                                                {check.options.map(option => (
+                                                  <option key={option.value} value={option.value}>{option.label}</option>
+                                                ))}
+                                              </select>
+                                            ) : (
+                                              <strong>{check.options.find(option => option.value === answers[check.id])?.label || '未確認'}</strong>
+                                            )}
+                                          </label>
+                                        ))}
+                                      </div>
+                                      <div className="checklist-result">
+                                        {evaluation.complete ? (
+                                          <>
+                                            <span>提案ランク: <strong>{evaluation.suggestedRank}</strong></span>
+                                            <span>基準価格: ¥{evaluation.basePrice.toLocaleString()}</span>
+                                            <span>減額: −¥{evaluation.deductionAmount.toLocaleString()}（{evaluation.deductionPercent}%）</span>
+                                            <span>提案価格: <strong>¥{evaluation.suggestedPrice.toLocaleString()}</strong></span>
+                                            {evaluation.basePrice === 0 && <span className="checklist-warning">※ 買取基準価格が未設定です</span>}
+                                            {editable && (item.assessedRank !== evaluation.suggestedRank || (evaluation.suggestedPrice > 0 && item.buybackPrice !== evaluation.suggestedPrice)) && (
+                                              <button className="apply-inspection-btn" onClick={() => handleApplyInspection(item.id)}>
+                                                提案を適用
+                                              </button>
+                                            )}
+                                            {editable && item.assessedRank && item.assessedRank !== evaluation.suggestedRank && (
+                                              <button className="keep-rank-btn" onClick={() => handleRankChange(item.id, item.assessedRank)}>
+                                                {item.assessedRank}ランクを維持（理由を記録）
+                                              </button>
+                                            )}
+                                          </>
+                                        ) : (
+                                          <span>全項目を確認すると提案ランクを算出します（{evaluation.answeredCount}/{evaluation.totalCount}）</span>
+                                        )}
+                                      </div>
+                                      {evaluation.findings.length > 0 && (
+                                        <ul className="checklist-findings">
+                                          {evaluation.findings.map(finding => (
+                                            <li key={finding.checkId}>
+                                              {finding.label}
+                                              {finding.rankCap && finding.rankCap !== 'S' && `（${finding.rankCap}以下）`}
+                                              {finding.deduction > 0 && ` −${finding.deduction}%`}
+                                            </li>
+                                          ))}
+                                        </ul>
+                                      )}
+                                      {(item.inspection?.overrides || []).length > 0 && (
+                                        <div className="rank-override-log">
+                                          <strong>ランク変更履歴</strong>
+                                          <ul>
+                                            {item.inspection.overrides.map((override, idx) => (
+                                              <li key={idx}>
+                                                {new Date(override.date).toLocaleString('ja-JP')} {override.performedBy}:
+                                                提案 {override.suggestedRank} → {override.rank}（理由: {override.reason}）
+                                              </li>
+                                            ))}
+                                          </ul>
+                                        </div>
+                                      )}
+                                    </td>
+                                  </tr>
+                                );
+                              })()}
+                              {/* 製造番号（1台ごと） */}
+                              {showSerialsFor[item.id] && (() => {
+                                const serialEditable = currentApp.status !== 'in_inventory' && !returned;
+                                const format = getSerialNumberFormat(item.manufacturer, item.console);
+                                const history = findSerialNumberHistory(getEnteredSerialNumbers(item), {
+                                  excludeApplicationNumber: currentApp.applicationNumber
+                                });
+                                return (
+                                  <tr className="serials-detail-row">
+                                    <td colSpan={currentApp.status === 'in_inventory' ? '11' : '10'} className="serials-detail-cell">
+                                      <div className="checklist-title">
+                                        🔖 製造番号（{format.description}{format.example && `、例: ${format.example}`}）
+                                      </div>
+                                      <div className="serial-number-list">
+                                        {Array.from({ length: item.quantity }, (_, index) => {
+                                          const value = item.serialNumbers?.[index] || '';
+                                          const error = validateSerialNumber(value, item);
+                                          const entries = history[normalizeSerialNumber(value)] || [];
+                                          return (
+                                            <div key={index} className="serial-number-row">
+                                              <span className="serial-number-index">{index + 1}台目</span>
+                                              {serialEditable ? (
+                                                <input
+                                                  type="text"
+                                                  value={value}
+                                                  onChange={(e) => handleSerialNumberChange(item.id, index, e.target.value)}
+                                                  onBlur={() => handleSerialNumberBlur(item.id, index)}
+                                                  placeholder={format.example || '製造番号'}
+                                                  className={error ? 'invalid' : ''}
+                                                />
+                                              ) : (
+                                                <code>{value || '未入力'}</code>
+                                              )}
+                                              {error && <span className="serial-number-error">{error}</span>}
+                                              {entries.map((entry, entryIndex) => (
+                                                <span key={entryIndex} className="serial-number-warning">
+                                                  ⚠️ {SERIAL_HISTORY_TYPES[entry.type].label}
+                                                  {entry.date && ` ${new Date(entry.date).toLocaleDateString('ja-JP')}`} {entry.label}
+                                                </span>
+                                              ))}
+                                            </div>
+                                          );
+                                        })}
+                                      </div>
+                                    </td>
+                                  </tr>
+                                );
+                              })()}
+                              {/* 状態写真 */}
+                              {showPhotosFor[item.id] && (
+                                <tr className="photos-detail-row">
+                                  <td colSpan={currentApp.status === 'in_inventory' ? '11' : '10'} className="photos-detail-cell">
+                                    <div className="item-photos">
+                                      {getItemPhotos(item).map(photo => (
+                                        <div key={photo.id} className="item-photo">
+                                          <a href={photo.url} target="_blank" rel="noopener noreferrer">
+                                            <img src={photo.thumbnailUrl || photo.url} alt={ITEM_PHOTO_TYPES[photo.type]?.label || photo.type} />
+                                          </a>
+                                          <span className="item-photo-type">{ITEM_PHOTO_TYPES[photo.type]?.label || photo.type}</span>
+                                          {editable && (
+                                            <button className="remove-photo-btn" onClick={() => handleRemovePhoto(item.id, photo.id)} title="写真を削除">×</button>
+                                          )}
+                                        </div>
+                                      ))}
+                                      {getItemPhotos(item).length === 0 && !editable && (
+                                        <span className="no-photos">写真はありません</span>
+                                      )}
+                                    </div>
+                                    {editable && (
+                                      <div className="photo-upload-controls">
+                                        <select
+                                          value={photoTypeFor[item.id] || 'front'}
+                                          onChange={(e) => setPhotoTypeFor({...photoTypeFor, [item.id]: e.target.value})}
+                                        >
+                                          {Object.entries(ITEM_PHOTO_TYPES).map(([value, type]) => (
+                                            <option key={value} value={value}>{type.label}</option>
+                                          ))}
+                                        </select>
+                                        <label className={`photo-upload-btn ${uploadingPhotosFor === item.id ? 'uploading' : ''}`}>
+                                          {uploadingPhotosFor === item.id ? 'アップロード中...' : '📷 写真を追加'}
+                                          <input
+                                            type="file"
+                                            accept="image/jpeg,image/png,image/gif,image/webp"
+                                            multiple
+                                            disabled={uploadingPhotosFor === item.id}
+                                            onChange={(e) => {
+                                              handleUploadPhotos(item, e.target.files);
+                                              e.target.value = '';
+                                            }}
+                                          />
+                                        </label>
+                                      </div>
+                                    )}
+                                  </td>
+                                </tr>
+                              )}
                               {/* 備考欄を追加している場合の入力行 */}
-                              {showNotesFor[item.id] && !['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) && (
+                              {showNotesFor[item.id] && !isQuoteLocked(currentApp.status) && (
                                 <tr className="notes-detail-row">
                                   <td colSpan="10" className="notes-detail-cell">
                                     <div className="notes-detail-content">
@@ -1495,7 +2583,7 @@ const Rating = () => {
                                 </tr>
                               )}
                               {/* 買取確定後・在庫登録済の場合で備考がある場合 */}
-                              {['approved', 'auto_approved', 'in_inventory'].includes(currentApp.status) && item.itemNotes && (
+                              {isQuoteLocked(currentApp.status) && item.itemNotes && (
                                 <tr className="notes-detail-row">
                                   <td colSpan={currentApp.status === 'in_inventory' ? '11' : '10'} className="notes-detail-cell">
                                     <div className="notes-detail-content">
@@ -1505,7 +2593,8 @@ const Rating = () => {
                                 </tr>
                               )}
                             </React.Fragment>
-                          ))}
+                            );
+                          })}
                         </tbody>
                       </table>
                     </div>
@@ -1530,13 +2619,78 @@ const Rating = () => {
 
 
             {/* 担当者表示（査定完了後） */}
-            {currentApp.assessorName && (currentApp.status === 'awaiting_approval' || currentApp.status === 'approved' || currentApp.status === 'auto_approved' || currentApp.status === 'in_inventory') && (
+            {currentApp.assessorName && hasReachedStatus(currentApp.status, 'awaiting_approval') && (
               <div className="assessor-display">
                 <span className="assessor-label">👤 査定担当者:</span>
                 <span className="assessor-name">{currentApp.assessorName.match(/^(.+?)（/) ? currentApp.assessorName.match(/^(.+?)（/)[1] : currentApp.assessorName}</span>
               </div>
             )}
 
+            {/* 自動承認ルールの一致内容 */}
+            {currentApp.autoApproval && currentApp.status !== 'awaiting_approval' && (
+              <div className="auto-approval-display">
+                <span className="auto-approval-label">🤖 自動承認:</span>
+                <span className="auto-approval-rule">{currentApp.autoApproval.ruleName}</span>
+                <ul className="auto-approval-results">
+                  {(currentApp.autoApproval.results || []).map(result => (
+                    <li key={result.condition}>{result.label}: {result.detail}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* 交渉履歴 */}
+            {getNegotiationThread(currentApp).length > 0 && (
+              <div className="negotiation-section">
+                <h3>💬 交渉履歴</h3>
+                <ul className="negotiation-thread">
+                  {getNegotiationThread(currentApp).map(entry => (
+                    <li key={entry.id} className={`negotiation-entry ${entry.author}`}>
+                      <div className="negotiation-meta">
+                        <strong>{entry.author === 'customer' ? `お客様（${entry.authorName}）` : `再見積もり（${entry.authorName}）`}</strong>
+                        <span>{new Date(entry.date).toLocaleString('ja-JP')}</span>
+                      </div>
+                      {entry.message && <p className="negotiation-message">{entry.message}</p>}
+                      <ul className="negotiation-items">
+                        {entry.responses.map(response => (
+                          <li key={response.itemId}>
+                            {response.itemLabel}：
+                            {entry.type === 'counter_offer' ? (
+                              <>
+                                {ITEM_DECISIONS[response.decision]?.icon} {ITEM_DECISIONS[response.decision]?.shortLabel}
+                                {response.decision === 'counter' && (
+                                  <> ¥{response.quotedPrice.toLocaleString()} → 希望 ¥{response.proposedPrice.toLocaleString()}</>
+                                )}
+                              </>
+                            ) : (
+                              <>¥{response.quotedPrice.toLocaleString()}{response.proposedPrice !== null && `（希望 ¥${response.proposedPrice.toLocaleString()}）`}</>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                      {entry.type === 'requote' && (
+                        <div className="negotiation-total">再見積もり合計: ¥{entry.total.toLocaleString()}</div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* 価格提案への回答メッセージ */}
+            {currentApp.status === 'assessing' && getPendingCounterOffer(currentApp) && (
+              <div className="requote-message-section">
+                <label htmlFor="requote-message">💬 お客様へのメッセージ（再見積もりと一緒に送信）</label>
+                <textarea
+                  id="requote-message"
+                  value={requoteMessage}
+                  onChange={(e) => setRequoteMessage(e.target.value)}
+                  placeholder="例: ご希望の価格には届きませんが、上記まで引き上げました"
+                  rows="3"
+                />
+              </div>
+            )}
+
             {/* 査定担当者選択 */}
             {currentApp.status === 'assessing' && (
               <div className="assessor-selection-section">
@@ -1555,6 +2709,271 @@ const Rating = () => {
               </div>
             )}
 
+            {/* 返送手続き */}
+            {needsReturnShipment(currentApp) && (
+              <div className="return-shipment-section">
+                <div className="return-shipment-header">
+                  <h3>↩️ 返送手続き</h3>
+                  {returnShipment && (
+                    <span className={`return-status-badge return-status-${returnShipment.status}`}>
+                      {RETURN_STATUSES[returnShipment.status].icon} {RETURN_STATUSES[returnShipment.status].label}
+                    </span>
+                  )}
+                </div>
+                <p className="return-items-summary">
+                  返送対象: {getItemsToReturn(currentApp).map(item =>
+                    `${item.productType === 'software' ? item.softwareName : item.consoleLabel} ×${item.quantity}`
+                  ).join('、')}
+                </p>
+
+                {(!returnShipment || returnShipment.status === 'preparing') && (
+                  <div className="return-form-row">
+                    <label>
+                      返送料（円）
+                      <input
+                        type="number"
+                        min="0"
+                        value={returnForm.shippingCost}
+                        onChange={(e) => setReturnForm({ ...returnForm, shippingCost: e.target.value })}
+                        placeholder="0"
+                      />
+                    </label>
+                    <label>
+                      負担方法
+                      <select
+                        value={returnForm.costBearer}
+                        onChange={(e) => setReturnForm({ ...returnForm, costBearer: e.target.value })}
+                      >
+                        {Object.entries(RETURN_COST_BEARERS)
+                          .filter(([value]) => value !== 'deduct' || currentApp.status !== 'rejected')
+                          .map(([value, bearer]) => (
+                            <option key={value} value={value}>{bearer.label}</option>
+                          ))}
+                      </select>
+                    </label>
+                    <button className="return-save-btn" onClick={handleSaveReturnShipment}>
+                      {returnShipment ? '返送料を更新' : '返送記録を作成'}
+                    </button>
+                  </div>
+                )}
+
+                {returnShipment && returnShipment.status === 'preparing' && (
+                  <div className="return-form-row">
+                    <label>
+                      配送業者
+                      <select
+                        value={returnForm.carrier}
+                        onChange={(e) => setReturnForm({ ...returnForm, carrier: e.target.value })}
+                      >
+                        <option value="">選択してください</option>
+                        {RETURN_CARRIERS.map(carrier => (
+                          <option key={carrier} value={carrier}>{carrier}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      追跡番号
+                      <input
+                        type="text"
+                        value={returnForm.trackingNumber}
+                        onChange={(e) => setReturnForm({ ...returnForm, trackingNumber: e.target.value })}
+                        placeholder="例: 1234-5678-9012"
+                      />
+                    </label>
+                    <button className="return-ship-btn" onClick={handleMarkReturnShipped}>🚚 発送済みにする</button>
+                  </div>
+                )}
+
+                {returnShipment && returnShipment.status !== 'preparing' && (
+                  <div className="return-tracking-info">
+                    <p>
+                      <strong>返送料:</strong> ¥{returnShipment.shippingCost.toLocaleString()}（{RETURN_COST_BEARERS[returnShipment.costBearer].label}）
+                    </p>
+                    <p><strong>配送:</strong> {returnShipment.carrier} / 追跡番号 {returnShipment.trackingNumber}</p>
+                    <p><strong>発送日:</strong> {new Date(returnShipment.shippedAt).toLocaleString('ja-JP')}</p>
+                    {returnShipment.receivedAt && (
+                      <p><strong>受取確認:</strong> {new Date(returnShipment.receivedAt).toLocaleString('ja-JP')}</p>
+                    )}
+                  </div>
+                )}
+
+                {returnShipment && (
+                  <button className="print-button" onClick={handlePrintReturnSlip}>🖨️ 返送明細書印刷</button>
+                )}
+
+                {getReturnDeduction(currentApp.applicationNumber) > 0 && (
+                  <p className="return-deduction">
+                    お振込額: ¥{calculateTotal().toLocaleString()} − 返送料 ¥{getReturnDeduction(currentApp.applicationNumber).toLocaleString()} = <strong>¥{(calculateTotal() - getReturnDeduction(currentApp.applicationNumber)).toLocaleString()}</strong>
+                  </p>
+                )}
+              </div>
+            )}
+
+            {/* 品触れ照合 */}
+            {currentApp.status !== 'rejected' && (
+              <div className={`watchlist-section ${currentApp.watchlistCheck?.matches?.length > 0 ? (currentApp.watchlistCheck.resolution?.decision === 'cleared' ? 'cleared' : 'alert') : ''}`}>
+                <div className="identity-verification-header">
+                  <h3>🚨 品触れ照合</h3>
+                  <span className="identity-status-badge">
+                    {!currentApp.watchlistCheck
+                      ? '未照合'
+                      : currentApp.watchlistCheck.matches.length === 0
+                        ? '✅ 一致なし'
+                        : currentApp.watchlistCheck.resolution
+                          ? WATCHLIST_RESOLUTIONS[currentApp.watchlistCheck.resolution.decision].label
+                          : `⚠️ 一致の可能性 ${currentApp.watchlistCheck.matches.length}件`}
+                  </span>
+                </div>
+
+                {currentApp.watchlistCheck?.matches?.length > 0 && (
+                  <ul className="watchlist-matches">
+                    {currentApp.watchlistCheck.matches.map(match => (
+                      <li key={`${match.itemId}-${match.noticeId}`}>
+                        {WATCHLIST_MATCH_LEVELS[match.level].icon} {match.itemLabel} → 品触れ {match.noticeNumber}
+                        {match.issuedBy && `（${match.issuedBy}）`}: {match.reasons.join('・')}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {currentApp.watchlistCheck?.resolution && (
+                  <p className="identity-verified-by">
+                    {WATCHLIST_RESOLUTIONS[currentApp.watchlistCheck.resolution.decision].label}: {currentApp.watchlistCheck.resolution.reason}
+                    ／ 記録者: {currentApp.watchlistCheck.resolution.resolvedBy || '-'}
+                  </p>
+                )}
+
+                {watchlistForm && (
+                  <div className="return-form-row">
+                    <label>
+                      照合結果
+                      <select
+                        value={watchlistForm.decision}
+                        onChange={(e) => setWatchlistForm({ ...watchlistForm, decision: e.target.value })}
+                      >
+                        {Object.entries(WATCHLIST_RESOLUTIONS).map(([value, { label }]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      確認内容（必須）
+                      <input
+                        type="text"
+                        value={watchlistForm.reason}
+                        onChange={(e) => setWatchlistForm({ ...watchlistForm, reason: e.target.value })}
+                        placeholder="例: 製造番号が品触れと異なることを現物で確認"
+                      />
+                    </label>
+                    <button className="return-save-btn" onClick={handleSaveWatchlistResolution}>照合結果を記録</button>
+                    <button className="identity-cancel-btn" onClick={() => setWatchlistForm(null)}>キャンセル</button>
+                  </div>
+                )}
+
+                {!watchlistForm && currentApp.status !== 'in_inventory' && (
+                  <div className="watchlist-actions">
+                    <button className="identity-cancel-btn" onClick={handleRecheckWatchlist}>🔍 再照合</button>
+                    {currentApp.watchlistCheck?.matches?.length > 0 && (
+                      <button className="return-save-btn" onClick={() => setWatchlistForm({ decision: 'cleared', reason: '' })}>
+                        照合結果を記録する
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* 本人確認（古物営業法第15条） */}
+            {currentApp.status !== 'rejected' && hasReachedStatus(currentApp.status, 'received') && (
+              <div className={`identity-verification-section ${currentApp.identityVerification ? 'verified' : ''}`}>
+                <div className="identity-verification-header">
+                  <h3>🪪 本人確認</h3>
+                  <span className="identity-status-badge">
+                    {currentApp.identityVerification ? '✅ 確認済み' : '⚠️ 未確認'}
+                  </span>
+                </div>
+
+                {currentApp.identityVerification && (
+                  <div className="identity-verification-info">
+                    <p>{formatIdentityVerification(currentApp.identityVerification)}</p>
+                    <p className="identity-verified-by">
+                      記録者: {currentApp.identityVerification.verifiedBy || '-'}
+                      {currentApp.identityVerification.note && ` ／ 備考: ${currentApp.identityVerification.note}`}
+                    </p>
+                  </div>
+                )}
+
+                {!currentApp.identityVerification && !identityForm && (
+                  <p className="identity-verification-notice">
+                    在庫登録（古物台帳への記録）の前に、本人確認書類と確認方法を記録してください。
+                  </p>
+                )}
+
+                {identityForm && (
+                  <div className="return-form-row">
+                    <label>
+                      本人確認書類
+                      <select
+                        value={identityForm.documentType}
+                        onChange={(e) => setIdentityForm({ ...identityForm, documentType: e.target.value })}
+                      >
+                        {IDENTITY_DOCUMENT_TYPES.map(type => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      {getIdentityDocumentType(identityForm.documentType)?.numberLabel}
+                      <input
+                        type="text"
+                        value={identityForm.documentNumber}
+                        onChange={(e) => setIdentityForm({ ...identityForm, documentNumber: e.target.value })}
+                        autoComplete="off"
+                      />
+                    </label>
+                    <label>
+                      確認方法
+                      <select
+                        value={identityForm.method}
+                        onChange={(e) => setIdentityForm({ ...identityForm, method: e.target.value })}
+                      >
+                        {IDENTITY_VERIFICATION_METHODS.map(method => (
+                          <option key={method.value} value={method.value}>{method.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      確認日
+                      <input
+                        type="date"
+                        value={identityForm.verifiedAt}
+                        onChange={(e) => setIdentityForm({ ...identityForm, verifiedAt: e.target.value })}
+                      />
+                    </label>
+                    <label>
+                      備考
+                      <input
+                        type="text"
+                        value={identityForm.note}
+                        onChange={(e) => setIdentityForm({ ...identityForm, note: e.target.value })}
+                        placeholder="例: 本人限定受取郵便 受領確認済"
+                      />
+                    </label>
+                    <button className="return-save-btn" onClick={handleSaveIdentityVerification} disabled={savingIdentity}>
+                      {savingIdentity ? '保存中...' : '本人確認を記録'}
+                    </button>
+                    <button className="identity-cancel-btn" onClick={() => setIdentityForm(null)}>キャンセル</button>
+                  </div>
+                )}
+
+                {!identityForm && currentApp.status !== 'in_inventory' && (
+                  <button className="return-save-btn" onClick={handleStartIdentityVerification}>
+                    {currentApp.identityVerification ? '本人確認をやり直す' : '本人確認を記録する'}
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* アクションボタン */}
             <div className="action-buttons">
               {currentApp.status === 'assessing' && (
@@ -1580,6 +2999,10 @@ const Rating = () => {
                   <button className="print-button" onClick={handlePrint}>🖨️ 見積書印刷</button>
                   <div className="info-message">
                     <p>💡 買取が確定しました。顧客へ振込手続きについて連絡し、振込完了後に在庫登録してください。</p>
+                    <p>
+                      振込状況: {PAYOUT_STATUSES[getPayoutStatus(currentApp)].icon} {PAYOUT_STATUSES[getPayoutStatus(currentApp)].label}
+                      （<Link to="/payouts">振込管理</Link>で振込データを作成できます）
+                    </p>
                   </div>
                   <button className="confirm-button" onClick={handleOpenInventoryModal}>
                     📊 在庫に登録する
@@ -1610,7 +3033,7 @@ const Rating = () => {
               <p className="modal-intro">以下の商品を在庫に登録します。管理番号を確認してください。</p>
               
               <div className="inventory-items-list">
-                {currentApp.items.map((item, index) => {
+                {getActiveItems(currentApp).map((item, index) => {
                   const numbers = generatedManagementNumbers[item.id] || [];
                   const isEditing = editingManagementNumbers[item.id];
                   const first = numbers[0];
@@ -1686,7 +3109,7 @@ const Rating = () => {
               
               <div className="modal-total">
                 <span>合計:</span>
-                <strong>{currentApp.items.reduce((sum, item) => sum + item.quantity, 0)}点</strong>
+                <strong>{getActiveItems(currentApp).reduce((sum, item) => sum + item.quantity, 0)}点</strong>
               </div>
             </div>
             
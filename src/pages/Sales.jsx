@@ -1,12 +1,53 @@
 import React, { useState, useEffect } from 'react';
 import { validateAndSanitize, validators } from '../utils/validation';
-import { manufacturers, colors, gameConsoles } from '../data/gameConsoles';
+import { manufacturers, colors } from '../data/gameConsoles';
 import { getAllConsoles } from '../utils/productMaster';
 import { generateProductCode } from '../utils/productCodeGenerator';
 import { calculateBuyerPrice } from '../utils/priceCalculator';
 import { createOutboundItemInZaico, logSyncActivity } from '../utils/zaicoClient';
 import { recordLedgerSale } from '../utils/ledgerRecords';
+import {
+  SALES_ORDER_PROGRESS_STEPS,
+  getSalesOrderStatusLabel,
+  getSalesOrderProgressStepState,
+  isSalesOrderClosed,
+  getShippedQuantity,
+  getUnshippedQuantity,
+  getBackorderedItems
+} from '../utils/salesOrderStateMachine';
+import {
+  loadSalesOrders,
+  getAvailableQuantity,
+  matchesRequestItem,
+  compareInventoryForSale,
+  allocateQuoteReservations,
+  getQuoteValidityDays,
+  saveQuoteValidityDays,
+  calculateQuoteExpiresAt,
+  expireSalesOrders,
+  reserveShipmentSelection,
+  updateSalesOrderStatus,
+  getNextShipmentNumber,
+  prepareSalesOrderShipment,
+  recordSalesOrderShipment
+} from '../utils/salesOrders';
+import { resolveScannedCode } from '../utils/barcodeResolver';
+import {
+  getCurrentExchangeRate,
+  lockExchangeRate,
+  calculateFxGainLoss,
+  normalizeCurrency,
+  convertFromJPY,
+  formatCurrencyAmount
+} from '../utils/exchangeRates';
+import { getBuyerCurrency } from '../utils/buyerManager';
+import { SUPPORTED_CURRENCIES } from '../data/currencies';
 import BuyerSelector from '../components/BuyerSelector';
+import BarcodeScanner from '../components/BarcodeScanner';
+import CommercialInvoice from '../components/CommercialInvoice';
+import ShippingRateSelector from '../components/ShippingRateSelector';
+import { estimateItemsWeight, calculatePackagingWeight, getShippingOptions } from '../utils/shippingRates';
+import { SHIPPING_CARRIERS } from '../data/shippingRates';
 import './Sales.css';
 
 // 担当者リスト（Rating.jsxと同じ）
@@ -92,9 +133,21 @@ const Sales = () => {
   // 販売履歴
   const [salesHistory, setSalesHistory] = useState([]);
   const [selectedSaleId, setSelectedSaleId] = useState(null);
+
+  // お客様からの販売リクエスト
+  const [requests, setRequests] = useState(loadSalesOrders);
+  const [selectedRequestNumber, setSelectedRequestNumber] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [tempShippingFee, setTempShippingFee] = useState(0);
+  const [tempDeliveryDays, setTempDeliveryDays] = useState('');
+  const [tempShippingMethod, setTempShippingMethod] = useState('');
+  const [tempQuoteValidityDays, setTempQuoteValidityDays] = useState(getQuoteValidityDays);
+  const [showShippingInfo, setShowShippingInfo] = useState(true);
+  const currentReq = requests.find(req => req.requestNumber === selectedRequestNumber);
   
   // 管理番号モーダル
   const [showManagementNumberModal, setShowManagementNumberModal] = useState(false);
+  const [showCommercialInvoice, setShowCommercialInvoice] = useState(false);
   const [currentManagementNumbers, setCurrentManagementNumbers] = useState([]);
   const [currentItemInfo, setCurrentItemInfo] = useState(null);
   
@@ -162,8 +215,8 @@ const Sales = () => {
   // 価格計算情報の表示
   const [priceCalculations, setPriceCalculations] = useState({});
 
-  // 為替レート（USD to JPY）- 後で設定画面から変更可能にする
-  const EXCHANGE_RATE = parseFloat(localStorage.getItem('exchangeRate') || '150');
+  // 為替レート（USD to JPY）- 為替レート設定で登録した当日のレート（直接販売はUSD建て）
+  const EXCHANGE_RATE = getCurrentExchangeRate().rate;
   
   const getInventoryById = (inventoryList, targetId) => {
     return inventoryList.find(inv => String(inv.id) === String(targetId));
@@ -226,11 +279,22 @@ const Sales = () => {
     return jstTime.toISOString().split('T')[0];
   };
 
-  // JPYをUSDに変換
-  const convertToUSD = (jpy) => {
-    return Math.round(jpy / EXCHANGE_RATE * 100) / 100; // 小数点2桁
+  // 販売リクエストの通貨（見積もり送信後は見積もり時に固定した通貨。通貨のない旧データはUSD）
+  const getRequestCurrency = () => {
+    if (!currentReq) return 'USD';
+    if (currentReq.exchangeRateLock) return normalizeCurrency(currentReq.exchangeRateLock.currency);
+    return normalizeCurrency(currentReq.currency || getBuyerCurrency(currentReq.customer?.email, currentReq.customer?.country));
   };
 
+  // 販売リクエストのレート（見積もり送信後は見積もり時に固定したレート）
+  const getRequestExchangeRate = () => currentReq?.exchangeRateLock?.rate || getCurrentExchangeRate(getRequestCurrency()).rate;
+
+  // JPYをバイヤーの通貨に変換
+  const convertToBuyerCurrency = (jpy) => convertFromJPY(jpy, getRequestExchangeRate(), getRequestCurrency());
+
+  // JPYをバイヤーの通貨で表示（例: €123.45）
+  const formatBuyerAmount = (jpy) => formatCurrencyAmount(convertToBuyerCurrency(jpy), getRequestCurrency());
+
   // 会社情報
   const companyInfo = {
     name: '株式会社ゲーム買取センター',
@@ -255,6 +319,8 @@ const Sales = () => {
 
   useEffect(() => {
     loadSalesHistory();
+    // 有効期限が過ぎた見積もりの引当を解除
+    setRequests(expireSalesOrders().orders);
     // 発送日を今日に設定
     const today = getTodayJST();
     setShippedDate(today);
@@ -266,6 +332,9 @@ const Sales = () => {
       if (e.key === 'salesHistory') {
         loadSalesHistory();
       }
+      if (e.key === 'salesRequests') {
+        setRequests(loadSalesOrders());
+      }
     };
 
     window.addEventListener('storage', handleStorageChange);
@@ -306,31 +375,31 @@ const Sales = () => {
     }
   };
 
-  // 在庫から利用可能数を取得
+  // 在庫から利用可能数を取得（他のリクエストの引当分を除く）
   const getAvailableStock = (item) => {
     const inventoryData = JSON.parse(localStorage.getItem('inventory') || '[]');
-    return inventoryData.filter(inv => 
-      inv.console === item.console && 
-      (!item.color || inv.color === item.color)
-    ).reduce((sum, inv) => sum + (inv.quantity || 0), 0);
+    return inventoryData
+      .filter(inv => matchesRequestItem(inv, item))
+      .reduce((sum, inv) => sum + getAvailableQuantity(inv, { excludeRequestNumber: selectedRequestNumber, orders: requests }), 0);
   };
 
-  // 商品に対応する在庫リストを取得（ランク別）
+  // このリクエストで引き当てている数量
+  const getReservedForItem = (item) => {
+    return (currentReq?.reservations || [])
+      .filter(reservation => reservation.itemId === item.id)
+      .reduce((sum, reservation) => sum + reservation.quantity, 0);
+  };
+
+  // 商品に対応する在庫リストを取得（ランク別・他のリクエストの引当分を除く）
   const getInventoryListForItem = (item) => {
     const inventoryData = JSON.parse(localStorage.getItem('inventory') || '[]');
-    return inventoryData.filter(inv => 
-      inv.console === item.console && 
-      (!item.color || inv.color === item.color) &&
-      (item.productType === 'software' ? inv.softwareName === item.softwareName : true) &&
-      inv.quantity > 0
-    ).sort((a, b) => {
-      // ランク順 > 価格順（安い順）
-      const rankOrder = { 'S': 1, 'A': 2, 'B': 3, 'C': 4 };
-      if (rankOrder[a.assessedRank] !== rankOrder[b.assessedRank]) {
-        return rankOrder[a.assessedRank] - rankOrder[b.assessedRank];
-      }
-      return (a.acquisitionPrice || a.buybackPrice) - (b.acquisitionPrice || b.buybackPrice);
-    });
+    return inventoryData
+      .map(inv => ({
+        ...inv,
+        availableQuantity: getAvailableQuantity(inv, { excludeRequestNumber: selectedRequestNumber, orders: requests })
+      }))
+      .filter(inv => matchesRequestItem(inv, item) && inv.availableQuantity > 0)
+      .sort(compareInventoryForSale); // ランク順 > 価格順（安い順）
   };
 
   // 選択した在庫の合計仕入れ額を計算
@@ -391,6 +460,43 @@ const Sales = () => {
     });
   };
 
+  // バーコードのスキャンで在庫を選択（管理番号は1点ずつ選択数量を加算、JANコードは機種名で絞り込む）
+  const handleInventoryScan = (code) => {
+    const inventoryData = JSON.parse(localStorage.getItem('inventory') || '[]');
+    const resolved = resolveScannedCode(code, { inventory: inventoryData.filter(inv => inv.quantity > 0) });
+
+    if (resolved.type === 'management_number') {
+      const inv = resolved.inventoryItem;
+      if (!inv) {
+        alert(`管理番号「${resolved.code}」の在庫は見つかりませんでした（販売済み・在庫切れの可能性があります）`);
+        return;
+      }
+      const selectedQty = selectedInventories[inv.id] || 0;
+      const available = getAvailableQuantity(inv, { orders: requests });
+      if (selectedQty >= available) {
+        alert(`${inv.consoleLabel || inv.softwareName || '商品'} は販売できる数（${available}点）まで選択済みです${available < inv.quantity ? `\n（${inv.quantity - available}点は販売リクエストに引当中）` : ''}`);
+        return;
+      }
+      handleSelectInventoryItem(inv.id, selectedQty + 1);
+      setInventorySearchQuery(resolved.code);
+      setInventoryPage(1);
+      return;
+    }
+
+    setInventorySearchQuery(resolved.type === 'jan' && resolved.product
+      ? (resolved.product.consoleLabel || resolved.product.manufacturerLabel)
+      : resolved.code);
+    setInventoryPage(1);
+  };
+
+  // 今回の発送の在庫選択の初期値（リクエストの引当をそのまま選択する）
+  const toShipmentSelection = (req) => {
+    return (req?.reservations || []).reduce((acc, reservation) => ({
+      ...acc,
+      [reservation.itemId]: [...(acc[reservation.itemId] || []), { invId: reservation.inventoryId, quantity: reservation.quantity }]
+    }), {});
+  };
+
   // 在庫選択を追加（旧構造用：後で削除予定）
   const handleSelectInventory = (itemId, invId, quantity, requestedQuantity) => {
     // 現在の選択状況を取得
@@ -413,51 +519,73 @@ const Sales = () => {
       newTotal = current.reduce((sum, s) => sum + s.quantity, 0) + quantity;
     }
     
-    // リクエスト数量を超えていないかチェック
+    // 未発送の数量を超えていないかチェック
     if (newTotal > requestedQuantity) {
-      alert(`⚠️ 選択数量がリクエスト数量を超えています。\n\nリクエスト: ${requestedQuantity}台\n選択しようとした合計: ${newTotal}台\n\nリクエスト数量以下で選択してください。`);
+      alert(`⚠️ 選択数量が未発送の数量を超えています。\n\n未発送: ${requestedQuantity}台\n選択しようとした合計: ${newTotal}台\n\n未発送の数量以下で選択してください。`);
       return;
     }
-    
-    setSelectedInventories(prev => {
-      const current = prev[itemId] || [];
-      const existingIndex = current.findIndex(s => s.invId === invId);
-      
-      if (quantity === 0) {
-        // 数量0なら削除
-        return {
-          ...prev,
-          [itemId]: current.filter(s => s.invId !== invId)
-        };
-      }
-      
-      if (existingIndex !== -1) {
-        // 既存を更新
-        const updated = [...current];
-        updated[existingIndex] = { invId, quantity };
-        return {
-          ...prev,
-          [itemId]: updated
-        };
-      } else {
-        // 新規追加
-        return {
-          ...prev,
-          [itemId]: [...current, { invId, quantity }]
-        };
+
+    let nextSelection;
+    if (quantity === 0) {
+      // 数量0なら削除
+      nextSelection = current.filter(s => s.invId !== invId);
+    } else if (existingIndex !== -1) {
+      // 既存を更新
+      nextSelection = [...current];
+      nextSelection[existingIndex] = { invId, quantity };
+    } else {
+      // 新規追加
+      nextSelection = [...current, { invId, quantity }];
+    }
+    const nextInventories = { ...selectedInventories, [itemId]: nextSelection };
+
+    // 選択を増やした在庫はリクエストに引き当て、他のリクエストで選択できないようにする
+    // （今回の発送の選択と引当は別に管理し、選択を外しても引当は残す）
+    if (quantity > (existingIndex !== -1 ? current[existingIndex].quantity : 0)) {
+      const result = reserveShipmentSelection(selectedRequestNumber, nextInventories);
+      if (!result.success) {
+        alert(`⚠️ ${result.error}`);
+        return;
       }
+      setRequests(result.orders);
+    }
+    setSelectedInventories(nextInventories);
+  };
+
+  // ステータス更新（遷移の可否・引当の解除・返金時の台帳の取消は salesOrders で行う）
+  const updateStatus = (newStatus, options = {}) => {
+    const result = updateSalesOrderStatus(selectedRequestNumber, newStatus, {
+      performedBy: currentReq?.salesStaffName || salesStaffName,
+      ...options
     });
+    if (!result.success) {
+      alert(`ステータスを変更できません\n${result.error}`);
+      return result;
+    }
+    setRequests(result.orders);
+    return result;
   };
 
-  // ステータス更新
-  const updateStatus = (newStatus) => {
-    const updatedRequests = requests.map(req => 
-      req.requestNumber === selectedRequestNumber 
-        ? { ...req, status: newStatus }
-        : req
-    );
-    setRequests(updatedRequests);
-    localStorage.setItem('salesRequests', JSON.stringify(updatedRequests));
+  // 保留・キャンセル・返金（理由を入力して遷移）
+  const handleStatusChangeWithReason = (newStatus, promptMessage) => {
+    const note = window.prompt(promptMessage);
+    if (note === null) return;
+
+    const result = updateStatus(newStatus, { note });
+    if (!result.success) return;
+
+    if (newStatus === 'cancelled' || newStatus === 'refunded') {
+      setSelectedInventories({});
+    }
+    alert(newStatus === 'refunded'
+      ? `返金済みにしました。${result.reversed > 0 ? `古物台帳の販売記録${result.reversed}件を取り消しました。` : ''}`
+      : `${getSalesOrderStatusLabel(newStatus)}にしました。`);
+  };
+
+  // 保留を解除して保留前のステータスに戻す
+  const handleResume = () => {
+    if (!window.confirm(`保留を解除して「${getSalesOrderStatusLabel(currentReq.heldFromStatus)}」に戻しますか？`)) return;
+    updateStatus(currentReq.heldFromStatus);
   };
 
   // 商品の見積もり価格/在庫数を更新
@@ -497,7 +625,8 @@ const Sales = () => {
       return null; // 在庫なし
     }
     
-    const rank = matchingInventory.assessedRank || 'A';
+    // カタログから選んだ商品は選んだランクの価格
+    const rank = item.rank || matchingInventory.assessedRank || 'A';
     const productCode = generateProductCode(item.manufacturer, item.console, item.productType);
     
     return calculateBuyerPrice(productCode, rank, buyerEmail);
@@ -593,52 +722,134 @@ const Sales = () => {
       return;
     }
 
-    const confirmAction = window.confirm('見積もりを確定してお客様に送信しますか？');
+    const validityDays = parseInt(tempQuoteValidityDays, 10);
+    if (!(validityDays > 0)) {
+      alert('見積もりの有効期限（日数）を入力してください');
+      return;
+    }
+
+    // 見積もりの有効期限まで在庫を引き当て、他のお客様に同じ在庫を見積もらないようにする
+    const quoteExpiresAt = calculateQuoteExpiresAt(validityDays);
+    const { reservations, shortages } = allocateQuoteReservations(currentReq, { expiresAt: quoteExpiresAt, orders: requests });
+    if (shortages.length > 0) {
+      const lines = shortages.map(shortage => {
+        const item = currentReq.items.find(i => i.id === shortage.itemId);
+        const productName = item.productType === 'software'
+          ? item.softwareName
+          : `${item.manufacturerLabel} ${item.consoleLabel}`;
+        return `${productName}: 希望${shortage.needed}台 / 引当可能${shortage.reserved}台`;
+      });
+      if (!window.confirm(`⚠️ 引き当てられる在庫が不足しています：\n\n${lines.join('\n')}\n\n不足分は引き当てずに見積もりを送信しますか？`)) return;
+    }
+
+    // 見積もりの外貨金額は送信時のレートで固定し、以後のレート変更で再計算しない
+    const currency = getRequestCurrency();
+    const exchangeRateLock = lockExchangeRate(undefined, currency);
+    const confirmAction = window.confirm(`見積もりを確定してお客様に送信しますか？\n有効期限: ${new Date(quoteExpiresAt).toLocaleDateString('ja-JP')}（期限までに承認がない場合は引当を解除します）\n為替レート: 1 ${currency} = ¥${exchangeRateLock.rate}（この見積もりに固定されます）`);
     if (!confirmAction) return;
 
     // 送料と配送期間と担当者名を保存
-    const updatedRequests = requests.map(req => 
-      req.requestNumber === selectedRequestNumber
-        ? {
-            ...req,
-            shippingFee: tempShippingFee,
-            deliveryDays: tempDeliveryDays,
-            salesStaffName: salesStaffName,
-            status: 'quoted'
-          }
-        : req
-    );
-    setRequests(updatedRequests);
-    localStorage.setItem('salesRequests', JSON.stringify(updatedRequests));
+    const result = updateStatus('quoted', {
+      patch: {
+        shippingFee: tempShippingFee,
+        deliveryDays: tempDeliveryDays,
+        shippingMethod: tempShippingMethod || currentReq.shippingMethod || 'EMS',
+        salesStaffName: salesStaffName,
+        quoteValidityDays: validityDays,
+        quoteExpiresAt,
+        reservations,
+        currency,
+        exchangeRateLock
+      },
+      performedBy: salesStaffName
+    });
+    if (!result.success) return;
+    saveQuoteValidityDays(validityDays);
     
     alert('見積もりを送信しました。');
   };
 
-  // 発送完了処理（在庫減算 + 古物台帳記録）
-  const handleCompleteSale = async (shippedDate, trackingNumber) => {
-    // 在庫選択のチェック
-    const mismatches = [];
-    currentReq.items.forEach(item => {
-      const selectedQty = getSelectedQuantity(item.id);
-      if (selectedQty !== item.quantity) {
-        const productName = item.productType === 'software' 
-          ? item.softwareName 
-          : `${item.manufacturerLabel} ${item.consoleLabel}`;
-        mismatches.push(`${productName}: リクエスト${item.quantity}台 / 選択${selectedQty}台`);
-      }
-    });
-    
-    if (mismatches.length > 0) {
-      alert(`⚠️ 在庫選択数量がリクエストと一致していません：\n\n${mismatches.join('\n')}\n\nすべての商品について、リクエスト数量と同じ数量の在庫を選択してください。`);
+  // 今回発送する商品（在庫を選択した商品）
+  const getShipmentLines = () => {
+    return (currentReq?.items || [])
+      .map(item => ({
+        itemId: item.id,
+        quantity: getSelectedQuantity(item.id),
+        inventories: selectedInventories[item.id] || []
+      }))
+      .filter(line => line.quantity > 0);
+  };
+
+  // 今回の発送の送料の初期値（リクエストの送料を数量で按分し、最後の発送で残りを計上）
+  const getDefaultShipmentFee = (lines = getShipmentLines()) => {
+    const items = currentReq?.items || [];
+    const totalFee = currentReq?.shippingFee || 0;
+    const recordedFee = (currentReq?.shipments || []).reduce((sum, shipment) => sum + (shipment.shippingFee || 0), 0);
+    const remainingFee = Math.max(0, totalFee - recordedFee);
+    const shippingQty = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const unshippedQty = items.reduce((sum, item) => sum + getUnshippedQuantity(item), 0);
+    if (shippingQty >= unshippedQty) return remainingFee;
+
+    const totalQty = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+    return Math.min(remainingFee, Math.round(totalFee * shippingQty / (totalQty || 1)));
+  };
+
+  const getItemLabel = (item) => {
+    return item.productType === 'software'
+      ? item.softwareName
+      : `${item.manufacturerLabel} ${item.consoleLabel}`;
+  };
+
+  // 発送処理（在庫減算 + 古物台帳記録）。選択した在庫の分だけ発送し、残りは入荷待ちとして残す
+  const handleCompleteSale = async ({ shippedDate, trackingNumber, carrier, shippingFee }) => {
+    // 発送内容のチェック（保存済みのリクエストで検証し、保留中などは在庫を減算する前に止める）
+    const shipmentLines = getShipmentLines();
+    const savedReq = loadSalesOrders().find(o => o.requestNumber === currentReq.requestNumber) || currentReq;
+    const prepared = prepareSalesOrderShipment(savedReq, shipmentLines);
+    if (!prepared.success) {
+      alert(`発送できません\n${prepared.error}`);
       return;
     }
-    
-    const confirmAction = window.confirm('発送完了にしますか？\n在庫が減算され、古物台帳に記録されます。\nこの操作は取り消せません。');
+
+    const shipmentNumber = getNextShipmentNumber(savedReq);
+    const backordered = getBackorderedItems({ ...savedReq, items: prepared.items });
+    const confirmAction = window.confirm(prepared.nextStatus === 'shipped'
+      ? `${shipmentNumber} を発送し、発送完了にしますか？\n在庫が減算され、古物台帳に記録されます。\nこの操作は取り消せません。`
+      : `${shipmentNumber} として一部を発送しますか？\n\n入荷待ち（未発送）:\n${backordered.map(({ item, quantity }) => `・${getItemLabel(item)}: ${quantity}台`).join('\n')}\n\n発送分の在庫が減算され、古物台帳に記録されます。\nこの操作は取り消せません。`);
     if (!confirmAction) return;
 
     // 在庫データを取得（減算前）
     const inventoryData = JSON.parse(localStorage.getItem('inventory') || '[]');
-    
+    const shortInventory = shipmentLines
+      .flatMap(line => line.inventories)
+      .find(sel => (inventoryData.find(inv => inv.id === sel.invId)?.quantity || 0) < sel.quantity);
+    if (shortInventory) {
+      alert('発送できません\n選択した在庫が不足しています。在庫の選択をやり直してください');
+      return;
+    }
+
+    // 先に発送を記録する（記録できなければ zaico・在庫・台帳は変更しない）
+    // 発送分の引当を消化し、全て発送済みなら発送完了にして残りの引当を解除する
+    const salesRecordId = `SALE-${Date.now()}`;
+    const soldDate = new Date().toISOString();
+    const result = recordSalesOrderShipment(currentReq.requestNumber, {
+      shippedDate,
+      trackingNumber,
+      carrier,
+      shippingFee,
+      lines: shipmentLines,
+      salesRecordId,
+      ledgerSaleIds: [salesRecordId]
+    }, {
+      performedBy: currentReq.salesStaffName || salesStaffName,
+      date: soldDate
+    });
+    if (!result.success) {
+      alert(`発送を記録できません\n${result.error}`);
+      return;
+    }
+    setRequests(result.orders);
+
     // zaico連携処理（在庫減算前に行う）
     try {
       for (const item of currentReq.items) {
@@ -657,8 +868,8 @@ const Sales = () => {
               buyerName: currentReq.customer.name,
               salesChannel: '海外販売',
               shippingCountry: currentReq.customer.country || '海外',
-              shippingFee: currentReq.shippingFee || 0,
-              notes: `海外販売: ${currentReq.requestNumber} | 査定ランク: ${inv.assessedRank || ''} | 担当者: ${currentReq.salesStaffName || ''}`
+              shippingFee: shippingFee,
+              notes: `海外販売: ${currentReq.requestNumber}（${shipmentNumber}） | 査定ランク: ${inv.assessedRank || ''} | 担当者: ${currentReq.salesStaffName || ''}`
             };
             
             console.log('=== 出庫処理デバッグ情報 ===');
@@ -670,6 +881,7 @@ const Sales = () => {
             
             logSyncActivity('overseas_sale_create', 'success', {
               requestNumber: currentReq.requestNumber,
+              shipmentNumber,
               itemId: inv.id,
               customerName: currentReq.customer.name,
               soldPrice: salesPricePerUnit,
@@ -693,11 +905,13 @@ const Sales = () => {
     const salesLedger = JSON.parse(localStorage.getItem('salesLedger') || '[]');
     
     const salesRecord = {
-      id: `SALE-${Date.now()}`,
+      id: salesRecordId,
       type: 'sales',
       requestNumber: currentReq.requestNumber,
-      soldDate: new Date().toISOString(),
+      shipmentNumber,
+      soldDate,
       customer: currentReq.customer,
+      shipment: { shippedDate, trackingNumber, carrier, shippingFee },
       items: [],
       summary: {
         totalAcquisitionCost: 0,
@@ -748,6 +962,7 @@ const Sales = () => {
           const salesHistory = JSON.parse(localStorage.getItem('salesHistory') || '[]');
           salesHistory.push({
             id: `SALE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            salesRecordId: salesRecord.id, // 返金時に返金済みにするため
             inventoryItemId: inv.id,
             productType: inv.productType,
             manufacturer: inv.manufacturer,
@@ -761,6 +976,8 @@ const Sales = () => {
             quantity: sel.quantity,
             acquisitionPrice: acquisitionPrice,
             soldPrice: salesPricePerUnit,
+            currency: getRequestCurrency(),
+            soldPriceForeign: convertToBuyerCurrency(salesPricePerUnit),
             profit: salesPricePerUnit - acquisitionPrice,
             salesChannel: 'overseas',
             soldTo: currentReq.customer.name,
@@ -775,6 +992,22 @@ const Sales = () => {
             }
           });
           localStorage.setItem('salesHistory', JSON.stringify(salesHistory));
+
+          // 古物台帳（記録簿）に販売を記録。返金時は販売ID（salesRecord.id）で取り消す
+          recordLedgerSale({
+            inventoryItem: inv,
+            saleId: salesRecord.id,
+            quantity: sel.quantity,
+            priceJPY: totalSalesAmount,
+            // 台帳のUSD金額はUSD以外の通貨の取引でも当日のUSDレートで記録する
+            priceUSD: getRequestCurrency() === 'USD' ? convertToBuyerCurrency(totalSalesAmount) : convertFromJPY(totalSalesAmount, EXCHANGE_RATE),
+            eventDate: salesRecord.soldDate,
+            buyer: currentReq.customer,
+            salesChannel: 'overseas',
+            staff: currentReq.salesStaffName || '',
+            managementNumbers: (inv.managementNumbers || []).slice(0, sel.quantity),
+            notes: `海外販売: ${currentReq.requestNumber}（${shipmentNumber}）`
+          });
           
           // 在庫を減算
           const beforeQuantity = inventoryData[invIndex].quantity;
@@ -790,7 +1023,7 @@ const Sales = () => {
             afterQuantity: inventoryData[invIndex].quantity,
             date: new Date().toISOString(),
             performedBy: currentReq.salesStaffName || 'スタッフ',
-            reason: `販売処理（${currentReq.requestNumber}）`,
+            reason: `販売処理（${shipmentNumber}）`,
             relatedTransaction: {
               type: 'sales',
               requestNumber: currentReq.requestNumber,
@@ -806,30 +1039,39 @@ const Sales = () => {
     const filteredInventory = inventoryData.filter(inv => inv.quantity > 0);
     localStorage.setItem('inventory', JSON.stringify(filteredInventory));
 
+    // 見積もり時のレートで計上した売上と、入金時のレートで円換算した額の差を為替差損益として記録
+    const currency = getRequestCurrency();
+    const lockedRate = getRequestExchangeRate();
+    const settlement = currentReq.settlementExchangeRate || lockExchangeRate(currentReq.paymentConfirmedAt, currency);
+    const amount = convertToBuyerCurrency(salesRecord.summary.totalSalesAmount);
+    if (currency === 'USD') {
+      salesRecord.summary.totalSalesAmountUSD = amount;
+    }
+    salesRecord.currency = currency;
+    salesRecord.exchangeRate = lockedRate;
+    salesRecord.fx = {
+      currency,
+      lockedRate,
+      lockedRateDate: currentReq.exchangeRateLock?.rateDate || null,
+      settlementRate: settlement.rate,
+      settlementRateDate: settlement.rateDate,
+      amount,
+      gainLossJPY: calculateFxGainLoss(amount, lockedRate, settlement.rate)
+    };
+
     // 古物台帳に記録
     salesLedger.push(salesRecord);
     localStorage.setItem('salesLedger', JSON.stringify(salesLedger));
 
-    // リクエストに選択した在庫情報を保存
-    const updatedRequests = requests.map(req =>
-      req.requestNumber === selectedRequestNumber
-        ? {
-            ...req,
-            status: 'shipped',
-            shippedDate: shippedDate,
-            trackingNumber: trackingNumber,
-            selectedInventories: selectedInventories,
-            salesRecordId: salesRecord.id
-          }
-        : req
-    );
-    setRequests(updatedRequests);
-    localStorage.setItem('salesRequests', JSON.stringify(updatedRequests));
-
     // zaico連携処理は在庫減算前に実行済み
 
-    alert(`発送完了しました。\n在庫を更新し、古物台帳に記録しました。\n\n利益: ¥${salesRecord.summary.totalProfit.toLocaleString()}`);
-    setShowInventorySelection(false);
+    if (result.order.status === 'shipped') {
+      alert(`発送完了しました（${shipmentNumber}）。\n在庫を更新し、古物台帳に記録しました。\n\n利益: ¥${salesRecord.summary.totalProfit.toLocaleString()}`);
+    } else {
+      alert(`${shipmentNumber} を発送しました。\n在庫を更新し、古物台帳に記録しました。\n未発送の${backordered.length}商品は入荷待ちとして残ります。\n\n利益: ¥${salesRecord.summary.totalProfit.toLocaleString()}`);
+    }
+    // 次の発送の選択は残りの引当から始める
+    setSelectedInventories(toShipmentSelection(result.order));
   };
 
   // 見積書印刷
@@ -843,7 +1085,6 @@ const Sales = () => {
     const printStyle = document.createElement('style');
     printStyle.textContent = `
       @media print {
-        .invoice-sheet { display: none !important; }
         .estimate-sheet { display: block !important; }
         .no-print { display: none !important; }
       }
@@ -856,55 +1097,22 @@ const Sales = () => {
       estimateElement.style.display = 'block';
     }
     
-    // インボイスを非表示
-    const invoiceElement = document.querySelector('.invoice-sheet');
-    if (invoiceElement) {
-      invoiceElement.style.display = 'none';
-    }
-    
     window.print();
     
     // 印刷後、スタイルを削除
     document.head.removeChild(printStyle);
-    if (invoiceElement) {
-      invoiceElement.style.display = 'none';
-    }
     if (estimateElement) {
       estimateElement.style.display = 'none';
     }
   };
 
-  // インボイス印刷
-  const handlePrintInvoice = () => {
+  // コマーシャルインボイス・パッキングリストの作成
+  const handleOpenCommercialInvoice = () => {
     if (!currentReq || !currentReq.items || currentReq.items.length === 0) {
       alert('印刷する商品がありません');
       return;
     }
-    
-    // インボイス印刷用のスタイルを一時的に適用
-    const printStyle = document.createElement('style');
-    printStyle.textContent = `
-      @media print {
-        .estimate-sheet { display: none !important; }
-        .invoice-sheet { display: block !important; }
-        .no-print { display: none !important; }
-      }
-    `;
-    document.head.appendChild(printStyle);
-    
-    // インボイス印刷用のクラスを追加
-    const invoiceElement = document.querySelector('.invoice-sheet');
-    if (invoiceElement) {
-      invoiceElement.style.display = 'block';
-    }
-    
-    window.print();
-    
-    // 印刷後、スタイルを削除
-    document.head.removeChild(printStyle);
-    if (invoiceElement) {
-      invoiceElement.style.display = 'none';
-    }
+    setShowCommercialInvoice(true);
   };
 
   // 印刷用の送料・配送期間取得
@@ -924,27 +1132,10 @@ const Sales = () => {
     }, 0);
   };
 
-  // 商品の原産国を取得
-  const getCountryOfOrigin = (item) => {
-    if (item.productType === 'software') {
-      // ソフトウェアの場合は親機種の原産国を取得
-      const consoleData = Object.values(gameConsoles).flat().find(console => 
-        console.value === item.console
-      );
-      return consoleData?.country || 'China';
-    } else {
-      // ハードウェアの場合は直接取得
-      const consoleData = Object.values(gameConsoles).flat().find(console => 
-        console.value === item.console
-      );
-      return consoleData?.country || 'China';
-    }
-  };
-
-  // インボイス印刷用の発送情報を取得
+  // インボイス用の発送情報を取得
   const getInvoiceShippingInfo = () => {
-    // 発送完了済みの場合は保存された値を使用
-    if (currentReq.shippedDate && currentReq.trackingNumber) {
+    // 発送完了済みの場合は保存された値を使用（一部発送中は次の発送の入力値を使う）
+    if (currentReq.status === 'shipped' && currentReq.shippedDate && currentReq.trackingNumber) {
       return {
         shippedDate: currentReq.shippedDate,
         trackingNumber: currentReq.trackingNumber
@@ -961,14 +1152,6 @@ const Sales = () => {
     };
   };
 
-  // 総重量を計算
-  const calculateTotalWeight = () => {
-    if (!currentReq || !currentReq.items) return 0;
-    return currentReq.items.reduce((sum, item) => {
-      return sum + (item.weight || 0);
-    }, 0);
-  };
-
   // リストに戻る
   const handleBackToList = () => {
     setViewMode(previousViewMode || 'selection');
@@ -976,9 +1159,34 @@ const Sales = () => {
     setPreviousViewMode(null);
   };
 
+  // リクエストを選択（見積もり入力欄と在庫選択を保存済みの内容で初期化）
+  const selectRequest = (requestNumber) => {
+    const req = requests.find(r => r.requestNumber === requestNumber);
+    setSelectedRequestNumber(requestNumber);
+    setTempShippingFee(req?.shippingFee || 0);
+    setTempDeliveryDays(req?.deliveryDays || '');
+    setTempShippingMethod(req?.shippingMethod || '');
+    // 見積もり前のリクエストは送料表から最安の配送方法を提案
+    if (req?.status === 'pending' && !req.shippingFee && !req.deliveryDays) {
+      const { weight } = estimateItemsWeight(req.items);
+      const { cheapest } = getShippingOptions({
+        country: req.customer?.country,
+        weight: weight + calculatePackagingWeight(weight)
+      });
+      if (cheapest) {
+        setTempShippingFee(cheapest.fee);
+        setTempDeliveryDays(cheapest.deliveryDays);
+        setTempShippingMethod(cheapest.carrier);
+      }
+    }
+    setTempQuoteValidityDays(req?.quoteValidityDays || getQuoteValidityDays());
+    setSalesStaffName(req?.salesStaffName || '');
+    setSelectedInventories(toShipmentSelection(req));
+  };
+
   // カードクリックで詳細表示
   const handleCardClick = (requestNumber, from) => {
-    setSelectedRequestNumber(requestNumber);
+    selectRequest(requestNumber);
     setPreviousViewMode(from);
     setViewMode('detail');
   };
@@ -988,17 +1196,17 @@ const Sales = () => {
     let filtered = requests;
 
     if (viewMode === 'pending') {
-      // 進行中の取引（shipped以外）
-      filtered = requests.filter(req => req.status !== 'shipped');
+      // 進行中の取引（発送完了・辞退・キャンセル・返金済以外）
+      filtered = requests.filter(req => !isSalesOrderClosed(req.status));
     } else if (viewMode === 'completed') {
-      // 完了した取引（shipped）
-      filtered = requests.filter(req => req.status === 'shipped');
+      // 終了した取引
+      filtered = requests.filter(req => isSalesOrderClosed(req.status));
     } else if (viewMode === 'detail') {
       // 詳細画面では、前の画面に応じてフィルタリング
       if (previousViewMode === 'pending') {
-        filtered = requests.filter(req => req.status !== 'shipped');
+        filtered = requests.filter(req => !isSalesOrderClosed(req.status));
       } else if (previousViewMode === 'completed') {
-        filtered = requests.filter(req => req.status === 'shipped');
+        filtered = requests.filter(req => isSalesOrderClosed(req.status));
       }
     }
 
@@ -1011,30 +1219,15 @@ const Sales = () => {
   };
 
   // ステータスラベル
-  const getStatusLabel = (status) => {
-    const labels = {
-      pending: '見積もり待ち',
-      quoted: '見積もり送信済',
-      approved: '承認済',
-      payment_confirmed: '入金確認済',
-      shipped: '発送完了'
-    };
-    return labels[status] || status;
-  };
-
-  const getStatusEmoji = (status) => {
-    const emojis = {
-      pending: '⏳',
-      quoted: '📋',
-      approved: '✅',
-      payment_confirmed: '💳',
-      shipped: '📦'
-    };
-    return emojis[status] || '📄';
-  };
+  const getStatusLabel = (status) => getSalesOrderStatusLabel(status, { withIcon: true });
 
   const rawInventoryData = saleStep === 2 ? JSON.parse(localStorage.getItem('inventory') || '[]') : [];
-  const availableInventory = saleStep === 2 ? rawInventoryData.filter(inv => inv.quantity > 0) : [];
+  // 直接販売で選べる数量は販売リクエストの引当分を除く（在庫管理画面と同じ）
+  const availableInventory = saleStep === 2
+    ? rawInventoryData
+        .map(inv => ({ ...inv, availableQuantity: getAvailableQuantity(inv, { orders: requests }) }))
+        .filter(inv => inv.availableQuantity > 0)
+    : [];
   const normalizedInventoryQuery = inventorySearchQuery.trim().toLowerCase();
   const filteredInventory = saleStep === 2
     ? availableInventory.filter(inv => {
@@ -1118,7 +1311,73 @@ const Sales = () => {
             <div className="btn-description">完了した販売の一覧・詳細</div>
             {salesHistory.length > 0 && <div className="btn-count">{salesHistory.length}件</div>}
           </button>
+
+          <button 
+            className="selection-btn pending-btn"
+            onClick={() => { setStatusFilter('all'); setViewMode('pending'); }}
+          >
+            <div className="btn-icon">📋</div>
+            <div className="btn-title">販売リクエスト</div>
+            <div className="btn-description">お客様からのリクエストの見積もり・入金確認・発送</div>
+            {requests.filter(req => !isSalesOrderClosed(req.status)).length > 0 && (
+              <div className="btn-count">{requests.filter(req => !isSalesOrderClosed(req.status)).length}件</div>
+            )}
+          </button>
+
+          <button 
+            className="selection-btn completed-btn"
+            onClick={() => setViewMode('completed')}
+          >
+            <div className="btn-icon">🗂️</div>
+            <div className="btn-title">終了したリクエスト</div>
+            <div className="btn-description">発送完了・キャンセル・返金済みのリクエスト</div>
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // === 販売リクエスト一覧 ===
+  if (viewMode === 'pending' || viewMode === 'completed') {
+    const filteredRequests = getFilteredRequests();
+
+    return (
+      <div className="sales-container">
+        <div className="list-header">
+          <h1>{viewMode === 'pending' ? '📋 販売リクエスト' : '🗂️ 終了したリクエスト'}</h1>
+          <button className="back-btn" onClick={() => setViewMode('selection')}>
+            ← 戻る
+          </button>
         </div>
+
+        {filteredRequests.length === 0 ? (
+          <div className="empty-state">
+            <p>{viewMode === 'pending' ? '進行中のリクエストはありません' : '終了したリクエストはありません'}</p>
+          </div>
+        ) : (
+          <div className="request-list">
+            {filteredRequests.map(req => (
+              <div
+                key={req.requestNumber}
+                className={`request-card ${viewMode === 'completed' ? 'completed-card' : ''}`}
+                onClick={() => handleCardClick(req.requestNumber, viewMode)}
+              >
+                <div className="card-header-row">
+                  <div className="card-req-number">{req.requestNumber}</div>
+                  <span className="sales-status-badge" data-status={req.status}>{getStatusLabel(req.status)}</span>
+                </div>
+                <div className="card-customer">👤 {req.customer?.name || '不明'}</div>
+                <div className="card-items">📦 {req.items?.length || 0}商品</div>
+                {req.items?.some(item => item.quotedPrice > 0) && (
+                  <div className="card-total">
+                    💰 合計: ¥{(req.items.reduce((sum, item) => sum + (item.quotedPrice || 0) * item.quantity, 0) + (req.shippingFee || 0)).toLocaleString()}
+                  </div>
+                )}
+                <div className="card-date">📅 {new Date(req.date).toLocaleDateString('ja-JP')}</div>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     );
   }
@@ -1229,6 +1488,13 @@ const Sales = () => {
               </p>
             </div>
 
+            <BarcodeScanner
+              className="inventory-scan-bar"
+              onScan={handleInventoryScan}
+              placeholder="管理番号ラベル・JANコードをスキャンして選択"
+              autoFocus
+            />
+
             <div className="inventory-search-bar">
               <input
                 type="text"
@@ -1316,18 +1582,23 @@ const Sales = () => {
                                 <span style={{ color: '#95a5a6', fontSize: '13px' }}>-</span>
                               )}
                             </td>
-                            <td>{inv.quantity}</td>
+                            <td>
+                              {inv.availableQuantity}
+                              {inv.availableQuantity < inv.quantity && (
+                                <small className="sales-reserved-note">🔒 引当 {inv.quantity - inv.availableQuantity}</small>
+                              )}
+                            </td>
                             <td>
                               {selectedQty > 0 && (
                                 <input
                                   type="number"
                                   min="0"
-                                  max={inv.quantity}
+                                  max={inv.availableQuantity}
                                   value={selectedQty}
                               onWheel={(e) => e.currentTarget.blur()}
                                   onChange={(e) => {
                                     const newQty = parseInt(e.target.value, 10) || 0;
-                                    if (newQty <= inv.quantity) {
+                                    if (newQty <= inv.availableQuantity) {
                                       handleSelectInventoryItem(inv.id, newQty);
                                     }
                                   }}
@@ -1687,6 +1958,27 @@ const Sales = () => {
           </div>
 
           <div className="shipping-info-section">
+            {(() => {
+              const inventoryData = JSON.parse(localStorage.getItem('inventory') || '[]');
+              const { weight, estimated } = estimateItemsWeight(
+                buildSelectedInventoryItems(inventoryData).map(inv => ({ ...inv, quantity: inv.selectedQuantity, weight: null }))
+              );
+              return (
+                <ShippingRateSelector
+                  country={selectedBuyer?.country}
+                  netWeight={weight}
+                  weightEstimated={estimated}
+                  exchangeRate={EXCHANGE_RATE}
+                  selectedCarrier={shippingMethod}
+                  onSelect={(option) => {
+                    setShippingMethod(option.carrier);
+                    setShippingFeeUSD(convertJPYToUSD(option.fee));
+                    setDeliveryDays(`${option.deliveryDays}日`);
+                  }}
+                />
+              );
+            })()}
+
             <div className="shipping-info-row three-column">
               <div className="form-group">
                 <label>発送方法 *</label>
@@ -1697,6 +1989,7 @@ const Sales = () => {
                   <option value="EMS">EMS</option>
                   <option value="DHL">DHL</option>
                   <option value="FedEx">FedEx</option>
+                  <option value="ePacket">ePacket</option>
                   <option value="その他">その他</option>
                 </select>
               </div>
@@ -1829,6 +2122,16 @@ const Sales = () => {
           const salesHistory = safeParseArray('salesHistory');
           const salesLedger = safeParseArray('salesLedger');
 
+          // 選択後に他の販売・引当で販売できる数が減っていないか確認（在庫を減算する前に止める）
+          const shortItem = selectedInventoryItems.find(item => {
+            const inv = inventoryData.find(i => i.id === item.id);
+            return !inv || getAvailableQuantity(inv) < item.selectedQuantity;
+          });
+          if (shortItem) {
+            alert(`${shortItem.consoleLabel || shortItem.softwareName || '商品'} の販売できる数が選択数量より少なくなっています。\n商品選択に戻って数量を選び直してください。`);
+            return;
+          }
+
           const saleId = `SALE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
           const shippingFeeJPY = convertUSDToJPY(shippingFeeUSD);
           const saleRecord = {
@@ -1847,6 +2150,15 @@ const Sales = () => {
             trackingNumber: trackingNumber,
             salesStaffName: salesStaffName,
             notes: notes,
+            // 直接販売はUSD建てで販売時のレートで円換算し、その場で決済するため為替差損益は発生しない
+            currency: 'USD',
+            exchangeRate: EXCHANGE_RATE,
+            fx: {
+              currency: 'USD',
+              lockedRate: EXCHANGE_RATE,
+              settlementRate: EXCHANGE_RATE,
+              gainLossJPY: 0
+            },
             summary: {
               totalAcquisitionCost: 0,
               totalSalesAmount: 0,
@@ -2256,9 +2568,13 @@ const Sales = () => {
         ) : (
           <div className="request-list">
             {salesHistory.map((sale) => {
-              const totalUSD = (sale.items || []).reduce((sum, item) => {
-                const priceUSD = item.soldPriceUSD || convertJPYToUSD(item.soldPrice || 0);
-                return sum + (priceUSD * item.quantity);
+              // 通貨のない販売（直接販売・旧データ）はUSD
+              const currency = normalizeCurrency(sale.currency);
+              const total = (sale.items || []).reduce((sum, item) => {
+                const price = item.soldPriceForeign ?? (currency === 'USD'
+                  ? item.soldPriceUSD || convertJPYToUSD(item.soldPrice || 0)
+                  : convertFromJPY(item.soldPrice || 0, getCurrentExchangeRate(currency).rate, currency));
+                return sum + (price * item.quantity);
               }, 0);
               return (
                 <div 
@@ -2279,7 +2595,7 @@ const Sales = () => {
                     📦 {sale.items?.length || 0}商品
                   </div>
                   <div className="card-total">
-                    💰 合計: ${totalUSD.toFixed(2)}
+                    💰 合計: {formatCurrencyAmount(total, currency)}
                   </div>
                   <div className="card-date">
                     📅 {new Date(sale.soldAt || sale.date).toLocaleDateString('ja-JP')}
@@ -2343,6 +2659,18 @@ const Sales = () => {
                   >
                     入金確認済
                   </button>
+                  <button 
+                    className={statusFilter === 'partially_shipped' ? 'active' : ''}
+                    onClick={() => setStatusFilter('partially_shipped')}
+                  >
+                    一部発送済
+                  </button>
+                  <button 
+                    className={statusFilter === 'on_hold' ? 'active' : ''}
+                    onClick={() => setStatusFilter('on_hold')}
+                  >
+                    保留中
+                  </button>
                 </div>
               </div>
 
@@ -2354,12 +2682,12 @@ const Sales = () => {
                       <div 
                         key={req.requestNumber}
                         className={`sales-mini-request-card ${req.requestNumber === selectedRequestNumber ? 'active' : ''}`}
-                        onClick={() => setSelectedRequestNumber(req.requestNumber)}
+                        onClick={() => selectRequest(req.requestNumber)}
                       >
                         <div className="sales-mini-req-number">{req.requestNumber}</div>
                         <div className="sales-mini-req-customer">{req.customer.name}</div>
                         <div className="sales-mini-req-status">
-                          {getStatusEmoji(req.status)} {getStatusLabel(req.status)}
+                          {getStatusLabel(req.status)}
                         </div>
                       </div>
                     );
@@ -2375,30 +2703,17 @@ const Sales = () => {
             <div className="sales-progress-bar-section">
               <h3>📊 販売進捗状況</h3>
               <div className="sales-progress-steps">
-                <div className={`sales-progress-step ${['pending', 'quoted', 'approved', 'payment_confirmed', 'shipped'].includes(currentReq.status) ? 'completed' : 'pending'}`}>
-                  <div className="sales-step-circle">1</div>
-                  <span className="sales-step-label">リクエスト受付</span>
-                </div>
-                <div className={`sales-progress-line ${['quoted', 'approved', 'payment_confirmed', 'shipped'].includes(currentReq.status) ? 'completed' : 'pending'}`}></div>
-                <div className={`sales-progress-step ${['quoted', 'approved', 'payment_confirmed', 'shipped'].includes(currentReq.status) ? 'completed' : currentReq.status === 'pending' ? 'current' : 'pending'}`}>
-                  <div className="sales-step-circle">2</div>
-                  <span className="sales-step-label">見積もり作成</span>
-                </div>
-                <div className={`sales-progress-line ${['approved', 'payment_confirmed', 'shipped'].includes(currentReq.status) ? 'completed' : 'pending'}`}></div>
-                <div className={`sales-progress-step ${['approved', 'payment_confirmed', 'shipped'].includes(currentReq.status) ? 'completed' : currentReq.status === 'quoted' ? 'current' : 'pending'}`}>
-                  <div className="sales-step-circle">3</div>
-                  <span className="sales-step-label">顧客承認</span>
-                </div>
-                <div className={`sales-progress-line ${['payment_confirmed', 'shipped'].includes(currentReq.status) ? 'completed' : 'pending'}`}></div>
-                <div className={`sales-progress-step ${['payment_confirmed', 'shipped'].includes(currentReq.status) ? 'completed' : currentReq.status === 'approved' ? 'current' : 'pending'}`}>
-                  <div className="sales-step-circle">4</div>
-                  <span className="sales-step-label">入金確認</span>
-                </div>
-                <div className={`sales-progress-line ${currentReq.status === 'shipped' ? 'completed' : 'pending'}`}></div>
-                <div className={`sales-progress-step ${currentReq.status === 'shipped' ? 'completed' : currentReq.status === 'payment_confirmed' ? 'current' : 'pending'}`}>
-                  <div className="sales-step-circle">5</div>
-                  <span className="sales-step-label">発送完了</span>
-                </div>
+                {SALES_ORDER_PROGRESS_STEPS.map((step, index) => (
+                  <React.Fragment key={step.status}>
+                    {index > 0 && (
+                      <div className={`sales-progress-line ${getSalesOrderProgressStepState(currentReq, index) === 'completed' ? 'completed' : 'pending'}`}></div>
+                    )}
+                    <div className={`sales-progress-step ${getSalesOrderProgressStepState(currentReq, index)}`}>
+                      <div className="sales-step-circle">{index + 1}</div>
+                      <span className="sales-step-label">{step.label}</span>
+                    </div>
+                  </React.Fragment>
+                ))}
               </div>
             </div>
 
@@ -2409,8 +2724,27 @@ const Sales = () => {
                 <p><strong>リクエスト番号:</strong> {currentReq.requestNumber}</p>
                 <p><strong>日時:</strong> {new Date(currentReq.date).toLocaleString('ja-JP')}</p>
                 <p><strong>ステータス:</strong> <span className="sales-status-badge" data-status={currentReq.status}>
-                  {getStatusEmoji(currentReq.status)} {getStatusLabel(currentReq.status)}
+                  {getStatusLabel(currentReq.status)}
                 </span></p>
+                {currentReq.quoteExpiresAt && ['quoted', 'expired'].includes(currentReq.status) && (
+                  <p><strong>見積もり有効期限:</strong> {new Date(currentReq.quoteExpiresAt).toLocaleDateString('ja-JP')}</p>
+                )}
+                <p><strong>通貨:</strong> {getRequestCurrency()}（{SUPPORTED_CURRENCIES[getRequestCurrency()].label}）</p>
+                {currentReq.exchangeRateLock && (
+                  <p><strong>為替レート:</strong> 1 {getRequestCurrency()} = ¥{currentReq.exchangeRateLock.rate}（{new Date(currentReq.exchangeRateLock.lockedAt).toLocaleDateString('ja-JP')} 見積もり時に固定）</p>
+                )}
+                {currentReq.reservations?.length > 0 && (
+                  <p><strong>在庫引当:</strong> 🔒 {currentReq.reservations.reduce((sum, reservation) => sum + reservation.quantity, 0)}台</p>
+                )}
+                {currentReq.status === 'on_hold' && (
+                  <p className="sales-status-reason">⏸️ 保留理由: {currentReq.holdReason}（保留前: {getSalesOrderStatusLabel(currentReq.heldFromStatus)}）</p>
+                )}
+                {currentReq.cancelReason && (
+                  <p className="sales-status-reason">❌ キャンセル理由: {currentReq.cancelReason}</p>
+                )}
+                {currentReq.refundReason && (
+                  <p className="sales-status-reason">💸 返金理由: {currentReq.refundReason}</p>
+                )}
               </div>
               <div className="sales-compact-info-right">
                 <h3>👤 お客様情報</h3>
@@ -2466,6 +2800,9 @@ const Sales = () => {
                             <span className={stock >= item.quantity ? 'sales-stock-ok' : 'sales-stock-low'}>
                               {stock}
                             </span>
+                            {getReservedForItem(item) > 0 && (
+                              <small className="sales-reserved-note">🔒 引当 {getReservedForItem(item)}</small>
+                            )}
                           </td>
                           <td>
                             {currentReq.status === 'pending' ? (
@@ -2491,14 +2828,14 @@ const Sales = () => {
                                   </div>
                                 )}
                                 <small style={{display: 'block', color: '#7f8c8d', marginTop: '4px'}}>
-                                  {item.quotedPrice ? `($${convertToUSD(item.quotedPrice).toFixed(2)})` : ''}
+                                  {item.quotedPrice ? `(${formatBuyerAmount(item.quotedPrice)})` : ''}
                                 </small>
                               </div>
                             ) : (
                               <div>
                                 ¥{(item.quotedPrice || 0).toLocaleString()}
                                 <small style={{display: 'block', color: '#7f8c8d', marginTop: '4px'}}>
-                                  (${convertToUSD(item.quotedPrice || 0).toFixed(2)})
+                                  ({formatBuyerAmount(item.quotedPrice || 0)})
                                 </small>
                               </div>
                             )}
@@ -2507,7 +2844,7 @@ const Sales = () => {
                             <div>
                               ¥{((item.quotedPrice || 0) * item.quantity).toLocaleString()}
                               <small style={{display: 'block', color: '#7f8c8d', marginTop: '4px'}}>
-                                (${convertToUSD((item.quotedPrice || 0) * item.quantity).toFixed(2)})
+                                ({formatBuyerAmount((item.quotedPrice || 0) * item.quantity)})
                               </small>
                             </div>
                           </td>
@@ -2518,19 +2855,38 @@ const Sales = () => {
                 </table>
               </div>
 
-              {/* 在庫選択セクション（入金確認済みの場合） */}
-              {currentReq.status === 'payment_confirmed' && (
+              {/* 在庫選択セクション（入金確認済み・一部発送済みの場合） */}
+              {['payment_confirmed', 'partially_shipped'].includes(currentReq.status) && (
                 <div className="inventory-selection-section">
                   <h2>📦 発送する在庫を選択</h2>
-                  <p className="section-note">各商品に対応する在庫を選択してください。在庫はランク・仕入れ価格別に表示されます。</p>
+                  <p className="section-note">今回発送する商品の在庫を選択してください。在庫はランク・仕入れ価格別に表示されます。在庫を選択しなかった数量は入荷待ちとして残り、後から分けて発送できます。</p>
                   
                   {currentReq.items.map(item => {
                     const inventoryList = getInventoryListForItem(item);
                     const selectedQty = getSelectedQuantity(item.id);
-                    const needed = item.quantity;
+                    const shippedQty = getShippedQuantity(item);
+                    const needed = getUnshippedQuantity(item);
                     const isComplete = selectedQty === needed;
                     const isOverSelected = selectedQty > needed;
 
+                    if (needed === 0) {
+                      return (
+                        <div key={item.id} className="inventory-item-selection">
+                          <div className="selection-header">
+                            <h3>
+                              {item.productType === 'software' 
+                                ? `${item.softwareName} (${item.consoleLabel})` 
+                                : `${item.consoleLabel}${item.colorLabel ? ' - ' + item.colorLabel : ''}`
+                              }
+                            </h3>
+                            <div className="selection-progress">
+                              <span className="complete">発送済み: {shippedQty} / {item.quantity}台 ✅</span>
+                            </div>
+                          </div>
+                        </div>
+                      );
+                    }
+
                     return (
                       <div key={item.id} className="inventory-item-selection">
                         <div className="selection-header">
@@ -2544,6 +2900,12 @@ const Sales = () => {
                             <span className={isComplete ? 'complete' : isOverSelected ? 'over-selected' : 'incomplete'}>
                               選択済み: {selectedQty} / {needed}台 {isComplete && '✅'} {isOverSelected && '⚠️ 超過'}
                             </span>
+                            {shippedQty > 0 && (
+                              <span className="shipped-count">発送済み: {shippedQty}台</span>
+                            )}
+                            {!isComplete && !isOverSelected && (
+                              <span className="backorder-count">入荷待ち: {needed - selectedQty}台</span>
+                            )}
                           </div>
                           <div className="weight-input-section">
                             <label>重量 (kg):</label>
@@ -2588,7 +2950,9 @@ const Sales = () => {
                                       {inv.sourceType === 'customer' ? '👤' : '🏢'} {sourceName}
                                     </span>
                                     <span className="inventory-price">¥{price.toLocaleString()}/台</span>
-                                    <span className="inventory-stock">在庫:{inv.quantity}台</span>
+                                    <span className="inventory-stock">
+                                      在庫:{inv.availableQuantity}台{inv.availableQuantity < inv.quantity && `（他の注文で${inv.quantity - inv.availableQuantity}台引当中）`}
+                                    </span>
                                     {inv.registeredDate && (
                                       <span className="inventory-date">
                                         仕入日:{new Date(inv.registeredDate).toLocaleDateString('ja-JP', { year: 'numeric', month: '2-digit', day: '2-digit' })}
@@ -2599,14 +2963,14 @@ const Sales = () => {
                                     <input
                                       type="number"
                                       min="0"
-                                      max={inv.quantity}
+                                      max={inv.availableQuantity}
                                       value={selectedFromThis}
                               onWheel={(e) => e.currentTarget.blur()}
-                                      onChange={(e) => handleSelectInventory(item.id, inv.id, parseInt(e.target.value) || 0, item.quantity)}
+                                      onChange={(e) => handleSelectInventory(item.id, inv.id, parseInt(e.target.value) || 0, needed)}
                                       className="quantity-input-compact"
                                       placeholder="0"
                                     />
-                                    <span>/ {inv.quantity}台</span>
+                                    <span>/ {inv.availableQuantity}台</span>
                                     {selectedFromThis > 0 && (
                                       <button
                                         className="btn-show-management-numbers-compact"
@@ -2639,7 +3003,7 @@ const Sales = () => {
                             <div className="profit-row cost-item">
                               <span>送料（按分）:</span>
                               <span className="cost-value">
-                                - ¥{Math.round((currentReq.shippingFee || 0) * (selectedQty / currentReq.items.reduce((sum, i) => sum + (getSelectedQuantity(i.id) || 0), 0))).toLocaleString()}
+                                - ¥{Math.round(getDefaultShipmentFee() * (selectedQty / currentReq.items.reduce((sum, i) => sum + (getSelectedQuantity(i.id) || 0), 0))).toLocaleString()}
                               </span>
                             </div>
                             <div className="profit-row cost-item">
@@ -2651,7 +3015,7 @@ const Sales = () => {
                               <span className="profit-amount">
                                 ¥{(
                                   (item.quotedPrice * selectedQty) - 
-                                  Math.round((currentReq.shippingFee || 0) * (selectedQty / (currentReq.items.reduce((sum, i) => sum + (getSelectedQuantity(i.id) || 0), 0) || 1))) - 
+                                  Math.round(getDefaultShipmentFee() * (selectedQty / (currentReq.items.reduce((sum, i) => sum + (getSelectedQuantity(i.id) || 0), 0) || 1))) - 
                                   calculateAcquisitionCost(item.id)
                                 ).toLocaleString()}
                               </span>
@@ -2685,6 +3049,24 @@ const Sales = () => {
                 </div>
                 
                 <div className="sales-shipping-quote-section">
+                  {(() => {
+                    const { weight, estimated } = estimateItemsWeight(currentReq.items);
+                    return (
+                      <ShippingRateSelector
+                        country={currentReq.customer?.country}
+                        netWeight={weight}
+                        weightEstimated={estimated}
+                        exchangeRate={getRequestExchangeRate()}
+                        currency={getRequestCurrency()}
+                        selectedCarrier={tempShippingMethod}
+                        onSelect={(option) => {
+                          setTempShippingFee(option.fee);
+                          setTempDeliveryDays(option.deliveryDays);
+                          setTempShippingMethod(option.carrier);
+                        }}
+                      />
+                    );
+                  })()}
                   <div className="sales-quote-row">
                     <div className="sales-quote-item">
                       <label htmlFor="shippingFee">📦 送料（JPY）</label>
@@ -2698,7 +3080,7 @@ const Sales = () => {
                         placeholder="7500"
                       />
                       <small style={{color: '#7f8c8d', marginTop: '5px', display: 'block'}}>
-                        ${convertToUSD(tempShippingFee || 0).toFixed(2)} / 参考: 小型 ¥4500-7500, 大型 ¥12000-22500
+                        {formatBuyerAmount(tempShippingFee || 0)}{tempShippingMethod && ` / ${tempShippingMethod}`}
                       </small>
                     </div>
                     <div className="sales-quote-item">
@@ -2715,6 +3097,20 @@ const Sales = () => {
                         例: 7-10, 10-14（日数）
                       </small>
                     </div>
+                    <div className="sales-quote-item">
+                      <label htmlFor="quoteValidityDays">⌛ 見積もり有効期限（日） *</label>
+                      <input
+                        type="number"
+                        id="quoteValidityDays"
+                        className="sales-shipping-input"
+                        min="1"
+                        value={tempQuoteValidityDays}
+                        onChange={(e) => setTempQuoteValidityDays(e.target.value)}
+                      />
+                      <small style={{color: '#7f8c8d', marginTop: '5px', display: 'block'}}>
+                        期限まで在庫を引き当てます。承認がなければ自動で解除されます
+                      </small>
+                    </div>
                   </div>
                 </div>
                 </>
@@ -2728,7 +3124,7 @@ const Sales = () => {
                   <span className="sales-total-value">
                     ¥{calculateTotal().toLocaleString()}
                     <small style={{display: 'block', fontSize: '0.85em', color: '#7f8c8d', marginTop: '4px'}}>
-                      (${convertToUSD(calculateTotal()).toFixed(2)})
+                      ({formatBuyerAmount(calculateTotal())})
                     </small>
                   </span>
                 </div>
@@ -2740,7 +3136,7 @@ const Sales = () => {
                     <span className="sales-total-value">
                       ¥{(currentReq.status === 'pending' ? tempShippingFee : currentReq.shippingFee).toLocaleString()}
                       <small style={{display: 'block', fontSize: '0.85em', color: '#7f8c8d', marginTop: '4px'}}>
-                        (${convertToUSD(currentReq.status === 'pending' ? tempShippingFee : currentReq.shippingFee).toFixed(2)})
+                        ({formatBuyerAmount(currentReq.status === 'pending' ? tempShippingFee : currentReq.shippingFee)})
                       </small>
                     </span>
                   </div>
@@ -2762,7 +3158,7 @@ const Sales = () => {
                   <span className="sales-total-value">
                     ¥{(calculateTotal() + (currentReq.status === 'pending' ? tempShippingFee : (currentReq.shippingFee || 0))).toLocaleString()}
                     <small style={{display: 'block', fontSize: '0.85em', color: '#7f8c8d', marginTop: '4px'}}>
-                      (${convertToUSD(calculateTotal() + (currentReq.status === 'pending' ? tempShippingFee : (currentReq.shippingFee || 0))).toFixed(2)})
+                      ({formatBuyerAmount(calculateTotal() + (currentReq.status === 'pending' ? tempShippingFee : (currentReq.shippingFee || 0)))})
                     </small>
                   </span>
                 </div>
@@ -2827,7 +3223,8 @@ const Sales = () => {
                   <button className="sales-print-button" onClick={handlePrint}>🖨️ 見積書印刷</button>
                   <button className="sales-confirm-button" onClick={() => {
                     if (!window.confirm('入金確認を記録しますか？')) return;
-                    updateStatus('payment_confirmed');
+                    // 入金時のレートを記録（為替差損益の計算用）
+                    if (!updateStatus('payment_confirmed', { patch: { settlementExchangeRate: lockExchangeRate(undefined, getRequestCurrency()) } }).success) return;
                     setShowShippingInfo(true);
                     alert('入金確認済みに更新しました。発送準備を行ってください。');
                   }}>
@@ -2835,12 +3232,44 @@ const Sales = () => {
                   </button>
                 </>
               )}
-              
-              
+
+              {currentReq.status === 'on_hold' && (
+                <button className="sales-confirm-button" onClick={handleResume}>
+                  ▶️ 保留を解除
+                </button>
+              )}
+
+              {['quoted', 'approved', 'payment_confirmed', 'partially_shipped'].includes(currentReq.status) && (
+                <button
+                  className="sales-hold-button"
+                  onClick={() => handleStatusChangeWithReason('on_hold', '保留にする理由を入力してください（例: 入金額の確認中、住所確認中）')}
+                >
+                  ⏸️ 保留
+                </button>
+              )}
+
+              {(['pending', 'quoted', 'approved', 'payment_confirmed'].includes(currentReq.status) ||
+                (currentReq.status === 'on_hold' && !['partially_shipped', 'shipped'].includes(currentReq.heldFromStatus))) && (
+                <button
+                  className="sales-cancel-button"
+                  onClick={() => handleStatusChangeWithReason('cancelled', `キャンセルの理由を入力してください${currentReq.reservations?.length ? '\n引き当てた在庫は解除されます' : ''}${currentReq.paymentConfirmedAt ? '\n入金済みのため、キャンセル後に返金を記録してください' : ''}`)}
+                >
+                  ❌ キャンセル
+                </button>
+              )}
+
+              {['cancelled', 'partially_shipped', 'shipped'].includes(currentReq.status) && currentReq.paymentConfirmedAt && (
+                <button
+                  className="sales-cancel-button"
+                  onClick={() => handleStatusChangeWithReason('refunded', `返金の理由を入力してください${currentReq.ledgerSaleIds?.length ? '\n古物台帳の販売記録は取り消されます（返品された商品の在庫戻しは在庫管理画面で行ってください）' : ''}`)}
+                >
+                  💸 返金を記録
+                </button>
+              )}
             </div>
 
             {/* 発送情報（一番下に独立配置） */}
-            {['payment_confirmed', 'shipped'].includes(currentReq.status) && (
+            {['payment_confirmed', 'partially_shipped', 'shipped'].includes(currentReq.status) && (
               <div className="sales-detail-section sales-shipping-section-bottom">
                 <div className="sales-collapsible-header" onClick={() => setShowShippingInfo(!showShippingInfo)}>
                   <h2>📦 発送情報</h2>
@@ -2852,16 +3281,55 @@ const Sales = () => {
                     <div className="sales-shipping-info-left">
                       <p><strong>発送先住所:</strong> {currentReq.shippingAddress || '確認中'}</p>
                       <p><strong>発送方法:</strong> {currentReq.shippingMethod || 'EMS'}</p>
-                      {currentReq.trackingNumber && (
-                        <p><strong>✅ 追跡番号:</strong> {currentReq.trackingNumber}</p>
+                      {currentReq.shipments?.length > 0 ? (
+                        <div className="sales-shipment-list">
+                          <p><strong>🚚 発送履歴:</strong></p>
+                          <ul>
+                            {currentReq.shipments.map(shipment => (
+                              <li key={shipment.shipmentNumber}>
+                                <strong>{shipment.shipmentNumber}</strong>（{shipment.shippedDate}）{shipment.carrier} / 追跡番号: {shipment.trackingNumber || '-'} / 送料: ¥{(shipment.shippingFee || 0).toLocaleString()}
+                                <small>
+                                  {shipment.lines.map(line => {
+                                    const item = currentReq.items.find(i => i.id === line.itemId);
+                                    return item ? `${getItemLabel(item)} ×${line.quantity}` : null;
+                                  }).filter(Boolean).join('、')}
+                                </small>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ) : (
+                        <>
+                          {currentReq.trackingNumber && (
+                            <p><strong>✅ 追跡番号:</strong> {currentReq.trackingNumber}</p>
+                          )}
+                          {currentReq.shippedDate && (
+                            <p><strong>✅ 発送日:</strong> {currentReq.shippedDate}</p>
+                          )}
+                        </>
+                      )}
+                      {currentReq.status === 'partially_shipped' && (
+                        <div className="sales-backorder-list">
+                          <p><strong>⏳ 入荷待ち（未発送）:</strong></p>
+                          <ul>
+                            {getBackorderedItems(currentReq).map(({ item, quantity }) => (
+                              <li key={item.id}>{getItemLabel(item)}: {quantity}台</li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                      {currentReq.commercialInvoices?.length > 0 && (
+                        <p><strong>📄 インボイス:</strong> {currentReq.commercialInvoices.map(invoice => invoice.invoiceNumber).join(', ')}</p>
                       )}
-                      {currentReq.shippedDate && (
-                        <p><strong>✅ 発送日:</strong> {currentReq.shippedDate}</p>
+                      {currentReq.status === 'shipped' && (
+                        <button className="sales-action-btn sales-btn-secondary" onClick={handleOpenCommercialInvoice}>
+                          📄 インボイス・パッキングリスト
+                        </button>
                       )}
                     </div>
 
                     <div className="sales-shipping-actions">
-                      {currentReq.status === 'payment_confirmed' && (
+                      {['payment_confirmed', 'partially_shipped'].includes(currentReq.status) && (
                         <>
                           <div className="sales-shipping-inputs-row" style={{ marginLeft: '-30px', maxWidth: '90%' }}>
                             <div className="sales-form-group">
@@ -2877,33 +3345,59 @@ const Sales = () => {
                               <input
                                 type="text"
                                 id="trackingNumber"
+                                key={`tracking-${currentReq.shipments?.length || 0}`}
                                 placeholder="追跡番号を入力"
                                 style={{ minWidth: '200px', maxWidth: '280px' }}
                               />
                             </div>
                           </div>
+                          <div className="sales-shipping-inputs-row" style={{ marginLeft: '-30px', maxWidth: '90%' }}>
+                            <div className="sales-form-group">
+                              <label>🚚 配送業者</label>
+                              <select
+                                id="shipmentCarrier"
+                                key={`carrier-${currentReq.shipments?.length || 0}`}
+                                defaultValue={currentReq.shippingMethod || 'EMS'}
+                              >
+                                {Object.keys(SHIPPING_CARRIERS).map(code => (
+                                  <option key={code} value={code}>{SHIPPING_CARRIERS[code].label}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div className="sales-form-group">
+                              <label>💴 送料（円）</label>
+                              <input
+                                type="number"
+                                id="shipmentFee"
+                                key={`fee-${currentReq.shipments?.length || 0}`}
+                                min="0"
+                                placeholder={`${getDefaultShipmentFee()}`}
+                                onWheel={(e) => e.currentTarget.blur()}
+                              />
+                            </div>
+                          </div>
                           <div className="sales-shipping-buttons" style={{ marginTop: '20px', justifyContent: 'flex-start', marginLeft: '-30px' }}>
-                            <button className="sales-action-btn sales-btn-secondary" onClick={handlePrintInvoice}>
-                              📄 インボイス印刷
+                            <button className="sales-action-btn sales-btn-secondary" onClick={handleOpenCommercialInvoice}>
+                              📄 インボイス・パッキングリスト
                             </button>
                             <button onClick={() => {
-                              const date = document.getElementById('shippedDate').value;
-                              const tracking = document.getElementById('trackingNumber').value;
-                              
-                              // 在庫選択チェック
-                              const allSelected = currentReq.items.every(item => {
-                                const selected = getSelectedQuantity(item.id);
-                                return selected === item.quantity;
-                              });
-
-                              if (!allSelected) {
-                                alert('全ての商品の在庫を選択してから発送完了にしてください');
+                              const feeInput = document.getElementById('shipmentFee').value;
+                              const shippingFee = feeInput === '' ? getDefaultShipmentFee() : parseInt(feeInput, 10);
+                              if (!Number.isFinite(shippingFee) || shippingFee < 0) {
+                                alert('送料は0以上の数値で入力してください');
                                 return;
                               }
 
-                              handleCompleteSale(date, tracking);
+                              handleCompleteSale({
+                                shippedDate: document.getElementById('shippedDate').value,
+                                trackingNumber: document.getElementById('trackingNumber').value,
+                                carrier: document.getElementById('shipmentCarrier').value,
+                                shippingFee
+                              });
                             }} className="sales-action-btn sales-btn-primary">
-                              📦 発送完了にする
+                              {currentReq.items.every(item => getSelectedQuantity(item.id) === getUnshippedQuantity(item))
+                                ? '📦 発送完了にする'
+                                : '🚚 選択した商品を一部発送する'}
                             </button>
                           </div>
                         </>
@@ -3000,8 +3494,8 @@ const Sales = () => {
                 <th>Condition</th>
                 <th>Package</th>
                 <th>Qty</th>
-                <th>Unit Price (USD)</th>
-                <th>Amount (USD)</th>
+                <th>Unit Price ({getRequestCurrency()})</th>
+                <th>Amount ({getRequestCurrency()})</th>
               </tr>
             </thead>
             <tbody>
@@ -3017,8 +3511,8 @@ const Sales = () => {
                   <td>{item.conditionLabel || '-'}</td>
                   <td>{item.packageTypeLabel || '-'}</td>
                   <td className="center">{item.quantity}</td>
-                  <td className="right">${convertToUSD(item.quotedPrice || 0).toFixed(2)}</td>
-                  <td className="right">${convertToUSD((item.quotedPrice || 0) * item.quantity).toFixed(2)}</td>
+                  <td className="right">{formatBuyerAmount(item.quotedPrice || 0)}</td>
+                  <td className="right">{formatBuyerAmount((item.quotedPrice || 0) * item.quantity)}</td>
                 </tr>
               ))}
             </tbody>
@@ -3027,12 +3521,12 @@ const Sales = () => {
           <div className="estimate-total">
             <div className="total-row">
               <span className="total-label-print">Subtotal</span>
-              <span className="total-amount-print">${convertToUSD(calculateTotal()).toFixed(2)}</span>
+              <span className="total-amount-print">{formatBuyerAmount(calculateTotal())}</span>
             </div>
             {getPrintShippingFee() > 0 && (
               <div className="total-row">
                 <span className="total-label-print">Shipping Fee</span>
-                <span className="total-amount-print">${convertToUSD(getPrintShippingFee()).toFixed(2)}</span>
+                <span className="total-amount-print">{formatBuyerAmount(getPrintShippingFee())}</span>
               </div>
             )}
             {getPrintDeliveryDays() && (
@@ -3043,7 +3537,7 @@ const Sales = () => {
             )}
             <div className="total-row" style={{borderTop: '2px solid #333', marginTop: '10px', paddingTop: '10px', fontWeight: 'bold', fontSize: '1.2em'}}>
               <span className="total-label-print">Total Amount</span>
-              <span className="total-amount-print">${convertToUSD(calculateTotal() + getPrintShippingFee()).toFixed(2)}</span>
+              <span className="total-amount-print">{formatBuyerAmount(calculateTotal() + getPrintShippingFee())}</span>
             </div>
           </div>
 
@@ -3056,120 +3550,33 @@ const Sales = () => {
 
           <div className="estimate-notes" style={{marginTop: '20px'}}>
             <p style={{fontSize: '0.9em'}}>
-              * All prices are in US Dollars (USD)<br/>
+              * All prices are in {SUPPORTED_CURRENCIES[getRequestCurrency()].labelEn} ({getRequestCurrency()})<br/>
               * Payment terms: Wire transfer in advance<br/>
               * Items will be shipped after payment confirmation
             </p>
           </div>
         </div>
 
-        {/* インボイス印刷用テンプレート */}
-        <div className="print-only invoice-sheet" style={{display: 'none'}}>
-          <div className="invoice-header">
-            <div className="invoice-left">
-              <h1 className="invoice-title">INVOICE</h1>
-              <div className="invoice-meta">
-                <p>Invoice No.: {currentReq.requestNumber}</p>
-                <p>Invoice Date: {getTodayJST()}</p>
-                <p>Payment Status: <strong>Paid</strong></p>
-              </div>
-            </div>
-            <div className="company-info-right">
-              <h2>{companyInfo.nameEn}</h2>
-              <p>{companyInfo.addressEn}</p>
-              <p>{companyInfo.phoneEn}</p>
-              <p>{companyInfo.email}</p>
-              <p className="license">{companyInfo.licenseEn}</p>
-              {(currentReq.salesStaffName || salesStaffName) && (
-                <p><strong>Contact Person:</strong> {getEnglishName(currentReq.salesStaffName || salesStaffName)}</p>
-              )}
-            </div>
-          </div>
-
-          <div className="customer-section">
-            <h3>Customer Information</h3>
-            <div className="customer-details">
-              <p><strong>{currentReq.customer.name}</strong></p>
-              <p>Email: {currentReq.customer.email} &nbsp;&nbsp; Tel: {currentReq.customer.phone || 'N/A'}</p>
-              {currentReq.customer.country && <p>Country: {currentReq.customer.country}</p>}
-            </div>
-          </div>
-
-          <div className="shipping-section">
-            <h3>Shipping Information</h3>
-            <div className="shipping-details">
-              {(() => {
-                const shippingInfo = getInvoiceShippingInfo();
-                return (
-                  <p>
-                    <strong>Shipping Method:</strong> EMS &nbsp;&nbsp;
-                    <strong>Shipping Date:</strong> {shippingInfo.shippedDate}
-                    {shippingInfo.trackingNumber && (
-                      <> &nbsp;&nbsp; <strong>Tracking Number:</strong> {shippingInfo.trackingNumber}</>
-                    )}
-                  </p>
-                );
-              })()}
-            </div>
-          </div>
-
-          <table className="invoice-table">
-            <thead>
-              <tr>
-                <th>Item Name</th>
-                <th>Country</th>
-                <th>Weight (kg)</th>
-                <th>Qty</th>
-                <th>Unit Price (USD)</th>
-                <th>Amount (USD)</th>
-              </tr>
-            </thead>
-            <tbody>
-              {currentReq.items.map((item, idx) => (
-                <tr key={idx}>
-                  <td>
-                    {item.productType === 'software' 
-                      ? `${item.softwareName} (${item.consoleLabel})` 
-                      : `${item.manufacturerLabel} ${item.consoleLabel}`
-                    }
-                  </td>
-                  <td className="center">{getCountryOfOrigin(item)}</td>
-                  <td className="center">{item.weight || 0}</td>
-                  <td className="center">{item.quantity}</td>
-                  <td className="right">${convertToUSD(item.quotedPrice || 0).toFixed(2)}</td>
-                  <td className="right">${convertToUSD((item.quotedPrice || 0) * item.quantity).toFixed(2)}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-
-          <div className="invoice-total">
-            <div className="total-row">
-              <span className="total-label-print">Subtotal</span>
-              <span className="total-amount-print">${convertToUSD(calculateTotal()).toFixed(2)}</span>
-            </div>
-            {getPrintShippingFee() > 0 && (
-              <div className="total-row">
-                <span className="total-label-print">Shipping Fee</span>
-                <span className="total-amount-print">${convertToUSD(getPrintShippingFee()).toFixed(2)}</span>
-              </div>
-            )}
-            <div className="total-row">
-              <span className="total-label-print">Total Weight</span>
-              <span className="total-amount-print">{calculateTotalWeight()}kg</span>
-            </div>
-            <div className="total-row" style={{borderTop: '2px solid #333', marginTop: '10px', paddingTop: '10px', fontWeight: 'bold', fontSize: '1.2em'}}>
-              <span className="total-label-print">Total Amount</span>
-              <span className="total-amount-print">${convertToUSD(calculateTotal() + getPrintShippingFee()).toFixed(2)}</span>
-            </div>
-          </div>
-
-          <div className="invoice-notes" style={{marginTop: '20px'}}>
-            <p style={{fontSize: '0.9em'}}>
-              * Thank you for your business
-            </p>
-          </div>
-        </div>
+        {/* コマーシャルインボイス・パッキングリスト */}
+        {showCommercialInvoice && (
+          <CommercialInvoice
+            order={currentReq}
+            exporter={companyInfo}
+            exchangeRate={getRequestExchangeRate()}
+            currency={getRequestCurrency()}
+            defaultShipment={{
+              ...getInvoiceShippingInfo(),
+              carrier: document.getElementById('shipmentCarrier')?.value || currentReq.shippingMethod || 'EMS'
+            }}
+            lines={getShipmentLines().length > 0
+              ? getShipmentLines().map(line => ({ item: currentReq.items.find(i => i.id === line.itemId), quantity: line.quantity }))
+              : undefined}
+            shippingFee={getShipmentLines().length > 0 ? getDefaultShipmentFee() : undefined}
+            performedBy={getEnglishName(currentReq.salesStaffName || salesStaffName)}
+            onSaved={(result) => setRequests(result.orders)}
+            onClose={() => setShowCommercialInvoice(false)}
+          />
+        )}
       </div>
     );
   }
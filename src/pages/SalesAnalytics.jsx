@@ -13,6 +13,10 @@ import {
 } from 'chart.js';
 import { Bar, Line, Doughnut, Pie } from 'react-chartjs-2';
 import { manufacturers } from '../data/gameConsoles';
+import { getSaleCurrencySummary, formatCurrencyAmount } from '../utils/exchangeRates';
+import { SUPPORTED_CURRENCIES } from '../data/currencies';
+import { getWishDemand } from '../utils/wishLists';
+import { excludeRefundedSales } from '../utils/salesOrders';
 import './SalesAnalytics.css';
 
 ChartJS.register(
@@ -28,7 +32,7 @@ ChartJS.register(
 );
 
 const SalesAnalytics = () => {
-  const [viewMode, setViewMode] = useState('selection'); // 'selection', 'user', 'seller-list', 'seller-detail', 'buyer-list', 'buyer-detail', 'product'
+  const [viewMode, setViewMode] = useState('selection'); // 'selection', 'user', 'seller-list', 'seller-detail', 'buyer-list', 'buyer-detail', 'product', 'currency', 'demand'
   const [salesData, setSalesData] = useState([]);
   const [buybackData, setBuybackData] = useState([]);
   const [selectedUser, setSelectedUser] = useState(null);
@@ -39,7 +43,8 @@ const SalesAnalytics = () => {
   }, []);
 
   const loadAllData = () => {
-    const sales = JSON.parse(localStorage.getItem('salesLedger') || '[]');
+    // 返金済みの売上は集計しない
+    const sales = excludeRefundedSales(JSON.parse(localStorage.getItem('salesLedger') || '[]'));
     const buyback = JSON.parse(localStorage.getItem('allApplications') || '[]');
     
     console.log('📊 販売分析データ読み込み:');
@@ -193,7 +198,7 @@ const SalesAnalytics = () => {
       setSelectedUser(null);
     } else if (viewMode === 'seller-list' || viewMode === 'buyer-list') {
       setViewMode('user');
-    } else if (viewMode === 'user' || viewMode === 'product') {
+    } else if (viewMode === 'user' || viewMode === 'product' || viewMode === 'currency' || viewMode === 'demand') {
       setViewMode('selection');
     }
   };
@@ -223,6 +228,24 @@ const SalesAnalytics = () => {
             <div className="btn-title">商品別分析</div>
             <div className="btn-description">商品ごとの売れ行きと人気度を分析</div>
           </button>
+
+          <button 
+            className="selection-btn currency-btn"
+            onClick={() => setViewMode('currency')}
+          >
+            <div className="btn-icon">💱</div>
+            <div className="btn-title">為替・通貨別売上</div>
+            <div className="btn-description">円・外貨の売上と為替差損益を確認</div>
+          </button>
+
+          <button 
+            className="selection-btn demand-btn"
+            onClick={() => setViewMode('demand')}
+          >
+            <div className="btn-icon">⭐</div>
+            <div className="btn-title">ほしい物リスト（需要）</div>
+            <div className="btn-description">バイヤーが入荷を待っている機種を確認</div>
+          </button>
         </div>
 
         {/* CSVインポートセクション */}
@@ -394,6 +417,19 @@ APP-2024-001,2024/01/10,佐藤 花子,山田太郎,yamada@example.com,090-1234-5
     />;
   }
 
+  // === 為替・通貨別売上 ===
+  if (viewMode === 'currency') {
+    return <CurrencyAnalysis 
+      salesData={salesData}
+      onBack={handleBack}
+    />;
+  }
+
+  // === ほしい物リスト（需要） ===
+  if (viewMode === 'demand') {
+    return <WishDemandAnalysis onBack={handleBack} />;
+  }
+
   return null;
 };
 
@@ -1486,4 +1522,312 @@ const ProductAnalysis = ({ salesData, buybackData, onBack }) => {
   );
 };
 
+// ========================================
+// 為替・通貨別売上
+// ========================================
+const CurrencyAnalysis = ({ salesData, onBack }) => {
+  // 見積もり時に固定したレートで集計する（現在のレートでは再計算しない）
+  const records = salesData
+    .map(record => ({ record, ...getSaleCurrencySummary(record) }))
+    .sort((a, b) => new Date(b.record.soldDate) - new Date(a.record.soldDate));
+
+  const totals = records.reduce((acc, r) => ({
+    revenueJPY: acc.revenueJPY + r.revenueJPY,
+    fxGainLoss: acc.fxGainLoss + r.fxGainLoss
+  }), { revenueJPY: 0, fxGainLoss: 0 });
+  const unlockedCount = records.filter(r => !r.rateLocked).length;
+
+  // 通貨別・月別（外貨の金額は通貨ごとにのみ合計する）
+  const currencyStats = {};
+  const monthlyStats = {};
+  records.forEach(r => {
+    if (!currencyStats[r.currency]) {
+      currencyStats[r.currency] = { currency: r.currency, count: 0, revenueJPY: 0, revenueForeign: 0, fxGainLoss: 0 };
+    }
+    currencyStats[r.currency].count++;
+    currencyStats[r.currency].revenueJPY += r.revenueJPY;
+    currencyStats[r.currency].revenueForeign += r.revenueForeign;
+    currencyStats[r.currency].fxGainLoss += r.fxGainLoss;
+
+    const date = new Date(r.record.soldDate);
+    const month = `${date.getFullYear()}/${String(date.getMonth() + 1).padStart(2, '0')}`;
+    if (!monthlyStats[month]) {
+      monthlyStats[month] = { month, count: 0, revenueJPY: 0, fxGainLoss: 0 };
+    }
+    monthlyStats[month].count++;
+    monthlyStats[month].revenueJPY += r.revenueJPY;
+    monthlyStats[month].fxGainLoss += r.fxGainLoss;
+  });
+  const currencies = Object.values(currencyStats).sort((a, b) => b.revenueJPY - a.revenueJPY);
+  const months = Object.values(monthlyStats).sort((a, b) => b.month.localeCompare(a.month));
+
+  const formatGainLoss = (jpy) => `${jpy > 0 ? '+' : jpy < 0 ? '-' : ''}¥${Math.abs(jpy).toLocaleString()}`;
+  const averageRate = (jpy, amount) => amount > 0 ? (jpy / amount).toFixed(2) : '-';
+
+  // CSVエクスポート（取引ごと）
+  const handleExportCSV = () => {
+    const headers = ['取引番号', '日付', 'バイヤー名', '通貨', '販売額(円)', '販売額(外貨)', '固定レート', '入金時レート', '為替差損益(円)'];
+    const rows = records.map(r => [
+      r.record.requestNumber,
+      new Date(r.record.soldDate).toLocaleDateString('ja-JP'),
+      r.record.customer?.name || '',
+      r.currency,
+      r.revenueJPY,
+      r.revenueForeign,
+      r.lockedRate,
+      r.settlementRate,
+      r.fxGainLoss
+    ].join(','));
+
+    const csv = '\ufeff' + [headers.join(','), ...rows].join('\n');
+    exportToCSV(csv, `為替・通貨別売上_${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  return (
+    <div className="analytics-container">
+      <div className="analytics-header-nav">
+        <button className="back-btn" onClick={onBack}>← 戻る</button>
+        <div style={{ flex: 1 }}>
+          <h1>💱 為替・通貨別売上</h1>
+          <p className="subtitle">見積もり時に固定したレートでの円・外貨売上と、入金時のレートとの為替差損益</p>
+        </div>
+        <button className="export-csv-btn" onClick={handleExportCSV}>
+          📥 CSVダウンロード
+        </button>
+      </div>
+
+      {records.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">💱</div>
+          <p>販売データがありません</p>
+        </div>
+      ) : (
+        <>
+          <div className="kpi-cards-compact">
+            <div className="kpi-card-small">
+              <div className="kpi-label-small">販売額（円）</div>
+              <div className="kpi-value-small highlight">¥{totals.revenueJPY.toLocaleString()}</div>
+            </div>
+            {currencies.map(stat => (
+              <div key={stat.currency} className="kpi-card-small">
+                <div className="kpi-label-small">販売額（{stat.currency}）</div>
+                <div className="kpi-value-small">{formatCurrencyAmount(stat.revenueForeign, stat.currency)}</div>
+              </div>
+            ))}
+            <div className="kpi-card-small">
+              <div className="kpi-label-small">為替差損益</div>
+              <div className={`kpi-value-small ${totals.fxGainLoss < 0 ? 'loss' : 'profit'}`}>
+                {formatGainLoss(totals.fxGainLoss)}
+              </div>
+            </div>
+          </div>
+
+          {unlockedCount > 0 && (
+            <p className="fx-note">
+              ※ レートを固定する前の販売記録 {unlockedCount}件は、販売日のレートで換算しています（為替差損益は0として集計）
+            </p>
+          )}
+
+          <div className="detail-section">
+            <h2>💱 通貨別</h2>
+            <div className="table-responsive">
+              <table className="analytics-table">
+                <thead>
+                  <tr>
+                    <th>通貨</th>
+                    <th>取引数</th>
+                    <th>販売額（円）</th>
+                    <th>販売額（外貨）</th>
+                    <th>平均レート</th>
+                    <th>為替差損益</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {currencies.map(stat => (
+                    <tr key={stat.currency}>
+                      <td>{stat.currency}（{SUPPORTED_CURRENCIES[stat.currency].label}）</td>
+                      <td>{stat.count}件</td>
+                      <td className="amount-cell">¥{stat.revenueJPY.toLocaleString()}</td>
+                      <td className="amount-cell">{formatCurrencyAmount(stat.revenueForeign, stat.currency)}</td>
+                      <td className="rate-cell">¥{averageRate(stat.revenueJPY, stat.revenueForeign)}</td>
+                      <td className={`amount-cell ${stat.fxGainLoss < 0 ? 'loss' : 'profit'}`}>{formatGainLoss(stat.fxGainLoss)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="detail-section">
+            <h2>📅 月別</h2>
+            <div className="table-responsive">
+              <table className="analytics-table">
+                <thead>
+                  <tr>
+                    <th>月</th>
+                    <th>取引数</th>
+                    <th>販売額（円）</th>
+                    <th>為替差損益</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {months.map(month => (
+                    <tr key={month.month}>
+                      <td>{month.month}</td>
+                      <td>{month.count}件</td>
+                      <td className="amount-cell">¥{month.revenueJPY.toLocaleString()}</td>
+                      <td className={`amount-cell ${month.fxGainLoss < 0 ? 'loss' : 'profit'}`}>{formatGainLoss(month.fxGainLoss)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="detail-section">
+            <h2>📋 取引別</h2>
+            <div className="table-responsive">
+              <table className="analytics-table">
+                <thead>
+                  <tr>
+                    <th>取引番号</th>
+                    <th>日付</th>
+                    <th>バイヤー</th>
+                    <th>販売額（円）</th>
+                    <th>販売額（外貨）</th>
+                    <th>固定レート</th>
+                    <th>入金時レート</th>
+                    <th>為替差損益</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {records.map(r => (
+                    <tr key={r.record.id || r.record.requestNumber}>
+                      <td>{r.record.requestNumber}</td>
+                      <td>{new Date(r.record.soldDate).toLocaleDateString('ja-JP')}</td>
+                      <td className="buyer-name">{r.record.customer?.name || '-'}</td>
+                      <td className="amount-cell">¥{r.revenueJPY.toLocaleString()}</td>
+                      <td className="amount-cell">{formatCurrencyAmount(r.revenueForeign, r.currency)}</td>
+                      <td className="rate-cell">¥{r.lockedRate}{!r.rateLocked && '*'}</td>
+                      <td className="rate-cell">¥{r.settlementRate}</td>
+                      <td className={`amount-cell ${r.fxGainLoss < 0 ? 'loss' : 'profit'}`}>{formatGainLoss(r.fxGainLoss)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ========================================
+// ほしい物リスト（需要）
+// ========================================
+const WishDemandAnalysis = ({ onBack }) => {
+  const [demand] = useState(() => getWishDemand());
+
+  const totalWishes = demand.reduce((sum, group) => sum + group.wishCount, 0);
+  const buyerCount = new Set(demand.flatMap(group => group.buyers)).size;
+  const formatMaxPrice = (group) => group.noPriceLimit ? '上限なし' : `¥${group.highestMaxPriceJPY.toLocaleString()}`;
+
+  // CSVエクスポート
+  const handleExportCSV = () => {
+    const headers = ['メーカー', '機種', 'カラー', '希望件数', 'バイヤー', '最低ランク', '上限価格(円換算)', '現在の在庫', '最新の登録日'];
+    const rows = demand.map(group => [
+      group.manufacturerLabel,
+      group.consoleLabel,
+      group.colorLabel || '指定なし',
+      group.wishCount,
+      `"${group.buyers.join(' / ')}"`,
+      group.loosestRank,
+      group.noPriceLimit ? '上限なし' : group.highestMaxPriceJPY,
+      group.availableQuantity,
+      new Date(group.latestWishAt).toLocaleDateString('ja-JP')
+    ].join(','));
+
+    const csv = '\ufeff' + [headers.join(','), ...rows].join('\n');
+    exportToCSV(csv, `ほしい物リスト需要_${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  return (
+    <div className="analytics-container">
+      <div className="analytics-header-nav">
+        <button className="back-btn" onClick={onBack}>← 戻る</button>
+        <div style={{ flex: 1 }}>
+          <h1>⭐ ほしい物リスト（需要）</h1>
+          <p className="subtitle">海外バイヤーが入荷を待っている機種・カラー（買取・仕入れの参考）</p>
+        </div>
+        <button className="export-csv-btn" onClick={handleExportCSV}>
+          📥 CSVダウンロード
+        </button>
+      </div>
+
+      {demand.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">⭐</div>
+          <p>ほしい物リストの登録がありません</p>
+        </div>
+      ) : (
+        <>
+          <div className="kpi-cards-compact">
+            <div className="kpi-card-small">
+              <div className="kpi-label-small">登録件数</div>
+              <div className="kpi-value-small highlight">{totalWishes}件</div>
+            </div>
+            <div className="kpi-card-small">
+              <div className="kpi-label-small">機種・カラー</div>
+              <div className="kpi-value-small">{demand.length}種類</div>
+            </div>
+            <div className="kpi-card-small">
+              <div className="kpi-label-small">バイヤー</div>
+              <div className="kpi-value-small">{buyerCount}人</div>
+            </div>
+          </div>
+
+          <p className="fx-note">
+            ※ 最低ランクは最も緩い条件、上限価格は最も高い上限を当日のレートで円に換算して表示しています。在庫は最低ランク以上の販売可能数です
+          </p>
+
+          <div className="detail-section">
+            <h2>📋 機種・カラー別</h2>
+            <div className="table-responsive">
+              <table className="analytics-table">
+                <thead>
+                  <tr>
+                    <th>機種</th>
+                    <th>カラー</th>
+                    <th>希望件数</th>
+                    <th>バイヤー</th>
+                    <th>最低ランク</th>
+                    <th>上限価格（円換算）</th>
+                    <th>現在の在庫</th>
+                    <th>最新の登録日</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {demand.map(group => (
+                    <tr key={group.key}>
+                      <td>{group.manufacturerLabel} {group.consoleLabel}</td>
+                      <td>{group.colorLabel || '指定なし'}</td>
+                      <td>{group.wishCount}件</td>
+                      <td className="buyer-name">{group.buyers.join(', ')}</td>
+                      <td>{group.loosestRank}以上</td>
+                      <td className="amount-cell">{formatMaxPrice(group)}</td>
+                      <td className={`amount-cell ${group.availableQuantity > 0 ? 'profit' : 'loss'}`}>{group.availableQuantity}台</td>
+                      <td>{new Date(group.latestWishAt).toLocaleDateString('ja-JP')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 export default SalesAnalytics;
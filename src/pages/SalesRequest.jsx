@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { manufacturers, colors } from '../data/gameConsoles';
+import { manufacturers, colors, manufacturerLabelsEN, consoleLabelsEN, colorLabelsEN, conditionLabelsEN } from '../data/gameConsoles';
 import { getAllConsoles } from '../utils/productMaster';
+import { getBuyerCurrency } from '../utils/buyerManager';
 import './SalesRequest.css';
 
 const SalesRequest = () => {
@@ -38,54 +39,6 @@ const SalesRequest = () => {
     setAllGameConsoles(getAllConsoles());
   }, []);
 
-  // 英語マッピング
-  const manufacturersEN = {
-    'nintendo': 'Nintendo',
-    'sony': 'Sony',
-    'microsoft': 'Microsoft',
-    'other': 'Other'
-  };
-
-  const consolesEN = {
-    'Nintendo Switch（有機ELモデル）': 'Nintendo Switch (OLED Model)',
-    'Newニンテンドー3DS': 'New Nintendo 3DS',
-    'ニンテンドー3DS': 'Nintendo 3DS',
-    'ニンテンドーDSi': 'Nintendo DSi',
-    'ニンテンドーDS Lite': 'Nintendo DS Lite',
-    'ニンテンドーDS': 'Nintendo DS',
-    'ゲームキューブ': 'GameCube',
-    'ゲームボーイアドバンス（SPを含む）': 'Game Boy Advance (incl. SP)',
-    'ゲームボーイカラー': 'Game Boy Color',
-    'スーパーファミコン': 'Super Famicom',
-    'ゲームボーイ': 'Game Boy',
-    'ファミリーコンピュータ': 'Famicom',
-    'PlayStation 5 デジタル・エディション': 'PlayStation 5 Digital Edition',
-    'ドリームキャスト': 'Dreamcast',
-    'ワンダースワン': 'WonderSwan',
-    'セガサターン': 'Sega Saturn',
-    'ネオジオ': 'Neo Geo',
-    'PCエンジン': 'PC Engine',
-    'その他（手入力）': 'Other (Manual Input)'
-  };
-
-  const colorsEN = {
-    'ホワイト': 'White',
-    'ブラック': 'Black',
-    'ブルー': 'Blue',
-    'レッド': 'Red',
-    'グレー': 'Gray',
-    'ピンク': 'Pink',
-    'イエロー': 'Yellow',
-    'グリーン': 'Green',
-    'パープル': 'Purple',
-    'オレンジ': 'Orange',
-    'ターコイズ': 'Turquoise',
-    'コーラル': 'Coral',
-    'ネオンブルー': 'Neon Blue',
-    'ネオンレッド': 'Neon Red',
-    'その他': 'Other'
-  };
-
   // メーカー選択時に機種リストを更新
   const handleManufacturerChange = (manufacturerValue) => {
     setCurrentItem({
@@ -177,21 +130,15 @@ const SalesRequest = () => {
     }
 
     const manufacturerLabelJP = manufacturers.find(m => m.value === currentItem.manufacturer)?.label;
-    const manufacturerLabel = manufacturersEN[currentItem.manufacturer] || manufacturerLabelJP;
+    const manufacturerLabel = manufacturerLabelsEN[currentItem.manufacturer] || manufacturerLabelJP;
     const consoleLabelJP = availableConsoles.find(c => c.value === currentItem.console)?.label;
     // Use custom name if "Other (Manual Input)" is selected
     const consoleLabel = currentItem.console === 'other-manual' 
       ? currentItem.consoleCustomName 
-      : (consolesEN[consoleLabelJP] || consoleLabelJP);
-    const colorLabel = currentItem.color ? (colorsEN[currentItem.color] || currentItem.color) : '';
+      : (consoleLabelsEN[consoleLabelJP] || consoleLabelJP);
+    const colorLabel = currentItem.color ? (colorLabelsEN[currentItem.color] || currentItem.color) : '';
     
-    const conditionLabels = {
-      'S': 'S (Mint Condition / Near Unused)',
-      'A': 'A (Excellent / No Noticeable Damage)',
-      'B': 'B (Used / Normal Wear / Fully Functional)',
-      'C': 'C (Some Damage / Stains / Works Fine)'
-    };
-    const conditionLabel = conditionLabels[currentItem.condition] || '';
+    const conditionLabel = conditionLabelsEN[currentItem.condition] || '';
 
     const packageTypeLabels = currentItem.productType === 'console' ? {
       'complete': 'Complete Set (Box, Manual, Charger, All Accessories)',
@@ -270,6 +217,8 @@ const SalesRequest = () => {
         country: user.country || 'Japan',
         language: user.language || 'ja'
       },
+      // 見積もり・請求書はバイヤーの取引通貨で表示する
+      currency: getBuyerCurrency(user.email, user.country),
       items: items,
       notes: notes,
       status: 'pending', // pending → quoted → approved → shipped
@@ -329,7 +278,7 @@ const SalesRequest = () => {
               <option value="">Please select</option>
               {manufacturers.map(manu => (
                 <option key={manu.value} value={manu.value}>
-                  {manufacturersEN[manu.value] || manu.label}
+                  {manufacturerLabelsEN[manu.value] || manu.label}
                 </option>
               ))}
             </select>
@@ -345,7 +294,7 @@ const SalesRequest = () => {
               <option value="">Please select</option>
               {availableConsoles.map(console => (
                 <option key={console.value} value={console.value}>
-                  {consolesEN[console.label] || console.label} ({console.year})
+                  {consoleLabelsEN[console.label] || console.label} ({console.year})
                 </option>
               ))}
             </select>
@@ -372,7 +321,7 @@ const SalesRequest = () => {
               >
                 <option value="">None</option>
                 {colors.map(color => (
-                  <option key={color} value={color}>{colorsEN[color] || color}</option>
+                  <option key={color} value={color}>{colorLabelsEN[color] || color}</option>
                 ))}
               </select>
             </div>
@@ -708,6 +657,7 @@ const SalesRequest = () => {
                   <p className="confirm-detail">📧 {user.email}</p>
                   {user.phone && <p className="confirm-detail">📞 {user.phone}</p>}
                   {user.country && <p className="confirm-detail">🌍 Country: {user.country}</p>}
+                  <p className="confirm-detail">💱 Currency: {getBuyerCurrency(user.email, user.country)}</p>
                   {user.address && <p className="confirm-detail">📍 {user.address}</p>}
                   {user.postalCode && <p className="confirm-detail">📮 Postal Code: {user.postalCode}</p>}
                   {user.birthDate && <p className="confirm-detail">🎂 Birth Date: {user.birthDate}</p>}
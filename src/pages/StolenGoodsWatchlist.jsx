@@ -0,0 +1,288 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { getStatusLabel } from '../utils/buybackStateMachine';
+import {
+  WATCHLIST_STATUSES,
+  WATCHLIST_MATCH_LEVELS,
+  WATCHLIST_RESOLUTIONS,
+  WATCHLIST_CSV_COLUMNS,
+  loadWatchlist,
+  addWatchlistNotice,
+  parseWatchlistCsv,
+  importWatchlistNotices,
+  setWatchlistNoticeStatus,
+  checkApplicationAgainstWatchlist,
+  normalizeWatchlistText
+} from '../utils/stolenGoodsWatchlist';
+import './StolenGoodsWatchlist.css';
+
+const EMPTY_FORM = {
+  noticeNumber: '',
+  issuedAt: '',
+  issuedBy: '',
+  serialNumber: '',
+  model: '',
+  color: '',
+  description: ''
+};
+
+// 照合の対象とする申込（在庫登録済み・買取不成立は対象外）
+const isOpenApplication = (application) => !['in_inventory', 'rejected'].includes(application.status);
+
+const StolenGoodsWatchlist = () => {
+  const { user } = useAuth();
+  const performedBy = user?.name || user?.email || '';
+  const [notices, setNotices] = useState(loadWatchlist);
+  const [applications, setApplications] = useState(() => JSON.parse(localStorage.getItem('allApplications') || '[]'));
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+
+  const handleAddNotice = () => {
+    const result = addWatchlistNotice(form, { performedBy });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    setNotices(loadWatchlist());
+    setForm(EMPTY_FORM);
+    alert('品触れを登録しました。未完了の申込との照合は「申込と一括照合」から行えます。');
+  };
+
+  const handleImportCsv = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const { notices: parsed, errors } = parseWatchlistCsv(event.target.result);
+      setImportErrors(errors);
+      if (parsed.length === 0) {
+        alert('取り込める品触れがありませんでした');
+        return;
+      }
+
+      const result = importWatchlistNotices(parsed, { performedBy });
+      setNotices(loadWatchlist());
+      alert(`${result.added}件の品触れを登録しました${result.skipped > 0 ? `（登録済みの${result.skipped}件は読み飛ばしました）` : ''}${errors.length > 0 ? `\n${errors.length}行は取り込めませんでした` : ''}`);
+    };
+    reader.readAsText(file, 'UTF-8');
+  };
+
+  const handleDownloadTemplate = () => {
+    const csv = '\ufeff' + WATCHLIST_CSV_COLUMNS.map(column => column.label).join(',') + '\r\n';
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = '品触れ取込テンプレート.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleToggleStatus = (notice) => {
+    const nextStatus = notice.status === 'active' ? 'closed' : 'active';
+    if (nextStatus === 'closed' && !confirm(`品触れ ${notice.noticeNumber} を手配終了にしますか？\n以降の照合の対象外になります。`)) {
+      return;
+    }
+    const result = setWatchlistNoticeStatus(notice.id, nextStatus, { performedBy });
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    setNotices(loadWatchlist());
+  };
+
+  // 未完了の申込を現在の品触れと照合し直す
+  const handleRecheckApplications = () => {
+    const stored = JSON.parse(localStorage.getItem('allApplications') || '[]');
+    let matchedCount = 0;
+    const updated = stored.map(application => {
+      if (!isOpenApplication(application)) return application;
+      const watchlistCheck = checkApplicationAgainstWatchlist(application);
+      if (watchlistCheck.matches.length > 0) matchedCount++;
+      return { ...application, watchlistCheck };
+    });
+    localStorage.setItem('allApplications', JSON.stringify(updated));
+    setApplications(updated);
+    alert(matchedCount > 0
+      ? `🚨 品触れと一致する可能性がある申込が${matchedCount}件あります。買取査定画面で照合結果を記録してください。`
+      : '品触れと一致する申込はありません');
+  };
+
+  const query = normalizeWatchlistText(searchQuery);
+  const filteredNotices = notices
+    .filter(notice => statusFilter === 'all' || notice.status === statusFilter)
+    .filter(notice => !query || normalizeWatchlistText(
+      [notice.noticeNumber, notice.serialNumber, notice.model, notice.color, notice.description].join('')
+    ).includes(query))
+    .slice()
+    .reverse();
+
+  const matchedApplications = applications.filter(application => application.watchlistCheck?.matches?.length > 0);
+
+  return (
+    <div className="watchlist-page">
+      <div className="page-header">
+        <div>
+          <h1>🚨 品触れ照合</h1>
+          <p className="subtitle">警察から届いた品触れを登録し、買取申込の商品と製造番号・機種・カラーで照合します。一致の可能性がある申込は照合結果を記録するまで査定確定・在庫登録できません。</p>
+        </div>
+        <button className="secondary-btn" onClick={handleRecheckApplications}>🔍 申込と一括照合</button>
+      </div>
+
+      <div className="card">
+        <h2>品触れの登録</h2>
+        <div className="watchlist-form-grid">
+          <div className="form-group">
+            <label>品触れ番号 *</label>
+            <input value={form.noticeNumber} onChange={(e) => setForm({ ...form, noticeNumber: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label>通知日</label>
+            <input type="date" value={form.issuedAt} onChange={(e) => setForm({ ...form, issuedAt: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label>発出元</label>
+            <input value={form.issuedBy} onChange={(e) => setForm({ ...form, issuedBy: e.target.value })} placeholder="例: ○○警察署" />
+          </div>
+          <div className="form-group">
+            <label>製造番号</label>
+            <input value={form.serialNumber} onChange={(e) => setForm({ ...form, serialNumber: e.target.value })} placeholder="例: XAJ10012345678" />
+          </div>
+          <div className="form-group">
+            <label>機種</label>
+            <input value={form.model} onChange={(e) => setForm({ ...form, model: e.target.value })} placeholder="例: Nintendo Switch（有機ELモデル）" />
+          </div>
+          <div className="form-group">
+            <label>カラー</label>
+            <input value={form.color} onChange={(e) => setForm({ ...form, color: e.target.value })} />
+          </div>
+          <div className="form-group form-group-wide">
+            <label>特徴</label>
+            <input value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} placeholder="例: 背面に傷、ステッカー貼付" />
+          </div>
+        </div>
+        <div className="editor-actions">
+          <button className="primary-btn" onClick={handleAddNotice}>登録</button>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header-row">
+          <h2>CSVから取込</h2>
+          <button className="secondary-btn" onClick={handleDownloadTemplate}>📄 テンプレート</button>
+        </div>
+        <p className="hint">列の順: {WATCHLIST_CSV_COLUMNS.map(column => column.label).join('・')}（1行目は見出し）</p>
+        <input type="file" accept=".csv,text/csv" onChange={handleImportCsv} />
+        {importErrors.length > 0 && (
+          <ul className="watchlist-import-errors">
+            {importErrors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+      </div>
+
+      {matchedApplications.length > 0 && (
+        <div className="card">
+          <h2>一致の可能性がある申込</h2>
+          <table className="watchlist-table">
+            <thead>
+              <tr>
+                <th>申込番号</th>
+                <th>お客様</th>
+                <th>ステータス</th>
+                <th>一致した品触れ</th>
+                <th>照合結果</th>
+              </tr>
+            </thead>
+            <tbody>
+              {matchedApplications.map(application => (
+                <tr key={application.applicationNumber}>
+                  <td>{application.applicationNumber}</td>
+                  <td>{application.customer?.name || '-'}</td>
+                  <td>{getStatusLabel(application.status)}</td>
+                  <td>
+                    {application.watchlistCheck.matches.map(match => (
+                      <div key={`${match.itemId}-${match.noticeId}`}>
+                        {WATCHLIST_MATCH_LEVELS[match.level].icon} {match.itemLabel} → {match.noticeNumber}
+                      </div>
+                    ))}
+                  </td>
+                  <td>
+                    {application.watchlistCheck.resolution
+                      ? `${WATCHLIST_RESOLUTIONS[application.watchlistCheck.resolution.decision].label}（${application.watchlistCheck.resolution.resolvedBy || '-'}）`
+                      : <span className="watchlist-unresolved">未確認</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header-row">
+          <h2>登録済みの品触れ（{filteredNotices.length}件）</h2>
+          <div className="watchlist-filters">
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="番号・製造番号・機種で検索"
+            />
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="all">全て</option>
+              {Object.entries(WATCHLIST_STATUSES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {filteredNotices.length === 0 ? (
+          <p className="empty-message">該当する品触れはありません</p>
+        ) : (
+          <table className="watchlist-table">
+            <thead>
+              <tr>
+                <th>品触れ番号</th>
+                <th>通知日</th>
+                <th>発出元</th>
+                <th>製造番号</th>
+                <th>機種・カラー</th>
+                <th>特徴</th>
+                <th>状態</th>
+                <th>操作</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredNotices.map(notice => (
+                <tr key={notice.id} className={notice.status === 'closed' ? 'closed' : ''}>
+                  <td>{notice.noticeNumber}</td>
+                  <td>{notice.issuedAt || '-'}</td>
+                  <td>{notice.issuedBy || '-'}</td>
+                  <td><code>{notice.serialNumber || '-'}</code></td>
+                  <td>{notice.model || '-'}{notice.color && `（${notice.color}）`}</td>
+                  <td>{notice.description || '-'}</td>
+                  <td>{WATCHLIST_STATUSES[notice.status].label}</td>
+                  <td>
+                    <button
+                      className={notice.status === 'active' ? 'danger-btn' : 'secondary-btn'}
+                      onClick={() => handleToggleStatus(notice)}
+                    >
+                      {notice.status === 'active' ? '手配終了' : '再開'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StolenGoodsWatchlist;
@@ -0,0 +1,282 @@
+// 買取見積もりの自動承認ルール
+// マネージャーが設定した条件を全て満たす申込を「承認待ち」から「買取確定（自動承認）」へ進める
+
+import { generateProductCode } from './productCodeGenerator';
+import { getBuybackBasePrice } from './priceCalculator';
+import {
+  transitionApplication,
+  hasReachedStatus,
+  getActiveItems,
+  calculateQuoteTotal
+} from './buybackStateMachine';
+import { RANKS } from '../data/gameConsoles';
+
+const RULES_STORAGE_KEY = 'autoApprovalRules';
+
+// 承認済みとして数えるステータス
+const APPROVED_STATUSES = ['approved', 'auto_approved', 'in_inventory'];
+
+export const AUTO_APPROVAL_PERFORMER = '自動承認ルール';
+
+/**
+ * 空のルールを作成
+ * 条件はnull/空文字の場合は判定しない
+ * @returns {object} - ルール
+ */
+export const createEmptyRule = () => ({
+  id: `RULE-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+  name: '',
+  enabled: true,
+  conditions: {
+    maxTotal: null,
+    minRank: '',
+    minPastApprovals: null,
+    maxPriceDeviationPercent: null
+  },
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString()
+});
+
+/**
+ * 全ルールを取得（配列の順番が優先順位）
+ * @returns {array} - ルールの配列
+ */
+export const getAutoApprovalRules = () => {
+  return JSON.parse(localStorage.getItem(RULES_STORAGE_KEY) || '[]');
+};
+
+/**
+ * 全ルールを保存
+ * @param {array} rules - ルールの配列
+ */
+export const saveAutoApprovalRules = (rules) => {
+  localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+};
+
+/**
+ * ルールを追加または更新
+ * @param {object} rule - ルール
+ * @returns {array} - 保存後のルール配列
+ */
+export const upsertAutoApprovalRule = (rule) => {
+  const rules = getAutoApprovalRules();
+  const index = rules.findIndex(r => r.id === rule.id);
+  const saved = { ...rule, updatedAt: new Date().toISOString() };
+
+  if (index === -1) {
+    rules.push(saved);
+  } else {
+    rules[index] = saved;
+  }
+
+  saveAutoApprovalRules(rules);
+  return rules;
+};
+
+/**
+ * ルールを削除
+ * @param {string} ruleId - ルールID
+ * @returns {array} - 保存後のルール配列
+ */
+export const deleteAutoApprovalRule = (ruleId) => {
+  const rules = getAutoApprovalRules().filter(r => r.id !== ruleId);
+  saveAutoApprovalRules(rules);
+  return rules;
+};
+
+// ========== 条件判定 ==========
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * 申込日より前に承認済みとなった同一顧客の申込数を数える
+ * @param {object} application - 対象の申込
+ * @param {array} allApplications - 全申込
+ * @returns {number} - 件数
+ */
+export const countPastApprovals = (application, allApplications = []) => {
+  const email = application.customer?.email;
+  if (!email) return 0;
+
+  return allApplications.filter(app =>
+    app.applicationNumber !== application.applicationNumber &&
+    app.customer?.email === email &&
+    APPROVED_STATUSES.includes(app.status) &&
+    new Date(app.date) < new Date(application.date)
+  ).length;
+};
+
+const CONDITION_CHECKS = {
+  maxTotal: (value, application) => {
+    const total = calculateQuoteTotal(application);
+    return {
+      passed: total < value,
+      detail: `合計 ¥${total.toLocaleString()}（上限 ¥${Number(value).toLocaleString()}未満）`
+    };
+  },
+
+  minRank: (value, application) => {
+    const limit = RANKS.indexOf(value);
+    const failed = getActiveItems(application).filter(item => {
+      const rankIndex = RANKS.indexOf(item.assessedRank);
+      return rankIndex === -1 || rankIndex > limit;
+    });
+    return {
+      passed: failed.length === 0,
+      detail: failed.length === 0
+        ? `全商品が${value}ランク以上`
+        : `${value}ランク未満の商品が${failed.length}件`
+    };
+  },
+
+  minPastApprovals: (value, application, allApplications) => {
+    const count = countPastApprovals(application, allApplications);
+    return {
+      passed: count >= value,
+      detail: `過去の買取確定 ${count}件（必要 ${value}件以上）`
+    };
+  },
+
+  maxPriceDeviationPercent: (value, application) => {
+    const outOfRange = [];
+    getActiveItems(application).forEach(item => {
+      const productCode = generateProductCode(item.manufacturer, item.console, item.productType);
+      const basePrice = getBuybackBasePrice(productCode, item.assessedRank);
+      const label = item.softwareName || item.consoleLabel || productCode;
+
+      if (basePrice <= 0) {
+        outOfRange.push(`${label}（基準価格未設定）`);
+        return;
+      }
+
+      const deviation = Math.abs((item.buybackPrice || 0) - basePrice) / basePrice * 100;
+      if (deviation > value) {
+        outOfRange.push(`${label}（${Math.round(deviation * 10) / 10}%）`);
+      }
+    });
+    return {
+      passed: outOfRange.length === 0,
+      detail: outOfRange.length === 0
+        ? `全商品が基準価格の±${value}%以内`
+        : `基準価格から外れた商品: ${outOfRange.join('、')}`
+    };
+  }
+};
+
+export const CONDITION_LABELS = {
+  maxTotal: '合計金額の上限',
+  minRank: '最低査定ランク',
+  minPastApprovals: '過去の買取確定件数',
+  maxPriceDeviationPercent: '基準価格との差'
+};
+
+/**
+ * ルールを申込に対して評価
+ * 設定された条件が1つもないルールは一致しない
+ * @param {object} rule - ルール
+ * @param {object} application - 申込
+ * @param {array} allApplications - 全申込（過去の承認件数の判定に使用）
+ * @returns {object} - { matched: boolean, results: [{ condition, label, passed, detail }] }
+ */
+export const evaluateRule = (rule, application, allApplications = []) => {
+  const results = Object.entries(rule.conditions || {})
+    .filter(([, value]) => hasValue(value))
+    .map(([condition, value]) => ({
+      condition,
+      label: CONDITION_LABELS[condition] || condition,
+      ...CONDITION_CHECKS[condition](value, application, allApplications)
+    }));
+
+  const hasItems = getActiveItems(application).length > 0;
+
+  return {
+    matched: hasItems && results.length > 0 && results.every(result => result.passed),
+    results
+  };
+};
+
+/**
+ * 最初に一致した有効なルールを取得
+ * @param {object} application - 申込
+ * @param {array} allApplications - 全申込
+ * @param {array} rules - ルール（省略時は保存済みルール）
+ * @returns {object|null} - { rule, results }
+ */
+export const findMatchingRule = (application, allApplications = [], rules = getAutoApprovalRules()) => {
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const { matched, results } = evaluateRule(rule, application, allApplications);
+    if (matched) {
+      return { rule, results };
+    }
+  }
+  return null;
+};
+
+/**
+ * 承認待ちの申込にルールを適用し、一致すれば自動承認へ遷移させる
+ * @param {object} application - 承認待ちの申込
+ * @param {array} allApplications - 全申込
+ * @returns {object} - { applied: boolean, application: object, rule?: object }
+ */
+export const applyAutoApproval = (application, allApplications = []) => {
+  if (application.status !== 'awaiting_approval') {
+    return { applied: false, application };
+  }
+
+  const match = findMatchingRule(application, allApplications);
+  if (!match) {
+    return { applied: false, application };
+  }
+
+  const matchedAt = new Date().toISOString();
+  const result = transitionApplication(application, 'auto_approved', {
+    performedBy: AUTO_APPROVAL_PERFORMER,
+    role: 'system',
+    note: `ルール「${match.rule.name}」に一致`,
+    date: matchedAt,
+    patch: {
+      autoApproval: {
+        ruleId: match.rule.id,
+        ruleName: match.rule.name,
+        matchedAt,
+        results: match.results
+      }
+    }
+  });
+
+  if (!result.success) {
+    return { applied: false, application };
+  }
+
+  return { applied: true, application: result.application, rule: match.rule };
+};
+
+/**
+ * 過去の申込に対するドライラン（データは変更しない）
+ * 査定済み（承認待ち以降、または拒否済みで査定済み）の申込を対象に、現在の基準価格で判定する
+ * @param {array} rules - 判定するルール
+ * @param {array} allApplications - 全申込
+ * @returns {array} - [{ application, match: { rule, results } | null, evaluations }]
+ */
+export const previewAutoApproval = (rules, allApplications = []) => {
+  return allApplications
+    .filter(app =>
+      (app.items || []).length > 0 &&
+      (hasReachedStatus(app.status, 'awaiting_approval') || (app.status === 'rejected' && app.assessorName))
+    )
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .map(application => {
+      const evaluations = rules.map(rule => ({
+        rule,
+        ...evaluateRule(rule, application, allApplications)
+      }));
+      const matched = evaluations.find(evaluation => evaluation.rule.enabled !== false && evaluation.matched);
+
+      return {
+        application,
+        match: matched ? { rule: matched.rule, results: matched.results } : null,
+        evaluations
+      };
+    });
+};
@@ -0,0 +1,158 @@
+// バーコード・JANコードの読み取り結果を解決する
+// 管理番号 → 在庫、JANコード → 機種（janCodeMappings に登録済みのもの）、商品コード → 機種 の順に判定する
+
+import { manufacturers } from '../data/gameConsoles';
+import { getAllConsoles } from './productMaster';
+import { generateProductCode, parseManagementNumber } from './productCodeGenerator';
+
+const JAN_MAPPINGS_KEY = 'janCodeMappings';
+
+export const SCAN_RESULT_TYPES = {
+  management_number: { label: '管理番号' },
+  jan: { label: 'JANコード' },
+  product_code: { label: '商品コード' },
+  unknown: { label: '不明なコード' }
+};
+
+/**
+ * 読み取った文字列を正規化
+ * IMEがオンのままスキャンすると全角で入力されるため半角に変換する
+ * @param {string} raw - 読み取った文字列
+ * @returns {string} - 正規化した文字列
+ */
+export const normalizeScannedCode = (raw) => {
+  return String(raw || '')
+    .replace(/[Ａ-Ｚａ-ｚ０-９＿－]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+    .replace(/　/g, ' ')
+    .replace(/[\u0000-\u001F]/g, '')
+    .trim()
+    .toUpperCase();
+};
+
+/**
+ * JANコード（8桁・13桁）のチェックディジットを検証
+ * @param {string} code - JANコード
+ * @returns {boolean}
+ */
+export const isValidJanCode = (code) => {
+  if (!/^(\d{8}|\d{13})$/.test(code)) return false;
+
+  const digits = code.split('').map(Number);
+  const checkDigit = digits.pop();
+  // 右から奇数桁を3倍して合計する
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10 === checkDigit;
+};
+
+/**
+ * 登録済みのJANコード対応表を取得
+ * @returns {object} - { [jan]: { productType, manufacturer, console, color, registeredAt } }
+ */
+export const getJanMappings = () => {
+  return JSON.parse(localStorage.getItem(JAN_MAPPINGS_KEY) || '{}');
+};
+
+/**
+ * JANコードと機種の対応を登録
+ * @param {string} jan - JANコード
+ * @param {object} product - { productType, manufacturer, console, color }
+ * @returns {object} - { success: boolean, error?: string }
+ */
+export const registerJanCode = (jan, { productType = 'console', manufacturer, console, color = '' }) => {
+  const code = normalizeScannedCode(jan);
+  if (!isValidJanCode(code)) {
+    return { success: false, error: `「${code}」は正しいJANコードではありません` };
+  }
+  if (!manufacturer || (productType === 'console' && !console)) {
+    return { success: false, error: 'メーカーと機種を選択してください' };
+  }
+
+  const mappings = getJanMappings();
+  mappings[code] = {
+    productType,
+    manufacturer,
+    console: productType === 'console' ? console : '',
+    color: productType === 'console' ? color : '',
+    registeredAt: new Date().toISOString()
+  };
+  localStorage.setItem(JAN_MAPPINGS_KEY, JSON.stringify(mappings));
+
+  return { success: true };
+};
+
+/**
+ * JANコードの登録を削除
+ * @param {string} jan - JANコード
+ */
+export const removeJanCode = (jan) => {
+  const mappings = getJanMappings();
+  delete mappings[jan];
+  localStorage.setItem(JAN_MAPPINGS_KEY, JSON.stringify(mappings));
+};
+
+/**
+ * JANコードから機種を取得
+ * @param {string} jan - JANコード
+ * @returns {object|null} - { productType, manufacturer, manufacturerLabel, console, consoleLabel, color, productCode }
+ */
+export const findProductByJan = (jan) => {
+  const mapping = getJanMappings()[jan];
+  if (!mapping) return null;
+
+  const consoleInfo = (getAllConsoles()[mapping.manufacturer] || []).find(c => c.value === mapping.console);
+
+  return {
+    ...mapping,
+    manufacturerLabel: manufacturers.find(m => m.value === mapping.manufacturer)?.label || mapping.manufacturer,
+    consoleLabel: consoleInfo?.label || '',
+    productCode: generateProductCode(mapping.manufacturer, mapping.console, mapping.productType)
+  };
+};
+
+/**
+ * 管理番号から在庫を検索
+ * @param {string} managementNumber - 管理番号
+ * @param {array} inventory - 在庫データ（省略時はlocalStorageから取得）
+ * @returns {object|null} - 在庫データ
+ */
+export const findInventoryByManagementNumber = (managementNumber, inventory = JSON.parse(localStorage.getItem('inventory') || '[]')) => {
+  const target = normalizeScannedCode(managementNumber);
+  return inventory.find(item =>
+    (item.managementNumbers || []).some(number => normalizeScannedCode(number) === target)
+  ) || null;
+};
+
+/**
+ * 読み取ったコードを解決
+ * @param {string} raw - 読み取った文字列
+ * @param {object} options - { inventory, codeIndex }（codeIndexはlotAppraisalのbuildProductCodeIndexの結果）
+ * @returns {object} - { type, code, inventoryItem?, product? }
+ */
+export const resolveScannedCode = (raw, { inventory, codeIndex } = {}) => {
+  const code = normalizeScannedCode(raw);
+
+  if (parseManagementNumber(code)) {
+    return {
+      type: 'management_number',
+      code,
+      inventoryItem: findInventoryByManagementNumber(code, inventory)
+    };
+  }
+
+  if (/^\d+$/.test(code)) {
+    return isValidJanCode(code)
+      ? { type: 'jan', code, product: findProductByJan(code) }
+      : { type: 'unknown', code };
+  }
+
+  const productCode = code.split(/[-\s]+/)[0];
+  const product = codeIndex?.[productCode];
+  if (product && !product.ambiguous) {
+    return { type: 'product_code', code, product: { ...product, productCode } };
+  }
+
+  return { type: 'unknown', code };
+};
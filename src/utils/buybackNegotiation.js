@@ -0,0 +1,192 @@
+// 買取見積もりの商品別回答（承認・返品希望・価格提案）と交渉履歴
+// 交渉履歴は application.negotiation.thread に時系列で追加していく
+
+import { transitionApplication, getActiveItems, calculateQuoteTotal } from './buybackStateMachine';
+
+export const ITEM_DECISIONS = {
+  accept: { label: 'この価格で承認', shortLabel: '承認', icon: '✅' },
+  return: { label: '返品を希望', shortLabel: '返品希望', icon: '↩️' },
+  counter: { label: '価格を提案', shortLabel: '価格提案', icon: '💬' }
+};
+
+const createEntryId = () => `NEG-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+const getItemLabel = (item) => {
+  return item.productType === 'software'
+    ? item.softwareName
+    : `${item.manufacturerLabel} - ${item.consoleLabel}`;
+};
+
+/**
+ * 交渉履歴を取得
+ * @param {object} application - 申込データ
+ * @returns {array} - 交渉履歴（古い順）
+ */
+export const getNegotiationThread = (application) => {
+  return application?.negotiation?.thread || [];
+};
+
+/**
+ * スタッフの再見積もり待ちのお客様提案があるかどうか
+ * @param {object} application - 申込データ
+ * @returns {object|null} - 最新のお客様提案（なければnull）
+ */
+export const getPendingCounterOffer = (application) => {
+  const thread = getNegotiationThread(application);
+  const latest = thread[thread.length - 1];
+  return latest && latest.author === 'customer' && latest.type === 'counter_offer' ? latest : null;
+};
+
+/**
+ * 商品ごとの最新のお客様回答を取得
+ * @param {object} application - 申込データ
+ * @param {string|number} itemId - 商品ID
+ * @returns {object|null} - { decision, proposedPrice }
+ */
+export const getPendingItemResponse = (application, itemId) => {
+  const pending = getPendingCounterOffer(application);
+  return pending?.responses.find(response => response.itemId === itemId) || null;
+};
+
+/**
+ * お客様の商品別回答を検証
+ * @param {object} application - 申込データ
+ * @param {object} responses - { [itemId]: { decision, proposedPrice } }
+ * @returns {string|null} - エラーメッセージ
+ */
+export const validateItemResponses = (application, responses) => {
+  const items = getActiveItems(application);
+
+  const missing = items.filter(item => !ITEM_DECISIONS[responses[item.id]?.decision]);
+  if (missing.length > 0) {
+    return `全ての商品について回答を選択してください（未選択: ${missing.length}件）`;
+  }
+
+  const invalidCounter = items.find(item => {
+    const response = responses[item.id];
+    return response.decision === 'counter' && !(parseInt(response.proposedPrice) > 0);
+  });
+  if (invalidCounter) {
+    return `「${getItemLabel(invalidCounter)}」の希望単価を入力してください`;
+  }
+
+  if (items.every(item => responses[item.id].decision === 'accept')) {
+    return '全ての商品を承認する場合は「承認する」ボタンをご利用ください';
+  }
+  if (items.every(item => responses[item.id].decision === 'return')) {
+    return '全ての商品を返品する場合は「拒否する」ボタンをご利用ください';
+  }
+
+  return null;
+};
+
+/**
+ * お客様の商品別回答を反映
+ * 価格提案がない場合（承認と返品希望のみ）はそのまま承認済みの商品で買取確定とする
+ * 価格提案がある場合は査定中に戻し、スタッフの再見積もりを待つ
+ * @param {object} application - 申込データ
+ * @param {object} responses - { [itemId]: { decision, proposedPrice } }
+ * @param {object} options - { message, customerName }
+ * @returns {object} - { success: boolean, application?: object, error?: string, outcome?: 'approved'|'requote' }
+ */
+export const submitCustomerResponse = (application, responses, { message = '', customerName = '' } = {}) => {
+  const error = validateItemResponses(application, responses);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const date = new Date().toISOString();
+  const activeItems = getActiveItems(application);
+  const entryResponses = activeItems.map(item => ({
+    itemId: item.id,
+    itemLabel: getItemLabel(item),
+    quantity: item.quantity,
+    quotedPrice: item.buybackPrice || 0,
+    decision: responses[item.id].decision,
+    proposedPrice: responses[item.id].decision === 'counter' ? parseInt(responses[item.id].proposedPrice) : null
+  }));
+
+  const hasCounter = entryResponses.some(response => response.decision === 'counter');
+  const returnIds = entryResponses.filter(r => r.decision === 'return').map(r => r.itemId);
+
+  const items = (application.items || []).map(item =>
+    returnIds.includes(item.id)
+      ? { ...item, returnRequested: true, returnRequestedAt: date }
+      : item
+  );
+
+  const entry = {
+    id: createEntryId(),
+    author: 'customer',
+    authorName: customerName,
+    type: 'counter_offer',
+    date,
+    message: message.trim(),
+    responses: entryResponses
+  };
+
+  const nextStatus = hasCounter ? 'assessing' : 'approved';
+  const result = transitionApplication(application, nextStatus, {
+    performedBy: customerName,
+    role: 'customer',
+    date,
+    note: hasCounter ? 'お客様から価格提案あり' : '一部商品の返品を希望して承認',
+    patch: {
+      items,
+      negotiation: {
+        ...(application.negotiation || {}),
+        thread: [...getNegotiationThread(application), entry]
+      }
+    }
+  });
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  return { success: true, application: result.application, outcome: hasCounter ? 'requote' : 'approved' };
+};
+
+/**
+ * スタッフの再見積もりを交渉履歴に追加した申込データを返す
+ * 最新がお客様の提案でない場合（通常の査定確定）はそのまま返す
+ * @param {object} application - 申込データ
+ * @param {object} options - { staffName, message }
+ * @returns {object} - 申込データ
+ */
+export const recordStaffRequote = (application, { staffName = '', message = '' } = {}) => {
+  const pending = getPendingCounterOffer(application);
+  if (!pending) {
+    return application;
+  }
+
+  const entry = {
+    id: createEntryId(),
+    author: 'staff',
+    authorName: staffName,
+    type: 'requote',
+    date: new Date().toISOString(),
+    message: message.trim(),
+    replyTo: pending.id,
+    responses: getActiveItems(application).map(item => {
+      const customerResponse = pending.responses.find(response => response.itemId === item.id);
+      return {
+        itemId: item.id,
+        itemLabel: getItemLabel(item),
+        quantity: item.quantity,
+        quotedPrice: item.buybackPrice || 0,
+        previousPrice: customerResponse?.quotedPrice ?? null,
+        proposedPrice: customerResponse?.proposedPrice ?? null
+      };
+    }),
+    total: calculateQuoteTotal(application)
+  };
+
+  return {
+    ...application,
+    negotiation: {
+      ...(application.negotiation || {}),
+      thread: [...getNegotiationThread(application), entry]
+    }
+  };
+};
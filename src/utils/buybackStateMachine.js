@@ -0,0 +1,368 @@
+// 買取申込ステータスの状態遷移定義
+// Rating.jsx / MyApplications.jsx / api/buyback/[id].js で共通利用する
+// ブラウザ・Node両方から読み込むため、localStorage等には依存しないこと
+
+/**
+ * ステータス定義
+ * order: 進捗の段階（rejectedは進捗外のためnull）
+ * locked: 査定内容（ランク・単価・商品）を編集できない状態
+ */
+export const BUYBACK_STATUSES = {
+  applied: { label: '申込受付', icon: '📝', badgeClass: 'status-applied', order: 0, locked: false },
+  kit_sent: { label: 'キット発送済', icon: '📮', badgeClass: 'status-kit-sent', order: 1, locked: false },
+  pickup_scheduled: { label: '集荷予定', icon: '🚚', badgeClass: 'status-pickup', order: 1, locked: false },
+  received: { label: '商品到着', icon: '📦', badgeClass: 'status-received', order: 2, locked: false },
+  assessing: { label: '査定中', icon: '🔍', badgeClass: 'status-assessing', order: 3, locked: false },
+  awaiting_approval: { label: '承認待ち', icon: '⏳', badgeClass: 'status-waiting', order: 4, locked: false },
+  approved: { label: '買取確定', icon: '✅', badgeClass: 'status-approved', order: 5, locked: true },
+  auto_approved: { label: '買取確定（自動承認）', shortLabel: '買取確定(自動)', icon: '✅', badgeClass: 'status-approved', order: 5, locked: true },
+  in_inventory: { label: '在庫登録済', customerLabel: '完了', icon: '📊', badgeClass: 'status-inventory', order: 6, locked: true },
+  rejected: { label: '拒否', icon: '❌', badgeClass: 'status-rejected', order: null, locked: false }
+};
+
+// ========== 商品 ==========
+
+/**
+ * 返品対象（お客様が返却を希望した）商品かどうか
+ * @param {object} item - 査定商品
+ * @returns {boolean}
+ */
+export const isItemReturned = (item) => item?.returnRequested === true;
+
+/**
+ * 買取対象の商品（返品対象を除く）を取得
+ * @param {object} application - 申込データ
+ * @returns {array} - 商品の配列
+ */
+export const getActiveItems = (application) => {
+  return (application?.items || []).filter(item => !isItemReturned(item));
+};
+
+/**
+ * 買取合計金額（返品対象を除く）
+ * @param {object} application - 申込データ
+ * @returns {number} - 合計金額
+ */
+export const calculateQuoteTotal = (application) => {
+  return getActiveItems(application).reduce(
+    (sum, item) => sum + (item.buybackPrice || 0) * (item.quantity || 0),
+    0
+  );
+};
+
+// ========== ガード・副作用 ==========
+
+const everyItemAssessed = (application) => {
+  const items = getActiveItems(application);
+  if (items.length === 0) {
+    return '商品が登録されていません';
+  }
+  if (!items.every(item => item.assessedRank && item.buybackPrice > 0)) {
+    return '全ての商品に査定ランクと買取単価を入力してください';
+  }
+  return null;
+};
+
+const everyItemRanked = (application) => {
+  const items = getActiveItems(application);
+  if (items.length === 0) {
+    return '商品が登録されていません';
+  }
+  const unranked = items.filter(item => !item.assessedRank);
+  if (unranked.length > 0) {
+    return `査定ランクが未入力の商品が${unranked.length}件あります。全商品の査定ランクが必要です`;
+  }
+  return null;
+};
+
+// 古物営業法により、本人確認の記録がない買取は在庫（古物台帳）に登録できない
+const identityVerified = (application) => {
+  const verification = application?.identityVerification;
+  if (!verification?.documentType || !verification?.encryptedNumber || !verification?.method || !verification?.verifiedAt) {
+    return '本人確認（確認書類・番号・確認方法・確認日）が記録されていません';
+  }
+  return null;
+};
+
+// 品触れと一致の可能性がある申込は、別物と確認した記録がない限り査定確定（お客様への提示）・在庫登録できない
+const watchlistCleared = (application) => {
+  const check = application?.watchlistCheck;
+  if (!check?.matches?.length) {
+    return null;
+  }
+  if (check.resolution?.decision === 'reported') {
+    return '品触れとの一致を警察へ通報済みのため、査定確定・在庫登録できません';
+  }
+  if (check.resolution?.decision !== 'cleared') {
+    return `品触れと一致する可能性がある商品が${check.matches.length}件あります。照合結果を記録してください`;
+  }
+  return null;
+};
+
+const stampDate = (field) => (application, context) => ({
+  [field]: context.date
+});
+
+/**
+ * 遷移定義
+ * to: 遷移先ステータス
+ * from: 遷移元として許可するステータス
+ * guards: (application, context) => エラーメッセージ | null
+ * effects: (application, context) => 申込に追加で反映する項目
+ */
+export const BUYBACK_TRANSITIONS = [
+  { to: 'kit_sent', from: ['applied'] },
+  { to: 'pickup_scheduled', from: ['applied'] },
+  { to: 'received', from: ['applied', 'kit_sent', 'pickup_scheduled'] },
+  {
+    to: 'assessing',
+    from: ['applied', 'kit_sent', 'pickup_scheduled', 'received', 'awaiting_approval'],
+    effects: [stampDate('assessingStartedAt')]
+  },
+  {
+    to: 'awaiting_approval',
+    from: ['assessing'],
+    guards: [everyItemAssessed, watchlistCleared],
+    effects: [stampDate('assessedAt')]
+  },
+  {
+    to: 'auto_approved',
+    from: ['assessing', 'awaiting_approval'],
+    guards: [everyItemAssessed, watchlistCleared],
+    effects: [stampDate('approvedAt')]
+  },
+  {
+    to: 'approved',
+    from: ['awaiting_approval'],
+    guards: [everyItemAssessed],
+    effects: [stampDate('approvedAt')]
+  },
+  {
+    to: 'in_inventory',
+    from: ['approved', 'auto_approved'],
+    guards: [everyItemRanked, identityVerified, watchlistCleared],
+    effects: [stampDate('inventoryRegisteredAt')]
+  },
+  {
+    to: 'rejected',
+    from: ['applied', 'kit_sent', 'pickup_scheduled', 'received', 'assessing', 'awaiting_approval'],
+    effects: [stampDate('rejectedAt')]
+  }
+];
+
+// ========== 表示用ヘルパー ==========
+
+/**
+ * ステータスの表示名を取得
+ * @param {string} status - ステータス
+ * @param {object} options - { withIcon: boolean, audience: 'staff'|'customer', short: boolean }
+ * @returns {string} - 表示名
+ */
+export const getStatusLabel = (status, { withIcon = false, audience = 'staff', short = false } = {}) => {
+  const definition = BUYBACK_STATUSES[status];
+  if (!definition) return status;
+
+  let label = definition.label;
+  if (short && definition.shortLabel) label = definition.shortLabel;
+  if (audience === 'customer' && definition.customerLabel) label = definition.customerLabel;
+
+  return withIcon ? `${definition.icon} ${label}` : label;
+};
+
+/**
+ * ステータスバッジのCSSクラスを取得
+ * @param {string} status - ステータス
+ * @returns {string} - CSSクラス名
+ */
+export const getStatusBadgeClass = (status) => {
+  return BUYBACK_STATUSES[status]?.badgeClass || 'status-default';
+};
+
+/**
+ * 査定内容が確定済み（編集不可）かどうか
+ * @param {string} status - ステータス
+ * @returns {boolean}
+ */
+export const isQuoteLocked = (status) => {
+  return BUYBACK_STATUSES[status]?.locked === true;
+};
+
+/**
+ * 指定ステータスの段階まで進んでいるかどうか（rejectedは常にfalse）
+ * @param {string} status - 現在のステータス
+ * @param {string} milestone - 比較するステータス
+ * @returns {boolean}
+ */
+export const hasReachedStatus = (status, milestone) => {
+  const current = BUYBACK_STATUSES[status]?.order;
+  const target = BUYBACK_STATUSES[milestone]?.order;
+  if (current === null || current === undefined || target === null || target === undefined) {
+    return status === milestone;
+  }
+  return current >= target;
+};
+
+/**
+ * 進捗バーの段階
+ * completedFrom: このステータス以降で完了扱い
+ * currentOn: このステータスの時に進行中扱い
+ */
+export const BUYBACK_PROGRESS_STEPS = [
+  { label: '申込受付', completedFrom: 'applied', currentOn: [] },
+  { label: '発送準備', completedFrom: 'kit_sent', currentOn: ['applied'] },
+  { label: '商品到着', completedFrom: 'received', currentOn: ['kit_sent', 'pickup_scheduled'] },
+  { label: '査定中', completedFrom: 'assessing', currentOn: ['received'] },
+  { label: '承認・確定', completedFrom: 'awaiting_approval', currentOn: ['assessing'] },
+  { label: '完了', completedFrom: 'in_inventory', currentOn: ['approved', 'auto_approved'] }
+];
+
+/**
+ * 進捗バーの各段階の状態を取得
+ * @param {string} status - 現在のステータス
+ * @param {object} step - BUYBACK_PROGRESS_STEPSの要素
+ * @returns {string} - 'completed' | 'current' | 'pending'
+ */
+export const getProgressStepState = (status, step) => {
+  if (hasReachedStatus(status, step.completedFrom)) return 'completed';
+  if (step.currentOn.includes(status)) return 'current';
+  return 'pending';
+};
+
+// ========== 遷移処理 ==========
+
+/**
+ * 指定ステータスから遷移可能なステータス一覧を取得
+ * @param {string} status - 現在のステータス
+ * @returns {array} - 遷移先ステータスの配列
+ */
+export const getAllowedTransitions = (status) => {
+  return BUYBACK_TRANSITIONS
+    .filter(transition => transition.from.includes(status))
+    .map(transition => transition.to);
+};
+
+/**
+ * 遷移可否を判定
+ * @param {object} application - 申込データ（status, itemsを含む）
+ * @param {string} nextStatus - 遷移先ステータス
+ * @param {object} context - { date, performedBy }
+ * @returns {object} - { allowed: boolean, error: string|null }
+ */
+export const canTransition = (application, nextStatus, context = {}) => {
+  const currentStatus = application?.status;
+
+  if (!BUYBACK_STATUSES[nextStatus]) {
+    return { allowed: false, error: `不明なステータスです: ${nextStatus}` };
+  }
+
+  const transition = BUYBACK_TRANSITIONS.find(t => t.to === nextStatus && t.from.includes(currentStatus));
+  if (!transition) {
+    const allowed = getAllowedTransitions(currentStatus).map(s => getStatusLabel(s));
+    return {
+      allowed: false,
+      error: `「${getStatusLabel(currentStatus)}」から「${getStatusLabel(nextStatus)}」へは変更できません` +
+        (allowed.length > 0 ? `（変更可能: ${allowed.join('、')}）` : '（これ以上変更できないステータスです）')
+    };
+  }
+
+  for (const guard of transition.guards || []) {
+    const error = guard(application, context);
+    if (error) {
+      return { allowed: false, error };
+    }
+  }
+
+  return { allowed: true, error: null };
+};
+
+/**
+ * 監査ログのエントリを作成
+ * @param {string} from - 遷移元ステータス
+ * @param {string} to - 遷移先ステータス
+ * @param {object} context - { date, performedBy, role, note }
+ * @returns {object} - 監査エントリ
+ */
+export const createStatusAuditEntry = (from, to, context = {}) => ({
+  type: 'status_change',
+  from,
+  to,
+  date: context.date || new Date().toISOString(),
+  performedBy: context.performedBy || '',
+  role: context.role || '',
+  note: context.note || ''
+});
+
+/**
+ * ステータスを遷移させた新しい申込データを返す（元データは変更しない）
+ * @param {object} application - 申込データ
+ * @param {string} nextStatus - 遷移先ステータス
+ * @param {object} options - { patch: 遷移と同時に反映する項目, performedBy, role, note, date }
+ * @returns {object} - { success: boolean, application?: object, error?: string }
+ */
+export const transitionApplication = (application, nextStatus, options = {}) => {
+  const { patch = {}, ...rest } = options;
+  const context = { ...rest, date: rest.date || new Date().toISOString() };
+  const candidate = { ...application, ...patch };
+
+  const { allowed, error } = canTransition(candidate, nextStatus, context);
+  if (!allowed) {
+    return { success: false, error };
+  }
+
+  const transition = BUYBACK_TRANSITIONS.find(t => t.to === nextStatus && t.from.includes(application.status));
+  const effectPatch = (transition.effects || []).reduce(
+    (acc, effect) => ({ ...acc, ...effect(candidate, context) }),
+    {}
+  );
+
+  return {
+    success: true,
+    application: {
+      ...candidate,
+      ...effectPatch,
+      status: nextStatus,
+      statusHistory: [
+        ...(application.statusHistory || []),
+        createStatusAuditEntry(application.status, nextStatus, context)
+      ]
+    }
+  };
+};
+
+// ========== API（buyback_requests）との対応 ==========
+
+/**
+ * buyback_requests.status と本遷移定義のステータスの対応
+ */
+export const API_STATUS_TO_WORKFLOW = {
+  draft: 'applied',
+  submitted: 'applied',
+  reviewing: 'assessing',
+  appraised: 'awaiting_approval',
+  approved: 'approved',
+  rejected: 'rejected',
+  completed: 'in_inventory',
+  cancelled: 'rejected'
+};
+
+/**
+ * APIのステータス変更を遷移定義で検証
+ * 対応する遷移定義のステータスが同じ場合（draft → submitted など）は遷移なしとして許可する
+ * キャンセル（cancelled）はお客様都合の取り下げのため、買取確定後も含めどの段階からでも許可する
+ * @param {object} request - { status, items: [{ assessedRank, buybackPrice }], identityVerification }
+ * @param {string} nextApiStatus - 変更後のAPIステータス
+ * @returns {object} - { allowed: boolean, error: string|null }
+ */
+export const canTransitionApiStatus = (request, nextApiStatus) => {
+  const from = API_STATUS_TO_WORKFLOW[request.status];
+  const to = API_STATUS_TO_WORKFLOW[nextApiStatus];
+
+  if (!to) {
+    return { allowed: false, error: `不明なステータスです: ${nextApiStatus}` };
+  }
+  if (nextApiStatus === 'cancelled' || from === to) {
+    return { allowed: true, error: null };
+  }
+
+  return canTransition({ ...request, status: from }, to);
+};
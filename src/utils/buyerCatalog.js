@@ -0,0 +1,169 @@
+// 海外バイヤー向けの在庫カタログ
+// 販売可能な在庫（他のリクエストの引当分を除く）を機種・カラー・ランク別にまとめ、ログイン中のバイヤーの価格（calculateBuyerPrice）を付ける
+// カートから作成した販売リクエストの商品は在庫ID（inventoryIds）とランクを持ち、見積もり時の引当で選んだ在庫を優先する
+
+import { calculateBuyerPrice } from './priceCalculator';
+import { generateProductCode } from './productCodeGenerator';
+import { loadSalesOrders, saveSalesOrders, getAvailableQuantity, compareInventoryForSale } from './salesOrders';
+import { getBuyerCurrency } from './buyerManager';
+import { RANKS, manufacturerLabelsEN, consoleLabelsEN, colorLabelsEN, conditionLabelsEN } from '../data/gameConsoles';
+
+/**
+ * カタログのまとめ単位のキー（商品タイプ・機種・カラー・ソフト名・ランク）
+ * @param {object} inv - 在庫
+ * @returns {string}
+ */
+export const getCatalogKey = (inv) => [
+  inv.productType || 'console',
+  inv.console,
+  inv.color || '',
+  inv.productType === 'software' ? inv.softwareName || '' : '',
+  inv.assessedRank || ''
+].join('|');
+
+/**
+ * 販売可能な在庫をカタログ表示用にまとめる
+ * @param {string} buyerEmail - バイヤーのメール（価格調整の対象）
+ * @param {object} options - { inventory, orders }
+ * @returns {array} - [{ key, productType, manufacturer, manufacturerLabel, console, consoleLabel, color, colorLabel, softwareName, rank, conditionLabel, availableQuantity, inventoryIds, price }]
+ */
+export const getCatalogEntries = (buyerEmail, {
+  inventory = JSON.parse(localStorage.getItem('inventory') || '[]'),
+  orders = loadSalesOrders()
+} = {}) => {
+  const entries = new Map();
+
+  [...inventory].sort(compareInventoryForSale).forEach(inv => {
+    const available = getAvailableQuantity(inv, { orders });
+    if (available <= 0 || !inv.console || !inv.assessedRank) return;
+
+    const key = getCatalogKey(inv);
+    if (!entries.has(key)) {
+      const productType = inv.productType || 'console';
+      const productCode = generateProductCode(inv.manufacturer, inv.console, productType);
+      entries.set(key, {
+        key,
+        productType,
+        manufacturer: inv.manufacturer,
+        manufacturerLabel: manufacturerLabelsEN[inv.manufacturer] || inv.manufacturerLabel || '',
+        console: inv.console,
+        consoleLabel: consoleLabelsEN[inv.consoleLabel] || inv.consoleLabel || '',
+        color: inv.color || '',
+        colorLabel: inv.color ? (colorLabelsEN[inv.colorLabel || inv.color] || inv.colorLabel || inv.color) : '',
+        softwareName: productType === 'software' ? inv.softwareName || '' : '',
+        rank: inv.assessedRank,
+        conditionLabel: conditionLabelsEN[inv.assessedRank] || inv.assessedRank,
+        availableQuantity: 0,
+        inventoryIds: [],
+        price: calculateBuyerPrice(productCode, inv.assessedRank, buyerEmail).finalPrice
+      });
+    }
+
+    const entry = entries.get(key);
+    entry.availableQuantity += available;
+    entry.inventoryIds.push(inv.id);
+  });
+
+  return [...entries.values()].sort((a, b) =>
+    a.consoleLabel.localeCompare(b.consoleLabel) ||
+    a.softwareName.localeCompare(b.softwareName) ||
+    a.colorLabel.localeCompare(b.colorLabel) ||
+    RANKS.indexOf(a.rank) - RANKS.indexOf(b.rank)
+  );
+};
+
+/**
+ * カタログを機種ごとにまとめる
+ * @param {array} entries - getCatalogEntries の結果
+ * @returns {array} - [{ console, consoleLabel, manufacturerLabel, entries }]
+ */
+export const groupCatalogByConsole = (entries) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.productType}|${entry.console}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        productType: entry.productType,
+        console: entry.console,
+        consoleLabel: entry.consoleLabel,
+        manufacturerLabel: entry.manufacturerLabel,
+        entries: []
+      });
+    }
+    groups.get(key).entries.push(entry);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * カートから販売リクエストを作成して保存する
+ * 送信時点の在庫で数量を確認し、商品には選んだ在庫ID・ランク・カタログ価格を記録する
+ * @param {object} user - ログイン中のバイヤー
+ * @param {array} cart - [{ key, quantity }]
+ * @param {object} options - { notes, date }
+ * @returns {object} - { success: boolean, request?: object, error?: string }
+ */
+export const submitCatalogRequest = (user, cart, { notes = '', date = new Date().toISOString() } = {}) => {
+  const lines = (cart || []).filter(line => line.quantity > 0);
+  if (lines.length === 0) {
+    return { success: false, error: 'Your cart is empty' };
+  }
+
+  const orders = loadSalesOrders();
+  const entries = getCatalogEntries(user.email, { orders });
+  const items = [];
+
+  for (const [index, line] of lines.entries()) {
+    const entry = entries.find(e => e.key === line.key);
+    if (!entry) {
+      return { success: false, error: 'Some items in your cart are no longer available. Please remove them and try again.' };
+    }
+    if (line.quantity > entry.availableQuantity) {
+      const name = entry.productType === 'software' ? entry.softwareName : entry.consoleLabel;
+      return { success: false, error: `Only ${entry.availableQuantity} of ${name} (Rank ${entry.rank}) are available` };
+    }
+
+    items.push({
+      id: Date.now() + index,
+      productType: entry.productType,
+      productTypeLabel: entry.productType === 'console' ? 'Console' : 'Software',
+      manufacturer: entry.manufacturer,
+      manufacturerLabel: entry.manufacturerLabel,
+      console: entry.console,
+      consoleLabel: entry.consoleLabel,
+      color: entry.color,
+      colorLabel: entry.colorLabel,
+      softwareName: entry.softwareName,
+      condition: entry.rank,
+      conditionLabel: entry.conditionLabel,
+      rank: entry.rank,
+      inventoryIds: entry.inventoryIds,
+      quantity: line.quantity,
+      catalogPrice: entry.price,
+      quotedPrice: entry.price, // スタッフが見積もり時に確認する
+      availableStock: entry.availableQuantity
+    });
+  }
+
+  const request = {
+    requestNumber: `REQ-${Date.now()}`,
+    customer: {
+      name: user.name,
+      email: user.email,
+      phone: user.phone || '',
+      country: user.country || 'Japan',
+      language: user.language || 'ja'
+    },
+    // 見積もり・請求書はバイヤーの取引通貨で表示する
+    currency: getBuyerCurrency(user.email, user.country),
+    items,
+    notes,
+    source: 'catalog',
+    status: 'pending',
+    date
+  };
+
+  saveSalesOrders([...orders, request]);
+  return { success: true, request };
+};
@@ -1,6 +1,8 @@
 // バイヤー管理ユーティリティ
 // 既存のユーザー登録システム（overseas_customer）からも取得可能
 
+import { getCurrencyForCountry, normalizeCurrency } from './exchangeRates';
+
 /**
  * 全バイヤーのリストを取得（既存ユーザー + 販売専用バイヤー）
  * @returns {array} - バイヤーの配列
@@ -21,6 +23,7 @@ export const getAllBuyers = () => {
       country: user.country || '',
       postalCode: user.postalCode || '',
       address: user.address || '',
+      preferredCurrency: user.preferredCurrency || '',
       source: 'registered_user' // 出所を記録
     });
   });
@@ -64,6 +67,7 @@ export const addBuyer = (buyerData) => {
       country: buyerData.country || '',
       postalCode: buyerData.postalCode || '',
       address: buyerData.address || '',
+      preferredCurrency: buyerData.preferredCurrency || '',
       notes: buyerData.notes || '',
       createdAt: new Date().toISOString()
     };
@@ -135,5 +139,16 @@ export const getBuyerByEmail = (email) => {
   return buyers.find(b => b.email === email) || null;
 };
 
-
-
+/**
+ * バイヤーの取引通貨（選択した通貨、未選択なら国から推定）
+ * @param {string} email - メールアドレス
+ * @param {string} country - 国名（バイヤーが見つからない場合に使う）
+ * @returns {string} - 通貨コード
+ */
+export const getBuyerCurrency = (email, country) => {
+  const buyer = email ? getBuyerByEmail(email) : null;
+  if (buyer?.preferredCurrency) {
+    return normalizeCurrency(buyer.preferredCurrency);
+  }
+  return getCurrencyForCountry(buyer?.country || country);
+};
@@ -0,0 +1,226 @@
+// 海外発送用のコマーシャルインボイスとパッキングリスト
+// 発送ごとに書類データ（スナップショット）を作成して販売リクエストに保存し、後から同じ内容で再印刷できるようにする
+// 申告価格はバイヤーの取引通貨（見積もり時に固定したレートで換算）、重量はkg。商品の重量（item.weight）は明細1行分の重量として扱う
+
+import { gameConsoles } from '../data/gameConsoles';
+import {
+  HS_CLASSIFICATIONS,
+  DISC_MEDIA_CONSOLES,
+  DEFAULT_INCOTERM,
+  DEFAULT_COUNTRY_OF_ORIGIN
+} from '../data/customsClassifications';
+import { getUnshippedQuantity } from './salesOrderStateMachine';
+import { loadSalesOrders, saveSalesOrders } from './salesOrders';
+import { getBuyerByEmail } from './buyerManager';
+import { convertFromJPY, normalizeCurrency } from './exchangeRates';
+
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * 商品の原産国（ソフトは対応機種の原産国）
+ * @param {object} item - リクエスト商品
+ * @returns {string}
+ */
+export const getCountryOfOrigin = (item) => {
+  const consoleData = Object.values(gameConsoles).flat().find(console =>
+    console.value === item.console
+  );
+  return consoleData?.country || DEFAULT_COUNTRY_OF_ORIGIN;
+};
+
+/**
+ * 商品のHSコード
+ * @param {object} item - リクエスト商品
+ * @returns {object} - { code, description }
+ */
+export const getHsClassification = (item) => {
+  if (item.productType === 'software') {
+    return DISC_MEDIA_CONSOLES.includes(item.console)
+      ? HS_CLASSIFICATIONS.software_disc
+      : HS_CLASSIFICATIONS.software_card;
+  }
+  return HS_CLASSIFICATIONS.console;
+};
+
+/**
+ * 商品の正味重量の合計（kg）
+ * @param {array} items - リクエスト商品
+ * @returns {number}
+ */
+export const calculateTotalWeight = (items) => {
+  return roundWeight((items || []).reduce((sum, item) => sum + (parseFloat(item.weight) || 0), 0));
+};
+
+/**
+ * 輸入者（荷受人）の情報。バイヤー登録の住所があれば補う
+ * @param {object} order - 販売リクエスト
+ * @returns {object} - { name, companyName, address, postalCode, country, phone, email }
+ */
+export const getImporterDetails = (order) => {
+  const customer = order?.customer || {};
+  const buyer = customer.email ? getBuyerByEmail(customer.email) : null;
+  return {
+    name: customer.name || buyer?.name || '',
+    companyName: buyer?.companyName || '',
+    address: order?.shippingAddress || buyer?.address || '',
+    postalCode: buyer?.postalCode || '',
+    country: customer.country || buyer?.country || '',
+    phone: customer.phone || buyer?.phone || '',
+    email: customer.email || ''
+  };
+};
+
+/**
+ * 今回の発送で送る商品（未発送分。発送完了後は全数）
+ * @param {object} order - 販売リクエスト
+ * @returns {array} - [{ item, quantity }]
+ */
+export const getShipmentItems = (order) => {
+  const items = order?.items || [];
+  const unshipped = items
+    .map(item => ({ item, quantity: getUnshippedQuantity(item) }))
+    .filter(line => line.quantity > 0);
+  return unshipped.length > 0 ? unshipped : items.map(item => ({ item, quantity: item.quantity }));
+};
+
+/**
+ * コマーシャルインボイス・パッキングリストのデータを作成
+ * @param {object} order - 販売リクエスト
+ * @param {object} options - { exporter, importer, shipment: { shippedDate, trackingNumber, carrier, incoterm, exportReason, packages, grossWeight, dimensions }, lines, currency, exchangeRate, shippingFee, issuedBy, date }
+ * @returns {object} - 書類データ（スナップショット）
+ */
+export const buildCommercialInvoice = (order, {
+  exporter,
+  importer = getImporterDetails(order),
+  shipment = {},
+  lines = getShipmentItems(order),
+  currency = 'USD',
+  exchangeRate,
+  shippingFee = order?.shippingFee || 0,
+  issuedBy = '',
+  date = new Date().toISOString()
+} = {}) => {
+  const code = normalizeCurrency(currency);
+  const toCurrency = (jpy) => convertFromJPY(jpy, exchangeRate, code);
+
+  const invoiceLines = lines.map(({ item, quantity }, index) => {
+    const hs = getHsClassification(item);
+    const unitValue = toCurrency(item.quotedPrice);
+    // 一部発送では明細の重量を発送数量で按分
+    const netWeight = roundWeight((parseFloat(item.weight) || 0) * (item.quantity > 0 ? quantity / item.quantity : 1));
+    return {
+      lineNumber: index + 1,
+      itemId: item.id,
+      description: item.productType === 'software'
+        ? `${hs.description}: ${item.softwareName} (${item.consoleLabel})`
+        : `${hs.description}: ${item.manufacturerLabel} ${item.consoleLabel}${item.colorLabel ? ` - ${item.colorLabel}` : ''} (used)`,
+      hsCode: hs.code,
+      countryOfOrigin: getCountryOfOrigin(item),
+      quantity,
+      netWeight,
+      unitValue,
+      value: roundAmount(unitValue * quantity)
+    };
+  });
+
+  const goodsValue = roundAmount(invoiceLines.reduce((sum, line) => sum + line.value, 0));
+  const shipping = toCurrency(shippingFee);
+  const netWeight = roundWeight(invoiceLines.reduce((sum, line) => sum + line.netWeight, 0));
+  const sequence = (order?.commercialInvoices || []).length + 1;
+
+  return {
+    invoiceNumber: `${order.requestNumber}-CI${String(sequence).padStart(2, '0')}`,
+    requestNumber: order.requestNumber,
+    issuedAt: date,
+    issuedBy,
+    exporter: { ...exporter },
+    importer: { ...importer },
+    shipment: {
+      shippedDate: shipment.shippedDate || '',
+      trackingNumber: shipment.trackingNumber || '',
+      carrier: shipment.carrier || order?.shippingMethod || 'EMS',
+      incoterm: shipment.incoterm || DEFAULT_INCOTERM,
+      exportReason: shipment.exportReason || 'Sale',
+      packages: parseInt(shipment.packages, 10) || 1,
+      dimensions: shipment.dimensions || ''
+    },
+    currency: code,
+    exchangeRate,
+    lines: invoiceLines,
+    totals: {
+      quantity: invoiceLines.reduce((sum, line) => sum + line.quantity, 0),
+      goodsValue,
+      shipping,
+      totalValue: roundAmount(goodsValue + shipping),
+      netWeight,
+      grossWeight: roundWeight(parseFloat(shipment.grossWeight) || netWeight)
+    }
+  };
+};
+
+/**
+ * 保存済みの書類データを現在の形式に揃える（USD建てのみだった頃の書類は *USD の項目を使う）
+ * @param {object} invoice - 書類データ
+ * @returns {object}
+ */
+export const normalizeCommercialInvoice = (invoice) => ({
+  ...invoice,
+  currency: invoice.currency || 'USD',
+  lines: invoice.lines.map(line => ({
+    ...line,
+    unitValue: line.unitValue ?? line.unitValueUSD,
+    value: line.value ?? line.valueUSD
+  })),
+  totals: {
+    ...invoice.totals,
+    goodsValue: invoice.totals.goodsValue ?? invoice.totals.goodsValueUSD,
+    shipping: invoice.totals.shipping ?? invoice.totals.shippingUSD,
+    totalValue: invoice.totals.totalValue ?? invoice.totals.totalValueUSD
+  }
+});
+
+/**
+ * 書類データの検証（税関で差し戻されやすい項目）
+ * @param {object} invoice - buildCommercialInvoice の結果
+ * @returns {array} - エラーメッセージ
+ */
+export const validateCommercialInvoice = (invoice) => {
+  const errors = [];
+  if (invoice.lines.length === 0) {
+    errors.push('発送する商品がありません');
+  }
+  if (!invoice.importer.name || !invoice.importer.address || !invoice.importer.country) {
+    errors.push('輸入者の氏名・住所・国を入力してください');
+  }
+  invoice.lines.forEach(line => {
+    if (!(line.value > 0)) errors.push(`${line.lineNumber}行目の申告価格が0です`);
+    if (!(line.netWeight > 0)) errors.push(`${line.lineNumber}行目の重量が未入力です`);
+  });
+  if (invoice.totals.grossWeight < invoice.totals.netWeight) {
+    errors.push('総重量は正味重量以上にしてください');
+  }
+  return errors;
+};
+
+/**
+ * 書類データを販売リクエストに保存（再印刷用）
+ * @param {string} requestNumber - リクエスト番号
+ * @param {object} invoice - buildCommercialInvoice の結果
+ * @returns {object} - { success: boolean, order?: object, orders?: array, error?: string }
+ */
+export const saveCommercialInvoice = (requestNumber, invoice) => {
+  const orders = loadSalesOrders();
+  const order = orders.find(o => o.requestNumber === requestNumber);
+  if (!order) {
+    return { success: false, error: 'リクエストが見つかりません' };
+  }
+
+  const updatedOrder = {
+    ...order,
+    commercialInvoices: [...(order.commercialInvoices || []), invoice]
+  };
+  const updatedOrders = orders.map(o => o.requestNumber === requestNumber ? updatedOrder : o);
+  saveSalesOrders(updatedOrders);
+  return { success: true, order: updatedOrder, orders: updatedOrders };
+};
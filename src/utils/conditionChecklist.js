@@ -0,0 +1,151 @@
+// 検品チェックリストの回答から提案ランクと減額を算出する
+// 提案と異なるランクをスタッフが選んだ場合は理由を item.inspection.overrides に記録する
+
+import { INSPECTION_CHECKLISTS, CONSOLE_CHECKLIST_TYPES } from '../data/inspectionChecklists';
+import { RANKS } from '../data/gameConsoles';
+import { generateProductCode } from './productCodeGenerator';
+import { getBuybackBasePrice } from './priceCalculator';
+
+/**
+ * 商品に対応する検品チェックリストのタイプを取得
+ * @param {object} item - 査定商品
+ * @returns {string} - チェックリストのタイプ
+ */
+export const getChecklistType = (item) => {
+  if (item.productType === 'software') return 'software';
+  return CONSOLE_CHECKLIST_TYPES[item.console] || 'generic';
+};
+
+/**
+ * 商品に対応する検品チェックリストを取得
+ * @param {object} item - 査定商品
+ * @returns {object} - { type, label, checks }
+ */
+export const getChecklistForItem = (item) => {
+  const type = getChecklistType(item);
+  return { type, ...INSPECTION_CHECKLISTS[type] };
+};
+
+/**
+ * 検品結果を評価
+ * 全項目に回答済みの場合のみ提案ランク・減額を返す
+ * @param {object} item - 査定商品
+ * @param {object} answers - { [checkId]: optionValue }
+ * @returns {object} - { complete, answeredCount, totalCount, suggestedRank, deductionPercent, basePrice, deductionAmount, suggestedPrice, findings }
+ */
+export const evaluateChecklist = (item, answers = {}) => {
+  const { type, checks } = getChecklistForItem(item);
+
+  const selected = checks
+    .map(check => {
+      const option = check.options.find(o => o.value === answers[check.id]);
+      return option ? { check, option } : null;
+    })
+    .filter(Boolean);
+
+  const complete = selected.length === checks.length;
+
+  // 最も厳しい回答のランクを提案ランクとする
+  const worstRankIndex = selected.reduce((worst, { option }) => {
+    const index = option.rankCap ? RANKS.indexOf(option.rankCap) : 0;
+    return Math.max(worst, index);
+  }, 0);
+  const suggestedRank = complete ? RANKS[worstRankIndex] : null;
+
+  const deductionPercent = selected.reduce((sum, { option }) => sum + (option.deduction || 0), 0);
+
+  const productCode = generateProductCode(item.manufacturer, item.console, item.productType);
+  const basePrice = suggestedRank ? getBuybackBasePrice(productCode, suggestedRank) : 0;
+  // 10円単位で減額
+  const deductionAmount = Math.round(basePrice * Math.min(deductionPercent, 100) / 100 / 10) * 10;
+
+  return {
+    type,
+    complete,
+    answeredCount: selected.length,
+    totalCount: checks.length,
+    suggestedRank,
+    deductionPercent,
+    basePrice,
+    deductionAmount,
+    suggestedPrice: Math.max(0, basePrice - deductionAmount),
+    // 減額・ランクダウンの理由
+    findings: selected
+      .filter(({ option }) => option.deduction > 0 || (option.rankCap && option.rankCap !== 'S'))
+      .map(({ check, option }) => ({
+        checkId: check.id,
+        label: `${check.label}: ${option.label}`,
+        rankCap: option.rankCap,
+        deduction: option.deduction
+      }))
+  };
+};
+
+/**
+ * 検品の回答を反映した商品を返す
+ * @param {object} item - 査定商品
+ * @param {string} checkId - 検品項目ID
+ * @param {string} value - 回答
+ * @param {string} inspectedBy - 検品者
+ * @returns {object} - 商品
+ */
+export const answerChecklistItem = (item, checkId, value, inspectedBy = '') => {
+  const answers = { ...(item.inspection?.answers || {}), [checkId]: value };
+  const result = evaluateChecklist(item, answers);
+
+  return {
+    ...item,
+    inspection: {
+      ...(item.inspection || {}),
+      checklistType: result.type,
+      answers,
+      suggestedRank: result.suggestedRank,
+      deductionPercent: result.deductionPercent,
+      basePrice: result.basePrice,
+      deductionAmount: result.deductionAmount,
+      suggestedPrice: result.suggestedPrice,
+      findings: result.findings,
+      inspectedAt: new Date().toISOString(),
+      inspectedBy
+    }
+  };
+};
+
+/**
+ * 提案ランクと異なるランクを選ぶ場合に理由が必要かどうか
+ * @param {object} item - 査定商品
+ * @param {string} rank - 選択するランク
+ * @returns {boolean}
+ */
+export const requiresOverrideReason = (item, rank) => {
+  const suggestedRank = item.inspection?.suggestedRank;
+  return Boolean(suggestedRank && rank && rank !== suggestedRank);
+};
+
+/**
+ * ランクの上書きを記録した商品を返す
+ * @param {object} item - 査定商品
+ * @param {string} rank - 選択したランク
+ * @param {string} reason - 上書き理由
+ * @param {string} performedBy - 実行者
+ * @returns {object} - 商品
+ */
+export const recordRankOverride = (item, rank, reason, performedBy = '') => {
+  return {
+    ...item,
+    inspection: {
+      ...(item.inspection || {}),
+      overrides: [
+        ...(item.inspection?.overrides || []),
+        {
+          suggestedRank: item.inspection?.suggestedRank || null,
+          previousRank: item.assessedRank || null,
+          rank,
+          reason,
+          performedBy,
+          date: new Date().toISOString()
+        }
+      ]
+    }
+  };
+};
@@ -113,4 +113,72 @@ export const getDecryptedApiKey = (apiKey, secretSeed) => {
   }
   
   return apiKey;
-};
\ No newline at end of file
+};
+
+// 個人情報はAPIキーとは別の専用キー（PERSONAL_DATA_ENCRYPTION_KEY）で暗号化する
+// レコードごとにソルトとIVを生成し、AES-256-GCMで改ざんも検知する
+const PERSONAL_DATA_ALGORITHM = 'aes-256-gcm';
+const PERSONAL_DATA_PREFIX = 'pd1:';
+const PERSONAL_DATA_SALT_LENGTH = 16;
+const PERSONAL_DATA_IV_LENGTH = 12;
+
+/**
+ * 個人情報（本人確認書類の番号・口座番号等）を暗号化
+ * @param {string} value - 暗号化する値
+ * @param {string} secretKey - 個人情報用の暗号化キー
+ * @returns {string} 暗号化された値（pd1: + Base64エンコードしたソルト・IV・認証タグ・暗号文）
+ */
+export const encryptPersonalData = (value, secretKey) => {
+  try {
+    if (!value || !secretKey) {
+      throw new Error('Value and secret key are required');
+    }
+
+    const salt = crypto.randomBytes(PERSONAL_DATA_SALT_LENGTH);
+    const iv = crypto.randomBytes(PERSONAL_DATA_IV_LENGTH);
+    const key = crypto.scryptSync(secretKey, salt, KEY_LENGTH);
+    const cipher = crypto.createCipheriv(PERSONAL_DATA_ALGORITHM, key, iv);
+
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return PERSONAL_DATA_PREFIX + Buffer.concat([salt, iv, tag, encrypted]).toString('base64');
+  } catch (error) {
+    throw new Error(`Encryption failed: ${error.message}`);
+  }
+};
+
+/**
+ * 暗号化された個人情報を復号化
+ * 専用キー導入前にAPIキーと同じ方式で暗号化した値は legacySeed（JWT_SECRET）で復号する
+ * @param {string} encryptedValue - 暗号化された値
+ * @param {string} secretKey - 個人情報用の暗号化キー
+ * @param {string} legacySeed - 旧方式の暗号化キー生成用のシード
+ * @returns {string} 復号化された値
+ */
+export const decryptPersonalData = (encryptedValue, secretKey, legacySeed) => {
+  if (!encryptedValue?.startsWith(PERSONAL_DATA_PREFIX)) {
+    return decryptApiKey(encryptedValue, legacySeed);
+  }
+
+  try {
+    const data = Buffer.from(encryptedValue.slice(PERSONAL_DATA_PREFIX.length), 'base64');
+    const headerLength = PERSONAL_DATA_SALT_LENGTH + PERSONAL_DATA_IV_LENGTH + TAG_LENGTH;
+    if (data.length < headerLength + 1) {
+      throw new Error('Invalid encrypted data format');
+    }
+
+    const salt = data.subarray(0, PERSONAL_DATA_SALT_LENGTH);
+    const iv = data.subarray(PERSONAL_DATA_SALT_LENGTH, PERSONAL_DATA_SALT_LENGTH + PERSONAL_DATA_IV_LENGTH);
+    const tag = data.subarray(PERSONAL_DATA_SALT_LENGTH + PERSONAL_DATA_IV_LENGTH, headerLength);
+    const encrypted = data.subarray(headerLength);
+
+    const key = crypto.scryptSync(secretKey, salt, KEY_LENGTH);
+    const decipher = crypto.createDecipheriv(PERSONAL_DATA_ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Decryption failed: ${error.message}`);
+  }
+};
@@ -0,0 +1,312 @@
+// 為替レート（外貨/JPY）の履歴管理
+// 通貨・日付ごとのレート（手入力または銀行のCSV）を保存し、見積もり送信時のレートを販売リクエストに固定する
+// 固定したレートは後からレートを登録・修正しても変わらない（過去の見積もり・売上は再計算しない）
+
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY, COUNTRY_CURRENCIES } from '../data/currencies';
+
+const EXCHANGE_RATES_STORAGE_KEY = 'exchangeRates';
+// 旧形式（単一のレート）
+const LEGACY_EXCHANGE_RATE_KEY = 'exchangeRate';
+
+export const DEFAULT_EXCHANGE_RATE = SUPPORTED_CURRENCIES[DEFAULT_CURRENCY].defaultRate;
+
+export const EXCHANGE_RATE_SOURCES = {
+  manual: { label: '手入力' },
+  csv: { label: 'CSV取込' },
+  legacy: { label: '旧設定' },
+  default: { label: '既定値' }
+};
+
+// 日本時間（UTC+9）
+const JST_OFFSET_MINUTES = 9 * 60;
+
+/**
+ * 日本時間の日付（レートの日付は日本時間で扱う）
+ * @param {Date|string} date - 日時（省略時は現在）
+ * @returns {string} - YYYY-MM-DD
+ */
+export const toJSTDateKey = (date = new Date()) => {
+  const jstTime = new Date(new Date(date).getTime() + JST_OFFSET_MINUTES * 60 * 1000);
+  return jstTime.toISOString().split('T')[0];
+};
+
+const toDateKey = (date) => {
+  if (!date) return toJSTDateKey();
+  const value = String(date).replace(/\//g, '-');
+  // 時刻付きの日時（ISO文字列）は日本時間の日付にする
+  if (value.includes('T') && !Number.isNaN(new Date(value).getTime())) {
+    return toJSTDateKey(value);
+  }
+  return value.split('T')[0];
+};
+
+const roundRate = (rate) => Math.round(rate * 10000) / 10000;
+
+/**
+ * 対応している通貨コードに揃える（未対応・未指定はUSD）
+ * @param {string} currency - 通貨コード
+ * @returns {string}
+ */
+export const normalizeCurrency = (currency) => {
+  const code = String(currency || '').trim().toUpperCase();
+  return SUPPORTED_CURRENCIES[code] ? code : DEFAULT_CURRENCY;
+};
+
+/**
+ * 国名から通貨を推定（該当しない国はUSD）
+ * @param {string} country - 国名
+ * @returns {string} - 通貨コード
+ */
+export const getCurrencyForCountry = (country) => {
+  const name = String(country || '').trim().toLowerCase();
+  const match = Object.entries(COUNTRY_CURRENCIES).find(([, countries]) => countries.includes(name));
+  return match ? match[0] : DEFAULT_CURRENCY;
+};
+
+/**
+ * レートの履歴（日付の古い順）
+ * 通貨を指定しない場合は全通貨（通貨のない旧データはUSD）
+ * @param {string} currency - 通貨コード
+ * @returns {array} - [{ id, currency, date, rate, source, note, createdAt, createdBy }]
+ */
+export const getExchangeRateHistory = (currency) => {
+  try {
+    const rates = JSON.parse(localStorage.getItem(EXCHANGE_RATES_STORAGE_KEY) || '[]')
+      .map(entry => ({ ...entry, currency: normalizeCurrency(entry.currency) }));
+    return rates
+      .filter(entry => !currency || entry.currency === currency)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  } catch (error) {
+    console.error('exchangeRates JSON parse error:', error);
+    return [];
+  }
+};
+
+const saveExchangeRateHistory = (rates) => {
+  localStorage.setItem(EXCHANGE_RATES_STORAGE_KEY, JSON.stringify(rates));
+};
+
+/**
+ * 指定日に適用するレート（その日以前で最も新しいレート）
+ * その日以前のレートがない場合は旧設定の単一レート（USDのみ）、それもなければ通貨ごとの既定値
+ * （指定日より後の日付のレートは使わない）
+ * @param {string} date - 日付（YYYY-MM-DD またはISO文字列）
+ * @param {string} currency - 通貨コード
+ * @returns {object} - { currency, rate（1通貨単位あたりの円）, date（レートの日付）, source }
+ */
+export const getExchangeRate = (date, currency = DEFAULT_CURRENCY) => {
+  const code = normalizeCurrency(currency);
+  const dateKey = toDateKey(date);
+  const applicable = getExchangeRateHistory(code).filter(entry => entry.date <= dateKey);
+  const entry = applicable[applicable.length - 1];
+  if (entry) {
+    return { currency: code, rate: entry.rate, date: entry.date, source: entry.source };
+  }
+
+  const legacyRate = code === 'USD' ? parseFloat(localStorage.getItem(LEGACY_EXCHANGE_RATE_KEY)) : NaN;
+  return legacyRate > 0
+    ? { currency: code, rate: legacyRate, date: null, source: 'legacy' }
+    : { currency: code, rate: SUPPORTED_CURRENCIES[code].defaultRate, date: null, source: 'default' };
+};
+
+/**
+ * 現在のレート
+ * @param {string} currency - 通貨コード
+ * @returns {object} - { currency, rate, date, source }
+ */
+export const getCurrentExchangeRate = (currency = DEFAULT_CURRENCY) => getExchangeRate(toJSTDateKey(), currency);
+
+/**
+ * レートの検証
+ * @param {object} entry - { date, rate }
+ * @returns {string|null} - エラーメッセージ
+ */
+const validateExchangeRate = ({ date, rate }) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(toDateKey(date)) || Number.isNaN(new Date(toDateKey(date)).getTime())) {
+    return `日付「${date}」が正しくありません`;
+  }
+  if (!(rate > 0) || rate > 1000) {
+    return `レート「${rate}」が正しくありません（1通貨単位あたりの円で入力してください）`;
+  }
+  return null;
+};
+
+/**
+ * レートを登録（同じ通貨・日付のレートは置き換える）
+ * @param {object} entry - { currency, date, rate, source, note, createdBy }
+ * @returns {object} - { success: boolean, entry?: object, error?: string }
+ */
+export const addExchangeRate = ({ currency = DEFAULT_CURRENCY, date, rate, source = 'manual', note = '', createdBy = '' }) => {
+  if (!SUPPORTED_CURRENCIES[currency]) {
+    return { success: false, error: `通貨「${currency}」には対応していません` };
+  }
+
+  const value = parseFloat(rate);
+  const error = validateExchangeRate({ date, rate: value });
+  if (error) {
+    return { success: false, error };
+  }
+
+  const entry = {
+    id: `FX-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    currency,
+    date: toDateKey(date),
+    rate: roundRate(value),
+    source,
+    note,
+    createdAt: new Date().toISOString(),
+    createdBy
+  };
+  saveExchangeRateHistory([
+    ...getExchangeRateHistory().filter(existing => existing.currency !== currency || existing.date !== entry.date),
+    entry
+  ]);
+  return { success: true, entry };
+};
+
+/**
+ * レートを削除
+ * @param {string} id - レートID
+ * @returns {array} - 削除後の履歴
+ */
+export const deleteExchangeRate = (id) => {
+  const rates = getExchangeRateHistory().filter(entry => entry.id !== id);
+  saveExchangeRateHistory(rates);
+  return rates;
+};
+
+/**
+ * 銀行のCSV（日付と各通貨のレート）を取り込む
+ * 1行目がヘッダーで通貨コード（USD・EUR など）を含む列があれば、その列をそれぞれの通貨のレートとして取り込む
+ * 通貨コードの列がなければ「TTM」「rate」を含む列（なければ2列目）を指定した通貨のレートとして取り込む
+ * @param {string} text - CSVの内容
+ * @param {object} options - { createdBy, currency }
+ * @returns {object} - { success: boolean, imported: number, errors: array }
+ */
+export const importExchangeRatesCSV = (text, { createdBy = '', currency = DEFAULT_CURRENCY } = {}) => {
+  const lines = String(text || '').replace(/^\ufeff/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return { success: false, imported: 0, errors: ['CSVファイルが空です'] };
+  }
+
+  const splitRow = (line) => line.split(',').map(value => value.trim().replace(/^"|"$/g, ''));
+  const firstRow = splitRow(lines[0]);
+  const hasHeader = Number.isNaN(new Date(toDateKey(firstRow[0])).getTime());
+
+  // 取り込む列 [{ index, currency }]
+  const currencyColumns = hasHeader
+    ? firstRow
+      .map((header, index) => ({ index, currency: Object.keys(SUPPORTED_CURRENCIES).find(code => header.toUpperCase().includes(code)) }))
+      .filter(column => column.index > 0 && column.currency)
+    : [];
+  const headerRateIndex = hasHeader
+    ? firstRow.findIndex(header => /ttm|rate|レート/i.test(header))
+    : -1;
+  const columns = currencyColumns.length > 0
+    ? currencyColumns
+    : [{ index: headerRateIndex > 0 ? headerRateIndex : 1, currency }];
+
+  const errors = [];
+  let imported = 0;
+  (hasHeader ? lines.slice(1) : lines).forEach((line, index) => {
+    const values = splitRow(line);
+    columns.forEach(column => {
+      // 複数通貨のCSVで空欄の通貨は飛ばす
+      if (currencyColumns.length > 0 && !values[column.index]) return;
+      const result = addExchangeRate({
+        currency: column.currency,
+        date: values[0],
+        rate: values[column.index],
+        source: 'csv',
+        createdBy
+      });
+      if (result.success) {
+        imported++;
+      } else {
+        errors.push(`${index + (hasHeader ? 2 : 1)}行目（${column.currency}）: ${result.error}`);
+      }
+    });
+  });
+
+  return { success: imported > 0, imported, errors };
+};
+
+/**
+ * 見積もり・入金に固定するレート
+ * @param {string} date - 基準日（省略時は現在）
+ * @param {string} currency - 通貨コード
+ * @returns {object} - { currency, rate, rateDate, source, lockedAt }
+ */
+export const lockExchangeRate = (date = new Date().toISOString(), currency = DEFAULT_CURRENCY) => {
+  const { rate, date: rateDate, source } = getExchangeRate(date, currency);
+  return { currency: normalizeCurrency(currency), rate, rateDate, source, lockedAt: new Date().toISOString() };
+};
+
+/**
+ * 円→外貨（通貨の小数点以下の桁数で丸める）
+ * @param {number} jpy - 円
+ * @param {number} rate - 1通貨単位あたりの円
+ * @param {string} currency - 通貨コード
+ * @returns {number}
+ */
+export const convertFromJPY = (jpy, rate, currency = DEFAULT_CURRENCY) => {
+  const factor = 10 ** SUPPORTED_CURRENCIES[normalizeCurrency(currency)].decimals;
+  return Math.round((jpy || 0) / rate * factor) / factor;
+};
+
+/**
+ * 外貨→円（整数）
+ * @param {number} amount - 外貨の金額
+ * @param {number} rate - 1通貨単位あたりの円
+ * @returns {number}
+ */
+export const convertToJPY = (amount, rate) => Math.round((amount || 0) * rate);
+
+/**
+ * 外貨の金額を通貨記号つきで表示（例: €1,234.50）
+ * @param {number} amount - 金額
+ * @param {string} currency - 通貨コード
+ * @returns {string}
+ */
+export const formatCurrencyAmount = (amount, currency = DEFAULT_CURRENCY) => {
+  const { symbol, decimals } = SUPPORTED_CURRENCIES[normalizeCurrency(currency)];
+  return `${symbol}${(amount || 0).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+};
+
+/**
+ * 為替差損益（見積もり時のレートで計上した売上と、入金時のレートで円換算した額の差）
+ * @param {number} amount - 請求額（外貨）
+ * @param {number} lockedRate - 見積もり時のレート
+ * @param {number} settlementRate - 入金時のレート
+ * @returns {number} - 円（プラスが差益）
+ */
+export const calculateFxGainLoss = (amount, lockedRate, settlementRate) => {
+  if (!(lockedRate > 0) || !(settlementRate > 0)) return 0;
+  return convertToJPY(amount, settlementRate) - convertToJPY(amount, lockedRate);
+};
+
+/**
+ * 販売記録の円・外貨売上と為替差損益（固定したレートで集計し、再計算しない）
+ * 通貨のない記録はUSD、レートを固定する前の記録は販売日のレートで換算する
+ * @param {object} record - 販売記録（salesLedger）
+ * @returns {object} - { currency, revenueJPY, revenueForeign, lockedRate, settlementRate, fxGainLoss, rateLocked }
+ */
+export const getSaleCurrencySummary = (record) => {
+  const currency = normalizeCurrency(record.currency || record.fx?.currency);
+  const revenueJPY = record.summary?.totalSalesAmount || 0;
+  const rateLocked = record.fx?.lockedRate > 0 || record.exchangeRate > 0;
+  const lockedRate = record.fx?.lockedRate || record.exchangeRate || getExchangeRate(record.soldDate, currency).rate;
+  const revenueForeign = record.fx?.amount
+    ?? record.fx?.amountUSD
+    ?? ((currency === 'USD' && record.summary?.totalSalesAmountUSD) || convertFromJPY(revenueJPY, lockedRate, currency));
+
+  return {
+    currency,
+    revenueJPY,
+    revenueForeign,
+    lockedRate,
+    settlementRate: record.fx?.settlementRate || lockedRate,
+    fxGainLoss: record.fx?.gainLossJPY || 0,
+    rateLocked
+  };
+};
@@ -0,0 +1,165 @@
+// 買取時の本人確認（古物営業法第15条）
+// 書類の番号はサーバー（api/buyback/identity.js）で暗号化し、申込には暗号文とマスク済みの番号のみ保存する
+
+import { getAuthHeader } from './jwt';
+import { IDENTITY_DOCUMENT_TYPES, IDENTITY_VERIFICATION_METHODS } from '../data/identityDocuments';
+
+const IDENTITY_API_URL = '/api/buyback/identity';
+
+/**
+ * 本人確認書類の定義を取得
+ * @param {string} documentType - 書類の種類
+ * @returns {object|undefined}
+ */
+export const getIdentityDocumentType = (documentType) => {
+  return IDENTITY_DOCUMENT_TYPES.find(type => type.value === documentType);
+};
+
+/**
+ * 本人確認方法の表示名を取得
+ * @param {string} method - 確認方法
+ * @returns {string} - 表示名
+ */
+export const getVerificationMethodLabel = (method) => {
+  return IDENTITY_VERIFICATION_METHODS.find(m => m.value === method)?.label || method || '-';
+};
+
+/**
+ * 本人確認の入力内容を検証
+ * @param {object} input - { documentType, documentNumber, method, verifiedAt }
+ * @returns {string|null} - エラーメッセージ
+ */
+export const validateIdentityInput = (input) => {
+  const documentType = getIdentityDocumentType(input.documentType);
+  if (!documentType) {
+    return '本人確認書類の種類を選択してください';
+  }
+  const number = (input.documentNumber || '').trim();
+  if (!number) {
+    return `${documentType.numberLabel}を入力してください`;
+  }
+  if (documentType.forbidsIndividualNumber && /^\d{12}$/.test(number.replace(/[\s-]/g, ''))) {
+    return '個人番号（マイナンバー）は記録できません。カードの有効期限などを記録してください';
+  }
+  if (!IDENTITY_VERIFICATION_METHODS.some(m => m.value === input.method)) {
+    return '確認方法を選択してください';
+  }
+  if (!input.verifiedAt) {
+    return '確認日を入力してください';
+  }
+  if (new Date(input.verifiedAt) > new Date()) {
+    return '確認日に未来の日付は指定できません';
+  }
+  return null;
+};
+
+/**
+ * 書類の番号を暗号化（サーバー側で暗号化し、平文は保存しない）
+ * @param {string} documentType - 書類の種類
+ * @param {string} documentNumber - 書類の番号
+ * @returns {Promise<object>} - { encryptedNumber, maskedNumber }
+ */
+export const encryptDocumentNumber = async (documentType, documentNumber) => {
+  const response = await fetch(IDENTITY_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...getAuthHeader()
+    },
+    body: JSON.stringify({
+      action: 'encrypt',
+      document_type: documentType,
+      document_number: documentNumber.trim()
+    })
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  return {
+    encryptedNumber: result.encrypted_number,
+    maskedNumber: result.masked_number
+  };
+};
+
+/**
+ * 暗号化された書類の番号を復号（店長・管理者のみ）
+ * @param {string} encryptedNumber - 暗号化された番号
+ * @param {string} applicationNumber - 申込番号（監査ログ用）
+ * @returns {Promise<string>} - 書類の番号
+ */
+export const revealDocumentNumber = async (encryptedNumber, applicationNumber) => {
+  const response = await fetch(IDENTITY_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...getAuthHeader()
+    },
+    body: JSON.stringify({
+      action: 'reveal',
+      encrypted_number: encryptedNumber,
+      application_number: applicationNumber
+    })
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  return result.document_number;
+};
+
+/**
+ * 本人確認の記録を作成
+ * @param {object} input - { documentType, documentNumber, method, verifiedAt, note }
+ * @param {object} options - { performedBy }
+ * @returns {Promise<object>} - { success: boolean, identityVerification?: object, error?: string }
+ */
+export const createIdentityVerification = async (input, { performedBy = '' } = {}) => {
+  const error = validateIdentityInput(input);
+  if (error) {
+    return { success: false, error };
+  }
+
+  try {
+    const { encryptedNumber, maskedNumber } = await encryptDocumentNumber(input.documentType, input.documentNumber);
+    const documentType = getIdentityDocumentType(input.documentType);
+
+    return {
+      success: true,
+      identityVerification: {
+        documentType: documentType.value,
+        documentTypeLabel: documentType.label,
+        encryptedNumber,
+        maskedNumber,
+        method: input.method,
+        methodLabel: getVerificationMethodLabel(input.method),
+        verifiedAt: new Date(input.verifiedAt).toISOString(),
+        verifiedBy: performedBy,
+        note: (input.note || '').trim(),
+        recordedAt: new Date().toISOString()
+      }
+    };
+  } catch (encryptError) {
+    console.error('本人確認の暗号化エラー:', encryptError);
+    return { success: false, error: `書類の番号を暗号化できませんでした: ${encryptError.message}` };
+  }
+};
+
+/**
+ * 本人確認の概要（台帳・画面表示用）
+ * @param {object} verification - 本人確認の記録
+ * @returns {string} - 例: 運転免許証 ********1234／対面確認（2025/1/1）
+ */
+export const formatIdentityVerification = (verification) => {
+  if (!verification) return '未確認';
+  const documentLabel = verification.documentTypeLabel || getIdentityDocumentType(verification.documentType)?.label || '-';
+  const methodLabel = verification.methodLabel || getVerificationMethodLabel(verification.method);
+  const date = verification.verifiedAt ? new Date(verification.verifiedAt).toLocaleDateString('ja-JP') : '-';
+  return `${documentLabel} ${verification.maskedNumber || ''}／${methodLabel}（${date}）`;
+};
@@ -0,0 +1,153 @@
+// 査定商品の状態写真（正面・背面・傷のアップ等）
+// 画像本体はAPI経由でストレージに保存し、申込・在庫データには写真のURLとサムネイルURLのみを持たせる
+
+import { getAuthHeader } from './jwt';
+
+const PHOTOS_API_URL = '/api/buyback/photos';
+
+export const ITEM_PHOTO_TYPES = {
+  front: { label: '正面' },
+  back: { label: '背面' },
+  defect: { label: '傷・汚れのアップ' },
+  other: { label: 'その他' }
+};
+
+export const MAX_PHOTOS_PER_ITEM = 10;
+export const MAX_PHOTO_SIZE = 5 * 1024 * 1024;
+const ALLOWED_PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// 1回の送信は写真1枚。base64で約1.33倍になるため、サーバーの上限（約4.5MB）に収まるよう3MBを超える写真は縮小して送る
+const MAX_UPLOAD_SIZE = 3 * 1024 * 1024;
+const SHRINK_MAX_DIMENSION = 1920;
+const SHRINK_QUALITY = 0.85;
+
+/**
+ * 商品の写真を取得
+ * @param {object} item - 商品データ
+ * @returns {array} - 写真の配列
+ */
+export const getItemPhotos = (item) => item?.photos || [];
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error(`ファイル "${file.name}" の読み込みに失敗しました`));
+  reader.readAsDataURL(file);
+});
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`ファイル "${file.name}" を画像として読み込めませんでした`));
+  };
+  image.src = url;
+});
+
+// 長辺1920pxのJPEGに縮小（サムネイル生成・最終的な圧縮はサーバー側で行う）
+const shrinkPhoto = async (file) => {
+  const image = await loadImage(file);
+  const scale = Math.min(1, SHRINK_MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', SHRINK_QUALITY));
+  if (!blob || blob.size > MAX_UPLOAD_SIZE) {
+    throw new Error(`ファイル "${file.name}" を縮小できませんでした`);
+  }
+  return new File([blob], file.name.replace(/\.[^.]*$/, '') + '.jpg', { type: 'image/jpeg' });
+};
+
+/**
+ * 選択されたファイルを検証
+ * @param {array} files - Fileの配列
+ * @param {number} currentCount - 既存の写真枚数
+ * @returns {string|null} - エラーメッセージ
+ */
+export const validatePhotoFiles = (files, currentCount = 0) => {
+  if (files.length === 0) {
+    return '写真が選択されていません';
+  }
+  if (currentCount + files.length > MAX_PHOTOS_PER_ITEM) {
+    return `写真は1商品あたり${MAX_PHOTOS_PER_ITEM}枚までです（現在${currentCount}枚）`;
+  }
+  const invalidType = files.find(file => !ALLOWED_PHOTO_TYPES.includes(file.type));
+  if (invalidType) {
+    return `ファイル "${invalidType.name}" は画像ではありません（JPEG/PNG/GIF/WebPのみ）`;
+  }
+  const tooLarge = files.find(file => file.size > MAX_PHOTO_SIZE);
+  if (tooLarge) {
+    return `ファイル "${tooLarge.name}" が大きすぎます（最大5MB）`;
+  }
+  return null;
+};
+
+const uploadItemPhoto = async (file, { applicationNumber, itemId, photoType }) => {
+  const uploadFile = file.size > MAX_UPLOAD_SIZE ? await shrinkPhoto(file) : file;
+
+  const response = await fetch(PHOTOS_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...getAuthHeader()
+    },
+    body: JSON.stringify({
+      application_number: applicationNumber,
+      item_id: itemId,
+      photo_type: photoType,
+      file: {
+        name: file.name,
+        type: uploadFile.type,
+        data: await readFileAsDataUrl(uploadFile)
+      }
+    })
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+
+  return result.photo;
+};
+
+/**
+ * 商品の写真を1枚ずつアップロード（サムネイルはサーバー側で生成）
+ * 途中で失敗した場合も、それまでにアップロードできた写真は photos に返す
+ * @param {array} files - Fileの配列
+ * @param {object} target - { applicationNumber, itemId, photoType }
+ * @returns {Promise<object>} - { success: boolean, photos: [{ id, type, url, thumbnailUrl, ... }], error?: string }
+ */
+export const uploadItemPhotos = async (files, { applicationNumber, itemId, photoType = 'other' }) => {
+  const photos = [];
+  for (const file of files) {
+    try {
+      photos.push(await uploadItemPhoto(file, { applicationNumber, itemId, photoType }));
+    } catch (error) {
+      return { success: false, photos, error: error.message };
+    }
+  }
+  return { success: true, photos };
+};
+
+/**
+ * 在庫に引き継ぐ写真を作成（どの申込・商品の写真かを記録）
+ * @param {object} item - 査定商品
+ * @param {string} applicationNumber - 申込番号
+ * @returns {array} - 写真の配列
+ */
+export const toInventoryPhotos = (item, applicationNumber) => {
+  return getItemPhotos(item).map(photo => ({
+    ...photo,
+    applicationNumber,
+    sourceItemId: item.id
+  }));
+};
@@ -0,0 +1,264 @@
+// 古物台帳の保存期間管理とアーカイブ
+// 古物営業法第18条により台帳は最終の記載日から3年間保存する
+// 取引が完了して一定期間が過ぎた台帳記録は年ごとのアーカイブに移し、保存期間中は削除できないようにする
+
+import { loadLedgerRecords, buildLedgerRecords } from './ledgerRecords';
+import {
+  canonicalStringify,
+  computeEntryHash,
+  extractLedgerEntries,
+  loadLedgerJournal,
+  verifyLedgerJournal
+} from './ledgerJournal';
+import { buildPoliceLedgerRows, toPoliceLedgerCsv } from './policeLedgerExport';
+import { sha256 } from './sha256';
+
+const ARCHIVES_STORAGE_KEY = 'ledgerArchives';
+const SETTINGS_STORAGE_KEY = 'ledgerRetentionSettings';
+
+// 法定の保存期間（年）
+export const RETENTION_MIN_YEARS = 3;
+
+const DEFAULT_SETTINGS = {
+  archiveAfterMonths: 12, // 最終取引からこの期間が過ぎた完了済みの記録をアーカイブする
+  retentionYears: RETENTION_MIN_YEARS
+};
+
+const safeParseJSON = (value, fallback) => {
+  if (value === null) return fallback;
+  try {
+    return JSON.parse(value ?? '') ?? fallback;
+  } catch (error) {
+    console.error('ledgerArchive JSON parse error:', error);
+    return fallback;
+  }
+};
+
+/**
+ * 保存期間の設定を取得
+ * @returns {object} - { archiveAfterMonths, retentionYears }
+ */
+export const getRetentionSettings = () => {
+  return { ...DEFAULT_SETTINGS, ...safeParseJSON(localStorage.getItem(SETTINGS_STORAGE_KEY), {}) };
+};
+
+/**
+ * 保存期間の設定を保存
+ * @param {object} settings - { archiveAfterMonths, retentionYears }
+ * @returns {object} - { success: boolean, error?: string }
+ */
+export const saveRetentionSettings = (settings) => {
+  const archiveAfterMonths = parseInt(settings.archiveAfterMonths, 10);
+  const retentionYears = parseInt(settings.retentionYears, 10);
+
+  if (!Number.isInteger(archiveAfterMonths) || archiveAfterMonths < 1) {
+    return { success: false, error: 'アーカイブまでの期間は1か月以上で指定してください' };
+  }
+  if (!Number.isInteger(retentionYears) || retentionYears < RETENTION_MIN_YEARS) {
+    return { success: false, error: `保存期間は法定の${RETENTION_MIN_YEARS}年以上で指定してください` };
+  }
+
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ archiveAfterMonths, retentionYears }));
+  return { success: true };
+};
+
+/**
+ * アーカイブの一覧を取得（古い順）
+ * @returns {array}
+ */
+export const loadLedgerArchives = () => {
+  return safeParseJSON(localStorage.getItem(ARCHIVES_STORAGE_KEY), []);
+};
+
+const saveLedgerArchives = (archives) => {
+  localStorage.setItem(ARCHIVES_STORAGE_KEY, JSON.stringify(archives));
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * 台帳記録の最終の記載日（取引日・訂正日のうち最も新しい日）
+ * @param {object} record - 台帳記録
+ * @returns {Date}
+ */
+export const getLastActivityDate = (record) => {
+  const dates = [
+    ...record.purchase.events.map(event => event.date),
+    ...record.sale.events.map(event => event.date),
+    ...(record.corrections || []).map(correction => correction.date)
+  ]
+    .map(value => new Date(value).getTime())
+    .filter(Number.isFinite);
+  return new Date(Math.max(...dates));
+};
+
+// 取引が完了している（全数販売済み、または全ての受入が取消済み）
+const isClosedRecord = (record) => {
+  return record.status === 'sold' || record.purchase.totalQuantity === 0;
+};
+
+/**
+ * アーカイブ対象の台帳記録
+ * @param {object} options - { records, settings, now }
+ * @returns {array} - 台帳記録の配列
+ */
+export const getArchivableRecords = ({
+  records = loadLedgerRecords(),
+  settings = getRetentionSettings(),
+  now = new Date()
+} = {}) => {
+  const cutoff = addMonths(now, -settings.archiveAfterMonths);
+  return records.filter(record => isClosedRecord(record) && getLastActivityDate(record) < cutoff);
+};
+
+/**
+ * アーカイブのCSV（提出用の様式）
+ * @param {object} archive - アーカイブ
+ * @returns {string} - CSV文字列
+ */
+export const buildArchiveCsv = (archive) => {
+  return toPoliceLedgerCsv(buildPoliceLedgerRows(buildLedgerRecords(archive.entries || [])));
+};
+
+/**
+ * アーカイブのJSON（エクスポート用）
+ * @param {object} archive - アーカイブ
+ * @returns {string}
+ */
+export const buildArchiveJson = (archive) => JSON.stringify(archive, null, 2);
+
+/**
+ * 対象の記録を年ごと（最終の記載日の年）のアーカイブに移す
+ * @param {object} options - { performedBy, now }
+ * @returns {object} - { success: boolean, archives?: array, error?: string }
+ */
+export const archiveLedgerRecords = ({ performedBy = '', now = new Date() } = {}) => {
+  const settings = getRetentionSettings();
+  const targets = getArchivableRecords({ settings, now });
+  if (targets.length === 0) {
+    return { success: false, error: 'アーカイブの対象となる記録はありません' };
+  }
+
+  const byYear = {};
+  targets.forEach(record => {
+    const year = getLastActivityDate(record).getFullYear();
+    (byYear[year] = byYear[year] || []).push(record);
+  });
+
+  const archives = loadLedgerArchives();
+  const created = [];
+
+  Object.entries(byYear).forEach(([year, records]) => {
+    const recordIds = records.map(record => record.inventoryId);
+    const lastActivity = new Date(Math.max(...records.map(record => getLastActivityDate(record).getTime())));
+    const sequence = archives.filter(archive => archive.year === Number(year)).length + 1;
+
+    const entries = loadLedgerJournal().filter(entry => recordIds.includes(entry.recordId));
+    const archive = {
+      id: `LEDGER-ARCHIVE-${year}-${sequence}`,
+      year: Number(year),
+      sequence,
+      recordIds,
+      recordCount: recordIds.length,
+      entryCount: entries.length,
+      entries,
+      // 削除後も記録簿の連鎖を検証できるよう、連番とハッシュは残す
+      entryStubs: entries.map(entry => ({ seq: entry.seq, hash: entry.hash, prevHash: entry.prevHash })),
+      checksum: sha256(canonicalStringify(entries)),
+      lastActivityAt: lastActivity.toISOString(),
+      retainUntil: addMonths(lastActivity, settings.retentionYears * 12).toISOString(),
+      createdAt: now.toISOString(),
+      createdBy: performedBy,
+      purgedAt: null,
+      purgedBy: ''
+    };
+    archive.csvChecksum = sha256(buildArchiveCsv(archive));
+
+    // 先にアーカイブを保存してから記録簿から取り除く
+    archives.push(archive);
+    saveLedgerArchives(archives);
+    extractLedgerEntries(recordIds);
+    created.push(archive);
+  });
+
+  return { success: true, archives: created };
+};
+
+/**
+ * アーカイブの内容を検証（チェックサム・各エントリのハッシュ）
+ * @param {object} archive - アーカイブ
+ * @returns {array} - 問題点のメッセージ
+ */
+export const verifyArchive = (archive) => {
+  if (archive.purgedAt) return [];
+
+  const issues = [];
+  if (sha256(canonicalStringify(archive.entries || [])) !== archive.checksum) {
+    issues.push(`${archive.id}: チェックサムが一致しません`);
+  }
+  (archive.entries || []).forEach(entry => {
+    if (computeEntryHash(entry) !== entry.hash) {
+      issues.push(`${archive.id}: No.${entry.seq} の内容が記録後に変更されています`);
+    }
+  });
+  if ((archive.entries || []).length !== archive.entryStubs.length) {
+    issues.push(`${archive.id}: エントリの件数が一致しません`);
+  }
+  return issues;
+};
+
+/**
+ * 記録簿とアーカイブをまとめて検証
+ * @returns {object} - { valid: boolean, entryCount: number, issues: [{ seq, message }] }
+ */
+export const verifyLedgerWithArchives = () => {
+  const archives = loadLedgerArchives();
+  const result = verifyLedgerJournal({ archivedEntries: archives.flatMap(archive => archive.entryStubs) });
+  const archiveIssues = archives.flatMap(verifyArchive).map(message => ({ seq: null, message }));
+  const issues = [...archiveIssues, ...result.issues];
+  return { ...result, valid: issues.length === 0, issues };
+};
+
+/**
+ * アーカイブ済みの台帳記録（検索用、削除済みのアーカイブは除く）
+ * @returns {array} - 台帳記録の配列（archiveId付き）
+ */
+export const loadArchivedLedgerRecords = () => {
+  return loadLedgerArchives()
+    .filter(archive => !archive.purgedAt)
+    .flatMap(archive => buildLedgerRecords(archive.entries).map(record => ({ ...record, archiveId: archive.id })));
+};
+
+/**
+ * 保存期間が過ぎたアーカイブを削除（保存期間中は削除できない）
+ * 取引の内容は削除し、連鎖の検証に必要な連番・ハッシュのみ残す
+ * @param {string} archiveId - アーカイブID
+ * @param {object} options - { performedBy, now }
+ * @returns {object} - { success: boolean, error?: string }
+ */
+export const purgeLedgerArchive = (archiveId, { performedBy = '', now = new Date() } = {}) => {
+  const archives = loadLedgerArchives();
+  const archive = archives.find(a => a.id === archiveId);
+  if (!archive) {
+    return { success: false, error: 'アーカイブが見つかりません' };
+  }
+  if (archive.purgedAt) {
+    return { success: false, error: 'このアーカイブは既に削除されています' };
+  }
+  if (now < new Date(archive.retainUntil)) {
+    return {
+      success: false,
+      error: `保存期間中のため削除できません（${new Date(archive.retainUntil).toLocaleDateString('ja-JP')}まで保存）`
+    };
+  }
+
+  archive.entries = [];
+  archive.purgedAt = now.toISOString();
+  archive.purgedBy = performedBy;
+  saveLedgerArchives(archives);
+  return { success: true };
+};
@@ -0,0 +1,171 @@
+// 古物台帳の記録簿（追記専用）
+// 全ての取引・訂正を1件ずつ追記し、各エントリに直前のエントリのハッシュを含めて連鎖させる
+// 既存エントリの変更・削除は行わない（訂正は訂正エントリを追記する）
+
+import { sha256 } from './sha256';
+
+const JOURNAL_STORAGE_KEY = 'ledgerJournal';
+// 最後のエントリ（末尾の削除を検出するため別に保存する）
+const JOURNAL_HEAD_STORAGE_KEY = 'ledgerJournalHead';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// エントリの種類
+export const LEDGER_ENTRY_TYPES = {
+  purchase: { label: '受入' },
+  sale: { label: '払出' },
+  correction: { label: '訂正' },
+  watchlist: { label: '品触れ照合' }
+};
+
+const safeParseJSON = (value, fallback) => {
+  if (value === null) return fallback;
+  try {
+    return JSON.parse(value ?? '') ?? fallback;
+  } catch (error) {
+    console.error('ledgerJournal JSON parse error:', error);
+    return fallback;
+  }
+};
+
+/**
+ * キーの順序に依存しないJSON文字列（ハッシュ・チェックサム計算用）
+ * @param {*} value - 値
+ * @returns {string}
+ */
+export const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * エントリのハッシュを計算（hash以外の全項目が対象）
+ * @param {object} entry - エントリ
+ * @returns {string} - SHA-256
+ */
+export const computeEntryHash = (entry) => {
+  const { hash, ...content } = entry;
+  return sha256(canonicalStringify(content));
+};
+
+/**
+ * 記録簿が作成済みかどうか（旧形式からの移行判定に使う）
+ * @returns {boolean}
+ */
+export const hasLedgerJournal = () => localStorage.getItem(JOURNAL_STORAGE_KEY) !== null;
+
+/**
+ * 記録簿の全エントリを取得（古い順）
+ * @returns {array}
+ */
+export const loadLedgerJournal = () => {
+  return safeParseJSON(localStorage.getItem(JOURNAL_STORAGE_KEY), []);
+};
+
+/**
+ * エントリを追記
+ * @param {string} type - LEDGER_ENTRY_TYPES のキー
+ * @param {string} recordId - 対象の台帳記録ID（在庫ID）
+ * @param {object} payload - 内容
+ * @param {object} options - { performedBy, createdAt }
+ * @returns {object} - 追記したエントリ
+ */
+export const appendLedgerEntry = (type, recordId, payload, { performedBy = '', createdAt = new Date().toISOString() } = {}) => {
+  if (!LEDGER_ENTRY_TYPES[type]) {
+    throw new Error(`不明な台帳エントリです: ${type}`);
+  }
+
+  const journal = loadLedgerJournal();
+  // 末尾のエントリがアーカイブへ移されていても連番・連鎖が続くよう、最終エントリの記録から続ける
+  const previous = safeParseJSON(localStorage.getItem(JOURNAL_HEAD_STORAGE_KEY), null) || journal[journal.length - 1];
+  const seq = previous ? previous.seq + 1 : 1;
+
+  const entry = {
+    seq,
+    id: `LEDGER-${seq}-${Date.now()}`,
+    type,
+    recordId,
+    payload,
+    performedBy,
+    createdAt,
+    prevHash: previous ? previous.hash : GENESIS_HASH
+  };
+  entry.hash = computeEntryHash(entry);
+
+  journal.push(entry);
+  localStorage.setItem(JOURNAL_STORAGE_KEY, JSON.stringify(journal));
+  localStorage.setItem(JOURNAL_HEAD_STORAGE_KEY, JSON.stringify({ seq: entry.seq, hash: entry.hash }));
+
+  return entry;
+};
+
+/**
+ * 指定した台帳記録のエントリを記録簿から取り出す（アーカイブへの移動専用）
+ * 取り出したエントリは ledgerArchive の保管データに移し、検証時は連番・ハッシュで連鎖を確認する
+ * @param {array} recordIds - 台帳記録ID
+ * @returns {array} - 取り出したエントリ
+ */
+export const extractLedgerEntries = (recordIds) => {
+  const journal = loadLedgerJournal();
+  const extracted = journal.filter(entry => recordIds.includes(entry.recordId));
+  const remaining = journal.filter(entry => !recordIds.includes(entry.recordId));
+  localStorage.setItem(JOURNAL_STORAGE_KEY, JSON.stringify(remaining));
+  return extracted;
+};
+
+/**
+ * 記録簿の改ざん・欠落を検証
+ * 連番の欠落、ハッシュの不一致（内容の変更）、連鎖の断絶、末尾の削除を検出する
+ * @param {object} options - { archivedEntries: アーカイブ済みエントリの [{ seq, hash, prevHash }] }
+ * @returns {object} - { valid: boolean, entryCount: number, issues: [{ seq, message }] }
+ */
+export const verifyLedgerJournal = ({ archivedEntries = [] } = {}) => {
+  const activeEntries = loadLedgerJournal();
+  const journal = [
+    ...activeEntries,
+    ...archivedEntries.map(entry => ({ ...entry, archived: true }))
+  ].sort((a, b) => a.seq - b.seq);
+  const head = safeParseJSON(localStorage.getItem(JOURNAL_HEAD_STORAGE_KEY), null);
+  const issues = [];
+
+  journal.forEach((entry, index) => {
+    const previous = journal[index - 1];
+    const expectedSeq = previous ? previous.seq + 1 : 1;
+
+    if (entry.seq > expectedSeq) {
+      const missing = entry.seq - 1 === expectedSeq ? `No.${expectedSeq}` : `No.${expectedSeq}〜${entry.seq - 1}`;
+      issues.push({ seq: entry.seq, message: `${missing} のエントリが欠落しています` });
+    } else if (entry.seq < expectedSeq) {
+      issues.push({ seq: entry.seq, message: `No.${entry.seq} のエントリが重複しています` });
+    }
+    if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+      issues.push({ seq: entry.seq, message: `No.${entry.seq} の直前のエントリとの連鎖が一致しません` });
+    }
+    // アーカイブ済みエントリの内容はアーカイブ側で検証する
+    if (!entry.archived && computeEntryHash(entry) !== entry.hash) {
+      issues.push({ seq: entry.seq, message: `No.${entry.seq} の内容が記録後に変更されています` });
+    }
+  });
+
+  const last = journal[journal.length - 1];
+  if (head && (!last || last.seq !== head.seq || last.hash !== head.hash)) {
+    issues.push({
+      seq: head.seq,
+      message: `最終エントリ（No.${head.seq}）と一致しません。末尾のエントリが削除・変更された可能性があります`
+    });
+  }
+  if (!head && journal.length > 0) {
+    issues.push({ seq: null, message: '最終エントリの記録がありません' });
+  }
+
+  return { valid: issues.length === 0, entryCount: journal.length, issues };
+};
@@ -1,6 +1,26 @@
-const LEDGER_STORAGE_KEY = 'ledgerRecords';
+// 古物台帳（在庫ごとの仕入・販売記録）
+// 記録は ledgerJournal の追記専用の記録簿から組み立てる。取引の変更・取消は訂正エントリの追記で行う
+
+import { appendLedgerEntry, hasLedgerJournal, loadLedgerJournal } from './ledgerJournal';
+
+// 記録簿導入前の保存先（記録を直接上書きしていた形式）。記録簿へ移行した後は読み込まない
+const LEGACY_LEDGER_STORAGE_KEY = 'ledgerRecords';
+
+// 訂正できる項目
+export const CORRECTABLE_FIELDS = {
+  purchase: ['date', 'quantity', 'unitPriceJPY', 'customer'],
+  sale: ['date', 'quantity', 'totalPriceJPY', 'totalPriceUSD', 'buyer']
+};
+
+// 訂正の種類
+export const CORRECTION_ACTIONS = {
+  amend: { label: '内容訂正' },
+  void: { label: '取消' },
+  restore: { label: '取消の取りやめ' }
+};
 
 const safeParseJSON = (value, fallback) => {
+  if (value === null) return fallback;
   try {
     return JSON.parse(value ?? '') ?? fallback;
   } catch (error) {
@@ -9,14 +29,6 @@ const safeParseJSON = (value, fallback) => {
   }
 };
 
-export const loadLedgerRecords = () => {
-  return safeParseJSON(localStorage.getItem(LEDGER_STORAGE_KEY), []);
-};
-
-export const saveLedgerRecords = (records) => {
-  localStorage.setItem(LEDGER_STORAGE_KEY, JSON.stringify(records));
-};
-
 const mergeUnique = (original = [], incoming = []) => {
   const set = new Set(original);
   incoming.forEach(value => {
@@ -55,15 +67,13 @@ const normalizeInventorySnapshot = (inventoryItem = {}) => {
   };
 };
 
-const createLedgerBaseRecord = (inventoryItem) => {
-  const snapshot = normalizeInventorySnapshot(inventoryItem);
-  const now = new Date().toISOString();
-
+const createLedgerBaseRecord = (recordId, product, createdAt) => {
   return {
-    id: snapshot.inventoryId,
-    inventoryId: snapshot.inventoryId,
-    managementNumbers: Array.isArray(inventoryItem?.managementNumbers) ? inventoryItem.managementNumbers : [],
-    product: snapshot,
+    id: recordId,
+    inventoryId: recordId,
+    managementNumbers: [],
+    serialNumbers: [],
+    product,
     purchase: {
       totalQuantity: 0,
       totalCostJPY: 0,
@@ -79,15 +89,21 @@ const createLedgerBaseRecord = (inventoryItem) => {
       events: []
     },
     status: 'in_stock',
-    createdAt: now,
-    updatedAt: now,
-    notes: []
+    createdAt,
+    updatedAt: createdAt,
+    notes: [],
+    watchlistNotes: [],
+    corrections: []
   };
 };
 
+// 取消された取引は集計に含めない
+const activeEvents = (events) => events.filter(event => !event.voided);
+
 const updatePurchaseSummary = (record) => {
-  const totalQuantity = record.purchase.events.reduce((sum, event) => sum + event.quantity, 0);
-  const totalCost = record.purchase.events.reduce((sum, event) => sum + event.totalCostJPY, 0);
+  const events = activeEvents(record.purchase.events);
+  const totalQuantity = events.reduce((sum, event) => sum + event.quantity, 0);
+  const totalCost = events.reduce((sum, event) => sum + event.totalCostJPY, 0);
 
   record.purchase.totalQuantity = totalQuantity;
   record.purchase.totalCostJPY = totalCost;
@@ -95,7 +111,7 @@ const updatePurchaseSummary = (record) => {
 };
 
 const updateSaleSummary = (record) => {
-  const totals = record.sale.events.reduce(
+  const totals = activeEvents(record.sale.events).reduce(
     (acc, event) => {
       acc.quantity += event.quantity;
       acc.revenueJPY += event.totalPriceJPY;
@@ -128,25 +144,132 @@ const updateLedgerStatus = (record) => {
   record.status = 'partial';
 };
 
-const upsertRecord = (inventoryItem) => {
-  const records = loadLedgerRecords();
-  const recordIndex = records.findIndex(record => record.inventoryId === inventoryItem.id);
+// 数量・単価の訂正後に合計を再計算
+const recalculateEvent = (eventType, event) => {
+  if (eventType === 'purchase') {
+    event.totalCostJPY = event.unitPriceJPY * event.quantity;
+    return;
+  }
+  event.unitPriceJPY = event.quantity > 0 ? Math.round((event.totalPriceJPY / event.quantity) * 100) / 100 : 0;
+  event.unitPriceUSD = event.quantity > 0 ? Math.round((event.totalPriceUSD / event.quantity) * 100) / 100 : 0;
+};
 
-  if (recordIndex === -1) {
-    const newRecord = createLedgerBaseRecord(inventoryItem);
-    records.push(newRecord);
-    return { records, record: newRecord };
+const findEventInRecord = (record, entryId) => {
+  for (const eventType of ['purchase', 'sale']) {
+    const event = record[eventType].events.find(e => e.entryId === entryId);
+    if (event) return { eventType, event };
   }
+  return null;
+};
 
-  const record = records[recordIndex];
-  record.product = {
-    ...record.product,
-    ...normalizeInventorySnapshot(inventoryItem)
-  };
-  record.managementNumbers = mergeUnique(record.managementNumbers, inventoryItem.managementNumbers || []);
-  record.updatedAt = new Date().toISOString();
+// 記録簿のエントリを台帳記録に反映
+const applyEntry = (recordsById, entry) => {
+  if (entry.type === 'purchase' || entry.type === 'sale') {
+    const { product, managementNumbers = [], serialNumbers = [], event } = entry.payload;
+    let record = recordsById.get(entry.recordId);
+    if (!record) {
+      record = createLedgerBaseRecord(entry.recordId, product, entry.createdAt);
+      recordsById.set(entry.recordId, record);
+    } else {
+      record.product = { ...record.product, ...product };
+    }
+
+    record.managementNumbers = mergeUnique(record.managementNumbers, managementNumbers);
+    record.serialNumbers = mergeUnique(record.serialNumbers, serialNumbers);
+    record[entry.type].events.push({ ...event, entryId: entry.id, voided: false, corrections: [] });
+
+    if (entry.type === 'sale' && event.notes) {
+      record.notes.push({ date: event.date, message: event.notes });
+    }
+    record.updatedAt = entry.createdAt;
+    return;
+  }
+
+  // 品触れ照合の結果は、その申込から仕入れた台帳記録ごとに記録する
+  if (entry.type === 'watchlist') {
+    const record = recordsById.get(entry.recordId);
+    if (!record) return;
+    record.watchlistNotes.push({ ...entry.payload.watchlistNote, entryId: entry.id, date: entry.createdAt, performedBy: entry.performedBy });
+    record.updatedAt = entry.createdAt;
+    return;
+  }
 
-  return { records, record };
+  if (entry.type === 'correction') {
+    const record = recordsById.get(entry.recordId);
+    const found = record && findEventInRecord(record, entry.payload.targetEntryId);
+    if (!found) return;
+
+    const { eventType, event } = found;
+    const { action, changes = {}, reason = '' } = entry.payload;
+
+    if (action === 'amend') {
+      CORRECTABLE_FIELDS[eventType].forEach(field => {
+        if (changes[field] !== undefined) {
+          event[field] = changes[field];
+        }
+      });
+      recalculateEvent(eventType, event);
+    } else if (action === 'void') {
+      event.voided = true;
+    } else if (action === 'restore') {
+      event.voided = false;
+    }
+
+    const correction = {
+      entryId: entry.id,
+      action,
+      changes,
+      reason,
+      date: entry.createdAt,
+      performedBy: entry.performedBy
+    };
+    event.corrections.push(correction);
+    record.corrections.push({ ...correction, targetEntryId: entry.payload.targetEntryId, eventType });
+    record.updatedAt = entry.createdAt;
+  }
+};
+
+/**
+ * 記録簿から台帳記録を組み立てる
+ * @param {array} journal - 記録簿のエントリ（古い順）
+ * @returns {array} - 台帳記録の配列
+ */
+export const buildLedgerRecords = (journal) => {
+  const recordsById = new Map();
+  journal.forEach(entry => applyEntry(recordsById, entry));
+
+  const records = Array.from(recordsById.values());
+  records.forEach(record => {
+    updatePurchaseSummary(record);
+    updateSaleSummary(record);
+    updateLedgerStatus(record);
+  });
+  return records;
+};
+
+// 旧形式の台帳記録を記録簿に取り込む（記録簿がまだない場合に一度だけ）
+const ensureLedgerJournal = () => {
+  if (hasLedgerJournal()) return;
+
+  const legacyRecords = safeParseJSON(localStorage.getItem(LEGACY_LEDGER_STORAGE_KEY), []);
+  legacyRecords.forEach(record => {
+    const base = {
+      product: record.product,
+      managementNumbers: record.managementNumbers || [],
+      importedFrom: LEGACY_LEDGER_STORAGE_KEY
+    };
+    (record.purchase?.events || []).forEach(event => {
+      appendLedgerEntry('purchase', record.inventoryId, { ...base, event }, { performedBy: event.performer || '' });
+    });
+    (record.sale?.events || []).forEach(event => {
+      appendLedgerEntry('sale', record.inventoryId, { ...base, event }, { performedBy: event.staff || '' });
+    });
+  });
+};
+
+export const loadLedgerRecords = () => {
+  ensureLedgerJournal();
+  return buildLedgerRecords(loadLedgerJournal());
 };
 
 export const recordLedgerPurchase = ({
@@ -156,38 +279,42 @@ export const recordLedgerPurchase = ({
   eventDate = new Date().toISOString(),
   performer = '',
   reference = {},
-  managementNumbers = []
+  managementNumbers = [],
+  serialNumbers = [],
+  identityVerification = null,
+  watchlistNote = null
 }) => {
   if (!inventoryItem?.id) {
     console.warn('recordLedgerPurchase: inventoryItem.id is required');
     return;
   }
 
-  const { records, record } = upsertRecord(inventoryItem);
+  ensureLedgerJournal();
 
   const qty = asNumber(quantity, 0);
   const unitPrice = asNumber(unitPriceJPY, 0);
-  const totalCost = unitPrice * qty;
 
-  record.managementNumbers = mergeUnique(record.managementNumbers, managementNumbers);
-
-  record.purchase.events.push({
-    date: eventDate,
-    quantity: qty,
-    unitPriceJPY: unitPrice,
-    totalCostJPY: totalCost,
-    performer,
-    reference,
-    sourceType: inventoryItem.sourceType || '',
-    customer: inventoryItem.customer || null,
-    supplier: inventoryItem.supplier || null
-  });
-
-  updatePurchaseSummary(record);
-  updateLedgerStatus(record);
-  record.updatedAt = new Date().toISOString();
-
-  saveLedgerRecords(records);
+  appendLedgerEntry('purchase', inventoryItem.id, {
+    product: normalizeInventorySnapshot(inventoryItem),
+    managementNumbers: mergeUnique(inventoryItem.managementNumbers || [], managementNumbers),
+    serialNumbers,
+    event: {
+      date: eventDate,
+      quantity: qty,
+      unitPriceJPY: unitPrice,
+      totalCostJPY: unitPrice * qty,
+      performer,
+      reference,
+      serialNumbers,
+      sourceType: inventoryItem.sourceType || '',
+      customer: inventoryItem.customer || null,
+      supplier: inventoryItem.supplier || null,
+      // 古物営業法の本人確認記録（書類の番号は暗号化済みの値のみ）
+      identityVerification,
+      // 品触れと一致の可能性があった場合の照合記録
+      watchlistNote
+    }
+  }, { performedBy: performer });
 };
 
 export const recordLedgerSale = ({
@@ -210,55 +337,153 @@ export const recordLedgerSale = ({
     return;
   }
 
-  const { records, record } = upsertRecord(inventoryItem);
+  ensureLedgerJournal();
 
   const qty = asNumber(quantity, 0);
   const totalPriceJPY = asNumber(priceJPY, 0);
   const totalPriceUSD = asNumber(priceUSD, 0);
-  const shippingJPY = asNumber(shippingFeeJPY, 0);
-  const shippingUSD = asNumber(shippingFeeUSD, 0);
-
-  record.managementNumbers = mergeUnique(record.managementNumbers, managementNumbers);
-
-  record.sale.events.push({
-    saleId,
-    date: eventDate,
-    quantity: qty,
-    totalPriceJPY,
-    totalPriceUSD,
-    unitPriceJPY: qty > 0 ? Math.round((totalPriceJPY / qty) * 100) / 100 : 0,
-    unitPriceUSD: qty > 0 ? Math.round((totalPriceUSD / qty) * 100) / 100 : 0,
-    shippingFeeJPY: shippingJPY,
-    shippingFeeUSD: shippingUSD,
-    buyer,
-    salesChannel,
-    staff,
-    managementNumbers,
-    notes
-  });
+  // 販売した管理番号の製造番号（買取時に記録したもの）
+  const serialNumbers = managementNumbers
+    .map(number => inventoryItem.serialNumbersByManagementNumber?.[number])
+    .filter(Boolean);
+
+  appendLedgerEntry('sale', inventoryItem.id, {
+    product: normalizeInventorySnapshot(inventoryItem),
+    managementNumbers: mergeUnique(inventoryItem.managementNumbers || [], managementNumbers),
+    event: {
+      saleId,
+      date: eventDate,
+      quantity: qty,
+      totalPriceJPY,
+      totalPriceUSD,
+      unitPriceJPY: qty > 0 ? Math.round((totalPriceJPY / qty) * 100) / 100 : 0,
+      unitPriceUSD: qty > 0 ? Math.round((totalPriceUSD / qty) * 100) / 100 : 0,
+      shippingFeeJPY: asNumber(shippingFeeJPY, 0),
+      shippingFeeUSD: asNumber(shippingFeeUSD, 0),
+      buyer,
+      salesChannel,
+      staff,
+      managementNumbers,
+      serialNumbers,
+      notes
+    }
+  }, { performedBy: staff });
+};
 
-  updateSaleSummary(record);
-  updateLedgerStatus(record);
-  record.updatedAt = new Date().toISOString();
+/**
+ * 取引の訂正・取消・取消の取りやめを記録（元の取引は残し、訂正エントリを追記する）
+ * @param {string} recordId - 台帳記録ID（在庫ID）
+ * @param {string} targetEntryId - 訂正する取引のエントリID
+ * @param {string} action - CORRECTION_ACTIONS のキー
+ * @param {object} options - { changes: 訂正後の値（amendのみ）, reason, performedBy }
+ * @returns {object} - { success: boolean, error?: string }
+ */
+export const correctLedgerEvent = (recordId, targetEntryId, action, { changes = {}, reason = '', performedBy = '' } = {}) => {
+  if (!CORRECTION_ACTIONS[action]) {
+    return { success: false, error: '訂正の種類が正しくありません' };
+  }
+  if (!reason.trim()) {
+    return { success: false, error: '訂正の理由を入力してください' };
+  }
 
-  if (notes) {
-    record.notes.push({
-      date: eventDate,
-      message: notes
-    });
+  const record = loadLedgerRecords().find(r => r.inventoryId === recordId);
+  const found = record && findEventInRecord(record, targetEntryId);
+  if (!found) {
+    return { success: false, error: '訂正する取引が見つかりません' };
+  }
+
+  const { eventType, event } = found;
+
+  if (action === 'void' && event.voided) {
+    return { success: false, error: 'この取引は既に取り消されています' };
+  }
+  if (action === 'restore' && !event.voided) {
+    return { success: false, error: 'この取引は取り消されていません' };
+  }
+
+  let amended = {};
+  if (action === 'amend') {
+    if (event.voided) {
+      return { success: false, error: '取り消された取引は訂正できません' };
+    }
+
+    amended = Object.fromEntries(
+      Object.entries(changes).filter(([field, value]) =>
+        CORRECTABLE_FIELDS[eventType].includes(field) && JSON.stringify(value) !== JSON.stringify(event[field])
+      )
+    );
+    if (Object.keys(amended).length === 0) {
+      return { success: false, error: '訂正する内容がありません' };
+    }
+    if (amended.quantity !== undefined && (!Number.isInteger(amended.quantity) || amended.quantity <= 0)) {
+      return { success: false, error: '数量は1以上の整数で入力してください' };
+    }
+    if (['unitPriceJPY', 'totalPriceJPY', 'totalPriceUSD'].some(field => amended[field] !== undefined && !(amended[field] >= 0))) {
+      return { success: false, error: '金額は0以上で入力してください' };
+    }
+    if (amended.date !== undefined && Number.isNaN(new Date(amended.date).getTime())) {
+      return { success: false, error: '取引日が正しくありません' };
+    }
   }
 
-  saveLedgerRecords(records);
+  appendLedgerEntry('correction', recordId, {
+    targetEntryId,
+    action,
+    changes: amended,
+    reason: reason.trim()
+  }, { performedBy });
+
+  return { success: true };
 };
 
-export const removeLedgerRecordsByInventoryIds = (inventoryIds = []) => {
-  if (!Array.isArray(inventoryIds) || inventoryIds.length === 0) {
-    return;
+/**
+ * 販売の取消（返金時に、同じ販売IDの販売取引をまとめて取り消す）
+ * @param {string} saleId - 販売ID（recordLedgerSale の saleId）
+ * @param {object} options - { reason, performedBy }
+ * @returns {object} - { success: boolean, reversed: number, error?: string }
+ */
+export const reverseLedgerSale = (saleId, { reason = '', performedBy = '' } = {}) => {
+  if (!saleId) {
+    return { success: false, reversed: 0, error: '販売IDが指定されていません' };
   }
 
-  const records = loadLedgerRecords();
-  const filtered = records.filter(record => !inventoryIds.includes(record.inventoryId));
-  saveLedgerRecords(filtered);
+  const targets = loadLedgerRecords().flatMap(record =>
+    activeEvents(record.sale.events)
+      .filter(event => event.saleId === saleId)
+      .map(event => ({ recordId: record.inventoryId, entryId: event.entryId }))
+  );
+
+  for (const [index, target] of targets.entries()) {
+    const result = correctLedgerEvent(target.recordId, target.entryId, 'void', { reason, performedBy });
+    if (!result.success) {
+      return { success: false, reversed: index, error: result.error };
+    }
+  }
+
+  return { success: true, reversed: targets.length };
+};
+
+/**
+ * 品触れ照合の結果（別物と確認・警察へ通報済み）を、その申込から仕入れた台帳記録ごとに記録簿へ追記する
+ * 在庫登録前の結果は、登録時の仕入取引（recordLedgerPurchase の watchlistNote）に記録する
+ * @param {string} applicationNumber - 申込番号
+ * @param {object} watchlistNote - buildWatchlistLedgerNote の結果
+ * @param {object} options - { performedBy }
+ * @returns {object} - { success: boolean, recorded: number（追記した台帳記録の数）, error?: string }
+ */
+export const recordLedgerWatchlistNote = (applicationNumber, watchlistNote, { performedBy = '' } = {}) => {
+  if (!applicationNumber || !watchlistNote) {
+    return { success: false, recorded: 0, error: '記録する照合結果がありません' };
+  }
+
+  ensureLedgerJournal();
+  const targets = loadLedgerRecords().filter(record =>
+    record.purchase.events.some(event => event.reference?.applicationNumber === applicationNumber)
+  );
+  targets.forEach(record => {
+    appendLedgerEntry('watchlist', record.inventoryId, { applicationNumber, watchlistNote }, { performedBy });
+  });
+  return { success: true, recorded: targets.length };
 };
 
 export const findLedgerRecord = (inventoryId) => {
@@ -266,9 +491,10 @@ export const findLedgerRecord = (inventoryId) => {
 };
 
 export const migrateLegacyLedgerData = () => {
-  const records = loadLedgerRecords();
-  if (records.length > 0) {
-    return; // 既に新しいデータ構造が存在
+  // 記録簿が作成済みなら取り込まない（全ての記録をアーカイブへ移した後も記録簿は残る）
+  ensureLedgerJournal();
+  if (hasLedgerJournal()) {
+    return;
   }
 
   const inventory = safeParseJSON(localStorage.getItem('inventory'), []);
@@ -0,0 +1,250 @@
+// まとめ査定（大量の商品を一括で査定するモード）
+// 商品コードを連続でスキャン・入力し、機種＋カラー＋ランクごとに数量を集計する
+// 反映すると集計行ごとに査定商品として追加され、在庫登録時に1台ずつ管理番号が振られる
+
+import { manufacturers, RANKS } from '../data/gameConsoles';
+import { getAllConsoles } from './productMaster';
+import { generateProductCode } from './productCodeGenerator';
+import { getBuybackBasePrice } from './priceCalculator';
+
+/**
+ * 商品コード → 機種の対応表を作成
+ * 同じコードに複数の機種が該当する場合（コード未設定の機種など）は曖昧なコードとして扱う
+ * @returns {object} - { [productCode]: { productType, manufacturer, console, ... } | { ambiguous: true } }
+ */
+export const buildProductCodeIndex = () => {
+  const index = {};
+  const allConsoles = getAllConsoles();
+
+  manufacturers.forEach(mfr => {
+    // ソフトはメーカー単位のコード
+    index[generateProductCode(mfr.value, '', 'software')] = {
+      productType: 'software',
+      manufacturer: mfr.value,
+      manufacturerLabel: mfr.label,
+      console: '',
+      consoleLabel: ''
+    };
+
+    (allConsoles[mfr.value] || [])
+      .filter(c => c.value !== 'other-manual')
+      .forEach(c => {
+        const code = generateProductCode(mfr.value, c.value, 'console');
+        index[code] = index[code]
+          ? { ambiguous: true }
+          : {
+              productType: 'console',
+              manufacturer: mfr.value,
+              manufacturerLabel: mfr.label,
+              console: c.value,
+              consoleLabel: c.label
+            };
+      });
+  });
+
+  return index;
+};
+
+/**
+ * スキャン・入力された文字列を解析
+ * 「N01」「N01-A」「N01 A」の形式に対応（ランク省略時は既定ランク）
+ * @param {string} input - 入力文字列
+ * @param {string} defaultRank - 既定ランク
+ * @returns {object} - { code, rank }
+ */
+export const parseScanInput = (input, defaultRank) => {
+  const [code, rank] = input.trim().toUpperCase().split(/[-\s]+/);
+  return { code, rank: RANKS.includes(rank) ? rank : defaultRank };
+};
+
+/**
+ * 空のまとめ査定を作成
+ * @returns {object} - まとめ査定
+ */
+export const createLot = () => ({
+  id: `LOT-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+  entries: [],
+  bundleDiscountPercent: 0,
+  createdAt: new Date().toISOString()
+});
+
+const getEntryKey = ({ productCode, color, rank }) => `${productCode}_${color || ''}_${rank}`;
+
+/**
+ * スキャンした商品をまとめ査定に追加（同じ機種＋カラー＋ランクは数量を加算）
+ * @param {object} lot - まとめ査定
+ * @param {string} input - スキャン・入力された文字列
+ * @param {object} options - { rank, color, index }
+ * @returns {object} - { success: boolean, lot?: object, entry?: object, error?: string }
+ */
+export const addScanToLot = (lot, input, { rank, color = '', index = buildProductCodeIndex() } = {}) => {
+  const parsed = parseScanInput(input, rank);
+  if (!parsed.code) {
+    return { success: false, error: '商品コードを入力してください' };
+  }
+  if (!RANKS.includes(parsed.rank)) {
+    return { success: false, error: 'ランクを選択してください' };
+  }
+
+  const product = index[parsed.code];
+  if (!product) {
+    return { success: false, error: `商品コード「${parsed.code}」は登録されていません` };
+  }
+  if (product.ambiguous) {
+    return { success: false, error: `商品コード「${parsed.code}」は複数の機種に該当します。通常の商品追加から登録してください` };
+  }
+
+  // ソフトにカラーはない
+  const entryColor = product.productType === 'software' ? '' : color;
+  const key = getEntryKey({ productCode: parsed.code, color: entryColor, rank: parsed.rank });
+  const existing = lot.entries.find(entry => entry.key === key);
+
+  let entry;
+  let entries;
+  if (existing) {
+    entry = { ...existing, quantity: existing.quantity + 1 };
+    entries = lot.entries.map(e => e.key === key ? entry : e);
+  } else {
+    entry = {
+      key,
+      productCode: parsed.code,
+      ...product,
+      color: entryColor,
+      rank: parsed.rank,
+      quantity: 1,
+      unitPrice: getBuybackBasePrice(parsed.code, parsed.rank)
+    };
+    entries = [...lot.entries, entry];
+  }
+
+  return { success: true, lot: { ...lot, entries }, entry };
+};
+
+/**
+ * 集計行の数量を変更（0以下で行を削除）
+ * @param {object} lot - まとめ査定
+ * @param {string} key - 集計行のキー
+ * @param {number} quantity - 数量
+ * @returns {object} - まとめ査定
+ */
+export const setLotEntryQuantity = (lot, key, quantity) => {
+  const qty = parseInt(quantity) || 0;
+  return {
+    ...lot,
+    entries: qty > 0
+      ? lot.entries.map(entry => entry.key === key ? { ...entry, quantity: qty } : entry)
+      : lot.entries.filter(entry => entry.key !== key)
+  };
+};
+
+/**
+ * 集計行の単価を変更
+ * @param {object} lot - まとめ査定
+ * @param {string} key - 集計行のキー
+ * @param {number} unitPrice - 単価
+ * @returns {object} - まとめ査定
+ */
+export const setLotEntryPrice = (lot, key, unitPrice) => ({
+  ...lot,
+  entries: lot.entries.map(entry => entry.key === key ? { ...entry, unitPrice: parseInt(unitPrice) || 0 } : entry)
+});
+
+/**
+ * 割引後の単価（10円未満切り捨て）
+ * @param {number} unitPrice - 単価
+ * @param {number} discountPercent - 割引率（%）
+ * @returns {number} - 割引後の単価
+ */
+export const getDiscountedUnitPrice = (unitPrice, discountPercent = 0) => {
+  const rate = Math.min(Math.max(Number(discountPercent) || 0, 0), 100);
+  return Math.floor(unitPrice * (100 - rate) / 100 / 10) * 10;
+};
+
+/**
+ * まとめ査定の合計を計算
+ * 割引は単価ごとに適用するため、合計は反映後の査定商品の合計と一致する
+ * @param {object} lot - まとめ査定
+ * @returns {object} - { itemCount, subtotal, discountAmount, total, unpricedCount }
+ */
+export const calculateLotTotals = (lot) => {
+  const entries = lot?.entries || [];
+  const itemCount = entries.reduce((sum, entry) => sum + entry.quantity, 0);
+  const subtotal = entries.reduce((sum, entry) => sum + entry.unitPrice * entry.quantity, 0);
+  const total = entries.reduce(
+    (sum, entry) => sum + getDiscountedUnitPrice(entry.unitPrice, lot.bundleDiscountPercent) * entry.quantity,
+    0
+  );
+
+  return {
+    itemCount,
+    subtotal,
+    discountAmount: subtotal - total,
+    total,
+    unpricedCount: entries.filter(entry => !(entry.unitPrice > 0)).length
+  };
+};
+
+/**
+ * まとめ査定を査定商品に変換
+ * @param {object} lot - まとめ査定
+ * @returns {array} - 査定商品の配列
+ */
+export const lotToItems = (lot) => {
+  return lot.entries.map((entry, index) => ({
+    id: `${lot.id}-${index}`,
+    productType: entry.productType,
+    productTypeLabel: entry.productType === 'console' ? 'ゲーム本体' : 'ゲームソフト',
+    manufacturer: entry.manufacturer,
+    manufacturerLabel: entry.manufacturerLabel,
+    console: entry.console,
+    consoleLabel: entry.consoleLabel,
+    color: entry.color,
+    colorLabel: entry.color,
+    softwareName: entry.productType === 'software' ? `${entry.manufacturerLabel} ソフト（まとめ）` : '',
+    condition: entry.rank,
+    conditionLabel: `まとめ査定（${entry.rank}）`,
+    quantity: entry.quantity,
+    assessedRank: entry.rank,
+    buybackPrice: getDiscountedUnitPrice(entry.unitPrice, lot.bundleDiscountPercent),
+    lotId: lot.id,
+    lotUnitPrice: entry.unitPrice
+  }));
+};
+
+/**
+ * まとめ査定を申込に反映した申込データを返す
+ * 反映済みのまとめ査定は lots に集計結果を残す
+ * @param {object} application - 申込データ
+ * @param {object} lot - まとめ査定
+ * @param {string} performedBy - 実行者
+ * @returns {object} - { success: boolean, application?: object, error?: string }
+ */
+export const applyLotToApplication = (application, lot, performedBy = '') => {
+  if (!lot || lot.entries.length === 0) {
+    return { success: false, error: 'まとめ査定に商品がありません' };
+  }
+
+  const totals = calculateLotTotals(lot);
+  if (totals.unpricedCount > 0) {
+    return { success: false, error: `単価が未設定の行が${totals.unpricedCount}件あります` };
+  }
+
+  return {
+    success: true,
+    application: {
+      ...application,
+      items: [...(application.items || []), ...lotToItems(lot)],
+      lotDraft: null,
+      lots: [
+        ...(application.lots || []),
+        {
+          id: lot.id,
+          bundleDiscountPercent: Number(lot.bundleDiscountPercent) || 0,
+          ...totals,
+          appliedAt: new Date().toISOString(),
+          appliedBy: performedBy
+        }
+      ]
+    }
+  };
+};
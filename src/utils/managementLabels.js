@@ -0,0 +1,179 @@
+// 管理番号ラベルの印刷データ作成とCode128のエンコード
+// 管理番号（例: ヤマダ_N01_20241017_01）はカタカナを含むことがあり、Code128で表せない場合はQRコードで印刷する
+
+import { parseManagementNumber } from './productCodeGenerator';
+
+// ラベルのレイアウト（寸法はmm）
+export const LABEL_LAYOUTS = {
+  a4: {
+    label: 'A4シート（3列×8段・24面）',
+    pageSize: 'A4',
+    columns: 3,
+    rows: 8,
+    width: 70,
+    height: 37.1
+  },
+  roll62: {
+    label: '62mm感熱ロール（62×29mm）',
+    pageSize: '62mm 29mm',
+    columns: 1,
+    rows: 1,
+    width: 62,
+    height: 29
+  }
+};
+
+export const LABEL_SYMBOLOGIES = {
+  code128: { label: 'バーコード（Code128）' },
+  qr: { label: 'QRコード' }
+};
+
+// Code128の各シンボルのバー・スペース幅（値0〜105、106はストップ）
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE_B = 100;
+const CODE_C = 99;
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+/**
+ * Code128で表せる文字列かどうか（ASCIIの印字可能文字のみ）
+ * @param {string} text - 文字列
+ * @returns {boolean}
+ */
+export const canEncodeCode128 = (text) => /^[\x20-\x7E]+$/.test(text || '');
+
+/**
+ * 文字列をCode128のシンボル値に変換
+ * 4桁以上続く数字はコードCで2桁ずつ、それ以外はコードBで表す
+ * @param {string} text - 文字列
+ * @returns {array} - シンボル値の配列（スタート・チェック・ストップを含む）
+ */
+const toCode128Values = (text) => {
+  const values = [];
+  let currentSet = null;
+  let i = 0;
+
+  while (i < text.length) {
+    const digitRun = /^\d*/.exec(text.slice(i))[0].length;
+
+    if (digitRun >= 4) {
+      // 奇数桁の場合は先頭の1桁をコードBで出す
+      if (digitRun % 2 === 1) {
+        if (currentSet !== 'B') {
+          values.push(currentSet === null ? START_B : CODE_B);
+          currentSet = 'B';
+        }
+        values.push(text.charCodeAt(i) - 32);
+        i += 1;
+      }
+      if (currentSet !== 'C') {
+        values.push(currentSet === null ? START_C : CODE_C);
+        currentSet = 'C';
+      }
+      const end = i + digitRun - (digitRun % 2);
+      for (; i < end; i += 2) {
+        values.push(parseInt(text.substr(i, 2), 10));
+      }
+    } else {
+      if (currentSet !== 'B') {
+        values.push(currentSet === null ? START_B : CODE_B);
+        currentSet = 'B';
+      }
+      values.push(text.charCodeAt(i) - 32);
+      i += 1;
+    }
+  }
+
+  // チェックキャラクタ（スタートは重み1、以降は位置が重み）
+  const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+  return [...values, checksum, STOP];
+};
+
+/**
+ * 文字列をCode128のバー・スペース幅の配列に変換
+ * @param {string} text - 文字列
+ * @returns {array|null} - 幅の配列（先頭がバー、以降バーとスペースが交互）。表せない文字を含む場合はnull
+ */
+export const encodeCode128 = (text) => {
+  if (!canEncodeCode128(text)) return null;
+
+  return toCode128Values(text)
+    .flatMap(value => CODE128_PATTERNS[value].split('').map(Number));
+};
+
+/**
+ * 管理番号からラベル1枚分のデータを作成
+ * @param {string} managementNumber - 管理番号
+ * @param {object} item - 査定商品または在庫データ
+ * @returns {object} - { managementNumber, title, details, dateCode }
+ */
+const toLabel = (managementNumber, item) => {
+  const parsed = parseManagementNumber(managementNumber);
+  const title = item.productType === 'software'
+    ? item.softwareName || item.consoleLabel || 'ソフト'
+    : item.consoleLabel || item.title || 'ゲーム商品';
+
+  return {
+    managementNumber,
+    title,
+    details: [item.colorLabel || item.color, item.assessedRank ? `${item.assessedRank}ランク` : '']
+      .filter(Boolean)
+      .join(' / '),
+    dateCode: parsed?.dateCode || ''
+  };
+};
+
+/**
+ * 査定商品と採番済みの管理番号からラベルを作成
+ * @param {array} items - 査定商品の配列
+ * @param {object} managementNumbersByItem - { [itemId]: [管理番号] }
+ * @returns {array} - ラベルの配列
+ */
+export const buildItemLabels = (items, managementNumbersByItem) => {
+  return items.flatMap(item =>
+    (managementNumbersByItem[item.id] || item.managementNumbers || []).map(number => toLabel(number, item))
+  );
+};
+
+/**
+ * 在庫の管理番号からラベルを作成
+ * @param {object} inventoryItem - 在庫データ
+ * @returns {array} - ラベルの配列
+ */
+export const buildInventoryLabels = (inventoryItem) => {
+  return (inventoryItem.managementNumbers || []).map(number => toLabel(number, inventoryItem));
+};
+
+/**
+ * ラベルをページごとに分割
+ * @param {array} labels - ラベルの配列
+ * @param {string} layoutKey - レイアウト
+ * @param {number} startPosition - 1ページ目の開始位置（使いかけのシート用、1から）
+ * @returns {array} - ページの配列（各ページはラベルまたはnull（空き）の配列）
+ */
+export const paginateLabels = (labels, layoutKey, startPosition = 1) => {
+  const layout = LABEL_LAYOUTS[layoutKey];
+  const perPage = layout.columns * layout.rows;
+  const skip = Math.min(Math.max(startPosition - 1, 0), perPage - 1);
+  const slots = [...Array(skip).fill(null), ...labels];
+
+  const pages = [];
+  for (let i = 0; i < slots.length; i += perPage) {
+    pages.push(slots.slice(i, i + perPage));
+  }
+  return pages;
+};
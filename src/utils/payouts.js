@@ -0,0 +1,525 @@
+// 買取代金のお支払い（銀行振込）の管理
+// お客様が登録した振込先口座をもとに振込予定を組み、全銀フォーマットの総合振込データを作成する
+// 支払記録は申込ごとに1件、振込データは複数の支払記録をまとめた振込バッチとして保存する
+// お客様の口座番号はサーバー（api/buyback/bank-account.js）で暗号化し、暗号文とマスク済みの番号のみ保存する
+
+import { getAuthHeader } from './jwt';
+import { calculateQuoteTotal } from './buybackStateMachine';
+import { getReturnDeduction } from './returnShipments';
+import { ACCOUNT_TYPES, toZenginKana, isZenginText, buildZenginRecords, encodeZenginRecords } from './zenginFormat';
+
+const PAYOUTS_STORAGE_KEY = 'buybackPayouts';
+const BATCHES_STORAGE_KEY = 'payoutBatches';
+const BANK_ACCOUNTS_STORAGE_KEY = 'customerBankAccounts';
+const SETTINGS_STORAGE_KEY = 'payoutSettings';
+const BANK_ACCOUNT_API_URL = '/api/buyback/bank-account';
+
+export const PAYOUT_STATUSES = {
+  awaiting_account: { label: '口座情報待ち', icon: '🏦' },
+  ready: { label: '振込待ち', icon: '⏳' },
+  scheduled: { label: '振込予定', icon: '📅' },
+  paid: { label: '振込完了', icon: '✅' }
+};
+
+// 支払対象となる申込のステータス
+const PAYABLE_STATUSES = ['approved', 'auto_approved', 'in_inventory'];
+
+/**
+ * 支払対象の申込かどうか
+ * @param {object} application - 申込データ
+ * @returns {boolean}
+ */
+export const isPayableApplication = (application) => PAYABLE_STATUSES.includes(application?.status);
+
+/**
+ * お支払い金額（買取金額 − 買取金額から差し引く返送料）
+ * @param {object} application - 申込データ
+ * @returns {number} - 金額
+ */
+export const calculatePayoutAmount = (application) => {
+  return Math.max(0, calculateQuoteTotal(application) - getReturnDeduction(application.applicationNumber));
+};
+
+// ========== 振込先口座 ==========
+
+/**
+ * 振込先口座を検証（暗号化済みの口座は口座番号の形式を検証済み）
+ * @param {object} account - { bankName, bankCode, branchName, branchCode, accountType, accountNumber | encryptedAccountNumber, accountHolderKana }
+ * @returns {string|null} - エラーメッセージ
+ */
+export const validateBankAccount = (account) => {
+  if (!account?.bankName || !/^\d{4}$/.test(account.bankCode || '')) {
+    return '銀行名と金融機関コード（4桁）を入力してください';
+  }
+  if (!account.branchName || !/^\d{3}$/.test(account.branchCode || '')) {
+    return '支店名と支店コード（3桁）を入力してください';
+  }
+  if (!ACCOUNT_TYPES[account.accountType]) {
+    return '口座種別を選択してください';
+  }
+  if (!account.encryptedAccountNumber && !/^\d{1,7}$/.test(account.accountNumber || '')) {
+    return '口座番号は7桁以内の数字で入力してください';
+  }
+  const holder = toZenginKana(account.accountHolderKana);
+  if (!holder.trim() || !isZenginText(holder)) {
+    return '口座名義はカタカナで入力してください';
+  }
+  return null;
+};
+
+/**
+ * 口座番号の下4桁以外を伏せる
+ * @param {string} accountNumber - 口座番号
+ * @returns {string}
+ */
+export const maskAccountNumber = (accountNumber = '') => {
+  return accountNumber.length > 4 ? `${'*'.repeat(accountNumber.length - 4)}${accountNumber.slice(-4)}` : accountNumber;
+};
+
+/**
+ * 振込先口座の表示用の口座番号（暗号化前に保存された口座は保存済みの番号を伏せる）
+ * @param {object} bankAccount - 振込先口座
+ * @returns {string}
+ */
+export const getMaskedAccountNumber = (bankAccount) => {
+  return bankAccount?.maskedAccountNumber || maskAccountNumber(bankAccount?.accountNumber);
+};
+
+const postBankAccountRequest = async (body) => {
+  const response = await fetch(BANK_ACCOUNT_API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...getAuthHeader()
+    },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+};
+
+/**
+ * 口座番号を暗号化した振込先口座を作成（平文の口座番号は含めない）
+ * @param {object} account - 振込先口座
+ * @returns {Promise<object>} - accountNumberの代わりに { encryptedAccountNumber, maskedAccountNumber } を持つ口座
+ */
+const secureBankAccount = async (account) => {
+  if (!account.accountNumber) {
+    return account;
+  }
+  const { accountNumber, ...rest } = account;
+  const result = await postBankAccountRequest({ action: 'encrypt', account_number: accountNumber });
+  return {
+    ...rest,
+    encryptedAccountNumber: result.encrypted_account_number,
+    maskedAccountNumber: result.masked_account_number
+  };
+};
+
+/**
+ * 口座番号を平文で保存していた支払記録・振込バッチ・登録済み口座を暗号化済みの口座に置き換える
+ * @returns {Promise<object>} - { success: boolean, error?: string }
+ */
+export const secureStoredBankAccounts = async () => {
+  const payouts = getPayouts();
+  const batches = getPayoutBatches();
+  const accounts = JSON.parse(localStorage.getItem(BANK_ACCOUNTS_STORAGE_KEY) || '{}');
+  const hasPlain = account => Boolean(account?.accountNumber);
+
+  if (!payouts.some(p => hasPlain(p.bankAccount))
+    && !batches.some(b => b.items.some(item => hasPlain(item.bankAccount)))
+    && !Object.values(accounts).some(hasPlain)) {
+    return { success: true };
+  }
+
+  try {
+    // 同じ口座番号は1回だけ暗号化する
+    const secured = new Map();
+    const secure = async (account) => {
+      if (!hasPlain(account)) return account;
+      const { accountNumber, ...rest } = account;
+      if (!secured.has(accountNumber)) {
+        secured.set(accountNumber, await secureBankAccount({ accountNumber }));
+      }
+      return { ...rest, ...secured.get(accountNumber) };
+    };
+
+    for (const payout of payouts) {
+      payout.bankAccount = await secure(payout.bankAccount);
+    }
+    for (const batch of batches) {
+      for (const item of batch.items) {
+        item.bankAccount = await secure(item.bankAccount);
+      }
+    }
+    for (const email of Object.keys(accounts)) {
+      accounts[email] = await secure(accounts[email]);
+    }
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  savePayouts(payouts);
+  savePayoutBatches(batches);
+  localStorage.setItem(BANK_ACCOUNTS_STORAGE_KEY, JSON.stringify(accounts));
+  return { success: true };
+};
+
+/**
+ * お客様が前回登録した振込先口座を取得
+ * @param {string} email - お客様のメールアドレス
+ * @returns {object|null} - 振込先口座
+ */
+export const getSavedBankAccount = (email) => {
+  const accounts = JSON.parse(localStorage.getItem(BANK_ACCOUNTS_STORAGE_KEY) || '{}');
+  return accounts[email] || null;
+};
+
+const saveBankAccountForCustomer = (email, account) => {
+  const accounts = JSON.parse(localStorage.getItem(BANK_ACCOUNTS_STORAGE_KEY) || '{}');
+  accounts[email] = account;
+  localStorage.setItem(BANK_ACCOUNTS_STORAGE_KEY, JSON.stringify(accounts));
+};
+
+// ========== 支払記録 ==========
+
+/**
+ * 全支払記録を取得
+ * @returns {array} - 支払記録の配列
+ */
+export const getPayouts = () => {
+  return JSON.parse(localStorage.getItem(PAYOUTS_STORAGE_KEY) || '[]');
+};
+
+/**
+ * 全支払記録を保存
+ * @param {array} payouts - 支払記録の配列
+ */
+export const savePayouts = (payouts) => {
+  localStorage.setItem(PAYOUTS_STORAGE_KEY, JSON.stringify(payouts));
+};
+
+/**
+ * 申込の支払記録を取得
+ * @param {string} applicationNumber - 申込番号
+ * @returns {object|null} - 支払記録
+ */
+export const getPayoutForApplication = (applicationNumber) => {
+  return getPayouts().find(p => p.applicationNumber === applicationNumber) || null;
+};
+
+/**
+ * 申込の支払状況を取得（支払記録がない支払対象の申込は口座情報待ち）
+ * @param {object} application - 申込データ
+ * @returns {string|null} - PAYOUT_STATUSESのキー
+ */
+export const getPayoutStatus = (application) => {
+  if (!isPayableApplication(application)) return null;
+  return getPayoutForApplication(application.applicationNumber)?.status || 'awaiting_account';
+};
+
+const appendHistory = (record, action, performedBy, note = '') => ({
+  ...record,
+  history: [
+    ...(record.history || []),
+    { action, date: new Date().toISOString(), performedBy, note }
+  ]
+});
+
+/**
+ * 振込先口座を登録（振込予定が組まれた後は変更できない）
+ * 口座番号はサーバーで暗号化してから保存する
+ * @param {object} application - 申込データ
+ * @param {object} account - 振込先口座（平文の口座番号、または登録済み口座の暗号化済み口座番号）
+ * @param {object} options - { performedBy, saveForNext }
+ * @returns {Promise<object>} - { success: boolean, payout?: object, error?: string }
+ */
+export const registerBankAccount = async (application, account, { performedBy = '', saveForNext = true } = {}) => {
+  if (!isPayableApplication(application)) {
+    return { success: false, error: '買取確定前の申込には口座を登録できません' };
+  }
+
+  const error = validateBankAccount(account);
+  if (error) {
+    return { success: false, error };
+  }
+
+  let bankAccount;
+  try {
+    bankAccount = await secureBankAccount({
+      bankName: account.bankName.trim(),
+      bankCode: account.bankCode,
+      branchName: account.branchName.trim(),
+      branchCode: account.branchCode,
+      accountType: account.accountType,
+      ...(account.accountNumber
+        ? { accountNumber: account.accountNumber }
+        : { encryptedAccountNumber: account.encryptedAccountNumber, maskedAccountNumber: account.maskedAccountNumber }),
+      accountHolderKana: toZenginKana(account.accountHolderKana).trim()
+    });
+  } catch (error) {
+    return { success: false, error: `口座番号の暗号化に失敗しました: ${error.message}` };
+  }
+
+  // 暗号化の完了後に読み込み、その間に組まれた振込予定を上書きしない
+  const payouts = getPayouts();
+  const index = payouts.findIndex(p => p.applicationNumber === application.applicationNumber);
+  if (index !== -1 && payouts[index].status !== 'ready') {
+    return { success: false, error: '振込手続き中のため口座情報は変更できません' };
+  }
+
+  const now = new Date().toISOString();
+  const payout = appendHistory(
+    index !== -1
+      ? { ...payouts[index], bankAccount, updatedAt: now }
+      : {
+          id: `PAY-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+          applicationNumber: application.applicationNumber,
+          customer: {
+            name: application.customer?.name || '',
+            email: application.customer?.email || ''
+          },
+          status: 'ready',
+          bankAccount,
+          amount: calculatePayoutAmount(application),
+          batchId: null,
+          scheduledDate: null,
+          paidAt: null,
+          createdAt: now
+        },
+    index !== -1 ? 'account_updated' : 'account_registered',
+    performedBy,
+    `${bankAccount.bankName} ${bankAccount.branchName} ${bankAccount.maskedAccountNumber}`
+  );
+
+  if (index !== -1) {
+    payouts[index] = payout;
+  } else {
+    payouts.push(payout);
+  }
+  savePayouts(payouts);
+
+  if (saveForNext && application.customer?.email) {
+    saveBankAccountForCustomer(application.customer.email, bankAccount);
+  }
+
+  return { success: true, payout };
+};
+
+// ========== 振込依頼人の設定 ==========
+
+/**
+ * 振込依頼人（当社口座）の設定を取得
+ * @returns {object} - { requesterCode, requesterName, bankCode, bankName, branchCode, branchName, accountType, accountNumber }
+ */
+export const getPayoutSettings = () => {
+  return {
+    requesterCode: '',
+    requesterName: '',
+    bankCode: '',
+    bankName: '',
+    branchCode: '',
+    branchName: '',
+    accountType: '1',
+    accountNumber: '',
+    ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}')
+  };
+};
+
+/**
+ * 振込依頼人の設定を保存
+ * @param {object} settings - 設定
+ * @returns {object} - { success: boolean, error?: string }
+ */
+export const savePayoutSettings = (settings) => {
+  if (!/^\d{1,10}$/.test(settings.requesterCode || '')) {
+    return { success: false, error: '委託者コードは10桁以内の数字で入力してください' };
+  }
+  const requesterName = toZenginKana(settings.requesterName).trim();
+  if (!requesterName || !isZenginText(requesterName)) {
+    return { success: false, error: '委託者名はカタカナ・英数字で入力してください' };
+  }
+  const accountError = validateBankAccount({ ...settings, accountHolderKana: requesterName });
+  if (accountError) {
+    return { success: false, error: accountError };
+  }
+
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ ...settings, requesterName }));
+  return { success: true };
+};
+
+// ========== 振込バッチ ==========
+
+/**
+ * 全振込バッチを取得
+ * @returns {array} - 振込バッチの配列
+ */
+export const getPayoutBatches = () => {
+  return JSON.parse(localStorage.getItem(BATCHES_STORAGE_KEY) || '[]');
+};
+
+const savePayoutBatches = (batches) => {
+  localStorage.setItem(BATCHES_STORAGE_KEY, JSON.stringify(batches));
+};
+
+/**
+ * 振込待ちの申込をまとめて振込予定にする
+ * 金額は作成時点の申込内容で確定する
+ * @param {array} applications - 申込データの配列
+ * @param {object} options - { transferDate: 'YYYY-MM-DD', createdBy }
+ * @returns {object} - { success: boolean, batch?: object, error?: string }
+ */
+export const createPayoutBatch = (applications, { transferDate, createdBy = '' } = {}) => {
+  if (applications.length === 0) {
+    return { success: false, error: '振込する申込を選択してください' };
+  }
+  if (!transferDate) {
+    return { success: false, error: '振込指定日を入力してください' };
+  }
+
+  const settings = getPayoutSettings();
+  if (!settings.requesterCode) {
+    return { success: false, error: '振込依頼人（当社口座）の設定を先に登録してください' };
+  }
+
+  const payouts = getPayouts();
+  const targets = [];
+  for (const application of applications) {
+    const index = payouts.findIndex(p => p.applicationNumber === application.applicationNumber);
+    if (index === -1 || payouts[index].status !== 'ready') {
+      return { success: false, error: `${application.applicationNumber} は振込待ちではありません` };
+    }
+    const amount = calculatePayoutAmount(application);
+    if (amount <= 0) {
+      return { success: false, error: `${application.applicationNumber} のお支払い金額が0円です` };
+    }
+    targets.push({ index, amount });
+  }
+
+  const now = new Date().toISOString();
+  const batch = {
+    id: `BATCH-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    transferDate,
+    status: 'scheduled',
+    items: targets.map(({ index, amount }) => ({
+      payoutId: payouts[index].id,
+      applicationNumber: payouts[index].applicationNumber,
+      customerName: payouts[index].customer.name,
+      bankAccount: payouts[index].bankAccount,
+      amount
+    })),
+    totalAmount: targets.reduce((sum, { amount }) => sum + amount, 0),
+    createdAt: now,
+    createdBy,
+    paidAt: null
+  };
+
+  targets.forEach(({ index, amount }) => {
+    payouts[index] = appendHistory(
+      { ...payouts[index], status: 'scheduled', amount, batchId: batch.id, scheduledDate: transferDate, updatedAt: now },
+      'scheduled',
+      createdBy,
+      `振込指定日 ${transferDate}`
+    );
+  });
+  savePayouts(payouts);
+  savePayoutBatches([...getPayoutBatches(), batch]);
+
+  return { success: true, batch };
+};
+
+/**
+ * 振込バッチの全銀フォーマットデータを作成
+ * 口座番号はサーバーで復号する（復号の記録は個人情報の閲覧記録に残る）
+ * @param {object} batch - 振込バッチ
+ * @returns {Promise<Uint8Array>} - Shift_JISのバイト列
+ */
+export const buildBatchZenginFile = async (batch) => {
+  const encryptedNumbers = batch.items.map(item => item.bankAccount.encryptedAccountNumber);
+  if (encryptedNumbers.some(value => !value)) {
+    throw new Error('口座番号が暗号化されていない振込先があります。画面を再読み込みしてください');
+  }
+  const { account_numbers: accountNumbers } = await postBankAccountRequest({
+    action: 'export',
+    batch_id: batch.id,
+    encrypted_numbers: encryptedNumbers
+  });
+
+  const [year, month, day] = batch.transferDate.split('-').map(Number);
+  const records = buildZenginRecords(
+    getPayoutSettings(),
+    batch.items.map((item, i) => ({
+      ...item.bankAccount,
+      accountNumber: accountNumbers[i],
+      amount: item.amount,
+      customerCode: item.applicationNumber.replace(/\D/g, '').slice(-10)
+    })),
+    new Date(year, month - 1, day)
+  );
+  return encodeZenginRecords(records);
+};
+
+const updateBatch = (batchId, status, performedBy, payoutUpdater, action, note) => {
+  const batches = getPayoutBatches();
+  const batchIndex = batches.findIndex(b => b.id === batchId);
+  if (batchIndex === -1) {
+    return { success: false, error: '振込バッチが見つかりません' };
+  }
+  if (batches[batchIndex].status !== 'scheduled') {
+    return { success: false, error: 'この振込バッチは既に処理済みです' };
+  }
+
+  const now = new Date().toISOString();
+  batches[batchIndex] = {
+    ...batches[batchIndex],
+    status,
+    ...(status === 'paid' ? { paidAt: now, paidBy: performedBy } : { cancelledAt: now, cancelledBy: performedBy })
+  };
+  savePayoutBatches(batches);
+
+  savePayouts(getPayouts().map(payout =>
+    payout.batchId === batchId
+      ? appendHistory({ ...payoutUpdater(payout, now), updatedAt: now }, action, performedBy, note)
+      : payout
+  ));
+
+  return { success: true, batch: batches[batchIndex] };
+};
+
+/**
+ * 振込バッチを振込完了にする
+ * @param {string} batchId - 振込バッチID
+ * @param {string} performedBy - 実行者
+ * @returns {object} - { success: boolean, batch?: object, error?: string }
+ */
+export const markBatchPaid = (batchId, performedBy = '') => {
+  return updateBatch(
+    batchId,
+    'paid',
+    performedBy,
+    (payout, now) => ({ ...payout, status: 'paid', paidAt: now }),
+    'paid'
+  );
+};
+
+/**
+ * 振込バッチを取り消して振込待ちに戻す（銀行へ送信前のみ）
+ * @param {string} batchId - 振込バッチID
+ * @param {string} performedBy - 実行者
+ * @returns {object} - { success: boolean, batch?: object, error?: string }
+ */
+export const cancelPayoutBatch = (batchId, performedBy = '') => {
+  return updateBatch(
+    batchId,
+    'cancelled',
+    performedBy,
+    payout => ({ ...payout, status: 'ready', batchId: null, scheduledDate: null }),
+    'unscheduled',
+    `振込バッチ ${batchId} を取消`
+  );
+};
@@ -0,0 +1,185 @@
+// 古物台帳の提出用出力（古物営業法第16条の記載事項に沿った様式）
+// 仕入・販売の各取引を1行とし、警察の立入検査時にそのまま提示できるCSV・印刷用ページを作成する
+
+import { formatIdentityVerification } from './identityVerification';
+
+/**
+ * 出力する列（印刷時は width の固定幅で表示する）
+ */
+export const POLICE_LEDGER_COLUMNS = [
+  { key: 'no', label: 'No.', width: '10mm' },
+  { key: 'date', label: '取引年月日', width: '22mm' },
+  { key: 'type', label: '区分', width: '12mm' },
+  { key: 'itemName', label: '品目', width: '32mm' },
+  { key: 'features', label: '特徴', width: '32mm' },
+  { key: 'quantity', label: '数量', width: '12mm' },
+  { key: 'price', label: '代価', width: '20mm' },
+  { key: 'address', label: '相手方の住所', width: '32mm' },
+  { key: 'name', label: '相手方の氏名', width: '26mm' },
+  { key: 'occupation', label: '職業', width: '16mm' },
+  { key: 'age', label: '年齢', width: '10mm' },
+  { key: 'verification', label: '確認方法', width: '33mm' },
+  { key: 'remarks', label: '備考', width: '24mm' }
+];
+
+// A4横・固定列幅で1ページに収まる行数
+export const POLICE_LEDGER_ROWS_PER_PAGE = 15;
+
+// ローカル日付のキー（YYYY-MM-DD）
+const toDateKey = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * 取引日時点の年齢
+ * @param {string} birthDate - 生年月日
+ * @param {string} atDate - 取引日
+ * @returns {string} - 年齢（不明な場合は空文字）
+ */
+export const calculateAgeAt = (birthDate, atDate) => {
+  const birth = new Date(birthDate);
+  const at = new Date(atDate);
+  if (!birthDate || Number.isNaN(birth.getTime()) || Number.isNaN(at.getTime())) return '';
+
+  let age = at.getFullYear() - birth.getFullYear();
+  if (at.getMonth() < birth.getMonth() || (at.getMonth() === birth.getMonth() && at.getDate() < birth.getDate())) {
+    age--;
+  }
+  return String(age);
+};
+
+const getItemName = (product = {}) => {
+  if (product.productType === 'software') {
+    return [product.softwareName, product.consoleLabel && `（${product.consoleLabel}）`].filter(Boolean).join('');
+  }
+  return [product.manufacturerLabel, product.consoleLabel || product.title].filter(Boolean).join(' ') || product.title || 'ゲーム商品';
+};
+
+const getFeatures = (product = {}, managementNumbers = [], serialNumbers = []) => {
+  return [
+    product.colorLabel || product.color,
+    product.assessedRank && `ランク${product.assessedRank}`,
+    product.accessoriesLabel,
+    managementNumbers.length > 0 && `管理番号: ${managementNumbers.join(' ')}`,
+    serialNumbers.length > 0 && `製造番号: ${serialNumbers.join(' ')}`
+  ].filter(Boolean).join(' / ');
+};
+
+const formatAddress = (party = {}) => {
+  return [party.postalCode && `〒${party.postalCode}`, party.address, party.country].filter(Boolean).join(' ');
+};
+
+/**
+ * 台帳記録から提出用の行を作成（仕入・販売の取引ごとに1行、取引日順。取り消した取引も区分に明記して残す）
+ * @param {array} records - ledgerRecords の記録
+ * @param {object} options - { dateFrom: 'YYYY-MM-DD', dateTo: 'YYYY-MM-DD' }
+ * @returns {array} - 行の配列（POLICE_LEDGER_COLUMNS の key を持つ）
+ */
+export const buildPoliceLedgerRows = (records, { dateFrom = '', dateTo = '' } = {}) => {
+  const inRange = (date) => {
+    const key = toDateKey(date);
+    if (!key) return false;
+    if (dateFrom && key < dateFrom) return false;
+    if (dateTo && key > dateTo) return false;
+    return true;
+  };
+
+  const rows = [];
+
+  records.forEach(record => {
+    const product = record.product || {};
+    const watchlistTexts = (record.watchlistNotes || []).map(note => note.text);
+
+    (record.purchase?.events || []).forEach(event => {
+      if (!inRange(event.date)) return;
+      const customer = event.customer || product.customer;
+      const supplier = event.supplier || product.supplier;
+      const party = customer || supplier || {};
+
+      rows.push({
+        sortDate: event.date,
+        date: toDateKey(event.date),
+        type: event.voided ? '受入（取消）' : '受入',
+        itemName: getItemName(product),
+        features: getFeatures(product, record.managementNumbers || [], event.serialNumbers || record.serialNumbers || []),
+        quantity: event.quantity,
+        price: event.totalCostJPY,
+        address: formatAddress(party),
+        name: party.name || '',
+        occupation: customer ? (customer.occupation || '') : (supplier ? '古物商' : ''),
+        age: customer ? calculateAgeAt(customer.birthDate, event.date) : '',
+        verification: event.identityVerification
+          ? formatIdentityVerification(event.identityVerification)
+          : (customer ? '未記録' : ''),
+        // 品触れ照合の結果（仕入時の照合と、その後に記録した確認結果）
+        remarks: [event.watchlistNote?.text, ...watchlistTexts].filter(Boolean).join(' ／ ')
+      });
+    });
+
+    (record.sale?.events || []).forEach(event => {
+      if (!inRange(event.date)) return;
+      const buyer = typeof event.buyer === 'string' ? { name: event.buyer } : (event.buyer || {});
+
+      rows.push({
+        sortDate: event.date,
+        date: toDateKey(event.date),
+        type: event.voided ? '払出（取消）' : '払出',
+        itemName: getItemName(product),
+        features: getFeatures(
+          product,
+          event.managementNumbers?.length > 0 ? event.managementNumbers : record.managementNumbers || [],
+          event.serialNumbers || []
+        ),
+        quantity: event.quantity,
+        price: event.totalPriceJPY,
+        address: formatAddress(buyer),
+        name: buyer.name || buyer.companyName || '',
+        occupation: buyer.occupation || '',
+        age: '',
+        verification: '',
+        remarks: ''
+      });
+    });
+  });
+
+  rows.sort((a, b) => new Date(a.sortDate) - new Date(b.sortDate));
+  return rows.map((row, index) => ({ ...row, no: index + 1 }));
+};
+
+/**
+ * CSVの値をエスケープ
+ * @param {*} value - 値
+ * @returns {string}
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * 提出用CSVを作成（BOM付きUTF-8、Excelで開ける形式）
+ * @param {array} rows - buildPoliceLedgerRows の結果
+ * @returns {string} - CSV文字列
+ */
+export const toPoliceLedgerCsv = (rows) => {
+  const header = POLICE_LEDGER_COLUMNS.map(column => escapeCsv(column.label)).join(',');
+  const lines = rows.map(row => POLICE_LEDGER_COLUMNS.map(column => escapeCsv(row[column.key])).join(','));
+  return '\ufeff' + [header, ...lines].join('\r\n');
+};
+
+/**
+ * 印刷用にページ分割
+ * @param {array} rows - 行の配列
+ * @param {number} rowsPerPage - 1ページの行数
+ * @returns {array} - ページ（行の配列）の配列。行がない場合も空ページを1つ返す
+ */
+export const paginatePoliceLedger = (rows, rowsPerPage = POLICE_LEDGER_ROWS_PER_PAGE) => {
+  const pages = [];
+  for (let i = 0; i < rows.length; i += rowsPerPage) {
+    pages.push(rows.slice(i, i + rowsPerPage));
+  }
+  return pages.length > 0 ? pages : [[]];
+};
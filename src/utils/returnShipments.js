@@ -0,0 +1,253 @@
+// 買取不成立・返品希望の商品をお客様へ返送する手続きの管理
+// 返送記録は申込ごとに1件で、お客様が受け取りを確認するまで追跡する
+
+import { getStatusLabel, isItemReturned } from './buybackStateMachine';
+
+const RETURNS_STORAGE_KEY = 'returnShipments';
+
+export const RETURN_STATUSES = {
+  preparing: { label: '返送準備中', icon: '📦' },
+  shipped: { label: '返送済み', icon: '🚚' },
+  received: { label: '受取確認済み', icon: '✅' }
+};
+
+// 返送料の負担方法
+export const RETURN_COST_BEARERS = {
+  deduct: { label: '買取金額から差し引く' },
+  cash_on_delivery: { label: 'お客様負担（着払い）' },
+  company: { label: '当社負担' }
+};
+
+export const RETURN_CARRIERS = ['ヤマト運輸', '佐川急便', '日本郵便'];
+
+/**
+ * 全返送記録を取得
+ * @returns {array} - 返送記録の配列
+ */
+export const getReturnShipments = () => {
+  return JSON.parse(localStorage.getItem(RETURNS_STORAGE_KEY) || '[]');
+};
+
+/**
+ * 全返送記録を保存
+ * @param {array} returns - 返送記録の配列
+ */
+export const saveReturnShipments = (returns) => {
+  localStorage.setItem(RETURNS_STORAGE_KEY, JSON.stringify(returns));
+};
+
+/**
+ * 申込の返送記録を取得
+ * @param {string} applicationNumber - 申込番号
+ * @returns {object|null} - 返送記録
+ */
+export const getReturnForApplication = (applicationNumber) => {
+  return getReturnShipments().find(r => r.applicationNumber === applicationNumber) || null;
+};
+
+/**
+ * 返送対象の商品を取得
+ * 買取不成立の場合は全商品、それ以外はお客様が返品を希望した商品
+ * @param {object} application - 申込データ
+ * @returns {array} - 商品の配列
+ */
+export const getItemsToReturn = (application) => {
+  const items = application?.items || [];
+  return application?.status === 'rejected' ? items : items.filter(isItemReturned);
+};
+
+/**
+ * 返送が必要な申込かどうか
+ * 返品希望の商品は買取確定後（または不成立）に返送する
+ * @param {object} application - 申込データ
+ * @returns {boolean}
+ */
+export const needsReturnShipment = (application) => {
+  if (!application) return false;
+  if (application.status === 'rejected') {
+    return getItemsToReturn(application).length > 0;
+  }
+  return ['approved', 'auto_approved', 'in_inventory'].includes(application.status) &&
+    getItemsToReturn(application).length > 0;
+};
+
+const appendHistory = (record, action, performedBy, note = '') => ({
+  ...record,
+  history: [
+    ...(record.history || []),
+    { action, date: new Date().toISOString(), performedBy, note }
+  ]
+});
+
+const updateRecord = (returnId, updater) => {
+  const returns = getReturnShipments();
+  const index = returns.findIndex(r => r.id === returnId);
+  if (index === -1) {
+    return { success: false, error: '返送記録が見つかりません' };
+  }
+
+  const result = updater(returns[index]);
+  if (result.error) {
+    return { success: false, error: result.error };
+  }
+
+  returns[index] = { ...result.record, updatedAt: new Date().toISOString() };
+  saveReturnShipments(returns);
+  return { success: true, returnShipment: returns[index] };
+};
+
+/**
+ * 返送記録を作成
+ * @param {object} application - 申込データ
+ * @param {object} options - { shippingCost, costBearer, createdBy, notes }
+ * @returns {object} - { success: boolean, returnShipment?: object, error?: string }
+ */
+export const createReturnShipment = (application, { shippingCost = 0, costBearer = 'deduct', createdBy = '', notes = '' } = {}) => {
+  if (!needsReturnShipment(application)) {
+    return { success: false, error: '返送対象の商品がありません' };
+  }
+  if (getReturnForApplication(application.applicationNumber)) {
+    return { success: false, error: 'この申込の返送記録は既に作成されています' };
+  }
+  if (!RETURN_COST_BEARERS[costBearer]) {
+    return { success: false, error: '返送料の負担方法を選択してください' };
+  }
+
+  const cost = parseInt(shippingCost) || 0;
+  if (cost < 0) {
+    return { success: false, error: '返送料は0円以上で入力してください' };
+  }
+  if (costBearer === 'deduct' && application.status === 'rejected' && cost > 0) {
+    return { success: false, error: '買取不成立のため買取金額から差し引けません。着払いまたは当社負担を選択してください' };
+  }
+
+  const now = new Date().toISOString();
+  const record = appendHistory({
+    id: `RET-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    applicationNumber: application.applicationNumber,
+    reason: application.status === 'rejected' ? 'rejected' : 'partial_return',
+    applicationStatus: application.status,
+    customer: {
+      name: application.customer?.name || '',
+      email: application.customer?.email || '',
+      phone: application.customer?.phone || '',
+      postalCode: application.customer?.postalCode || '',
+      address: application.customer?.address || ''
+    },
+    items: getItemsToReturn(application).map(item => ({
+      itemId: item.id,
+      productType: item.productType,
+      label: item.productType === 'software'
+        ? `${item.softwareName}（${item.consoleLabel}）`
+        : `${item.manufacturerLabel} - ${item.consoleLabel}`,
+      quantity: item.quantity,
+      assessedRank: item.assessedRank || ''
+    })),
+    status: 'preparing',
+    shippingCost: cost,
+    costBearer,
+    carrier: '',
+    trackingNumber: '',
+    notes,
+    createdAt: now,
+    createdBy,
+    shippedAt: null,
+    receivedAt: null
+  }, 'created', createdBy, `${getStatusLabel(application.status)}の申込から作成`);
+
+  const returns = getReturnShipments();
+  returns.push(record);
+  saveReturnShipments(returns);
+
+  return { success: true, returnShipment: record };
+};
+
+/**
+ * 発送前の返送料・負担方法を更新
+ * @param {string} returnId - 返送記録ID
+ * @param {object} patch - { shippingCost, costBearer, notes }
+ * @param {string} performedBy - 実行者
+ * @returns {object} - { success: boolean, returnShipment?: object, error?: string }
+ */
+export const updateReturnShipment = (returnId, patch, performedBy = '') => {
+  return updateRecord(returnId, record => {
+    if (record.status !== 'preparing') {
+      return { error: '発送済みの返送記録は変更できません' };
+    }
+    const costBearer = patch.costBearer ?? record.costBearer;
+    if (!RETURN_COST_BEARERS[costBearer]) {
+      return { error: '返送料の負担方法を選択してください' };
+    }
+    const shippingCost = patch.shippingCost !== undefined ? parseInt(patch.shippingCost) || 0 : record.shippingCost;
+    if (costBearer === 'deduct' && record.reason === 'rejected' && shippingCost > 0) {
+      return { error: '買取不成立のため買取金額から差し引けません' };
+    }
+    return {
+      record: appendHistory(
+        { ...record, shippingCost, costBearer, notes: patch.notes ?? record.notes },
+        'updated',
+        performedBy,
+        `返送料 ¥${shippingCost.toLocaleString()}（${RETURN_COST_BEARERS[costBearer].label}）`
+      )
+    };
+  });
+};
+
+/**
+ * 返送を発送済みにする
+ * @param {string} returnId - 返送記録ID
+ * @param {object} options - { carrier, trackingNumber, performedBy }
+ * @returns {object} - { success: boolean, returnShipment?: object, error?: string }
+ */
+export const markReturnShipped = (returnId, { carrier = '', trackingNumber = '', performedBy = '' } = {}) => {
+  return updateRecord(returnId, record => {
+    if (record.status !== 'preparing') {
+      return { error: 'この返送は既に発送済みです' };
+    }
+    if (!carrier) {
+      return { error: '配送業者を選択してください' };
+    }
+    if (!trackingNumber.trim()) {
+      return { error: '追跡番号を入力してください' };
+    }
+    return {
+      record: appendHistory(
+        { ...record, status: 'shipped', carrier, trackingNumber: trackingNumber.trim(), shippedAt: new Date().toISOString() },
+        'shipped',
+        performedBy,
+        `${carrier} ${trackingNumber.trim()}`
+      )
+    };
+  });
+};
+
+/**
+ * お客様の受け取り確認を記録
+ * @param {string} returnId - 返送記録ID
+ * @param {string} confirmedBy - 確認者
+ * @returns {object} - { success: boolean, returnShipment?: object, error?: string }
+ */
+export const confirmReturnReceived = (returnId, confirmedBy = '') => {
+  return updateRecord(returnId, record => {
+    if (record.status !== 'shipped') {
+      return { error: '発送前の返送は受け取り確認できません' };
+    }
+    return {
+      record: appendHistory(
+        { ...record, status: 'received', receivedAt: new Date().toISOString() },
+        'received',
+        confirmedBy
+      )
+    };
+  });
+};
+
+/**
+ * 買取金額から差し引く返送料
+ * @param {string} applicationNumber - 申込番号
+ * @returns {number} - 差引額
+ */
+export const getReturnDeduction = (applicationNumber) => {
+  const record = getReturnForApplication(applicationNumber);
+  return record && record.costBearer === 'deduct' ? record.shippingCost : 0;
+};
@@ -0,0 +1,369 @@
+// 海外販売リクエスト（salesRequests）のステータスの状態遷移定義
+// Sales.jsx / MyOrders.jsx / ZaicoSyncManager.jsx で共通利用する
+// 在庫の引当解除・台帳の取消などの副作用は salesOrders.js で行い、ここでは localStorage に依存しない
+
+import { createStatusAuditEntry } from './buybackStateMachine';
+
+/**
+ * ステータス定義
+ * order: 進捗の段階（進捗外のステータスはnull）
+ * customerLabel: お客様（MyOrders）向けの表示名
+ * holdsReservations: 在庫の引当を保持する状態
+ * closed: 取引が終了した状態（一覧では「完了した取引」に表示）
+ */
+export const SALES_ORDER_STATUSES = {
+  pending: { label: '見積もり待ち', customerLabel: 'Pending Quote', icon: '⏳', badgeClass: 'status-pending', order: 0, holdsReservations: false, closed: false },
+  quoted: { label: '見積もり送信済', customerLabel: 'Quote Received', icon: '📋', badgeClass: 'status-quoted', order: 1, holdsReservations: true, closed: false },
+  approved: { label: '承認済', customerLabel: 'Approved', icon: '✅', badgeClass: 'status-approved', order: 2, holdsReservations: true, closed: false },
+  payment_confirmed: { label: '入金確認済', customerLabel: 'Payment Confirmed', icon: '💳', badgeClass: 'status-payment', order: 3, holdsReservations: true, closed: false },
+  partially_shipped: { label: '一部発送済', customerLabel: 'Partially Shipped', icon: '🚚', badgeClass: 'status-partial', order: 4, holdsReservations: true, closed: false },
+  shipped: { label: '発送完了', customerLabel: 'Shipped', icon: '📦', badgeClass: 'status-shipped', order: 5, holdsReservations: false, closed: true },
+  on_hold: { label: '保留中', customerLabel: 'On Hold', icon: '⏸️', badgeClass: 'status-on-hold', order: null, holdsReservations: true, closed: false },
+  expired: { label: '見積もり期限切れ', customerLabel: 'Quote Expired', icon: '⌛', badgeClass: 'status-expired', order: null, holdsReservations: false, closed: true },
+  declined: { label: 'お客様辞退', customerLabel: 'Declined', icon: '🚫', badgeClass: 'status-declined', order: null, holdsReservations: false, closed: true },
+  cancelled: { label: 'キャンセル', customerLabel: 'Cancelled', icon: '❌', badgeClass: 'status-cancelled', order: null, holdsReservations: false, closed: true },
+  refunded: { label: '返金済', customerLabel: 'Refunded', icon: '💸', badgeClass: 'status-refunded', order: null, holdsReservations: false, closed: true }
+};
+
+// 保留から再開できるステータス
+const RESUMABLE_STATUSES = ['quoted', 'approved', 'payment_confirmed', 'partially_shipped'];
+
+// ========== 商品 ==========
+
+/**
+ * 商品の発送済み数量
+ * @param {object} item - リクエスト商品
+ * @returns {number}
+ */
+export const getShippedQuantity = (item) => Math.min(item?.shippedQuantity || 0, item?.quantity || 0);
+
+/**
+ * 商品の未発送数量
+ * @param {object} item - リクエスト商品
+ * @returns {number}
+ */
+export const getUnshippedQuantity = (item) => (item?.quantity || 0) - getShippedQuantity(item);
+
+/**
+ * 入荷待ち（未発送）の商品
+ * @param {object} order - リクエスト
+ * @returns {array} - [{ item, quantity }]
+ */
+export const getBackorderedItems = (order) => (order?.items || [])
+  .map(item => ({ item, quantity: getUnshippedQuantity(item) }))
+  .filter(line => line.quantity > 0);
+
+// ========== ガード・副作用 ==========
+
+const everyItemQuoted = (order) => {
+  const items = order?.items || [];
+  if (items.length === 0) {
+    return '商品が登録されていません';
+  }
+  if (!items.every(item => item.quotedPrice > 0)) {
+    return '全ての商品に販売単価を入力してください';
+  }
+  if (!String(order.deliveryDays || '').trim()) {
+    return '配送期間を入力してください';
+  }
+  return null;
+};
+
+const someItemsShipped = (order) => {
+  const items = order?.items || [];
+  if (!items.some(item => getShippedQuantity(item) > 0)) {
+    return '発送済みの商品がありません';
+  }
+  if (items.every(item => getUnshippedQuantity(item) === 0)) {
+    return '全ての商品が発送済みです。発送完了にしてください';
+  }
+  return null;
+};
+
+const everyItemShipped = (order) => {
+  const remaining = (order?.items || []).filter(item => getUnshippedQuantity(item) > 0);
+  if (remaining.length > 0) {
+    return `未発送の商品が${remaining.length}件あります`;
+  }
+  return null;
+};
+
+const isQuoteExpired = (order, date) => {
+  return Boolean(order?.quoteExpiresAt) && new Date(order.quoteExpiresAt) <= new Date(date);
+};
+
+const quoteStillValid = (order, context) => {
+  if (isQuoteExpired(order, context.date)) {
+    return `見積もりの有効期限（${new Date(order.quoteExpiresAt).toLocaleDateString('ja-JP')}）が過ぎています`;
+  }
+  return null;
+};
+
+const quoteExpired = (order, context) => {
+  if (!isQuoteExpired(order, context.date)) {
+    return '見積もりの有効期限が過ぎていません';
+  }
+  return null;
+};
+
+const paymentRecorded = (order) => {
+  if (!order?.paymentConfirmedAt) {
+    return '入金の記録がないため返金できません';
+  }
+  return null;
+};
+
+const reasonGiven = (order, context) => {
+  if (!String(context.note || '').trim()) {
+    return '理由を入力してください';
+  }
+  return null;
+};
+
+// 発送済みの商品がある保留はキャンセルできない（保留を解除して返金を記録する）
+const notShippedBeforeHold = (order) => {
+  if (['partially_shipped', 'shipped'].includes(order?.heldFromStatus)) {
+    return `保留前に「${getSalesOrderStatusLabel(order.heldFromStatus)}」のためキャンセルできません。保留を解除して返金を記録してください`;
+  }
+  return null;
+};
+
+// 保留は保留前のステータスにのみ戻せる
+const resumesTo = (status) => (order) => {
+  if (order?.heldFromStatus !== status) {
+    return `保留前のステータス（${getSalesOrderStatusLabel(order?.heldFromStatus)}）にのみ戻せます`;
+  }
+  return null;
+};
+
+const stampDate = (field) => (order, context) => ({
+  [field]: context.date
+});
+
+const recordReason = (field) => (order, context) => ({
+  [field]: String(context.note || '').trim()
+});
+
+const rememberHeldStatus = (order, context) => ({
+  heldFromStatus: order.status,
+  heldAt: context.date,
+  holdReason: String(context.note || '').trim()
+});
+
+const clearHeldStatus = (order, context) => ({
+  heldFromStatus: null,
+  resumedAt: context.date
+});
+
+/**
+ * 遷移定義
+ * to: 遷移先ステータス
+ * from: 遷移元として許可するステータス
+ * guards: (order, context) => エラーメッセージ | null
+ * effects: (order, context) => リクエストに追加で反映する項目
+ */
+export const SALES_ORDER_TRANSITIONS = [
+  {
+    to: 'quoted',
+    from: ['pending'],
+    guards: [everyItemQuoted],
+    effects: [stampDate('quotedAt')]
+  },
+  { to: 'approved', from: ['quoted'], guards: [quoteStillValid], effects: [stampDate('approvedAt')] },
+  { to: 'declined', from: ['quoted'], effects: [stampDate('declinedAt')] },
+  { to: 'expired', from: ['quoted'], guards: [quoteExpired], effects: [stampDate('expiredAt')] },
+  { to: 'payment_confirmed', from: ['approved'], effects: [stampDate('paymentConfirmedAt')] },
+  {
+    to: 'partially_shipped',
+    from: ['payment_confirmed', 'partially_shipped'],
+    guards: [someItemsShipped],
+    effects: [stampDate('partiallyShippedAt')]
+  },
+  {
+    to: 'shipped',
+    from: ['payment_confirmed', 'partially_shipped'],
+    guards: [everyItemShipped],
+    effects: [stampDate('shippedAt')]
+  },
+  {
+    to: 'on_hold',
+    from: RESUMABLE_STATUSES,
+    guards: [reasonGiven],
+    effects: [rememberHeldStatus]
+  },
+  ...RESUMABLE_STATUSES.map(status => ({
+    to: status,
+    from: ['on_hold'],
+    guards: [resumesTo(status)],
+    effects: [clearHeldStatus]
+  })),
+  {
+    to: 'cancelled',
+    from: ['pending', 'quoted', 'approved', 'payment_confirmed', 'on_hold'],
+    guards: [notShippedBeforeHold, reasonGiven],
+    effects: [stampDate('cancelledAt'), recordReason('cancelReason')]
+  },
+  {
+    to: 'refunded',
+    from: ['cancelled', 'partially_shipped', 'shipped'],
+    guards: [reasonGiven, paymentRecorded],
+    effects: [stampDate('refundedAt'), recordReason('refundReason')]
+  }
+];
+
+// ========== 表示用ヘルパー ==========
+
+/**
+ * ステータスの表示名を取得
+ * @param {string} status - ステータス
+ * @param {object} options - { withIcon: boolean, audience: 'staff'|'customer' }
+ * @returns {string} - 表示名
+ */
+export const getSalesOrderStatusLabel = (status, { withIcon = false, audience = 'staff' } = {}) => {
+  const definition = SALES_ORDER_STATUSES[status];
+  if (!definition) return status;
+
+  const label = audience === 'customer' ? definition.customerLabel : definition.label;
+  return withIcon ? `${definition.icon} ${label}` : label;
+};
+
+/**
+ * ステータスバッジのCSSクラスを取得
+ * @param {string} status - ステータス
+ * @returns {string} - CSSクラス名
+ */
+export const getSalesOrderStatusBadgeClass = (status) => {
+  return SALES_ORDER_STATUSES[status]?.badgeClass || 'status-default';
+};
+
+/**
+ * 取引が終了しているかどうか（発送完了・期限切れ・辞退・キャンセル・返金済）
+ * @param {string} status - ステータス
+ * @returns {boolean}
+ */
+export const isSalesOrderClosed = (status) => {
+  return SALES_ORDER_STATUSES[status]?.closed === true;
+};
+
+/**
+ * 在庫の引当を保持するステータスかどうか
+ * @param {string} status - ステータス
+ * @returns {boolean}
+ */
+export const holdsInventoryReservations = (status) => {
+  return SALES_ORDER_STATUSES[status]?.holdsReservations === true;
+};
+
+/**
+ * 進捗バーの段階
+ * status: この段階に対応するステータス（このステータスの順序以上で完了扱い）
+ */
+export const SALES_ORDER_PROGRESS_STEPS = [
+  { label: 'リクエスト受付', status: 'pending' },
+  { label: '見積もり作成', status: 'quoted' },
+  { label: '顧客承認', status: 'approved' },
+  { label: '入金確認', status: 'payment_confirmed' },
+  { label: '発送完了', status: 'shipped' }
+];
+
+/**
+ * 進捗バーの各段階の状態を取得
+ * 保留中は保留前のステータスで判定し、進捗外（期限切れ・辞退・キャンセル・返金済）は全て未完了とする
+ * @param {object} order - リクエスト（status, heldFromStatus）
+ * @param {number} index - SALES_ORDER_PROGRESS_STEPS のインデックス
+ * @returns {string} - 'completed' | 'current' | 'pending'
+ */
+export const getSalesOrderProgressStepState = (order, index) => {
+  const status = order?.status === 'on_hold' ? order.heldFromStatus : order?.status;
+  const current = SALES_ORDER_STATUSES[status]?.order;
+  if (current === null || current === undefined) return 'pending';
+
+  const step = SALES_ORDER_STATUSES[SALES_ORDER_PROGRESS_STEPS[index].status].order;
+  if (current >= step) return 'completed';
+  const previous = index > 0 ? SALES_ORDER_STATUSES[SALES_ORDER_PROGRESS_STEPS[index - 1].status].order : -1;
+  return current >= previous ? 'current' : 'pending';
+};
+
+// ========== 遷移処理 ==========
+
+/**
+ * 指定ステータスから遷移可能なステータス一覧を取得
+ * @param {string} status - 現在のステータス
+ * @returns {array} - 遷移先ステータスの配列
+ */
+export const getAllowedSalesOrderTransitions = (status) => {
+  return SALES_ORDER_TRANSITIONS
+    .filter(transition => transition.from.includes(status))
+    .map(transition => transition.to);
+};
+
+/**
+ * 遷移可否を判定
+ * @param {object} order - リクエストデータ（status, itemsを含む）
+ * @param {string} nextStatus - 遷移先ステータス
+ * @param {object} context - { date, performedBy, note }
+ * @returns {object} - { allowed: boolean, error: string|null }
+ */
+export const canTransitionSalesOrder = (order, nextStatus, context = {}) => {
+  const currentStatus = order?.status;
+
+  if (!SALES_ORDER_STATUSES[nextStatus]) {
+    return { allowed: false, error: `不明なステータスです: ${nextStatus}` };
+  }
+
+  const transition = SALES_ORDER_TRANSITIONS.find(t => t.to === nextStatus && t.from.includes(currentStatus));
+  if (!transition) {
+    const allowed = [...new Set(getAllowedSalesOrderTransitions(currentStatus))].map(s => getSalesOrderStatusLabel(s));
+    return {
+      allowed: false,
+      error: `「${getSalesOrderStatusLabel(currentStatus)}」から「${getSalesOrderStatusLabel(nextStatus)}」へは変更できません` +
+        (allowed.length > 0 ? `（変更可能: ${allowed.join('、')}）` : '（これ以上変更できないステータスです）')
+    };
+  }
+
+  for (const guard of transition.guards || []) {
+    const error = guard(order, context);
+    if (error) {
+      return { allowed: false, error };
+    }
+  }
+
+  return { allowed: true, error: null };
+};
+
+/**
+ * ステータスを遷移させた新しいリクエストデータを返す（元データは変更しない）
+ * @param {object} order - リクエストデータ
+ * @param {string} nextStatus - 遷移先ステータス
+ * @param {object} options - { patch: 遷移と同時に反映する項目, performedBy, role, note, date }
+ * @returns {object} - { success: boolean, order?: object, error?: string }
+ */
+export const transitionSalesOrder = (order, nextStatus, options = {}) => {
+  const { patch = {}, ...rest } = options;
+  const context = { ...rest, date: rest.date || new Date().toISOString() };
+  const candidate = { ...order, ...patch };
+
+  const { allowed, error } = canTransitionSalesOrder(candidate, nextStatus, context);
+  if (!allowed) {
+    return { success: false, error };
+  }
+
+  const transition = SALES_ORDER_TRANSITIONS.find(t => t.to === nextStatus && t.from.includes(order.status));
+  const effectPatch = (transition.effects || []).reduce(
+    (acc, effect) => ({ ...acc, ...effect(candidate, context) }),
+    {}
+  );
+
+  return {
+    success: true,
+    order: {
+      ...candidate,
+      ...effectPatch,
+      status: nextStatus,
+      statusHistory: [
+        ...(order.statusHistory || []),
+        createStatusAuditEntry(order.status, nextStatus, context)
+      ]
+    }
+  };
+};
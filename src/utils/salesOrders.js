@@ -0,0 +1,559 @@
+// 海外販売リクエスト（salesRequests）の保存とステータス変更に伴う処理
+// ステータスの遷移可否は salesOrderStateMachine.js で判定し、ここでは在庫の引当と台帳の取消を行う
+// 引当（reservations）は在庫の数量を減らさず、リクエストごとに「どの在庫を何点確保しているか」を記録する
+// 発送は分割でき（shipments）、発送した分だけ引当を消化し、残りは入荷待ちとして引当を保持する
+// 見積もり送信時の引当には有効期限（見積もりの有効期限）があり、お客様の承認前に期限が過ぎると解除される
+
+import {
+  transitionSalesOrder,
+  canTransitionSalesOrder,
+  holdsInventoryReservations,
+  getUnshippedQuantity
+} from './salesOrderStateMachine';
+import { reverseLedgerSale } from './ledgerRecords';
+import { RANKS } from '../data/gameConsoles';
+
+const SALES_ORDERS_STORAGE_KEY = 'salesRequests';
+const SALES_LEDGER_STORAGE_KEY = 'salesLedger';
+const SALES_HISTORY_STORAGE_KEY = 'salesHistory';
+const QUOTE_VALIDITY_STORAGE_KEY = 'quoteValidityDays';
+
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 7;
+
+/**
+ * 販売リクエストを読み込む
+ * @returns {array}
+ */
+export const loadSalesOrders = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SALES_ORDERS_STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error('salesRequests JSON parse error:', error);
+    return [];
+  }
+};
+
+/**
+ * 販売リクエストを保存
+ * @param {array} orders - 販売リクエスト
+ */
+export const saveSalesOrders = (orders) => {
+  localStorage.setItem(SALES_ORDERS_STORAGE_KEY, JSON.stringify(orders));
+};
+
+// ========== 見積もりの有効期限 ==========
+
+/**
+ * 見積もりの有効期間（日数）
+ * @returns {number}
+ */
+export const getQuoteValidityDays = () => {
+  const days = parseInt(localStorage.getItem(QUOTE_VALIDITY_STORAGE_KEY), 10);
+  return days > 0 ? days : DEFAULT_QUOTE_VALIDITY_DAYS;
+};
+
+/**
+ * 見積もりの有効期間（日数）を保存（次回以降の見積もりの既定値）
+ * @param {number} days - 日数
+ */
+export const saveQuoteValidityDays = (days) => {
+  localStorage.setItem(QUOTE_VALIDITY_STORAGE_KEY, String(days));
+};
+
+/**
+ * 見積もりの有効期限（その日の終わりまで有効）
+ * @param {number} days - 有効期間（日数）
+ * @param {string} from - 見積もり日時
+ * @returns {string} - ISO日時
+ */
+export const calculateQuoteExpiresAt = (days, from = new Date().toISOString()) => {
+  const expiresAt = new Date(from);
+  expiresAt.setDate(expiresAt.getDate() + days);
+  expiresAt.setHours(23, 59, 59, 999);
+  return expiresAt.toISOString();
+};
+
+// ========== 在庫の引当 ==========
+
+/**
+ * 引当が有効かどうか（見積もり送信済みの間は有効期限まで）
+ * @param {object} order - 販売リクエスト
+ * @param {object} reservation - 引当
+ * @param {string} date - 判定日時
+ * @returns {boolean}
+ */
+export const isReservationActive = (order, reservation, date = new Date().toISOString()) => {
+  if (!holdsInventoryReservations(order?.status)) return false;
+  if (order.status === 'quoted' && reservation?.expiresAt && new Date(reservation.expiresAt) <= new Date(date)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * 在庫の有効な引当の一覧
+ * @param {string} inventoryId - 在庫ID
+ * @param {object} options - { orders }
+ * @returns {array} - [{ requestNumber, customerName, status, quantity, expiresAt }]
+ */
+export const getInventoryReservations = (inventoryId, { orders = loadSalesOrders() } = {}) => {
+  return orders.flatMap(order => (order.reservations || [])
+    .filter(reservation => String(reservation.inventoryId) === String(inventoryId) && isReservationActive(order, reservation))
+    .map(reservation => ({
+      requestNumber: order.requestNumber,
+      customerName: order.customer?.name || '',
+      status: order.status,
+      quantity: reservation.quantity || 0,
+      expiresAt: order.status === 'quoted' ? reservation.expiresAt || null : null
+    })));
+};
+
+/**
+ * 在庫の引当数（有効な引当のみ集計）
+ * @param {string} inventoryId - 在庫ID
+ * @param {object} options - { excludeRequestNumber: 集計から除くリクエスト, orders }
+ * @returns {number}
+ */
+export const getReservedQuantity = (inventoryId, { excludeRequestNumber = '', orders = loadSalesOrders() } = {}) => {
+  return orders
+    .filter(order => order.requestNumber !== excludeRequestNumber)
+    .flatMap(order => (order.reservations || []).filter(reservation => isReservationActive(order, reservation)))
+    .filter(reservation => String(reservation.inventoryId) === String(inventoryId))
+    .reduce((sum, reservation) => sum + (reservation.quantity || 0), 0);
+};
+
+/**
+ * 引当済みを除いた在庫の販売可能数
+ * @param {object} inventoryItem - 在庫
+ * @param {object} options - getReservedQuantity と同じ
+ * @returns {number}
+ */
+export const getAvailableQuantity = (inventoryItem, options = {}) => {
+  return Math.max(0, (inventoryItem?.quantity || 0) - getReservedQuantity(inventoryItem?.id, options));
+};
+
+/**
+ * リクエスト商品に対応する在庫かどうか（機種・カラー・ソフト名が一致。カタログから選んだ商品はランクも一致）
+ * @param {object} inv - 在庫
+ * @param {object} item - リクエスト商品
+ * @returns {boolean}
+ */
+export const matchesRequestItem = (inv, item) => {
+  return inv.console === item.console &&
+    (!item.color || inv.color === item.color) &&
+    (!item.rank || inv.assessedRank === item.rank) &&
+    (item.productType === 'software' ? inv.softwareName === item.softwareName : true);
+};
+
+/**
+ * 在庫の並び順（ランク順 > 仕入れ価格の安い順）
+ * @param {object} a - 在庫
+ * @param {object} b - 在庫
+ * @returns {number}
+ */
+export const compareInventoryForSale = (a, b) => {
+  if (a.assessedRank !== b.assessedRank) {
+    return RANKS.indexOf(a.assessedRank) - RANKS.indexOf(b.assessedRank);
+  }
+  return (a.acquisitionPrice || a.buybackPrice) - (b.acquisitionPrice || b.buybackPrice);
+};
+
+const isLinkedInventory = (item, inv) => (item.inventoryIds || []).map(String).includes(String(inv.id));
+
+/**
+ * 見積もりの商品に在庫を割り当てる（保存はしない。不足分は shortages に返す）
+ * @param {object} order - 販売リクエスト
+ * @param {object} options - { expiresAt: 引当の有効期限, inventory, orders }
+ * @returns {object} - { reservations: array, shortages: [{ itemId, needed, reserved }] }
+ */
+export const allocateQuoteReservations = (order, {
+  expiresAt = null,
+  inventory = JSON.parse(localStorage.getItem('inventory') || '[]'),
+  orders = loadSalesOrders()
+} = {}) => {
+  const remaining = new Map(inventory.map(inv => [
+    String(inv.id),
+    getAvailableQuantity(inv, { excludeRequestNumber: order.requestNumber, orders })
+  ]));
+  const reservedAt = new Date().toISOString();
+  const reservations = [];
+  const shortages = [];
+
+  (order.items || []).forEach(item => {
+    let needed = item.quantity || 0;
+    inventory
+      .filter(inv => matchesRequestItem(inv, item) && remaining.get(String(inv.id)) > 0)
+      // カタログから選んだ商品は、選んだ時点の在庫を優先して引き当てる
+      .sort((a, b) => isLinkedInventory(item, b) - isLinkedInventory(item, a) || compareInventoryForSale(a, b))
+      .forEach(inv => {
+        if (needed <= 0) return;
+        const quantity = Math.min(needed, remaining.get(String(inv.id)));
+        remaining.set(String(inv.id), remaining.get(String(inv.id)) - quantity);
+        reservations.push({ itemId: item.id, inventoryId: inv.id, quantity, reservedAt, expiresAt });
+        needed -= quantity;
+      });
+
+    if (needed > 0) {
+      shortages.push({ itemId: item.id, needed: item.quantity || 0, reserved: (item.quantity || 0) - needed });
+    }
+  });
+
+  return { reservations, shortages };
+};
+
+/**
+ * リクエストの在庫引当を置き換える
+ * @param {string} requestNumber - リクエスト番号
+ * @param {array} reservations - [{ itemId, inventoryId, quantity }]
+ * @returns {object} - { success: boolean, orders?: array, error?: string }
+ */
+export const setSalesOrderReservations = (requestNumber, reservations) => {
+  const orders = loadSalesOrders();
+  const order = orders.find(o => o.requestNumber === requestNumber);
+  if (!order) {
+    return { success: false, error: 'リクエストが見つかりません' };
+  }
+  if (!holdsInventoryReservations(order.status)) {
+    return { success: false, error: 'このステータスでは在庫を引き当てられません' };
+  }
+
+  const inventoryData = JSON.parse(localStorage.getItem('inventory') || '[]');
+  const requested = new Map();
+  reservations.forEach(reservation => {
+    const key = String(reservation.inventoryId);
+    requested.set(key, (requested.get(key) || 0) + (reservation.quantity || 0));
+  });
+
+  for (const [inventoryId, quantity] of requested) {
+    const inv = inventoryData.find(item => String(item.id) === inventoryId);
+    const available = inv ? getAvailableQuantity(inv, { excludeRequestNumber: requestNumber, orders }) : 0;
+    if (quantity > available) {
+      return {
+        success: false,
+        error: `${inv?.consoleLabel || inv?.softwareName || '在庫'} の引当可能数（${available}点）を超えています`
+      };
+    }
+  }
+
+  const reservedAt = new Date().toISOString();
+  const updatedOrders = orders.map(o => o.requestNumber === requestNumber
+    ? {
+        ...o,
+        reservations: reservations
+          .filter(reservation => reservation.quantity > 0)
+          .map(reservation => ({
+            ...reservation,
+            reservedAt: reservation.reservedAt || reservedAt,
+            expiresAt: o.status === 'quoted' ? o.quoteExpiresAt || null : null
+          }))
+      }
+    : o);
+  saveSalesOrders(updatedOrders);
+  return { success: true, orders: updatedOrders };
+};
+
+/**
+ * 発送する在庫の選択に合わせて引当を補う（選択を外しても引当は減らさない。引当は発送時に消化する）
+ * 選択した在庫の引当が足りない分は、同じ商品で選択数を超えて引き当てている在庫から移し、それでも足りなければ新たに引き当てる
+ * @param {string} requestNumber - リクエスト番号
+ * @param {object} selection - { [itemId]: [{ invId, quantity }] }
+ * @returns {object} - { success: boolean, orders?: array, error?: string }
+ */
+export const reserveShipmentSelection = (requestNumber, selection) => {
+  const order = loadSalesOrders().find(o => o.requestNumber === requestNumber);
+  if (!order) {
+    return { success: false, error: 'リクエストが見つかりません' };
+  }
+
+  const reservations = (order.reservations || []).map(reservation => ({ ...reservation }));
+  Object.entries(selection || {}).forEach(([selectedItemId, selections]) => {
+    const item = (order.items || []).find(i => String(i.id) === selectedItemId);
+    if (!item) return;
+    const isItemReservation = reservation => String(reservation.itemId) === selectedItemId;
+    const reservedFor = invId => reservations
+      .filter(r => isItemReservation(r) && String(r.inventoryId) === invId)
+      .reduce((sum, r) => sum + r.quantity, 0);
+    const selectedFor = invId => (selections || [])
+      .filter(sel => String(sel.invId) === invId)
+      .reduce((sum, sel) => sum + (sel.quantity || 0), 0);
+
+    (selections || []).forEach(sel => {
+      const needed = (sel.quantity || 0) - reservedFor(String(sel.invId));
+      if (needed <= 0) return;
+
+      let movable = needed;
+      reservations
+        .filter(r => isItemReservation(r) && String(r.inventoryId) !== String(sel.invId))
+        .forEach(r => {
+          const excess = reservedFor(String(r.inventoryId)) - selectedFor(String(r.inventoryId));
+          const moved = Math.min(movable, excess, r.quantity);
+          if (moved <= 0) return;
+          r.quantity -= moved;
+          movable -= moved;
+        });
+      reservations.push({ itemId: item.id, inventoryId: sel.invId, quantity: needed });
+    });
+  });
+
+  return setSalesOrderReservations(requestNumber, reservations.filter(reservation => reservation.quantity > 0));
+};
+
+const releaseReservations = (order, date) => {
+  if (!order.reservations?.length) return order;
+  return {
+    ...order,
+    reservations: [],
+    releasedReservations: [
+      ...(order.releasedReservations || []),
+      ...order.reservations.map(reservation => ({ ...reservation, releasedAt: date }))
+    ]
+  };
+};
+
+// 返金した販売の売上記録（salesLedger）と販売履歴（salesHistory）に返金済みの印を付ける（分析の集計から除く）
+const markSalesRecordsRefunded = (saleIds, refund) => {
+  if (saleIds.length === 0) return;
+  const mark = record => ({ ...record, refunded: refund });
+
+  const salesLedger = JSON.parse(localStorage.getItem(SALES_LEDGER_STORAGE_KEY) || '[]');
+  localStorage.setItem(SALES_LEDGER_STORAGE_KEY, JSON.stringify(
+    salesLedger.map(record => saleIds.includes(record.id) ? mark(record) : record)
+  ));
+
+  const salesHistory = JSON.parse(localStorage.getItem(SALES_HISTORY_STORAGE_KEY) || '[]');
+  localStorage.setItem(SALES_HISTORY_STORAGE_KEY, JSON.stringify(
+    salesHistory.map(record => saleIds.includes(record.salesRecordId) ? mark(record) : record)
+  ));
+};
+
+/**
+ * 返金済みでない売上記録（販売分析・ダッシュボードの集計用）
+ * @param {array} records - salesLedger の記録
+ * @returns {array}
+ */
+export const excludeRefundedSales = (records) => records.filter(record => !record.refunded);
+
+// ========== ステータス変更 ==========
+
+/**
+ * 販売リクエストのステータスを変更して保存する
+ * 引当を保持しないステータス（キャンセル・辞退・返金済・発送完了）への変更で引当を解除し、
+ * 返金では台帳の販売取引（ledgerSaleIds）を取り消して、売上記録・販売履歴を返金済みにする
+ * @param {string} requestNumber - リクエスト番号
+ * @param {string} nextStatus - 遷移先ステータス
+ * @param {object} options - { patch, performedBy, role, note, date }
+ * @returns {object} - { success: boolean, order?: object, orders?: array, reversed?: number, error?: string }
+ */
+export const updateSalesOrderStatus = (requestNumber, nextStatus, options = {}) => {
+  const orders = loadSalesOrders();
+  const order = orders.find(o => o.requestNumber === requestNumber);
+  if (!order) {
+    return { success: false, error: 'リクエストが見つかりません' };
+  }
+
+  const date = options.date || new Date().toISOString();
+  const { allowed, error } = canTransitionSalesOrder({ ...order, ...(options.patch || {}) }, nextStatus, { ...options, date });
+  if (!allowed) {
+    return { success: false, error };
+  }
+
+  let reversed = 0;
+  if (nextStatus === 'refunded') {
+    for (const saleId of order.ledgerSaleIds || []) {
+      const result = reverseLedgerSale(saleId, {
+        reason: `返金（${requestNumber}）: ${String(options.note || '').trim()}`,
+        performedBy: options.performedBy || ''
+      });
+      if (!result.success) {
+        return { success: false, error: `古物台帳の販売記録を取り消せませんでした: ${result.error}` };
+      }
+      reversed += result.reversed;
+    }
+  }
+
+  if (nextStatus === 'refunded') {
+    const saleIds = [...new Set([
+      ...(order.ledgerSaleIds || []),
+      ...(order.salesRecordIds || []),
+      ...(order.salesRecordId ? [order.salesRecordId] : [])
+    ])];
+    markSalesRecordsRefunded(saleIds, {
+      refundedAt: date,
+      requestNumber,
+      note: String(options.note || '').trim(),
+      performedBy: options.performedBy || ''
+    });
+  }
+
+  const result = transitionSalesOrder(order, nextStatus, { ...options, date });
+  const updatedOrder = holdsInventoryReservations(nextStatus)
+    ? result.order
+    : releaseReservations(result.order, date);
+
+  const updatedOrders = orders.map(o => o.requestNumber === requestNumber ? updatedOrder : o);
+  saveSalesOrders(updatedOrders);
+  return { success: true, order: updatedOrder, orders: updatedOrders, reversed };
+};
+
+// ========== 分割発送 ==========
+
+/**
+ * 次の発送番号（リクエスト番号-S01, -S02...）
+ * @param {object} order - 販売リクエスト
+ * @returns {string}
+ */
+export const getNextShipmentNumber = (order) => {
+  const sequence = String((order?.shipments || []).length + 1).padStart(2, '0');
+  return `${order?.requestNumber || ''}-S${sequence}`;
+};
+
+/**
+ * 発送内容を検証し、発送後の商品と遷移先ステータスを求める
+ * @param {object} order - 販売リクエスト
+ * @param {array} lines - [{ itemId, quantity, inventories: [{ invId, quantity }] }]
+ * @param {object} options - { date }
+ * @returns {object} - { success: boolean, items?: array, nextStatus?: string, error?: string }
+ */
+export const prepareSalesOrderShipment = (order, lines, { date = new Date().toISOString() } = {}) => {
+  const shippingLines = (lines || []).filter(line => line.quantity > 0);
+  if (shippingLines.length === 0) {
+    return { success: false, error: '発送する商品を選択してください' };
+  }
+
+  for (const line of shippingLines) {
+    const item = (order.items || []).find(i => i.id === line.itemId);
+    if (!item) {
+      return { success: false, error: 'リクエストにない商品が含まれています' };
+    }
+    const label = item.productType === 'software' ? item.softwareName : item.consoleLabel;
+    const unshipped = getUnshippedQuantity(item);
+    if (line.quantity > unshipped) {
+      return { success: false, error: `${label} の発送数（${line.quantity}点）が未発送数（${unshipped}点）を超えています` };
+    }
+    const selected = (line.inventories || []).reduce((sum, inv) => sum + (inv.quantity || 0), 0);
+    if (selected !== line.quantity) {
+      return { success: false, error: `${label} の在庫選択（${selected}点）が発送数（${line.quantity}点）と一致しません` };
+    }
+  }
+
+  const items = (order.items || []).map(item => {
+    const shipped = shippingLines
+      .filter(line => line.itemId === item.id)
+      .reduce((sum, line) => sum + line.quantity, 0);
+    return shipped > 0 ? { ...item, shippedQuantity: (item.shippedQuantity || 0) + shipped } : item;
+  });
+  const nextStatus = items.every(item => getUnshippedQuantity(item) === 0) ? 'shipped' : 'partially_shipped';
+
+  const { allowed, error } = canTransitionSalesOrder({ ...order, items }, nextStatus, { date });
+  if (!allowed) {
+    return { success: false, error };
+  }
+  return { success: true, items, nextStatus };
+};
+
+// 発送した在庫の分だけ引当を減らす（同じ在庫の引当を優先し、足りなければ同じ商品の他の引当から減らす）
+const consumeReservations = (reservations, lines) => {
+  const remaining = (reservations || []).map(reservation => ({ ...reservation }));
+
+  lines.forEach(line => {
+    (line.inventories || []).forEach(selection => {
+      let quantity = selection.quantity || 0;
+      const candidates = [
+        ...remaining.filter(r => r.itemId === line.itemId && String(r.inventoryId) === String(selection.invId)),
+        ...remaining.filter(r => r.itemId === line.itemId && String(r.inventoryId) !== String(selection.invId))
+      ];
+      candidates.forEach(reservation => {
+        if (quantity <= 0) return;
+        const consumed = Math.min(quantity, reservation.quantity);
+        reservation.quantity -= consumed;
+        quantity -= consumed;
+      });
+    });
+  });
+
+  return remaining.filter(reservation => reservation.quantity > 0);
+};
+
+/**
+ * 発送を記録して保存する
+ * 発送した商品の引当を消化し、全て発送済みになれば「発送完了」、未発送が残れば「一部発送済」にする
+ * @param {string} requestNumber - リクエスト番号
+ * @param {object} shipment - { shippedDate, trackingNumber, carrier, shippingFee, lines, salesRecordId, ledgerSaleIds }
+ * @param {object} options - { performedBy, role, date }
+ * @returns {object} - { success: boolean, order?: object, orders?: array, shipment?: object, error?: string }
+ */
+export const recordSalesOrderShipment = (requestNumber, shipment, options = {}) => {
+  const orders = loadSalesOrders();
+  const order = orders.find(o => o.requestNumber === requestNumber);
+  if (!order) {
+    return { success: false, error: 'リクエストが見つかりません' };
+  }
+
+  const date = options.date || new Date().toISOString();
+  const lines = (shipment.lines || []).filter(line => line.quantity > 0);
+  const prepared = prepareSalesOrderShipment(order, lines, { date });
+  if (!prepared.success) {
+    return prepared;
+  }
+
+  const { ledgerSaleIds = [], ...details } = shipment;
+  const recorded = {
+    ...details,
+    shipmentNumber: getNextShipmentNumber(order),
+    lines,
+    ledgerSaleIds,
+    createdAt: date,
+    createdBy: options.performedBy || ''
+  };
+
+  const patch = {
+    items: prepared.items,
+    shipments: [...(order.shipments || []), recorded],
+    shippedDate: recorded.shippedDate,
+    trackingNumber: recorded.trackingNumber,
+    selectedInventories: lines.reduce((acc, line) => ({
+      ...acc,
+      [line.itemId]: [...(acc[line.itemId] || []), ...(line.inventories || [])]
+    }), order.selectedInventories || {}),
+    ledgerSaleIds: [...(order.ledgerSaleIds || []), ...ledgerSaleIds],
+    reservations: consumeReservations(order.reservations, lines)
+  };
+  if (recorded.salesRecordId) {
+    patch.salesRecordIds = [...(order.salesRecordIds || []), recorded.salesRecordId];
+    patch.salesRecordId = order.salesRecordId || recorded.salesRecordId;
+  }
+
+  const note = `${recorded.shipmentNumber} 発送${recorded.trackingNumber ? `（${recorded.trackingNumber}）` : ''}`;
+  const result = transitionSalesOrder(order, prepared.nextStatus, { ...options, date, note, patch });
+  const updatedOrder = holdsInventoryReservations(prepared.nextStatus)
+    ? result.order
+    : releaseReservations(result.order, date);
+
+  const updatedOrders = orders.map(o => o.requestNumber === requestNumber ? updatedOrder : o);
+  saveSalesOrders(updatedOrders);
+  return { success: true, order: updatedOrder, orders: updatedOrders, shipment: recorded };
+};
+
+/**
+ * 有効期限が過ぎた見積もりを「見積もり期限切れ」にして引当を解除する
+ * @param {object} options - { date }
+ * @returns {object} - { orders: array, expired: array（期限切れにしたリクエスト番号） }
+ */
+export const expireSalesOrders = ({ date = new Date().toISOString() } = {}) => {
+  const orders = loadSalesOrders();
+  const expired = [];
+
+  const updatedOrders = orders.map(order => {
+    if (order.status !== 'quoted' || !canTransitionSalesOrder(order, 'expired', { date }).allowed) {
+      return order;
+    }
+    expired.push(order.requestNumber);
+    const result = transitionSalesOrder(order, 'expired', { date, performedBy: 'システム', note: '見積もりの有効期限切れ' });
+    return releaseReservations(result.order, date);
+  });
+
+  if (expired.length > 0) {
+    saveSalesOrders(updatedOrders);
+  }
+  return { orders: updatedOrders, expired };
+};
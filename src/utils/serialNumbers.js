@@ -0,0 +1,179 @@
+// ゲーム機本体の製造番号（シリアル番号）の検証と重複チェック
+// 同じ製造番号の買取・販売が過去にあれば、転売目的の持ち込みや返品の可能性として警告する
+
+import {
+  DEFAULT_SERIAL_NUMBER_FORMAT,
+  MANUFACTURER_SERIAL_NUMBER_FORMATS,
+  CONSOLE_SERIAL_NUMBER_FORMATS
+} from '../data/serialNumberFormats';
+import { loadLedgerRecords } from './ledgerRecords';
+import { loadArchivedLedgerRecords } from './ledgerArchive';
+
+/**
+ * 製造番号を正規化（全角→半角・大文字化・空白とハイフンの除去）
+ * @param {string} value - 製造番号
+ * @returns {string}
+ */
+export const normalizeSerialNumber = (value) => {
+  return String(value || '')
+    .normalize('NFKC')
+    .toUpperCase()
+    .replace(/[\s\-_]/g, '');
+};
+
+/**
+ * 機種の製造番号の形式
+ * @param {string} manufacturer - メーカー
+ * @param {string} consoleValue - 機種
+ * @returns {object} - { pattern, description, example }
+ */
+export const getSerialNumberFormat = (manufacturer, consoleValue) => {
+  return CONSOLE_SERIAL_NUMBER_FORMATS[consoleValue] ||
+    MANUFACTURER_SERIAL_NUMBER_FORMATS[manufacturer] ||
+    DEFAULT_SERIAL_NUMBER_FORMAT;
+};
+
+/**
+ * 製造番号の形式を検証（未入力はエラーにしない）
+ * @param {string} serialNumber - 製造番号
+ * @param {object} item - 商品（manufacturer, console）
+ * @returns {string|null} - エラーメッセージ
+ */
+export const validateSerialNumber = (serialNumber, item = {}) => {
+  const serial = normalizeSerialNumber(serialNumber);
+  if (!serial) return null;
+
+  const format = getSerialNumberFormat(item.manufacturer, item.console);
+  if (!format.pattern.test(serial)) {
+    return `製造番号「${serial}」の形式が正しくありません（${format.description}${format.example ? `、例: ${format.example}` : ''}）`;
+  }
+  return null;
+};
+
+/**
+ * 商品の製造番号（入力済みのもののみ・正規化済み）
+ * @param {object} item - 商品
+ * @returns {array}
+ */
+export const getEnteredSerialNumbers = (item) => {
+  return (item?.serialNumbers || []).map(normalizeSerialNumber).filter(Boolean);
+};
+
+const includesSerial = (list, serial) => (list || []).some(value => normalizeSerialNumber(value) === serial);
+
+/**
+ * 製造番号の過去の買取・販売・他の申込を検索
+ * @param {array} serialNumbers - 製造番号
+ * @param {object} options - { excludeApplicationNumber, applications }
+ * @returns {object} - { [製造番号]: [{ type: 'purchase' | 'sale' | 'application', date, inventoryId, applicationNumber, label }] }
+ */
+export const findSerialNumberHistory = (serialNumbers, {
+  excludeApplicationNumber = '',
+  applications = JSON.parse(localStorage.getItem('allApplications') || '[]')
+} = {}) => {
+  const serials = [...new Set(serialNumbers.map(normalizeSerialNumber).filter(Boolean))];
+  const history = Object.fromEntries(serials.map(serial => [serial, []]));
+  if (serials.length === 0) return history;
+
+  const records = [...loadLedgerRecords(), ...loadArchivedLedgerRecords()];
+
+  serials.forEach(serial => {
+    records.forEach(record => {
+      const title = record.product?.title || record.product?.consoleLabel || '';
+      record.purchase.events
+        .filter(event => !event.voided && includesSerial(event.serialNumbers || record.serialNumbers, serial))
+        .filter(event => !excludeApplicationNumber || event.reference?.applicationNumber !== excludeApplicationNumber)
+        .forEach(event => history[serial].push({
+          type: 'purchase',
+          date: event.date,
+          inventoryId: record.inventoryId,
+          applicationNumber: event.reference?.applicationNumber || '',
+          label: `${title}（${record.archiveId ? 'アーカイブ' : record.inventoryId}）`
+        }));
+
+      record.sale.events
+        .filter(event => !event.voided && includesSerial(event.serialNumbers, serial))
+        .forEach(event => history[serial].push({
+          type: 'sale',
+          date: event.date,
+          inventoryId: record.inventoryId,
+          applicationNumber: '',
+          label: `${title} → ${typeof event.buyer === 'string' ? event.buyer : event.buyer?.name || '販売先不明'}`
+        }));
+    });
+
+    // 在庫登録前の他の申込（同じ商品の二重申込）
+    applications
+      .filter(app => app.applicationNumber !== excludeApplicationNumber && !['in_inventory', 'rejected'].includes(app.status))
+      .filter(app => (app.items || []).some(item => includesSerial(item.serialNumbers, serial)))
+      .forEach(app => history[serial].push({
+        type: 'application',
+        date: app.date,
+        inventoryId: '',
+        applicationNumber: app.applicationNumber,
+        label: `申込 ${app.applicationNumber}（${app.customer?.name || '-'}）`
+      }));
+  });
+
+  return history;
+};
+
+export const SERIAL_HISTORY_TYPES = {
+  purchase: { label: '買取済み' },
+  sale: { label: '販売済み' },
+  application: { label: '他の申込' }
+};
+
+/**
+ * 製造番号の履歴を警告メッセージにする
+ * @param {string} serialNumber - 製造番号
+ * @param {array} entries - findSerialNumberHistory の該当製造番号の結果
+ * @returns {string}
+ */
+export const formatSerialNumberHistory = (serialNumber, entries) => {
+  return `製造番号「${serialNumber}」: ${entries.map(entry =>
+    `${SERIAL_HISTORY_TYPES[entry.type].label} ${entry.date ? new Date(entry.date).toLocaleDateString('ja-JP') : ''} ${entry.label}`.replace(/\s+/g, ' ')
+  ).join('、')}`;
+};
+
+/**
+ * 申込の製造番号をまとめて検証（在庫登録前のチェック）
+ * @param {object} application - 申込データ
+ * @param {array} items - 対象の商品
+ * @returns {object} - { errors: array, warnings: array }
+ */
+export const checkApplicationSerialNumbers = (application, items = application?.items || []) => {
+  const errors = [];
+  const seen = new Set();
+
+  items.forEach(item => {
+    getEnteredSerialNumbers(item).forEach(serial => {
+      const error = validateSerialNumber(serial, item);
+      if (error) errors.push(error);
+      if (seen.has(serial)) errors.push(`製造番号「${serial}」が申込内で重複しています`);
+      seen.add(serial);
+    });
+  });
+
+  const history = findSerialNumberHistory([...seen], { excludeApplicationNumber: application?.applicationNumber });
+  const warnings = Object.entries(history)
+    .filter(([, entries]) => entries.length > 0)
+    .map(([serial, entries]) => formatSerialNumberHistory(serial, entries));
+
+  return { errors, warnings };
+};
+
+/**
+ * 管理番号と製造番号の対応（在庫・台帳で販売時の製造番号を引くため）
+ * @param {array} managementNumbers - 商品の管理番号（数量分）
+ * @param {object} item - 商品
+ * @returns {object} - { [管理番号]: 製造番号 }
+ */
+export const mapSerialNumbersToManagementNumbers = (managementNumbers, item) => {
+  const serials = (item?.serialNumbers || []).map(normalizeSerialNumber);
+  return Object.fromEntries(
+    (managementNumbers || [])
+      .map((number, index) => [number, serials[index]])
+      .filter(([, serial]) => serial)
+  );
+};
@@ -0,0 +1,127 @@
+// 海外発送の送料計算
+// 仕向国からゾーンを判定し、梱包込みの重量で各配送業者の送料表（data/shippingRates.js）を引いて、最安・最速の候補を提示する
+
+import {
+  DESTINATION_ZONES,
+  SHIPPING_CARRIERS,
+  ESTIMATED_ITEM_WEIGHTS,
+  HANDHELD_CONSOLES,
+  PACKAGING_WEIGHT
+} from '../data/shippingRates';
+import { calculateTotalWeight } from './commercialInvoice';
+
+const roundWeight = (value) => Math.round(value * 1000) / 1000;
+
+const normalizeCountry = (country) => String(country || '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[.,()]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * 仕向国のゾーン
+ * @param {string} country - 国名（英語・日本語）
+ * @returns {string|null} - ゾーン（zone1〜zone5）。判定できない場合は null
+ */
+export const getDestinationZone = (country) => {
+  const normalized = normalizeCountry(country);
+  if (!normalized) return null;
+  const entry = Object.entries(DESTINATION_ZONES).find(([, zone]) => zone.countries.includes(normalized));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * 商品の見積もり用重量の合計（kg）。重量が入力済みの商品はその値、未入力の商品は種類ごとの目安で計算する
+ * @param {array} items - リクエスト商品
+ * @returns {object} - { weight: number, estimated: boolean（目安の重量を含むか） }
+ */
+export const estimateItemsWeight = (items) => {
+  const weighed = (items || []).filter(item => parseFloat(item.weight) > 0);
+  const unweighed = (items || []).filter(item => !(parseFloat(item.weight) > 0));
+
+  const estimatedWeight = unweighed.reduce((sum, item) => {
+    const type = item.productType === 'software'
+      ? 'software'
+      : HANDHELD_CONSOLES.includes(item.console) ? 'handheld' : 'console';
+    return sum + ESTIMATED_ITEM_WEIGHTS[type] * (item.quantity || 1);
+  }, 0);
+
+  return {
+    weight: roundWeight(calculateTotalWeight(weighed) + estimatedWeight),
+    estimated: unweighed.length > 0
+  };
+};
+
+/**
+ * 梱包材の重量（kg）
+ * @param {number} netWeight - 商品の重量
+ * @returns {number}
+ */
+export const calculatePackagingWeight = (netWeight) => {
+  return roundWeight(PACKAGING_WEIGHT.base + (netWeight || 0) * PACKAGING_WEIGHT.ratio);
+};
+
+/**
+ * 配送日数（'3-6' 形式）を数値にする
+ * @param {string} deliveryDays - 配送日数
+ * @returns {object} - { min, max }
+ */
+const parseDeliveryDays = (deliveryDays) => {
+  const [min, max] = String(deliveryDays).split('-').map(value => parseInt(value, 10));
+  return { min, max: max || min };
+};
+
+/**
+ * 配送業者の送料
+ * @param {string} carrier - 配送業者（SHIPPING_CARRIERS の key）
+ * @param {object} options - { zone, weight }
+ * @returns {object|null} - { carrier, label, fee, deliveryDays, weightBand }。重量の上限を超える場合は null
+ */
+export const calculateShippingRate = (carrier, { zone, weight }) => {
+  const table = SHIPPING_CARRIERS[carrier];
+  if (!table || !table.rates[zone]) return null;
+
+  const bandIndex = table.weightBands.findIndex(upTo => weight <= upTo);
+  if (bandIndex === -1) return null;
+
+  return {
+    carrier,
+    label: table.label,
+    fee: table.rates[zone][bandIndex],
+    deliveryDays: table.deliveryDays[zone],
+    weightBand: table.weightBands[bandIndex]
+  };
+};
+
+/**
+ * 全配送業者の送料を比較して、最安・最速の候補を提示する
+ * @param {object} options - { country, zone（国名で判定できない場合の指定）, weight（梱包込みの重量） }
+ * @returns {object} - { zone, options: array（送料の安い順）, cheapest, fastest, error }
+ */
+export const getShippingOptions = ({ country, zone = getDestinationZone(country), weight }) => {
+  if (!zone) {
+    return { zone: null, options: [], cheapest: null, fastest: null, error: `仕向国「${country || '未入力'}」のゾーンを判定できません` };
+  }
+  if (!(weight > 0)) {
+    return { zone, options: [], cheapest: null, fastest: null, error: '重量を入力してください' };
+  }
+
+  const options = Object.keys(SHIPPING_CARRIERS)
+    .map(carrier => calculateShippingRate(carrier, { zone, weight }))
+    .filter(Boolean)
+    .sort((a, b) => a.fee - b.fee);
+
+  if (options.length === 0) {
+    return { zone, options, cheapest: null, fastest: null, error: `${weight}kgに対応する送料表がありません（分割発送を検討してください）` };
+  }
+
+  // 最速は最長日数が短い順、同じなら最短日数、送料の順
+  const fastest = [...options].sort((a, b) => {
+    const daysA = parseDeliveryDays(a.deliveryDays);
+    const daysB = parseDeliveryDays(b.deliveryDays);
+    return daysA.max - daysB.max || daysA.min - daysB.min || a.fee - b.fee;
+  })[0];
+
+  return { zone, options, cheapest: options[0], fastest, error: null };
+};
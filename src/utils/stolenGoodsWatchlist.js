@@ -0,0 +1,368 @@
+// 品触れ（盗品等の手配）の照合
+// 警察から届いた品触れを登録しておき、買取申込・査定で追加された商品と製造番号・機種・カラーで照合する
+// 照合で一致の可能性がある申込は、スタッフが照合結果を記録するまで承認・在庫登録できない
+
+const WATCHLIST_STORAGE_KEY = 'stolenGoodsWatchlist';
+
+export const WATCHLIST_STATUSES = {
+  active: { label: '照合中' },
+  closed: { label: '手配終了' }
+};
+
+// 照合の一致度
+export const WATCHLIST_MATCH_LEVELS = {
+  serial: { label: '製造番号が一致', icon: '🚨' },
+  model: { label: '機種・特徴が一致', icon: '⚠️' }
+};
+
+// 照合結果の記録
+export const WATCHLIST_RESOLUTIONS = {
+  cleared: { label: '別物と確認' },
+  reported: { label: '警察へ通報済み' }
+};
+
+// 品触れの取込CSVの列（1行目は見出し）
+export const WATCHLIST_CSV_COLUMNS = [
+  { key: 'noticeNumber', label: '品触れ番号' },
+  { key: 'issuedAt', label: '通知日' },
+  { key: 'issuedBy', label: '発出元' },
+  { key: 'serialNumber', label: '製造番号' },
+  { key: 'model', label: '機種' },
+  { key: 'color', label: 'カラー' },
+  { key: 'description', label: '特徴' }
+];
+
+/**
+ * 照合用に文字列を正規化（全角→半角・大文字化・空白と記号の除去）
+ * @param {string} value - 文字列
+ * @returns {string}
+ */
+export const normalizeWatchlistText = (value) => {
+  return String(value || '')
+    .normalize('NFKC')
+    .toUpperCase()
+    .replace(/[\s\-_・.／/()（）]/g, '');
+};
+
+/**
+ * 品触れの一覧を取得（登録順）
+ * @returns {array}
+ */
+export const loadWatchlist = () => {
+  return JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || '[]');
+};
+
+const saveWatchlist = (notices) => {
+  localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(notices));
+};
+
+/**
+ * 品触れの入力を検証
+ * @param {object} input - { noticeNumber, serialNumber, model, color, description }
+ * @returns {string|null} - エラーメッセージ
+ */
+export const validateWatchlistNotice = (input) => {
+  if (!input?.noticeNumber?.trim()) {
+    return '品触れ番号を入力してください';
+  }
+  if (!input.serialNumber?.trim() && !input.model?.trim()) {
+    return '製造番号または機種のいずれかを入力してください';
+  }
+  return null;
+};
+
+const createNotice = (input, performedBy, index = 0) => ({
+  id: `WATCH-${Date.now()}-${index}`,
+  noticeNumber: input.noticeNumber.trim(),
+  issuedAt: input.issuedAt || '',
+  issuedBy: (input.issuedBy || '').trim(),
+  serialNumber: (input.serialNumber || '').trim(),
+  model: (input.model || '').trim(),
+  color: (input.color || '').trim(),
+  description: (input.description || '').trim(),
+  status: 'active',
+  createdAt: new Date().toISOString(),
+  createdBy: performedBy,
+  closedAt: null,
+  closedBy: ''
+});
+
+const isDuplicateNotice = (notices, input) => notices.some(notice =>
+  notice.noticeNumber === input.noticeNumber.trim() &&
+  normalizeWatchlistText(notice.serialNumber) === normalizeWatchlistText(input.serialNumber) &&
+  normalizeWatchlistText(notice.model) === normalizeWatchlistText(input.model)
+);
+
+/**
+ * 品触れを1件登録
+ * @param {object} input - { noticeNumber, issuedAt, issuedBy, serialNumber, model, color, description }
+ * @param {object} options - { performedBy }
+ * @returns {object} - { success: boolean, notice?: object, error?: string }
+ */
+export const addWatchlistNotice = (input, { performedBy = '' } = {}) => {
+  const error = validateWatchlistNotice(input);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const notices = loadWatchlist();
+  if (isDuplicateNotice(notices, input)) {
+    return { success: false, error: '同じ品触れが既に登録されています' };
+  }
+
+  const notice = createNotice(input, performedBy);
+  saveWatchlist([...notices, notice]);
+  return { success: true, notice };
+};
+
+const splitCsvLine = (line) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells.map(cell => cell.trim());
+};
+
+/**
+ * 品触れのCSVを読み込む（列は WATCHLIST_CSV_COLUMNS の順、1行目は見出し）
+ * @param {string} text - CSV文字列
+ * @returns {object} - { notices: array, errors: array }
+ */
+export const parseWatchlistCsv = (text) => {
+  const lines = String(text || '').replace(/^\ufeff/, '').split(/\r?\n/).filter(line => line.trim());
+  const notices = [];
+  const errors = [];
+
+  lines.slice(1).forEach((line, index) => {
+    const cells = splitCsvLine(line);
+    if (cells.every(cell => !cell)) return;
+    const notice = Object.fromEntries(WATCHLIST_CSV_COLUMNS.map((column, i) => [column.key, cells[i] || '']));
+    const error = validateWatchlistNotice(notice);
+    if (error) {
+      errors.push(`${index + 2}行目: ${error}`);
+    } else {
+      notices.push(notice);
+    }
+  });
+
+  return { notices, errors };
+};
+
+/**
+ * 品触れをまとめて登録（登録済みのものは読み飛ばす）
+ * @param {array} inputs - parseWatchlistCsv の notices
+ * @param {object} options - { performedBy }
+ * @returns {object} - { success: boolean, added: number, skipped: number }
+ */
+export const importWatchlistNotices = (inputs, { performedBy = '' } = {}) => {
+  const notices = loadWatchlist();
+  let added = 0;
+
+  inputs.forEach((input, index) => {
+    if (isDuplicateNotice(notices, input)) return;
+    notices.push(createNotice(input, performedBy, index));
+    added++;
+  });
+
+  saveWatchlist(notices);
+  return { success: true, added, skipped: inputs.length - added };
+};
+
+/**
+ * 品触れの手配終了・再開
+ * @param {string} noticeId - 品触れID
+ * @param {string} status - 'active' | 'closed'
+ * @param {object} options - { performedBy }
+ * @returns {object} - { success: boolean, error?: string }
+ */
+export const setWatchlistNoticeStatus = (noticeId, status, { performedBy = '' } = {}) => {
+  if (!WATCHLIST_STATUSES[status]) {
+    return { success: false, error: '不明な状態です' };
+  }
+
+  const notices = loadWatchlist();
+  const notice = notices.find(n => n.id === noticeId);
+  if (!notice) {
+    return { success: false, error: '品触れが見つかりません' };
+  }
+
+  notice.status = status;
+  notice.closedAt = status === 'closed' ? new Date().toISOString() : null;
+  notice.closedBy = status === 'closed' ? performedBy : '';
+  saveWatchlist(notices);
+  return { success: true };
+};
+
+// ========== 照合 ==========
+
+/**
+ * 商品の製造番号（数量分の配列、または1件）
+ * @param {object} item - 商品
+ * @returns {array}
+ */
+export const getItemSerialNumbers = (item) => {
+  return [...(item?.serialNumbers || []), item?.serialNumber]
+    .map(normalizeWatchlistText)
+    .filter(Boolean);
+};
+
+const getItemModelText = (item) => normalizeWatchlistText(
+  [item?.consoleLabel, item?.consoleCustomName, item?.softwareName].filter(Boolean).join('')
+);
+
+const containsEither = (a, b) => Boolean(a && b && (a.includes(b) || b.includes(a)));
+
+/**
+ * 商品を品触れと照合
+ * 製造番号が一致すれば serial、製造番号で区別できない場合に機種（とカラー）が一致すれば model
+ * @param {object} item - 商品
+ * @param {array} notices - 品触れ（省略時は照合中の全件）
+ * @returns {array} - [{ noticeId, noticeNumber, level, reasons }]
+ */
+export const matchItemAgainstWatchlist = (item, notices = loadWatchlist()) => {
+  const serials = getItemSerialNumbers(item);
+  const modelText = getItemModelText(item);
+  const colorText = normalizeWatchlistText(item?.colorLabel || item?.color);
+
+  return notices
+    .filter(notice => notice.status === 'active')
+    .map(notice => {
+      const noticeSerial = normalizeWatchlistText(notice.serialNumber);
+
+      if (noticeSerial && serials.includes(noticeSerial)) {
+        return { level: 'serial', reasons: [`製造番号 ${notice.serialNumber}`], notice };
+      }
+      // 製造番号が両方にあって異なる場合は別物
+      if (noticeSerial && serials.length > 0) return null;
+
+      if (!containsEither(normalizeWatchlistText(notice.model), modelText)) return null;
+
+      const noticeColor = normalizeWatchlistText(notice.color);
+      if (noticeColor && colorText && !containsEither(noticeColor, colorText)) return null;
+
+      const reasons = [`機種 ${notice.model}`];
+      if (noticeColor && colorText) reasons.push(`カラー ${notice.color}`);
+      return { level: 'model', reasons, notice };
+    })
+    .filter(Boolean)
+    .map(({ level, reasons, notice }) => ({
+      noticeId: notice.id,
+      noticeNumber: notice.noticeNumber,
+      issuedBy: notice.issuedBy,
+      level,
+      reasons
+    }));
+};
+
+const getItemLabel = (item) => [
+  item.consoleLabel || item.consoleCustomName || item.softwareName || '商品',
+  item.colorLabel ? `（${item.colorLabel}）` : ''
+].join('');
+
+/**
+ * 申込の全商品を品触れと照合
+ * 以前の照合結果の記録（resolution）は、一致した品触れが変わらない場合のみ引き継ぐ
+ * @param {object} application - 申込データ
+ * @param {object} options - { notices }
+ * @returns {object} - { checkedAt, matches: [{ itemId, itemLabel, noticeId, noticeNumber, issuedBy, level, reasons }], resolution }
+ */
+export const checkApplicationAgainstWatchlist = (application, { notices = loadWatchlist() } = {}) => {
+  const matches = (application?.items || []).flatMap(item =>
+    matchItemAgainstWatchlist(item, notices).map(match => ({
+      itemId: item.id,
+      itemLabel: getItemLabel(item),
+      ...match
+    }))
+  );
+
+  const matchKey = (list) => list.map(match => `${match.itemId}:${match.noticeId}`).sort().join(',');
+  const previous = application?.watchlistCheck;
+  const resolution = previous?.resolution && matchKey(previous.matches) === matchKey(matches)
+    ? previous.resolution
+    : null;
+
+  return { checkedAt: new Date().toISOString(), matches, resolution };
+};
+
+/**
+ * 照合結果を記録
+ * @param {object} watchlistCheck - checkApplicationAgainstWatchlist の結果
+ * @param {object} input - { decision: 'cleared' | 'reported', reason }
+ * @param {object} options - { performedBy }
+ * @returns {object} - { success: boolean, watchlistCheck?: object, error?: string }
+ */
+export const resolveWatchlistCheck = (watchlistCheck, { decision, reason }, { performedBy = '' } = {}) => {
+  if (!watchlistCheck?.matches?.length) {
+    return { success: false, error: '品触れとの一致はありません' };
+  }
+  if (!WATCHLIST_RESOLUTIONS[decision]) {
+    return { success: false, error: '照合結果を選択してください' };
+  }
+  if (!reason?.trim()) {
+    return { success: false, error: '確認内容を入力してください' };
+  }
+
+  return {
+    success: true,
+    watchlistCheck: {
+      ...watchlistCheck,
+      resolution: {
+        decision,
+        reason: reason.trim(),
+        resolvedBy: performedBy,
+        resolvedAt: new Date().toISOString()
+      }
+    }
+  };
+};
+
+/**
+ * 承認・在庫登録を止める照合結果かどうか
+ * @param {object} watchlistCheck - 申込の照合結果
+ * @returns {boolean}
+ */
+export const isWatchlistBlocking = (watchlistCheck) => {
+  if (!watchlistCheck?.matches?.length) return false;
+  return watchlistCheck.resolution?.decision !== 'cleared';
+};
+
+/**
+ * 古物台帳に残す照合の記録（一致がない場合は null）
+ * @param {object} watchlistCheck - 申込の照合結果
+ * @param {array} items - 台帳に記録する商品（省略時は申込の全商品）
+ * @returns {object|null} - { matches, resolution, text }
+ */
+export const buildWatchlistLedgerNote = (watchlistCheck, items = null) => {
+  const itemIds = items ? items.map(item => item.id) : null;
+  const matches = (watchlistCheck?.matches || []).filter(match => !itemIds || itemIds.includes(match.itemId));
+  if (matches.length === 0) return null;
+
+  const resolution = watchlistCheck.resolution;
+  const text = [
+    `品触れ照合: ${matches.map(match => `${match.noticeNumber}（${WATCHLIST_MATCH_LEVELS[match.level].label}）`).join('、')}`,
+    resolution ? `${WATCHLIST_RESOLUTIONS[resolution.decision].label}: ${resolution.reason}` : '確認未了'
+  ].join(' ／ ');
+
+  return { matches, resolution: resolution || null, text };
+};
@@ -0,0 +1,283 @@
+// 海外バイヤーのほしい物リスト（入荷通知）
+// バイヤーが機種・カラー・最低ランク・上限価格を登録し、査定画面（Rating.jsx）で在庫登録した商品と照合する
+// 一致した在庫は matches に記録し、未読（seen: false）の件数をバイヤーの通知として表示する
+// 上限価格はバイヤーの取引通貨で登録し、照合時の当日レートでバイヤー別価格（calculateBuyerPrice）と比較する
+
+import { calculateBuyerPrice } from './priceCalculator';
+import { generateProductCode } from './productCodeGenerator';
+import { getAvailableQuantity, loadSalesOrders } from './salesOrders';
+import { getCurrentExchangeRate, convertFromJPY, convertToJPY, normalizeCurrency } from './exchangeRates';
+import { RANKS } from '../data/gameConsoles';
+
+const WISH_LISTS_STORAGE_KEY = 'buyerWishLists';
+
+/**
+ * ほしい物リストを読み込む
+ * @returns {array}
+ */
+export const loadWishLists = () => {
+  try {
+    return JSON.parse(localStorage.getItem(WISH_LISTS_STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error('buyerWishLists JSON parse error:', error);
+    return [];
+  }
+};
+
+const saveWishLists = (wishes) => {
+  localStorage.setItem(WISH_LISTS_STORAGE_KEY, JSON.stringify(wishes));
+};
+
+/**
+ * バイヤーのほしい物（新しい順）
+ * @param {string} buyerEmail - バイヤーのメール
+ * @returns {array}
+ */
+export const getBuyerWishes = (buyerEmail) => {
+  return loadWishLists()
+    .filter(wish => wish.buyerEmail === buyerEmail)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * ほしい物を登録
+ * @param {object} wish - { buyer: { email, name, country }, manufacturer, manufacturerLabel, console, consoleLabel, color, colorLabel, minRank, maxPrice, currency }
+ * @returns {object} - { success: boolean, wish?: object, error?: string }
+ */
+export const addWish = ({ buyer, manufacturer, manufacturerLabel, console, consoleLabel, color = '', colorLabel = '', minRank = 'C', maxPrice, currency }) => {
+  if (!buyer?.email) {
+    return { success: false, error: 'Please log in again' };
+  }
+  if (!manufacturer || !console) {
+    return { success: false, error: 'Please select a manufacturer and model' };
+  }
+  if (!RANKS.includes(minRank)) {
+    return { success: false, error: 'Please select a minimum rank' };
+  }
+  const price = maxPrice === '' || maxPrice === undefined || maxPrice === null ? null : Number(maxPrice);
+  if (price !== null && (!Number.isFinite(price) || price <= 0)) {
+    return { success: false, error: 'Max price must be a positive number' };
+  }
+
+  const wishes = loadWishLists();
+  const duplicate = wishes.find(wish =>
+    wish.buyerEmail === buyer.email &&
+    wish.console === console &&
+    (wish.color || '') === color &&
+    wish.minRank === minRank
+  );
+  if (duplicate) {
+    return { success: false, error: 'This item is already on your wish list' };
+  }
+
+  const wish = {
+    id: `WISH-${Date.now()}`,
+    buyerEmail: buyer.email,
+    buyerName: buyer.name || '',
+    buyerCountry: buyer.country || '',
+    productType: 'console',
+    manufacturer,
+    manufacturerLabel,
+    console,
+    consoleLabel,
+    color,
+    colorLabel,
+    minRank,
+    maxPrice: price,
+    currency: normalizeCurrency(currency),
+    matches: [],
+    createdAt: new Date().toISOString()
+  };
+  saveWishLists([...wishes, wish]);
+  return { success: true, wish };
+};
+
+/**
+ * ほしい物を削除
+ * @param {string} wishId - ID
+ */
+export const deleteWish = (wishId) => {
+  saveWishLists(loadWishLists().filter(wish => wish.id !== wishId));
+};
+
+// ========== 照合 ==========
+
+/**
+ * 在庫がほしい物の条件（機種・カラー・最低ランク）に合うか
+ * @param {object} wish - ほしい物
+ * @param {object} inv - 在庫
+ * @returns {boolean}
+ */
+export const wishMatchesInventory = (wish, inv) => {
+  const rankIndex = RANKS.indexOf(inv.assessedRank);
+  return (inv.productType || 'console') === wish.productType &&
+    inv.console === wish.console &&
+    (!wish.color || inv.color === wish.color) &&
+    rankIndex !== -1 &&
+    rankIndex <= RANKS.indexOf(wish.minRank);
+};
+
+/**
+ * バイヤーに提示する価格（円と取引通貨。基準価格が未設定なら price は null）
+ * @param {object} wish - ほしい物
+ * @param {object} inv - 在庫
+ * @returns {object} - { priceJPY, price }
+ */
+export const getWishPrice = (wish, inv) => {
+  const productCode = generateProductCode(inv.manufacturer, inv.console, wish.productType);
+  const priceJPY = calculateBuyerPrice(productCode, inv.assessedRank, wish.buyerEmail).finalPrice;
+  if (!priceJPY) {
+    return { priceJPY: 0, price: null };
+  }
+  const rate = getCurrentExchangeRate(wish.currency).rate;
+  return { priceJPY, price: convertFromJPY(priceJPY, rate, wish.currency) };
+};
+
+// 価格が未設定の在庫は見積もりで価格を決めるため、上限価格では除外しない
+const withinMaxPrice = (wish, price) => !wish.maxPrice || price === null || price <= wish.maxPrice;
+
+/**
+ * 現在の在庫からほしい物に合う商品を探す（他のリクエストの引当分を除く）
+ * @param {object} wish - ほしい物
+ * @param {object} options - { inventory, orders }
+ * @returns {array} - [{ inventory, availableQuantity, priceJPY, price }]
+ */
+export const findWishMatches = (wish, {
+  inventory = JSON.parse(localStorage.getItem('inventory') || '[]'),
+  orders = loadSalesOrders()
+} = {}) => {
+  return inventory
+    .filter(inv => wishMatchesInventory(wish, inv))
+    .map(inv => ({ inventory: inv, availableQuantity: getAvailableQuantity(inv, { orders }), ...getWishPrice(wish, inv) }))
+    .filter(match => match.availableQuantity > 0 && withinMaxPrice(wish, match.price));
+};
+
+/**
+ * 在庫登録した商品をほしい物リストと照合し、一致した分をバイヤーへの通知として記録する
+ * @param {array} registered - [{ inventoryItem, quantity }]
+ * @param {object} options - { reference: 買取申込番号など, date }
+ * @returns {object} - { matches: number, buyers: array（通知したバイヤーのメール） }
+ */
+export const matchWishesToInventory = (registered, { reference = '', date = new Date().toISOString() } = {}) => {
+  const wishes = loadWishLists();
+  const buyers = new Set();
+  let matches = 0;
+
+  const updatedWishes = wishes.map(wish => {
+    const found = (registered || [])
+      .filter(({ inventoryItem }) => wishMatchesInventory(wish, inventoryItem))
+      .map(({ inventoryItem, quantity }) => ({ inventoryItem, quantity, ...getWishPrice(wish, inventoryItem) }))
+      .filter(match => withinMaxPrice(wish, match.price));
+    if (found.length === 0) return wish;
+
+    matches += found.length;
+    buyers.add(wish.buyerEmail);
+    const foundIds = found.map(match => String(match.inventoryItem.id));
+    return {
+      ...wish,
+      lastMatchedAt: date,
+      matches: [
+        ...(wish.matches || []).filter(match => !foundIds.includes(String(match.inventoryId))),
+        ...found.map(({ inventoryItem, quantity, priceJPY, price }) => ({
+          inventoryId: inventoryItem.id,
+          rank: inventoryItem.assessedRank,
+          quantity,
+          priceJPY,
+          price,
+          reference,
+          matchedAt: date,
+          seen: false
+        }))
+      ]
+    };
+  });
+
+  if (matches > 0) {
+    saveWishLists(updatedWishes);
+  }
+  return { matches, buyers: [...buyers] };
+};
+
+/**
+ * バイヤーの未読の入荷通知の件数
+ * @param {string} buyerEmail - バイヤーのメール
+ * @returns {number}
+ */
+export const countUnseenWishMatches = (buyerEmail) => {
+  return getBuyerWishes(buyerEmail)
+    .reduce((sum, wish) => sum + (wish.matches || []).filter(match => !match.seen).length, 0);
+};
+
+/**
+ * バイヤーの入荷通知を既読にする
+ * @param {string} buyerEmail - バイヤーのメール
+ */
+export const markWishMatchesSeen = (buyerEmail) => {
+  const wishes = loadWishLists();
+  if (!wishes.some(wish => wish.buyerEmail === buyerEmail && (wish.matches || []).some(match => !match.seen))) return;
+  saveWishLists(wishes.map(wish => wish.buyerEmail === buyerEmail
+    ? { ...wish, matches: (wish.matches || []).map(match => ({ ...match, seen: true })) }
+    : wish));
+};
+
+// ========== 需要の集計 ==========
+
+/**
+ * ほしい物を機種・カラー別に集計（スタッフ向けの需要一覧）
+ * @param {object} options - { inventory, orders }
+ * @returns {array} - [{ key, manufacturerLabel, consoleLabel, colorLabel, wishCount, buyers, loosestRank, highestMaxPriceJPY, noPriceLimit, availableQuantity, latestWishAt }]
+ */
+export const getWishDemand = ({
+  inventory = JSON.parse(localStorage.getItem('inventory') || '[]'),
+  orders = loadSalesOrders()
+} = {}) => {
+  const groups = new Map();
+
+  loadWishLists().forEach(wish => {
+    const key = `${wish.console}|${wish.color || ''}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        console: wish.console,
+        color: wish.color || '',
+        manufacturerLabel: wish.manufacturerLabel,
+        consoleLabel: wish.consoleLabel,
+        colorLabel: wish.colorLabel || '',
+        wishCount: 0,
+        buyers: [],
+        loosestRank: wish.minRank,
+        highestMaxPriceJPY: 0,
+        noPriceLimit: false,
+        latestWishAt: wish.createdAt
+      });
+    }
+
+    const group = groups.get(key);
+    group.wishCount++;
+    if (!group.buyers.includes(wish.buyerName || wish.buyerEmail)) {
+      group.buyers.push(wish.buyerName || wish.buyerEmail);
+    }
+    if (RANKS.indexOf(wish.minRank) > RANKS.indexOf(group.loosestRank)) {
+      group.loosestRank = wish.minRank;
+    }
+    if (wish.maxPrice) {
+      const maxPriceJPY = convertToJPY(wish.maxPrice, getCurrentExchangeRate(wish.currency).rate);
+      group.highestMaxPriceJPY = Math.max(group.highestMaxPriceJPY, maxPriceJPY);
+    } else {
+      group.noPriceLimit = true;
+    }
+    if (new Date(wish.createdAt) > new Date(group.latestWishAt)) {
+      group.latestWishAt = wish.createdAt;
+    }
+  });
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      // 最も緩い条件（ランク）で在庫を数える
+      availableQuantity: inventory
+        .filter(inv => wishMatchesInventory({ productType: 'console', console: group.console, color: group.color, minRank: group.loosestRank }, inv))
+        .reduce((sum, inv) => sum + getAvailableQuantity(inv, { orders }), 0)
+    }))
+    .sort((a, b) => b.wishCount - a.wishCount || b.buyers.length - a.buyers.length);
+};
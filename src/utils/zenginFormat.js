@@ -0,0 +1,147 @@
+// 全銀フォーマット（総合振込）の振込データ作成
+// 1レコード120バイトの固定長。文字は半角英数・半角カナのみで、Shift_JISで出力する
+
+// 預金種目
+export const ACCOUNT_TYPES = {
+  '1': { label: '普通' },
+  '2': { label: '当座' },
+  '4': { label: '貯蓄' }
+};
+
+const RECORD_LENGTH = 120;
+
+const FULL_KATAKANA = 'アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワヲン';
+const HALF_KATAKANA = 'ｱｲｳｴｵｶｷｸｹｺｻｼｽｾｿﾀﾁﾂﾃﾄﾅﾆﾇﾈﾉﾊﾋﾌﾍﾎﾏﾐﾑﾒﾓﾔﾕﾖﾗﾘﾙﾚﾛﾜｦﾝ';
+// 全銀フォーマットでは小書き文字は使えないため大きい文字に置き換える
+const SMALL_KATAKANA = { 'ァ': 'ア', 'ィ': 'イ', 'ゥ': 'ウ', 'ェ': 'エ', 'ォ': 'オ', 'ッ': 'ツ', 'ャ': 'ヤ', 'ュ': 'ユ', 'ョ': 'ヨ', 'ヮ': 'ワ' };
+
+// 使用できる文字（半角英大文字・数字・半角カナ・一部の記号）
+const ZENGIN_CHARS = /^[0-9A-Zｦｱ-ﾟ ().,\-/\\｢｣]*$/;
+
+/**
+ * 文字列を全銀フォーマットで使える半角カナに変換
+ * ひらがな・全角カタカナ・全角英数は半角に、濁点・半濁点は分離する
+ * @param {string} text - 文字列
+ * @returns {string} - 変換後の文字列
+ */
+export const toZenginKana = (text) => {
+  return String(text || '')
+    // ひらがな → カタカナ
+    .replace(/[ぁ-ゖ]/g, ch => String.fromCharCode(ch.charCodeAt(0) + 0x60))
+    .replace(/[ァィゥェォッャュョヮ]/g, ch => SMALL_KATAKANA[ch])
+    // 濁点・半濁点を分離
+    .normalize('NFD')
+    .replace(/[！-～]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+    .replace(/[ー―‐－ｰ]/g, '-')
+    .replace(/　/g, ' ')
+    .replace(/[ァ-ン]/g, ch => {
+      const index = FULL_KATAKANA.indexOf(ch);
+      return index === -1 ? ch : HALF_KATAKANA[index];
+    })
+    .replace(/\u3099/g, 'ﾞ')
+    .replace(/\u309A/g, 'ﾟ')
+    .toUpperCase();
+};
+
+/**
+ * 全銀フォーマットで使える文字列かどうか
+ * @param {string} text - 変換後の文字列
+ * @returns {boolean}
+ */
+export const isZenginText = (text) => ZENGIN_CHARS.test(text || '');
+
+// 半角カナは1文字1バイトなので文字数で桁を揃える
+const padText = (text, length) => toZenginKana(text).slice(0, length).padEnd(length, ' ');
+const padNumber = (value, length) => String(value || 0).replace(/\D/g, '').slice(-length).padStart(length, '0');
+// 全銀フォーマットで表せない名称（漢字の銀行名など）は空欄にする（金融機関コードで判別される）
+const padName = (text, length) => {
+  const kana = toZenginKana(text);
+  return isZenginText(kana) ? padText(kana, length) : ''.padEnd(length, ' ');
+};
+
+/**
+ * 総合振込のデータを作成
+ * @param {object} requester - 振込依頼人 { requesterCode, requesterName, bankCode, bankName, branchCode, branchName, accountType, accountNumber }
+ * @param {array} transfers - 振込明細 [{ bankCode, bankName, branchCode, branchName, accountType, accountNumber, accountHolderKana, amount, customerCode }]
+ * @param {Date} transferDate - 振込指定日
+ * @returns {array} - レコード（各120文字）の配列
+ */
+export const buildZenginRecords = (requester, transfers, transferDate) => {
+  const mmdd = `${String(transferDate.getMonth() + 1).padStart(2, '0')}${String(transferDate.getDate()).padStart(2, '0')}`;
+
+  // ヘッダー・レコード
+  const header = [
+    '1',
+    '21', // 種別コード: 総合振込
+    '0', // コード区分: Shift_JIS
+    padNumber(requester.requesterCode, 10),
+    padText(requester.requesterName, 40),
+    mmdd,
+    padNumber(requester.bankCode, 4),
+    padName(requester.bankName, 15),
+    padNumber(requester.branchCode, 3),
+    padName(requester.branchName, 15),
+    padNumber(requester.accountType, 1),
+    padNumber(requester.accountNumber, 7),
+    ''.padEnd(17, ' ')
+  ].join('');
+
+  // データ・レコード
+  const data = transfers.map(transfer => [
+    '2',
+    padNumber(transfer.bankCode, 4),
+    padName(transfer.bankName, 15),
+    padNumber(transfer.branchCode, 3),
+    padName(transfer.branchName, 15),
+    ''.padEnd(4, ' '), // 手形交換所番号
+    padNumber(transfer.accountType, 1),
+    padNumber(transfer.accountNumber, 7),
+    padText(transfer.accountHolderKana, 30),
+    padNumber(transfer.amount, 10),
+    '0', // 新規コード
+    padText(transfer.customerCode, 10),
+    ''.padEnd(10, ' '),
+    '7', // 振込区分: 電信振込
+    ' ',
+    ''.padEnd(7, ' ')
+  ].join(''));
+
+  const totalAmount = transfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+
+  // トレーラ・レコード
+  const trailer = [
+    '8',
+    padNumber(transfers.length, 6),
+    padNumber(totalAmount, 12),
+    ''.padEnd(101, ' ')
+  ].join('');
+
+  // エンド・レコード
+  const end = '9'.padEnd(RECORD_LENGTH, ' ');
+
+  return [header, ...data, trailer, end];
+};
+
+/**
+ * レコードをShift_JISのバイト列に変換（半角英数・半角カナのみ対応）
+ * @param {array} records - レコードの配列
+ * @returns {Uint8Array} - Shift_JISのバイト列（各レコードはCRLF区切り）
+ */
+export const encodeZenginRecords = (records) => {
+  const text = records.map(record => `${record}\r\n`).join('');
+  const bytes = new Uint8Array(text.length);
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      bytes[i] = code;
+    } else if (code >= 0xFF61 && code <= 0xFF9F) {
+      // 半角カナ（U+FF61〜U+FF9F）→ 0xA1〜0xDF
+      bytes[i] = code - 0xFF61 + 0xA1;
+    } else {
+      throw new Error(`全銀フォーマットで使用できない文字が含まれています: ${text[i]}`);
+    }
+  }
+
+  return bytes;
+};
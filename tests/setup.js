@@ -14,20 +14,33 @@ process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.SUPPORT_EMAIL = 'support@test.com';
 process.env.SUPPORT_PHONE = '03-1234-5678';
 
-// Mock DOM APIs for React components
-Object.defineProperty(window, 'URL', {
-  value: {
-    createObjectURL: jest.fn(() => 'mock-url'),
-    revokeObjectURL: jest.fn()
-  }
-});
+// Mock DOM APIs for React components (node環境ではwindowがない)
+if (typeof window !== 'undefined') {
+  Object.defineProperty(window, 'URL', {
+    value: {
+      createObjectURL: jest.fn(() => 'mock-url'),
+      revokeObjectURL: jest.fn()
+    }
+  });
 
-// Mock navigator
-Object.defineProperty(window, 'navigator', {
-  value: {
-    userAgent: 'jest-test-runner'
-  }
-});
+  // Mock navigator
+  Object.defineProperty(window, 'navigator', {
+    value: {
+      userAgent: 'jest-test-runner'
+    }
+  });
+}
+
+// In-memory localStorage (src/utils はデータをlocalStorageに保存する)
+if (typeof localStorage === 'undefined') {
+  const store = new Map();
+  global.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key),
+    clear: () => store.clear()
+  };
+}
 
 // Global test utilities
 global.mockSupabaseResponse = (data, error = null, count = null) => ({
@@ -0,0 +1,48 @@
+/**
+ * 為替レート（日付ごとのレート）のテスト
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import {
+  addExchangeRate,
+  getExchangeRate,
+  lockExchangeRate,
+  toJSTDateKey,
+  DEFAULT_EXCHANGE_RATE
+} from '../../src/utils/exchangeRates.js';
+
+describe('exchangeRates', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('UTCの15時以降は日本時間の翌日として扱う', () => {
+    expect(toJSTDateKey('2026-10-19T14:59:59.999Z')).toBe('2026-10-19');
+    expect(toJSTDateKey('2026-10-19T15:00:00.000Z')).toBe('2026-10-20');
+  });
+
+  it('日時の日本時間の日付以前で最も新しいレートを使う', () => {
+    addExchangeRate({ date: '2026-10-19', rate: 150 });
+    addExchangeRate({ date: '2026-10-20', rate: 151 });
+
+    expect(getExchangeRate('2026-10-19T14:30:00.000Z')).toMatchObject({ rate: 150, date: '2026-10-19' });
+    expect(getExchangeRate('2026-10-19T15:30:00.000Z')).toMatchObject({ rate: 151, date: '2026-10-20' });
+    expect(getExchangeRate('2026-10-25')).toMatchObject({ rate: 151, date: '2026-10-20' });
+  });
+
+  it('指定日より後のレートしかない場合は既定値を使う', () => {
+    addExchangeRate({ date: '2026-10-20', rate: 151 });
+
+    expect(getExchangeRate('2026-10-19')).toEqual({ currency: 'USD', rate: DEFAULT_EXCHANGE_RATE, date: null, source: 'default' });
+
+    localStorage.setItem('exchangeRate', '140');
+    expect(getExchangeRate('2026-10-19')).toMatchObject({ rate: 140, source: 'legacy' });
+  });
+
+  it('固定したレートに適用したレートの日付を残す', () => {
+    addExchangeRate({ currency: 'EUR', date: '2026-10-20', rate: 162.5 });
+
+    const locked = lockExchangeRate('2026-10-19T16:00:00.000Z', 'eur');
+    expect(locked).toMatchObject({ currency: 'EUR', rate: 162.5, rateDate: '2026-10-20', source: 'manual' });
+  });
+});
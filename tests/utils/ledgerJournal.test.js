@@ -0,0 +1,131 @@
+/**
+ * 古物台帳の記録簿とアーカイブのテスト
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { appendLedgerEntry, loadLedgerJournal, verifyLedgerJournal } from '../../src/utils/ledgerJournal.js';
+import {
+  recordLedgerPurchase,
+  recordLedgerSale,
+  recordLedgerWatchlistNote,
+  migrateLegacyLedgerData,
+  loadLedgerRecords
+} from '../../src/utils/ledgerRecords.js';
+import { archiveLedgerRecords, buildArchiveCsv, verifyLedgerWithArchives } from '../../src/utils/ledgerArchive.js';
+
+const OLD_DATE = '2020-04-01T00:00:00.000Z';
+
+const inventoryItem = (id) => ({
+  id,
+  productType: 'console',
+  manufacturer: 'nintendo',
+  manufacturerLabel: '任天堂',
+  console: 'switch',
+  consoleLabel: 'Nintendo Switch',
+  assessedRank: 'A'
+});
+
+// 仕入れて全数販売した（アーカイブ対象になる）記録
+const recordClosedTransaction = (id, date = OLD_DATE) => {
+  recordLedgerPurchase({ inventoryItem: inventoryItem(id), quantity: 1, unitPriceJPY: 10000, eventDate: date });
+  recordLedgerSale({ inventoryItem: inventoryItem(id), saleId: `SALE-${id}`, quantity: 1, priceJPY: 15000, eventDate: date });
+};
+
+describe('ledgerJournal', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('末尾のエントリをアーカイブした後も連番と連鎖を続けて追記する', () => {
+    recordLedgerPurchase({ inventoryItem: inventoryItem('INV-OPEN'), quantity: 1, unitPriceJPY: 5000, eventDate: OLD_DATE });
+    recordClosedTransaction('INV-CLOSED');
+
+    const result = archiveLedgerRecords({ now: new Date('2024-01-01T00:00:00.000Z') });
+    expect(result.success).toBe(true);
+    expect(loadLedgerJournal().map(entry => entry.seq)).toEqual([1]);
+
+    const entry = appendLedgerEntry('purchase', 'INV-NEW', { event: {} });
+    expect(entry.seq).toBe(4);
+    expect(entry.prevHash).toBe(result.archives[0].entryStubs[1].hash);
+
+    const verification = verifyLedgerWithArchives();
+    expect(verification.issues).toEqual([]);
+    expect(verification.valid).toBe(true);
+    expect(verification.entryCount).toBe(4);
+  });
+
+  it('全ての記録をアーカイブした後に旧形式のデータを取り込み直さない', () => {
+    localStorage.setItem('inventory', JSON.stringify([{ ...inventoryItem('INV-LEGACY'), quantity: 1 }]));
+    recordClosedTransaction('INV-CLOSED');
+    archiveLedgerRecords({ now: new Date('2024-01-01T00:00:00.000Z') });
+    expect(loadLedgerRecords()).toEqual([]);
+
+    migrateLegacyLedgerData();
+
+    expect(loadLedgerRecords()).toEqual([]);
+    expect(verifyLedgerWithArchives().valid).toBe(true);
+  });
+
+  it('品触れ照合の結果を申込から仕入れた台帳記録に反映する', () => {
+    recordLedgerPurchase({
+      inventoryItem: inventoryItem('INV-1'),
+      quantity: 1,
+      unitPriceJPY: 10000,
+      reference: { type: 'buyback', applicationNumber: 'BUY-1' }
+    });
+    recordLedgerPurchase({ inventoryItem: inventoryItem('INV-2'), quantity: 1, unitPriceJPY: 10000 });
+
+    const result = recordLedgerWatchlistNote('BUY-1', { text: '品触れ照合: N-1 ／ 別物と確認: 製造番号が異なる' }, { performedBy: 'staff' });
+    expect(result.success).toBe(true);
+
+    const [first, second] = loadLedgerRecords();
+    expect(first.watchlistNotes.map(note => note.text)).toEqual(['品触れ照合: N-1 ／ 別物と確認: 製造番号が異なる']);
+    expect(second.watchlistNotes).toEqual([]);
+    expect(verifyLedgerJournal().valid).toBe(true);
+  });
+
+  it('在庫登録前の照合結果は記録簿に追記しない', () => {
+    const result = recordLedgerWatchlistNote('BUY-1', { text: '品触れ照合: N-1 ／ 別物と確認: 製造番号が異なる' });
+    expect(result).toEqual({ success: true, recorded: 0 });
+    expect(loadLedgerJournal()).toEqual([]);
+  });
+
+  it('品触れ照合の結果も台帳記録と一緒にアーカイブする', () => {
+    const note = '品触れ照合: N-1 ／ 別物と確認: 製造番号が異なる';
+    recordLedgerPurchase({
+      inventoryItem: inventoryItem('INV-1'),
+      quantity: 1,
+      unitPriceJPY: 10000,
+      eventDate: OLD_DATE,
+      reference: { type: 'buyback', applicationNumber: 'BUY-1' }
+    });
+    recordLedgerWatchlistNote('BUY-1', { text: note }, { performedBy: 'staff' });
+    recordLedgerSale({ inventoryItem: inventoryItem('INV-1'), saleId: 'SALE-INV-1', quantity: 1, priceJPY: 15000, eventDate: OLD_DATE });
+
+    // 照合結果の記載日は現在のため、その1年後にアーカイブする
+    const result = archiveLedgerRecords({ now: new Date(Date.now() + 366 * 24 * 60 * 60 * 1000) });
+    expect(result.success).toBe(true);
+
+    const [archive] = result.archives;
+    expect(archive.entries.map(entry => entry.type)).toEqual(['purchase', 'watchlist', 'sale']);
+    expect(buildArchiveCsv(archive)).toContain(note);
+    expect(loadLedgerJournal()).toEqual([]);
+    expect(verifyLedgerWithArchives().valid).toBe(true);
+  });
+
+  it('欠落と重複を区別して報告する', () => {
+    appendLedgerEntry('purchase', 'INV-1', { event: {} });
+    appendLedgerEntry('purchase', 'INV-2', { event: {} });
+    appendLedgerEntry('purchase', 'INV-3', { event: {} });
+    const [first, second, third] = loadLedgerJournal();
+
+    localStorage.setItem('ledgerJournal', JSON.stringify([first, third]));
+    expect(verifyLedgerJournal().issues.map(issue => issue.message))
+      .toContain('No.2 のエントリが欠落しています');
+
+    localStorage.setItem('ledgerJournal', JSON.stringify([first, second, third, { ...second }]));
+    const messages = verifyLedgerJournal().issues.map(issue => issue.message);
+    expect(messages).toContain('No.2 のエントリが重複しています');
+    expect(messages.some(message => message.includes('〜'))).toBe(false);
+  });
+});
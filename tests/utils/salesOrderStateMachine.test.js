@@ -0,0 +1,86 @@
+/**
+ * 海外販売リクエストの状態遷移のテスト
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  canTransitionSalesOrder,
+  transitionSalesOrder,
+  getAllowedSalesOrderTransitions
+} from '../../src/utils/salesOrderStateMachine.js';
+
+const NOW = '2026-10-19T00:00:00.000Z';
+
+const quotedItem = (patch = {}) => ({ id: 'ITEM-1', quantity: 2, quotedPrice: 10000, ...patch });
+
+describe('salesOrderStateMachine', () => {
+  it('遷移元ごとに許可された遷移先だけを返す', () => {
+    expect(getAllowedSalesOrderTransitions('pending')).toEqual(['quoted', 'cancelled']);
+    expect(getAllowedSalesOrderTransitions('quoted')).toEqual(expect.arrayContaining(['approved', 'declined', 'expired', 'on_hold', 'cancelled']));
+    expect(getAllowedSalesOrderTransitions('partially_shipped')).not.toContain('cancelled');
+    expect(getAllowedSalesOrderTransitions('shipped')).toEqual(['refunded']);
+    expect(getAllowedSalesOrderTransitions('refunded')).toEqual([]);
+  });
+
+  it('見積もりは全商品の単価と配送期間がそろうまで送信できない', () => {
+    const order = { status: 'pending', items: [quotedItem(), quotedItem({ id: 'ITEM-2', quotedPrice: 0 })], deliveryDays: '7' };
+    expect(canTransitionSalesOrder(order, 'quoted').error).toBe('全ての商品に販売単価を入力してください');
+
+    const quoted = { ...order, items: [quotedItem()] };
+    expect(canTransitionSalesOrder({ ...quoted, deliveryDays: '' }, 'quoted').error).toBe('配送期間を入力してください');
+    expect(canTransitionSalesOrder(quoted, 'quoted').allowed).toBe(true);
+  });
+
+  it('見積もりの有効期限で承認と期限切れを切り替える', () => {
+    const order = { status: 'quoted', items: [quotedItem()], quoteExpiresAt: NOW };
+
+    expect(canTransitionSalesOrder(order, 'approved', { date: '2026-10-18T23:59:59.000Z' }).allowed).toBe(true);
+    expect(canTransitionSalesOrder(order, 'expired', { date: '2026-10-18T23:59:59.000Z' }).allowed).toBe(false);
+    expect(canTransitionSalesOrder(order, 'approved', { date: NOW }).allowed).toBe(false);
+    expect(canTransitionSalesOrder(order, 'expired', { date: NOW }).allowed).toBe(true);
+  });
+
+  it('発送数量に応じて一部発送と発送完了を判定する', () => {
+    const order = { status: 'payment_confirmed', items: [quotedItem({ shippedQuantity: 1 })] };
+
+    expect(canTransitionSalesOrder(order, 'partially_shipped').allowed).toBe(true);
+    expect(canTransitionSalesOrder(order, 'shipped').error).toBe('未発送の商品が1件あります');
+
+    const shipped = { ...order, items: [quotedItem({ shippedQuantity: 2 })] };
+    expect(canTransitionSalesOrder(shipped, 'partially_shipped').error).toBe('全ての商品が発送済みです。発送完了にしてください');
+    expect(canTransitionSalesOrder(shipped, 'shipped').allowed).toBe(true);
+  });
+
+  it('保留は理由が必要で、保留前のステータスにのみ戻せる', () => {
+    const order = { status: 'approved', items: [quotedItem()] };
+    expect(canTransitionSalesOrder(order, 'on_hold').error).toBe('理由を入力してください');
+
+    const held = transitionSalesOrder(order, 'on_hold', { note: '住所確認中', date: NOW }).order;
+    expect(held).toMatchObject({ status: 'on_hold', heldFromStatus: 'approved', holdReason: '住所確認中' });
+    expect(canTransitionSalesOrder(held, 'payment_confirmed').allowed).toBe(false);
+
+    const resumed = transitionSalesOrder(held, 'approved', { date: NOW }).order;
+    expect(resumed).toMatchObject({ status: 'approved', heldFromStatus: null });
+    expect(resumed.statusHistory).toHaveLength(2);
+  });
+
+  it('発送済みの商品がある保留はキャンセルできず、解除して返金する', () => {
+    const order = { status: 'partially_shipped', items: [quotedItem({ shippedQuantity: 1 })], paymentConfirmedAt: NOW };
+    const held = transitionSalesOrder(order, 'on_hold', { note: '返品の相談', date: NOW }).order;
+
+    const cancel = canTransitionSalesOrder(held, 'cancelled', { note: 'お客様都合' });
+    expect(cancel.allowed).toBe(false);
+    expect(cancel.error).toContain('返金を記録してください');
+
+    const resumed = transitionSalesOrder(held, 'partially_shipped', { date: NOW }).order;
+    expect(canTransitionSalesOrder(resumed, 'refunded', { note: 'お客様都合' }).allowed).toBe(true);
+
+    const unshippedHold = { status: 'on_hold', heldFromStatus: 'payment_confirmed', items: [quotedItem()] };
+    expect(canTransitionSalesOrder(unshippedHold, 'cancelled', { note: 'お客様都合' }).allowed).toBe(true);
+  });
+
+  it('入金の記録がないリクエストは返金できない', () => {
+    const order = { status: 'cancelled', items: [quotedItem()] };
+    expect(canTransitionSalesOrder(order, 'refunded', { note: '誤登録' }).error).toBe('入金の記録がないため返金できません');
+  });
+});
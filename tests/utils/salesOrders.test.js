@@ -0,0 +1,173 @@
+/**
+ * 海外販売リクエストの在庫引当・発送のテスト
+ */
+
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import {
+  allocateQuoteReservations,
+  setSalesOrderReservations,
+  getAvailableQuantity,
+  getReservedQuantity,
+  expireSalesOrders,
+  prepareSalesOrderShipment,
+  recordSalesOrderShipment,
+  loadSalesOrders,
+  saveSalesOrders
+} from '../../src/utils/salesOrders.js';
+
+const QUOTED_AT = '2026-10-19T01:00:00.000Z';
+const EXPIRES_AT = '2026-10-26T14:59:59.999Z';
+// 実行日によらず有効な見積もりの期限
+const FAR_EXPIRES_AT = '2099-12-31T14:59:59.999Z';
+
+const inventory = [
+  { id: 'INV-A', console: 'switch', assessedRank: 'A', quantity: 2, acquisitionPrice: 20000 },
+  { id: 'INV-B', console: 'switch', assessedRank: 'B', quantity: 3, acquisitionPrice: 15000 }
+];
+
+const quotedOrder = (requestNumber, quantity, patch = {}) => ({
+  requestNumber,
+  status: 'quoted',
+  quotedAt: QUOTED_AT,
+  quoteExpiresAt: FAR_EXPIRES_AT,
+  items: [{ id: 'ITEM-1', console: 'switch', consoleLabel: 'Nintendo Switch', quantity, quotedPrice: 30000 }],
+  reservations: [],
+  ...patch
+});
+
+describe('salesOrders', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('inventory', JSON.stringify(inventory));
+  });
+
+  describe('在庫の引当', () => {
+    it('ランクの高い在庫から引き当て、不足分を返す', () => {
+      const { reservations, shortages } = allocateQuoteReservations(quotedOrder('SR-1', 6), { expiresAt: EXPIRES_AT, inventory, orders: [] });
+
+      expect(reservations.map(({ inventoryId, quantity }) => ({ inventoryId, quantity }))).toEqual([
+        { inventoryId: 'INV-A', quantity: 2 },
+        { inventoryId: 'INV-B', quantity: 3 }
+      ]);
+      expect(shortages).toEqual([{ itemId: 'ITEM-1', needed: 6, reserved: 5 }]);
+    });
+
+    it('他のリクエストの引当を除いた数だけ引き当てられる', () => {
+      saveSalesOrders([quotedOrder('SR-1', 2), quotedOrder('SR-2', 3)]);
+      expect(setSalesOrderReservations('SR-1', [{ itemId: 'ITEM-1', inventoryId: 'INV-B', quantity: 2 }]).success).toBe(true);
+
+      expect(getAvailableQuantity(inventory[1])).toBe(1);
+      const result = setSalesOrderReservations('SR-2', [{ itemId: 'ITEM-1', inventoryId: 'INV-B', quantity: 2 }]);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('引当可能数（1点）を超えています');
+
+      // 見積もり中の引当には見積もりの有効期限が付く
+      const [first] = loadSalesOrders();
+      expect(first.reservations[0].expiresAt).toBe(FAR_EXPIRES_AT);
+    });
+
+    it('見積もりの有効期限を過ぎた引当は集計しない', () => {
+      saveSalesOrders([quotedOrder('SR-1', 2)]);
+      setSalesOrderReservations('SR-1', [{ itemId: 'ITEM-1', inventoryId: 'INV-A', quantity: 2 }]);
+
+      const orders = loadSalesOrders();
+      expect(getReservedQuantity('INV-A', { orders })).toBe(2);
+      expect(getAvailableQuantity(inventory[0], { orders })).toBe(0);
+
+      const [order] = orders;
+      const afterExpiry = [{ ...order, reservations: order.reservations.map(r => ({ ...r, expiresAt: QUOTED_AT })) }];
+      expect(getReservedQuantity('INV-A', { orders: afterExpiry })).toBe(0);
+    });
+
+    it('期限切れにした見積もりの引当を解除する', () => {
+      saveSalesOrders([quotedOrder('SR-1', 2, { quoteExpiresAt: EXPIRES_AT }), quotedOrder('SR-2', 1)]);
+      setSalesOrderReservations('SR-1', [{ itemId: 'ITEM-1', inventoryId: 'INV-A', quantity: 2 }]);
+      setSalesOrderReservations('SR-2', [{ itemId: 'ITEM-1', inventoryId: 'INV-B', quantity: 1 }]);
+
+      expect(expireSalesOrders({ date: '2026-10-26T14:59:59.000Z' }).expired).toEqual([]);
+
+      const result = expireSalesOrders({ date: '2026-10-27T00:00:00.000Z' });
+      expect(result.expired).toEqual(['SR-1']);
+
+      const [expired, stillQuoted] = loadSalesOrders();
+      expect(expired.status).toBe('expired');
+      expect(expired.reservations).toEqual([]);
+      expect(expired.releasedReservations).toEqual([
+        expect.objectContaining({ inventoryId: 'INV-A', quantity: 2, releasedAt: '2026-10-27T00:00:00.000Z' })
+      ]);
+      expect(stillQuoted.reservations).toHaveLength(1);
+      expect(getAvailableQuantity(inventory[0])).toBe(2);
+    });
+  });
+
+  describe('分割発送', () => {
+    const paidOrder = () => ({
+      ...quotedOrder('SR-1', 3),
+      status: 'payment_confirmed',
+      paymentConfirmedAt: QUOTED_AT,
+      items: [
+        { id: 'ITEM-1', console: 'switch', consoleLabel: 'Nintendo Switch', quantity: 3, quotedPrice: 30000 },
+        { id: 'ITEM-2', console: 'switch', consoleLabel: 'Nintendo Switch', quantity: 1, quotedPrice: 28000 }
+      ]
+    });
+
+    beforeEach(() => {
+      saveSalesOrders([paidOrder()]);
+      setSalesOrderReservations('SR-1', [
+        { itemId: 'ITEM-1', inventoryId: 'INV-A', quantity: 2 },
+        { itemId: 'ITEM-1', inventoryId: 'INV-B', quantity: 1 },
+        { itemId: 'ITEM-2', inventoryId: 'INV-B', quantity: 1 }
+      ]);
+    });
+
+    it('未発送数を超える発送と、発送数と一致しない在庫選択を拒否する', () => {
+      const order = paidOrder();
+
+      expect(prepareSalesOrderShipment(order, []).error).toBe('発送する商品を選択してください');
+      expect(prepareSalesOrderShipment(order, [{ itemId: 'ITEM-1', quantity: 4, inventories: [] }]).error)
+        .toBe('Nintendo Switch の発送数（4点）が未発送数（3点）を超えています');
+      expect(prepareSalesOrderShipment(order, [{ itemId: 'ITEM-1', quantity: 2, inventories: [{ invId: 'INV-A', quantity: 1 }] }]).error)
+        .toBe('Nintendo Switch の在庫選択（1点）が発送数（2点）と一致しません');
+    });
+
+    it('発送済み数量を加算し、未発送が残れば一部発送済にする', () => {
+      const order = { ...paidOrder(), items: paidOrder().items.map(item => item.id === 'ITEM-1' ? { ...item, shippedQuantity: 1 } : item) };
+      const prepared = prepareSalesOrderShipment(order, [{ itemId: 'ITEM-1', quantity: 2, inventories: [{ invId: 'INV-A', quantity: 2 }] }]);
+
+      expect(prepared.success).toBe(true);
+      expect(prepared.items.map(item => item.shippedQuantity || 0)).toEqual([3, 0]);
+      expect(prepared.nextStatus).toBe('partially_shipped');
+    });
+
+    it('発送した分の引当を消化し、残りは入荷待ちとして引当を保持する', () => {
+      const first = recordSalesOrderShipment('SR-1', {
+        shippedDate: '2026-10-20',
+        trackingNumber: 'EMS-1',
+        lines: [{ itemId: 'ITEM-1', quantity: 2, inventories: [{ invId: 'INV-B', quantity: 2 }] }]
+      }, { date: '2026-10-20T00:00:00.000Z' });
+
+      expect(first.success).toBe(true);
+      expect(first.shipment.shipmentNumber).toBe('SR-1-S01');
+      expect(first.order.status).toBe('partially_shipped');
+      // INV-B の引当（1点）を先に消化し、足りない1点は同じ商品の INV-A の引当から減らす
+      expect(first.order.reservations.map(({ itemId, inventoryId, quantity }) => ({ itemId, inventoryId, quantity }))).toEqual([
+        { itemId: 'ITEM-1', inventoryId: 'INV-A', quantity: 1 },
+        { itemId: 'ITEM-2', inventoryId: 'INV-B', quantity: 1 }
+      ]);
+
+      const second = recordSalesOrderShipment('SR-1', {
+        shippedDate: '2026-10-25',
+        lines: [
+          { itemId: 'ITEM-1', quantity: 1, inventories: [{ invId: 'INV-A', quantity: 1 }] },
+          { itemId: 'ITEM-2', quantity: 1, inventories: [{ invId: 'INV-B', quantity: 1 }] }
+        ]
+      }, { date: '2026-10-25T00:00:00.000Z' });
+
+      expect(second.order.status).toBe('shipped');
+      expect(second.order.shipments.map(shipment => shipment.shipmentNumber)).toEqual(['SR-1-S01', 'SR-1-S02']);
+      expect(second.order.items.map(item => item.shippedQuantity)).toEqual([3, 1]);
+      expect(second.order.reservations).toEqual([]);
+      expect(getReservedQuantity('INV-B')).toBe(0);
+    });
+  });
+});
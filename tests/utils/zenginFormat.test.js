@@ -0,0 +1,84 @@
+/**
+ * 全銀フォーマット（総合振込）のテスト
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { buildZenginRecords, encodeZenginRecords, toZenginKana } from '../../src/utils/zenginFormat.js';
+
+const requester = {
+  requesterCode: '1234567890',
+  requesterName: 'カ）ゲームカイトリ',
+  bankCode: '0001',
+  bankName: 'ﾐｽﾞﾎ',
+  branchCode: '001',
+  branchName: 'ﾄｳｷﾖｳ',
+  accountType: '1',
+  accountNumber: '1234567'
+};
+
+const transfer = {
+  bankCode: '0005',
+  bankName: '三菱UFJ銀行',
+  branchCode: '123',
+  branchName: 'シブヤ',
+  accountType: '1',
+  accountNumber: '7654321',
+  accountHolderKana: 'ヤマダ タロウ',
+  amount: 25000,
+  customerCode: 'BUY-1'
+};
+
+describe('zenginFormat', () => {
+  it('全てのレコードを120文字の固定長で作成する', () => {
+    const records = buildZenginRecords(requester, [transfer, { ...transfer, amount: 5000 }], new Date(2026, 9, 20));
+
+    expect(records.map(record => record[0])).toEqual(['1', '2', '2', '8', '9']);
+    records.forEach(record => expect(record).toHaveLength(120));
+  });
+
+  it('ヘッダーに種別コード・依頼人・振込指定日を記載する', () => {
+    const [header] = buildZenginRecords(requester, [transfer], new Date(2026, 9, 20));
+
+    expect(header.slice(0, 4)).toBe('1210');
+    expect(header.slice(4, 14)).toBe('1234567890');
+    expect(header.slice(14, 54)).toBe('ｶ)ｹﾞ-ﾑｶｲﾄﾘ'.padEnd(40, ' '));
+    expect(header.slice(54, 58)).toBe('1020');
+    expect(header.slice(58, 62)).toBe('0001');
+    expect(header.slice(95, 103)).toBe('11234567');
+  });
+
+  it('データ・レコードの各項目を所定の桁に記載する', () => {
+    const [, data] = buildZenginRecords(requester, [transfer], new Date(2026, 9, 20));
+
+    expect(data.slice(1, 5)).toBe('0005');
+    // 漢字の銀行名は空欄（金融機関コードで判別される）
+    expect(data.slice(5, 20)).toBe(' '.repeat(15));
+    expect(data.slice(20, 23)).toBe('123');
+    expect(data.slice(23, 38)).toBe('ｼﾌﾞﾔ'.padEnd(15, ' '));
+    expect(data.slice(42, 50)).toBe('17654321');
+    expect(data.slice(50, 80)).toBe('ﾔﾏﾀﾞ ﾀﾛｳ'.padEnd(30, ' '));
+    expect(data.slice(80, 90)).toBe('0000025000');
+    expect(data.slice(91, 101)).toBe('BUY-1'.padEnd(10, ' '));
+    expect(data[111]).toBe('7');
+  });
+
+  it('トレーラ・レコードに件数と合計金額を記載する', () => {
+    const records = buildZenginRecords(requester, [transfer, { ...transfer, amount: 5000 }], new Date(2026, 9, 20));
+    const trailer = records[records.length - 2];
+
+    expect(trailer.slice(0, 19)).toBe('8000002000000030000');
+  });
+
+  it('半角カナに変換し、Shift_JISの1バイトずつに出力する', () => {
+    expect(toZenginKana('やまだ　たろう')).toBe('ﾔﾏﾀﾞ ﾀﾛｳ');
+    expect(toZenginKana('キャッシュ')).toBe('ｷﾔﾂｼﾕ');
+
+    const records = buildZenginRecords(requester, [transfer], new Date(2026, 9, 20));
+    const bytes = encodeZenginRecords(records);
+    expect(bytes).toHaveLength(records.length * 122);
+    expect(bytes[0]).toBe(0x31);
+    expect(Array.from(bytes.slice(120, 122))).toEqual([0x0D, 0x0A]);
+
+    expect(() => encodeZenginRecords(['山田'])).toThrow('全銀フォーマットで使用できない文字が含まれています');
+  });
+});